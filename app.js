@@ -0,0 +1,310 @@
+/**
+ * Ecosprinkle backend app factory
+ *
+ * createApp(config) composes the Express API, Socket.IO, device MQTT
+ * (embedded aedes broker or external broker), the cloud MQTT bridge and the
+ * background services from one configuration (config/appConfig.js).
+ * Nothing listens or connects until start() is called, so tests can use
+ * the returned `app` directly:
+ *
+ *   const { app } = createApp(loadConfig({ mqtt: { mode: 'none' }, database: { connect: false } }));
+ *   await request(app).get('/api/health').expect(200);
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const cors = require('cors');
+const http = require('http');
+const socketIO = require('socket.io');
+const rateLimit = require('express-rate-limit');
+const helmet = require('helmet');
+
+const { loadConfig } = require('./config/appConfig');
+const { connectToMongoDB } = require('./config/database');
+const passport = require('./config/passport');
+const mqttBrokerAuth = require('./services/mqttBrokerAuth');
+const mqttClientService = require('./services/mqttClient');
+const deadLetters = require('./services/deadLetterService');
+const wateringEngine = require('./services/wateringDecisionEngine');
+const scheduleExecutor = require('./services/scheduleExecutor');
+const pumpSafety = require('./services/pumpSafetyService');
+const commandDelivery = require('./services/commandDeliveryService');
+const sensorRetention = require('./services/sensorRetentionService');
+const EmbeddedBroker = require('./services/embeddedBroker');
+const MQTTManager = require('./services/mqttManager');
+const DeviceMessageHandler = require('./services/deviceMessageHandler');
+const { setupSocketHandlers } = require('./services/socketHandlers');
+
+/**
+ * Point the MQTT-driven services at the device broker client and start the
+ * periodic ones (safe to call again on reconnect)
+ */
+function startBackgroundServices(client, enabled) {
+  wateringEngine.setMqttClient(client);
+  commandDelivery.setMqttClient(client);
+  scheduleExecutor.setMqttClient(client);
+
+  if (!enabled) return;
+
+  if (!scheduleExecutor.isRunning) {
+    scheduleExecutor.start();
+    console.log('📅 Schedule Executor initialized and started');
+  }
+  // Stuck-pump / dry-run detection sends PUMP_OFF through the engine
+  if (!pumpSafety.isRunning) {
+    pumpSafety.start();
+  }
+  // Retry unacknowledged commands and expire stale ones
+  if (!commandDelivery.isRunning) {
+    commandDelivery.start();
+  }
+}
+
+function stopBackgroundServices() {
+  scheduleExecutor.stop();
+  pumpSafety.stop();
+  commandDelivery.stop();
+  sensorRetention.stop();
+}
+
+/**
+ * Build the backend from configuration
+ * @param {Object} config - From loadConfig()
+ * @returns {Object} { app, server, io, config, mqttManager, embeddedBroker, start, stop }
+ */
+function createApp(config = loadConfig()) {
+  const app = express();
+  app.set('config', config);
+
+  // Enable trust proxy FIRST (before any middleware that uses req.ip)
+  // Required for express-rate-limit to correctly identify users via X-Forwarded-For header
+  app.set('trust proxy', process.env.NODE_ENV === 'production' || process.env.RENDER ? 1 : true);
+
+  app.use(helmet());
+  // Enable CORS - Allow all origins
+  app.use(cors({
+    origin: '*',
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    credentials: false
+  }));
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Rate limiting to prevent DoS attacks (localhost exempt)
+  app.use('/api/', rateLimit({
+    windowMs: config.rateLimit.windowMs,
+    max: config.rateLimit.max,
+    message: 'Too many requests, please try again later',
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => req.ip === '127.0.0.1' || req.ip === '::1'
+  }));
+
+  app.use(passport.initialize());
+
+  const server = http.createServer(app);
+  const io = socketIO(server, {
+    cors: {
+      origin: config.socketOrigins,
+      methods: ['GET', 'POST']
+    },
+    transports: ['websocket', 'polling'],
+    upgradeTimeout: 30000,
+    pingTimeout: 60000,
+    pingInterval: 25000
+  });
+
+  // Store io instance for use in controllers
+  app.set('io', io);
+
+  // ============ DEVICE MQTT ============
+  const mode = config.mqtt.mode;
+  let embeddedBroker = null;
+  let mqttManager = null;
+
+  const deviceMessageHandler = new DeviceMessageHandler({
+    getMqttClient: () => mqttManager?.client,
+    source: mode === 'embedded' ? 'embedded' : 'cloud'
+  });
+  deadLetters.setReplayHandler((topic, payload) => deviceMessageHandler.handle(topic, payload));
+
+  // History endpoints pick raw or rollup data from the retention ages
+  sensorRetention.configure(config.retention);
+  scheduleExecutor.configure(config.schedules);
+
+  if (mode === 'embedded') {
+    embeddedBroker = new EmbeddedBroker({ port: config.mqtt.port });
+  }
+
+  if (mode !== 'none') {
+    // In embedded mode the backend reads device messages through its own broker login
+    const credentials = embeddedBroker
+      ? mqttBrokerAuth.getBackendCredentials()
+      : { username: config.mqtt.username, password: config.mqtt.password };
+
+    mqttManager = new MQTTManager({
+      brokerUrl: embeddedBroker ? embeddedBroker.getLocalUrl() : config.mqtt.brokerUrl,
+      ...credentials,
+      onMessage: (topic, payload) => deviceMessageHandler.receive(topic, payload),
+      onConnect: (client) => {
+        // Store MQTT client for use in controllers
+        app.set('mqttClient', client);
+        startBackgroundServices(client, config.backgroundServices);
+      }
+    });
+    app.set('sendCommand', (deviceId, command, payload) => mqttManager.sendCommand(deviceId, command, payload));
+  }
+
+  app.set('mqttManager', mqttManager);
+  app.set('embeddedBroker', embeddedBroker);
+  app.set('deviceMessageHandler', deviceMessageHandler);
+
+  setupSocketHandlers(io, { mqttManager });
+
+  // ============ ROUTES ============
+  app.use('/', require('./routes/system'));
+  app.use('/api/auth', require('./routes/auth'));
+  app.use('/api', require('./routes/sensors'));
+  // Device routes (includes DELETE with MQTT notification)
+  app.use('/api/devices', require('./routes/devices'));
+  app.use('/api/devices', require('./routes/watering'));
+  app.use('/api/devices', require('./routes/calibration'));
+  app.use('/api/devices', require('./routes/forecast'));
+  app.use('/api/logs', require('./routes/logs'));
+  app.use('/api/export', require('./routes/export'));
+  app.use('/api/import', require('./routes/import'));
+  app.use('/api/onboarding', require('./routes/onboarding'));
+  app.use('/api', require('./routes/feedbackRoutes'));
+  app.use('/api/admin', require('./routes/admin'));
+  app.use('/api', require('./routes/legacy'));
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({ success: false, message: 'Endpoint not found' });
+  });
+
+  // Error handling middleware (must be last)
+  app.use((err, req, res, next) => {
+    console.error('❌ API Error:', err.stack);
+
+    // Don't leak error details in production
+    const isDevelopment = process.env.NODE_ENV === 'development';
+
+    res.status(err.status || 500).json({
+      success: false,
+      message: isDevelopment ? err.message : 'Internal server error',
+      ...(isDevelopment && { error: err.message, stack: err.stack })
+    });
+  });
+
+  /**
+   * Connect to MongoDB and MQTT, then start listening for HTTP
+   * @returns {Promise<http.Server>}
+   */
+  async function start() {
+    if (config.database.connect) {
+      // Not awaited - the API and MQTT keep working while MongoDB retries
+      connectToMongoDB(config.database.uri, { maxRetries: config.database.maxRetries });
+    }
+
+    if (embeddedBroker) {
+      await embeddedBroker.listen();
+    }
+    if (mqttManager) {
+      mqttManager.connect();
+    }
+
+    // Rollups only need MongoDB, so they don't wait for MQTT
+    if (config.backgroundServices) {
+      sensorRetention.start();
+    }
+
+    if (config.cloudBridge.enabled) {
+      console.log('🔌 Initializing shared MQTT client service...');
+      mqttClientService.initialize(config.cloudBridge.brokerUrl, {
+        clientId: `ecosprinkle_backend_${Date.now()}`,
+        clean: true,
+        reconnectPeriod: 1000,
+        connectTimeout: 30000
+      });
+      app.set('mqttClientService', mqttClientService);
+    }
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(config.port, config.host, resolve);
+    });
+
+    console.log('========================================');
+    console.log(`🚀 Ecosprinkle Backend running at http://${config.host}:${server.address().port}`);
+    console.log(`📡 MQTT mode: ${mode}${mode === 'external' ? ` (${config.mqtt.brokerUrl})` : ''}${embeddedBroker ? ` (port ${embeddedBroker.port})` : ''}`);
+    console.log(`📊 Health check available at http://localhost:${server.address().port}/health`);
+    console.log('========================================');
+
+    return server;
+  }
+
+  /**
+   * Stop background services and close every connection
+   */
+  async function stop() {
+    stopBackgroundServices();
+
+    // Also closes the HTTP server
+    await new Promise((resolve) => io.close(() => resolve()));
+    console.log('🔌 HTTP server closed');
+
+    if (mqttManager) {
+      await mqttManager.close();
+    }
+    if (embeddedBroker) {
+      await embeddedBroker.close();
+    }
+    if (config.cloudBridge.enabled) {
+      mqttClientService.close();
+    }
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+      console.log('🗄️ Database connection closed');
+    }
+  }
+
+  return { app, server, io, config, mqttManager, embeddedBroker, start, stop };
+}
+
+/**
+ * Start an app as the process's server, with graceful shutdown
+ */
+async function runApp(config) {
+  const instance = createApp(config);
+
+  async function gracefulShutdown(signal) {
+    console.log(`🛑 Received ${signal}. Starting graceful shutdown...`);
+    await instance.stop();
+    console.log('✅ Graceful shutdown completed');
+    process.exit(0);
+  }
+
+  process.on('SIGTERM', gracefulShutdown);
+  process.on('SIGINT', gracefulShutdown);
+
+  // Uncaught exception handler
+  process.on('uncaughtException', (err) => {
+    console.error('❌ Uncaught Exception:', err);
+    console.log('🛑 Server shutting down due to uncaught exception');
+    process.exit(1);
+  });
+
+  // Unhandled promise rejection handler
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+    console.log('🛑 Server shutting down due to unhandled promise rejection');
+    process.exit(1);
+  });
+
+  await instance.start();
+  return instance;
+}
+
+module.exports = { createApp, runApp };
@@ -0,0 +1,102 @@
+/**
+ * App configuration
+ *
+ * Everything createApp() (app.js) needs, read from the environment.
+ * Entry points pass overrides for their own defaults; tests pass e.g.
+ * { mqtt: { mode: 'none' }, database: { connect: false } }.
+ *
+ * MQTT modes:
+ * - embedded: run the aedes broker in-process (MQTT_PORT); devices connect to it
+ * - external: connect to MQTT_BROKER (cloud or self-hosted broker)
+ * - none:     no device messaging (HTTP API only)
+ */
+
+const MQTT_MODES = ['embedded', 'external', 'none'];
+
+/**
+ * Accept both full URLs and hostname-only values (e.g. test.mosquitto.org)
+ */
+function resolveBrokerUrl(value, port) {
+  if (value.includes('://')) {
+    return value;
+  }
+  return `mqtt://${value}:${port}`;
+}
+
+/**
+ * Retention ages allow 0 (keep forever), so only fall back when unset
+ */
+function days(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+function loadConfig(overrides = {}) {
+  const env = process.env;
+  const mqttPort = parseInt(env.MQTT_PORT) || 1883;
+  const mqttMode = overrides.mqtt?.mode || env.MQTT_MODE || 'external';
+
+  if (!MQTT_MODES.includes(mqttMode)) {
+    throw new Error(`Invalid MQTT_MODE '${mqttMode}' (expected one of: ${MQTT_MODES.join(', ')})`);
+  }
+
+  const config = {
+    port: parseInt(env.PORT) || 3000,
+    host: '0.0.0.0',
+
+    database: {
+      connect: true,
+      uri: env.MONGODB_URI || 'mongodb://localhost:27017/Ecosprinkle',
+      maxRetries: 5
+    },
+
+    mqtt: {
+      mode: mqttMode,
+      // Embedded broker listener
+      port: mqttPort,
+      // External broker
+      brokerUrl: resolveBrokerUrl(env.MQTT_BROKER || 'mqtt://broker.hivemq.com:1883', mqttPort),
+      username: env.MQTT_USERNAME || '',
+      password: env.MQTT_PASSWORD || ''
+    },
+
+    // Shared client (services/mqttClient.js) used by the provisioning watchdog
+    cloudBridge: {
+      enabled: env.MQTT_CLOUD_BRIDGE !== 'false',
+      brokerUrl: env.CLOUD_MQTT_BROKER || 'mqtt://broker.hivemq.com:1883'
+    },
+
+    // Schedule executor, pump safety, command delivery and sensor rollups
+    backgroundServices: env.BACKGROUND_SERVICES !== 'false',
+
+    // Schedule times are in the owner's User.profile.timezone, else this one
+    schedules: {
+      defaultTimezone: env.SCHEDULE_DEFAULT_TIMEZONE || 'Asia/Manila'
+    },
+
+    // Sensor history retention in days, 0 = forever (services/sensorRetentionService.js)
+    retention: {
+      rawDays: days(env.SENSOR_RAW_RETENTION_DAYS, 30),
+      hourlyDays: days(env.SENSOR_HOURLY_RETENTION_DAYS, 365),
+      dailyDays: days(env.SENSOR_DAILY_RETENTION_DAYS, 0)
+    },
+
+    rateLimit: {
+      windowMs: parseInt(env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+      max: parseInt(env.RATE_LIMIT_MAX) || 100
+    },
+
+    socketOrigins: env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000']
+  };
+
+  // Shallow-merge each section so callers only override what they set
+  for (const [key, value] of Object.entries(overrides)) {
+    config[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? { ...config[key], ...value }
+      : value;
+  }
+
+  return config;
+}
+
+module.exports = { loadConfig, MQTT_MODES };
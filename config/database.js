@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Enhanced MongoDB Connection with retry logic
+// The server keeps running without a database if every attempt fails
+async function connectToMongoDB(mongoUri, { maxRetries = 5 } = {}) {
+  console.log('🗄️ Connecting to MongoDB:', mongoUri);
+
+  let retryCount = 0;
+
+  while (retryCount < maxRetries) {
+    try {
+      await mongoose.connect(mongoUri, {
+        serverSelectionTimeoutMS: 10000,
+        socketTimeoutMS: 45000,
+        family: 4,
+        maxPoolSize: 10,
+        minPoolSize: 2,
+        maxIdleTimeMS: 30000
+      });
+
+      console.log('✅ Connected to MongoDB successfully');
+
+      // Setup connection event handlers
+      mongoose.connection.on('error', (err) => {
+        console.error('❌ MongoDB connection error:', err);
+      });
+
+      mongoose.connection.on('disconnected', () => {
+        console.log('📴 MongoDB disconnected');
+      });
+
+      mongoose.connection.on('reconnected', () => {
+        console.log('🔄 MongoDB reconnected');
+      });
+
+      return true;
+    } catch (err) {
+      retryCount++;
+      console.error(`❌ MongoDB connection attempt ${retryCount} failed:`, err.message);
+
+      if (retryCount >= maxRetries) {
+        console.error('❌ Max MongoDB connection retries reached. Server will continue without database');
+        return false;
+      }
+
+      // Exponential backoff
+      const delay = Math.pow(2, retryCount) * 1000;
+      console.log(`⏰ Retrying MongoDB connection in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+  return false;
+}
+
+module.exports = { connectToMongoDB };
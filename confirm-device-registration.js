@@ -1,6 +1,7 @@
 const mqtt = require('mqtt');
 const mongoose = require('mongoose');
 const Device = require('./models/Device');
+const mqttProtocol = require('./services/mqttProtocol');
 require('dotenv').config();
 
 async function confirmDevice() {
@@ -32,13 +33,9 @@ async function confirmDevice() {
     mqttClient.on('connect', () => {
       console.log('✅ Connected to MQTT broker\n');
 
-      const payload = {
-        command: 'DEVICE_REGISTERED',
-        commandId: `manual_confirm_${Date.now()}`,
-        timestamp: Math.floor(Date.now() / 1000)
-      };
-
-      const topic = `ecosprinkle/${deviceId}/command`;
+      const { topic, payload } = mqttProtocol.encodeCommand(device, 'DEVICE_REGISTERED', {}, {
+        commandId: `manual_confirm_${Date.now()}`
+      });
       
       console.log('📤 Sending DEVICE_REGISTERED command:');
       console.log(`   Topic: ${topic}`);
@@ -3,198 +3,11 @@ const Plant = require('../models/Plant');
 const SensorData = require('../models/SensorData');
 const DeviceCommand = require('../models/DeviceCommand');
 const Notification = require('../models/Notification');
-const User = require('../models/User');
-
-// ============ FINAL DEFENSE REVISION: SENSOR CALIBRATION HELPERS ============
-
-/**
- * Validate sensor calibration data for individual zones
- * @param {Object} calibrationData - Calibration data for a specific zone
- * @returns {Object} Validation result with success flag and error message
- */
-function validateZoneCalibration(calibrationData) {
-  const { wetAdc, dryAdc, dryThresholdPercent, wetThresholdPercent } = calibrationData;
-  
-  // Validate ADC ranges
-  if (typeof wetAdc !== 'number' || wetAdc < 0 || wetAdc > 4095) {
-    return { isValid: false, error: 'wetAdc must be between 0-4095' };
-  }
-  
-  if (typeof dryAdc !== 'number' || dryAdc < 0 || dryAdc > 4095) {
-    return { isValid: false, error: 'dryAdc must be between 0-4095' };
-  }
-  
-  if (wetAdc >= dryAdc) {
-    return { isValid: false, error: 'wetAdc must be less than dryAdc (inverted sensors)' };
-  }
-  
-  // Validate percentage thresholds
-  if (typeof dryThresholdPercent !== 'number' || dryThresholdPercent < 0 || dryThresholdPercent > 100) {
-    return { isValid: false, error: 'dryThresholdPercent must be between 0-100' };
-  }
-  
-  if (typeof wetThresholdPercent !== 'number' || wetThresholdPercent < 0 || wetThresholdPercent > 100) {
-    return { isValid: false, error: 'wetThresholdPercent must be between 0-100' };
-  }
-  
-  if (dryThresholdPercent >= wetThresholdPercent) {
-    return { isValid: false, error: 'dryThresholdPercent must be less than wetThresholdPercent' };
-  }
-  
-  return { isValid: true };
-}
-
-/**
- * Calculate moisture percentage using individual sensor calibration
- * @param {number} adcValue - Raw ADC reading (0-4095)
- * @param {Object} calibration - Zone calibration object
- * @returns {number} Moisture percentage (0-100)
- */
-function calculateCalibratedPercentage(adcValue, calibration) {
-  const { wetAdc, dryAdc } = calibration;
-  
-  // Clamp ADC value to calibrated range
-  const clampedAdc = Math.max(wetAdc, Math.min(dryAdc, adcValue));
-  
-  // Calculate percentage (USER-FRIENDLY: 100% = wet, 0% = dry)
-  const adcRange = dryAdc - wetAdc;
-  const percentage = 100 - (((clampedAdc - wetAdc) * 100) / adcRange);
-  
-  return Math.max(0, Math.min(100, Math.round(percentage)));
-}
-
-/**
- * Get default calibration data for new devices
- * @returns {Object} Default sensor calibration configuration
- */
-function getDefaultSensorCalibrations() {
-  return {
-    zone1: {
-      wetAdc: 1050,
-      dryAdc: 4095,
-      soilType: 'Fine soil',
-      cropType: 'Lettuce/Herbs',
-      dryThresholdPercent: 25,
-      wetThresholdPercent: 85
-    },
-    zone2: {
-      wetAdc: 1070,
-      dryAdc: 4095,
-      soilType: 'Medium soil',
-      cropType: 'Tomatoes',
-      dryThresholdPercent: 20,
-      wetThresholdPercent: 80
-    },
-    zone3: {
-      wetAdc: 1150,
-      dryAdc: 4095,
-      soilType: 'Coarse soil',
-      cropType: 'Root vegetables',
-      dryThresholdPercent: 15,
-      wetThresholdPercent: 75
-    }
-  };
-}
+const commandDelivery = require('../services/commandDeliveryService');
+const realtime = require('../services/realtimeService');
 
 // ==================== DEVICE REGISTRATION ====================
 
-// Register a new device
-exports.registerDevice = async (req, res) => {
-  try {
-    const { deviceData, userId } = req.body;
-
-    // Check if device is already registered
-    const existingDevice = await Device.findOne({ deviceId: deviceData.deviceId });
-    
-    if (existingDevice) {
-      // Check if device is orphaned or inactive
-      const isOrphaned = existingDevice.Status === 'Orphaned' || !existingDevice.isActive;
-      
-      // Also check if device is in user's device list
-      const deviceOwner = await User.findById(existingDevice.userID);
-      const isInUserDeviceList = deviceOwner && deviceOwner.devices.includes(existingDevice._id);
-      
-      if (isOrphaned || !isInUserDeviceList) {
-        console.log(`📝 Re-registering device ${deviceData.deviceId} to new user ${userId}`);
-        console.log(`   Previous status: ${existingDevice.Status}, isActive: ${existingDevice.isActive}`);
-        console.log(`   Previous owner had device in list: ${isInUserDeviceList}`);
-        
-        // Remove device from old user's list (if any)
-        if (existingDevice.userID && existingDevice.userID.toString() !== userId) {
-          await User.findByIdAndUpdate(existingDevice.userID, {
-            $pull: { devices: existingDevice._id }
-          });
-          console.log(`   Removed device from old user ${existingDevice.userID}`);
-        }
-        
-        // Re-assign device to new user
-        existingDevice.userID = userId;
-        existingDevice.DeviceName = deviceData.deviceName;
-        existingDevice.WifiSSID = deviceData.wifiSSID;
-        existingDevice.isActive = true;
-        existingDevice.Status = 'Registered';
-        existingDevice.LastUpdated = new Date();
-        
-        // Clear old state that might cause issues
-        existingDevice.manualPumpState = undefined;
-        existingDevice.wateringMode = 'auto'; // Reset to default mode
-        
-        await existingDevice.save();
-        
-        // Add device to new user's device list
-        await User.findByIdAndUpdate(userId, {
-          $addToSet: { devices: existingDevice._id } // Use $addToSet to prevent duplicates
-        });
-        
-        console.log(`✅ Device re-registered successfully to user ${userId}`);
-        
-        return res.status(200).json({
-          message: 'Device re-registered successfully',
-          device: existingDevice
-        });
-      } else {
-        // Device is still actively owned by another user
-        console.log(`❌ Device ${deviceData.deviceId} is still actively registered to user ${existingDevice.userID}`);
-        return res.status(409).json({ 
-          error: 'Device already registered',
-          details: 'This device is already registered in the system. Please remove it from the previous account first, or contact support if this is your device.',
-          deviceId: deviceData.deviceId
-        });
-      }
-    }
-
-    // Create new device document with default calibration
-    const device = new Device({
-      userID: userId,
-      QRcode: deviceData.deviceId,
-      deviceId: deviceData.deviceId,
-      deviceType: deviceData.deviceType || 'sensor',
-      MACaddress: deviceData.macAddress,
-      securityKey: deviceData.securityKey,
-      WifiSSID: deviceData.wifiSSID,
-      DeviceName: deviceData.deviceName,
-      isActive: true,
-      Status: 'Registered',
-      // FINAL DEFENSE REVISION: Initialize with calibrated sensor configuration
-      sensorCalibrations: getDefaultSensorCalibrations(),
-    });
-
-    await device.save();
-
-    // Add device to user's device list
-    await User.findByIdAndUpdate(userId, {
-      $push: { devices: device._id }
-    });
-
-    res.status(201).json({
-      message: 'Device registered successfully',
-      device: device
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-};
-
 // Check if device is registered
 exports.isDeviceRegistered = async (req, res) => {
   try {
@@ -206,20 +19,6 @@ exports.isDeviceRegistered = async (req, res) => {
   }
 };
 
-// Get device by ID
-exports.getDeviceById = async (req, res) => {
-  try {
-    const { deviceId } = req.params;
-    const device = await Device.findOne({ deviceId });
-    if (!device) {
-      return res.status(404).json({ message: 'Device not found' });
-    }
-    res.json(device);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-};
-
 // Update device status
 exports.updateDeviceStatus = async (req, res) => {
   try {
@@ -247,152 +46,6 @@ exports.updateDeviceStatus = async (req, res) => {
   }
 };
 
-// Delete/remove device from user's account (orphan it for re-registration)
-exports.deleteDevice = async (req, res) => {
-  try {
-    const { deviceId } = req.params;
-    const userId = req.user?.id; // Get from auth middleware if available
-
-    console.log(`🗑️ Delete request for device ${deviceId} from user ${userId}`);
-
-    // Find the device
-    const device = await Device.findOne({ deviceId });
-    if (!device) {
-      console.log(`❌ Device ${deviceId} not found`);
-      return res.status(404).json({ message: 'Device not found' });
-    }
-
-    console.log(`   Current device status: ${device.Status}, isActive: ${device.isActive}`);
-    console.log(`   Current device owner: ${device.userID}`);
-
-    // Remove device from user's device list
-    if (userId) {
-      const updateResult = await User.findByIdAndUpdate(userId, {
-        $pull: { devices: device._id }
-      });
-      console.log(`✅ Removed device from user ${userId}'s device list`);
-    } else if (device.userID) {
-      // Fallback: remove from device's registered user
-      const updateResult = await User.findByIdAndUpdate(device.userID, {
-        $pull: { devices: device._id }
-      });
-      console.log(`✅ Removed device from user ${device.userID}'s device list (fallback)`);
-    }
-
-    // Mark device as orphaned (don't delete, allow re-registration)
-    device.isActive = false;
-    device.Status = 'Orphaned';
-    device.LastUpdated = new Date();
-    // Optionally clear userID to fully orphan the device
-    // device.userID = null; // Uncomment if you want to completely disassociate
-    await device.save();
-
-    console.log(`✅ Device ${deviceId} marked as orphaned and ready for re-registration`);
-    console.log(`   New status: ${device.Status}, isActive: ${device.isActive}`);
-
-    // 🔥 CRITICAL: Send DEVICE_DELETED command to ESP32 via MQTT
-    try {
-      const mqttClient = req.app.get('mqttClient');
-      if (mqttClient && mqttClient.connected) {
-        const deletionMessage = {
-          command: 'DEVICE_DELETED',
-          deviceId: deviceId,
-          message: 'Device was removed from user account. Performing factory reset.',
-          timestamp: new Date().toISOString()
-        };
-        
-        // Send to device-specific command topic
-        const commandTopic = `Ecosprinkle/${deviceId}/commands/control`;
-        console.log(`📡 Sending DEVICE_DELETED to ${commandTopic}...`);
-        
-        mqttClient.publish(
-          commandTopic,
-          JSON.stringify(deletionMessage),
-          { qos: 1, retain: false },
-          (err) => {
-            if (err) {
-              console.error(`❌ Failed to send DEVICE_DELETED via MQTT:`, err);
-            } else {
-              console.log(`✅ DEVICE_DELETED command sent to ${deviceId}`);
-              console.log(`   ESP32 will clear WiFi and restart in AP mode`);
-            }
-          }
-        );
-      } else {
-        console.warn(`⚠️  MQTT client not available - ESP32 won't receive deletion notification`);
-        console.warn(`   Device will need manual factory reset (hold button for 5s)`);
-      }
-    } catch (mqttError) {
-      console.error(`❌ Error sending MQTT deletion command:`, mqttError);
-    }
-
-    res.json({ 
-      success: true,
-      message: 'Device removed successfully. Device WiFi credentials have been cleared and it can be re-registered by scanning the QR code again.',
-      deviceId 
-    });
-  } catch (error) {
-    console.error('❌ Delete device error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to remove device',
-      error: error.message 
-    });
-  }
-};
-
-// Delete ALL devices from the database (DEVELOPER ONLY - USE WITH CAUTION!)
-exports.deleteAllDevices = async (req, res) => {
-  try {
-    console.log(`🗑️🗑️🗑️ DELETE ALL DEVICES REQUEST - This will remove ALL devices from database!`);
-    
-    // Count devices before deletion
-    const deviceCount = await Device.countDocuments();
-    console.log(`   Found ${deviceCount} devices to delete`);
-    
-    if (deviceCount === 0) {
-      return res.json({ 
-        success: true,
-        message: 'No devices found in database',
-        deletedCount: 0
-      });
-    }
-
-    // Remove all device references from all users
-    await User.updateMany(
-      { devices: { $exists: true, $ne: [] } },
-      { $set: { devices: [] } }
-    );
-    console.log(`✅ Cleared device references from all users`);
-
-    // Delete all devices from database
-    const deleteResult = await Device.deleteMany({});
-    console.log(`✅ Deleted ${deleteResult.deletedCount} devices from database`);
-
-    // Also clean up related data (optional - remove if you want to keep history)
-    const sensorDataCount = await SensorData.deleteMany({});
-    console.log(`✅ Deleted ${sensorDataCount.deletedCount} sensor data records`);
-    
-    const commandCount = await DeviceCommand.deleteMany({});
-    console.log(`✅ Deleted ${commandCount.deletedCount} device commands`);
-
-    res.json({ 
-      success: true,
-      message: `All devices deleted successfully`,
-      deletedCount: deleteResult.deletedCount,
-      sensorDataDeleted: sensorDataCount.deletedCount,
-      commandsDeleted: commandCount.deletedCount
-    });
-  } catch (error) {
-    console.error('❌ Delete all devices error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to delete all devices',
-      error: error.message 
-    });
-  }
-};
-
 // Associate device with plant
 exports.associateDeviceWithPlant = async (req, res) => {
   try {
@@ -460,11 +113,8 @@ exports.storeSensorData = async (req, res) => {
       }
     );
 
-    // Emit real-time update via Socket.IO
-    const io = req.app.get('io');
-    if (io) {
-      io.emit(`sensor-update:${deviceId}`, data);
-    }
+    // Real-time update for the device's subscribers
+    realtime.toDevice(deviceId, realtime.EVENTS.SENSOR_DATA, data);
 
     res.status(201).json(data);
   } catch (error) {
@@ -472,43 +122,6 @@ exports.storeSensorData = async (req, res) => {
   }
 };
 
-// Get real-time sensor data stream (latest)
-exports.getSensorDataStream = async (req, res) => {
-  try {
-    const { deviceId } = req.params;
-    const latestData = await SensorData.findOne({ deviceId })
-      .sort({ timestamp: -1 });
-
-    res.json(latestData || {});
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-};
-
-// Get sensor data history
-exports.getSensorDataHistory = async (req, res) => {
-  try {
-    const { deviceId } = req.params;
-    const { startDate, endDate, limit = 100 } = req.query;
-
-    const query = { deviceId };
-    if (startDate && endDate) {
-      query.timestamp = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
-    }
-
-    const data = await SensorData.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit));
-
-    res.json(data);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-};
-
 // ==================== DEVICE COMMANDS ====================
 
 // Send device command
@@ -528,31 +141,15 @@ exports.sendDeviceCommand = async (req, res) => {
 
     await commandDoc.save();
 
-    // Emit command via Socket.IO
-    const io = req.app.get('io');
-    if (io) {
-      io.emit(`device-command:${deviceId}`, commandDoc);
-    }
+    // Real-time update for the device's subscribers
+    realtime.toDevice(deviceId, realtime.EVENTS.DEVICE_COMMAND, commandDoc);
 
     // Publish command via MQTT
     const mqttClient = req.app.get('mqttClient');
     if (mqttClient && mqttClient.connected) {
-      // Enhanced topic structure for better organization
-      const topic = `Ecosprinkle/${deviceId}/commands/control`;
-      const message = JSON.stringify({
-        commandId: commandDoc._id,
-        command: commandDoc.command,
-        parameters: commandDoc.parameters,
-        timestamp: commandDoc.timestamp
-      });
-
-      mqttClient.publish(topic, message, { qos: 1 }, (error) => {
-        if (error) {
-          console.error('MQTT publish error:', error);
-        } else {
-          console.log(`Command published to MQTT topic: ${topic}`);
-        }
-      });
+      commandDelivery.publishCommand(mqttClient, deviceId, commandDoc, commandDoc.command, parameters || {})
+        .then(encoded => console.log(`Command published to MQTT topic: ${encoded.topic}`))
+        .catch(error => console.error('MQTT publish error:', error.message));
     }
 
     res.status(201).json(commandDoc);
@@ -674,299 +271,6 @@ exports.markCommandFailed = async (req, res) => {
   }
 };
 
-// ==================== SENSOR CALIBRATION MANAGEMENT ====================
-
-// Get sensor calibration data for a device
-exports.getSensorCalibrations = async (req, res) => {
-  try {
-    const { deviceId } = req.params;
-    
-    const device = await Device.findOne({ deviceId });
-    if (!device) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Device not found' 
-      });
-    }
-
-    // Return calibration data with calculated ranges
-    const calibrations = {};
-    Object.keys(device.sensorCalibrations).forEach(zone => {
-      const cal = device.sensorCalibrations[zone];
-      calibrations[zone] = {
-        ...cal.toObject(),
-        adcRange: cal.dryAdc - cal.wetAdc,
-        percentageRange: cal.wetThresholdPercent - cal.dryThresholdPercent
-      };
-    });
-
-    res.json({
-      success: true,
-      deviceId,
-      calibrations,
-      lastUpdated: device.LastUpdated
-    });
-  } catch (error) {
-    console.error('Error getting sensor calibrations:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to get sensor calibrations',
-      error: error.message 
-    });
-  }
-};
-
-// Update sensor calibration for a specific zone
-exports.updateZoneCalibration = async (req, res) => {
-  try {
-    const { deviceId, zoneId } = req.params;
-    const calibrationData = req.body;
-    
-    // Validate zone ID
-    if (!['zone1', 'zone2', 'zone3'].includes(zoneId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid zone ID. Must be zone1, zone2, or zone3'
-      });
-    }
-    
-    // Validate calibration data
-    const validation = validateZoneCalibration(calibrationData);
-    if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid calibration data',
-        error: validation.error
-      });
-    }
-    
-    // Update device calibration
-    const updateField = `sensorCalibrations.${zoneId}`;
-    const device = await Device.findOneAndUpdate(
-      { deviceId },
-      {
-        $set: {
-          [updateField]: calibrationData,
-          LastUpdated: new Date()
-        }
-      },
-      { new: true }
-    );
-
-    if (!device) {
-      return res.status(404).json({
-        success: false,
-        message: 'Device not found'
-      });
-    }
-
-    // Send calibration update command to ESP32
-    const command = new DeviceCommand({
-      deviceId,
-      command: 'UPDATE_CALIBRATION',
-      parameters: {
-        zone: zoneId,
-        calibration: calibrationData
-      },
-      status: 'pending',
-      executed: false
-    });
-    
-    await command.save();
-    
-    // Publish via MQTT
-    const mqttClient = req.app.get('mqttClient');
-    if (mqttClient && mqttClient.connected) {
-      const topic = `Ecosprinkle/${deviceId}/commands/control`;
-      const message = JSON.stringify({
-        command: 'UPDATE_CALIBRATION',
-        parameters: {
-          zone: zoneId,
-          calibration: calibrationData
-        },
-        commandId: command._id,
-        timestamp: Date.now()
-      });
-
-      mqttClient.publish(topic, message, { qos: 1 });
-    }
-
-    res.json({
-      success: true,
-      message: `${zoneId} calibration updated successfully`,
-      calibration: device.sensorCalibrations[zoneId],
-      command: {
-        id: command._id,
-        status: command.status
-      }
-    });
-  } catch (error) {
-    console.error('Error updating zone calibration:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to update zone calibration',
-      error: error.message 
-    });
-  }
-};
-
-// Reset all sensor calibrations to default values
-exports.resetSensorCalibrations = async (req, res) => {
-  try {
-    const { deviceId } = req.params;
-    
-    const device = await Device.findOneAndUpdate(
-      { deviceId },
-      {
-        $set: {
-          sensorCalibrations: getDefaultSensorCalibrations(),
-          LastUpdated: new Date()
-        }
-      },
-      { new: true }
-    );
-
-    if (!device) {
-      return res.status(404).json({
-        success: false,
-        message: 'Device not found'
-      });
-    }
-
-    // Send reset command to ESP32
-    const command = new DeviceCommand({
-      deviceId,
-      command: 'RESET_CALIBRATION',
-      parameters: {
-        calibrations: getDefaultSensorCalibrations()
-      },
-      status: 'pending',
-      executed: false
-    });
-    
-    await command.save();
-    
-    // Publish via MQTT
-    const mqttClient = req.app.get('mqttClient');
-    if (mqttClient && mqttClient.connected) {
-      const topic = `Ecosprinkle/${deviceId}/commands/control`;
-      const message = JSON.stringify({
-        command: 'RESET_CALIBRATION',
-        parameters: {
-          calibrations: getDefaultSensorCalibrations()
-        },
-        commandId: command._id,
-        timestamp: Date.now()
-      });
-
-      mqttClient.publish(topic, message, { qos: 1 });
-    }
-
-    res.json({
-      success: true,
-      message: 'All sensor calibrations reset to default values',
-      calibrations: device.sensorCalibrations,
-      command: {
-        id: command._id,
-        status: command.status
-      }
-    });
-  } catch (error) {
-    console.error('Error resetting sensor calibrations:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to reset sensor calibrations',
-      error: error.message 
-    });
-  }
-};
-
-// Validate current sensor readings against calibration
-exports.validateSensorReadings = async (req, res) => {
-  try {
-    const { deviceId } = req.params;
-    
-    const device = await Device.findOne({ deviceId });
-    if (!device) {
-      return res.status(404).json({
-        success: false,
-        message: 'Device not found'
-      });
-    }
-
-    const sensorData = device.sensorData;
-    const calibrations = device.sensorCalibrations;
-    
-    const validationResults = {
-      zone1: validateSensorReading(sensorData.zone1, calibrations.zone1),
-      zone2: validateSensorReading(sensorData.zone2, calibrations.zone2),
-      zone3: validateSensorReading(sensorData.zone3, calibrations.zone3)
-    };
-    
-    // Calculate overall system health
-    const validSensors = Object.values(validationResults).filter(r => r.isValid).length;
-    const systemHealth = validSensors === 3 ? 'excellent' : 
-                        validSensors === 2 ? 'good' : 
-                        validSensors === 1 ? 'warning' : 'critical';
-    
-    res.json({
-      success: true,
-      deviceId,
-      validationResults,
-      systemHealth,
-      validSensors,
-      totalSensors: 3,
-      timestamp: new Date()
-    });
-  } catch (error) {
-    console.error('Error validating sensor readings:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to validate sensor readings',
-      error: error.message 
-    });
-  }
-};
-
-// Helper function to validate individual sensor reading
-function validateSensorReading(adcValue, calibration) {
-  const sensorErrorLow = 100;
-  const sensorErrorHigh = 4000;
-  
-  if (adcValue <= sensorErrorLow) {
-    return {
-      isValid: false,
-      error: `Sensor reading too low (${adcValue} ADC)`,
-      recommendation: 'Check sensor wiring and connections',
-      percentage: 0
-    };
-  }
-  
-  if (adcValue >= sensorErrorHigh) {
-    return {
-      isValid: false,
-      error: `Sensor disconnected or faulty (${adcValue} ADC)`,
-      recommendation: 'Check if sensor is properly connected to soil',
-      percentage: 0
-    };
-  }
-  
-  const percentage = calculateCalibratedPercentage(adcValue, calibration);
-  
-  return {
-    isValid: true,
-    adcValue,
-    percentage,
-    calibration: {
-      wetAdc: calibration.wetAdc,
-      dryAdc: calibration.dryAdc,
-      adcRange: calibration.dryAdc - calibration.wetAdc
-    },
-    status: percentage >= calibration.wetThresholdPercent ? 'well_watered' :
-            percentage <= calibration.dryThresholdPercent ? 'needs_water' : 'adequate'
-  };
-}
-
 // ==================== WATERING CONTROLS ====================
 
 // Send watering command
@@ -1062,14 +366,8 @@ exports.setWateringMode = async (req, res) => {
     // Publish command via MQTT
     const mqttClient = req.app.get('mqttClient');
     if (mqttClient && mqttClient.connected) {
-      const topic = `Ecosprinkle/${deviceId}/commands/control`;
-      const message = JSON.stringify({
-        command: 'SET_WATERING_MODE',
-        parameters: { mode },
-        commandId: command._id
-      });
-
-      mqttClient.publish(topic, message, { qos: 1 });
+      commandDelivery.publishCommand(mqttClient, deviceId, command, 'SET_WATERING_MODE', { mode })
+        .catch(error => console.error('MQTT publish error:', error.message));
     }
     
     // Return response directly rather than calling sendDeviceCommand again
@@ -1176,15 +474,8 @@ exports.setWateringSchedules = async (req, res) => {
     // Publish command via MQTT
     const mqttClient = req.app.get('mqttClient');
     if (mqttClient && mqttClient.connected) {
-      const topic = `Ecosprinkle/${deviceId}/commands/control`;
-      const message = JSON.stringify({
-        command: 'UPDATE_SCHEDULE',
-        parameters: { schedules },
-        commandId: command._id,
-        timestamp: Date.now()
-      });
-
-      mqttClient.publish(topic, message, { qos: 1 });
+      commandDelivery.publishCommand(mqttClient, deviceId, command, 'UPDATE_SCHEDULE', { schedules })
+        .catch(error => console.error('MQTT publish error:', error.message));
     }
     
     res.json({
@@ -1296,11 +587,8 @@ exports.createNotification = async (req, res) => {
 
     await notification.save();
 
-    // Emit notification via Socket.IO
-    const io = req.app.get('io');
-    if (io) {
-      io.emit(`notification:${userId}`, notification);
-    }
+    // Push to the owner's sockets only
+    realtime.notify(notification);
 
     res.status(201).json(notification);
   } catch (error) {
@@ -1617,23 +905,13 @@ exports.manualControl = async (req, res) => {
     const mqttClient = req.app.get('mqttClient');
     
     if (mqttClient && mqttClient.connected) {
-      const topic = `Ecosprinkle/${deviceId}/commands/control`;
-      
-      // Enhanced JSON command structure
-      const payload = JSON.stringify({
-        command: 'manualControl',
-        parameters: {
-          pump: commandParams.action,
-          duration: commandParams.duration || 0,
-          zone: commandParams.zone || 1,
-          source: 'manual'
-        },
-        messageId: command._id.toString(),
-        timestamp: Date.now()
-      });
-      
-      mqttClient.publish(topic, payload, { qos: 1 });
-      console.log(`Published pump control command to ${topic}: ${payload}`);
+      commandDelivery.publishCommand(mqttClient, device, command, action === 'start' ? 'PUMP_ON' : 'PUMP_OFF', {
+        duration: Number(commandParams.duration) || 0,
+        zone: Number(commandParams.zone) || 1,
+        source: 'manual'
+      })
+        .then(encoded => console.log(`Published pump control command to ${encoded.topic}: ${JSON.stringify(encoded.payload)}`))
+        .catch(error => console.error('MQTT publish error:', error.message));
     }
     
     // Update device status
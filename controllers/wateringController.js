@@ -1,7 +1,17 @@
 const Device = require('../models/Device');
 const DeviceCommand = require('../models/DeviceCommand');
+const ScheduleExecution = require('../models/ScheduleExecution');
+const waterBudget = require('../services/waterBudgetService');
+const pumpSessions = require('../services/pumpSessionService');
+const commandDelivery = require('../services/commandDeliveryService');
+const mqttProtocol = require('../services/mqttProtocol');
+const scheduleExecutor = require('../services/scheduleExecutor');
+const scheduleRules = require('../services/scheduleRules');
+const zonedTime = require('../services/zonedTime');
+const solarTimes = require('../services/solarTimes');
 const mqtt = require('mqtt');
 
+
 // MQTT Client Configuration
 const DEFAULT_MQTT_BROKER = 'mqtt://test.mosquitto.org:1883';
 let mqttBrokerUrl = process.env.MQTT_BROKER || DEFAULT_MQTT_BROKER;
@@ -50,7 +60,6 @@ function initMQTTClient() {
 // Publish MQTT Command to ESP32 and track in DeviceCommand
 async function publishPumpCommand(deviceId, action, duration = 0, source = 'manual') {
   const client = initMQTTClient();
-  const topic = `Ecosprinkle/${deviceId}/commands/pump`;
   
   // Create a device command record
   const command = new DeviceCommand({
@@ -66,36 +75,56 @@ async function publishPumpCommand(deviceId, action, duration = 0, source = 'manu
   });
   
   await command.save();
+
+  pumpSessions.trackCommand(deviceId, command._id, {
+    command: action === 'on' ? 'PUMP_ON' : 'PUMP_OFF',
+    source,
+    duration,
+    reason: `Pump ${action} (${source})`
+  });
   
-  const payload = JSON.stringify({
-    action,      // 'on' or 'off'
-    duration,    // seconds (0 = indefinite until manual off)
-    source,      // 'manual', 'auto', 'schedule'
-    timestamp: Date.now(),
+  const target = await mqttProtocol.resolveDevice(deviceId);
+  const encoded = mqttProtocol.encodeCommand(target, action === 'on' ? 'PUMP_ON' : 'PUMP_OFF', {
+    duration: Number(duration) || 0,  // seconds (0 = indefinite until manual off)
+    source                            // 'manual', 'auto', 'schedule'
+  }, {
     commandId: command._id
   });
+  const { topic } = encoded;
 
-  return new Promise((resolve, reject) => {
+  return new Promise((resolve) => {
     // Add timeout to prevent hanging
     const timeout = setTimeout(() => {
       console.warn(`⚠️ MQTT publish timeout for ${topic}, resolving anyway`);
       resolve(command);
     }, 5000);
     
-    client.publish(topic, payload, { qos: 1 }, (err) => {
-      clearTimeout(timeout);
-      if (err) {
+    mqttProtocol.publish(client, encoded)
+      .then(() => {
+        clearTimeout(timeout);
+        console.log(`📤 Published to ${topic}: ${JSON.stringify(encoded.payload)}`);
+        return commandDelivery.markSent(command, encoded)
+          .catch(markError => console.error('⚠️ Failed to mark command as sent:', markError.message));
+      })
+      .catch(err => {
+        clearTimeout(timeout);
         console.error(`❌ Failed to publish to ${topic}:`, err);
         // Don't reject - just resolve with command to allow mode switch to continue
-        resolve(command);
-      } else {
-        console.log(`📤 Published to ${topic}: ${payload}`);
-        resolve(command);
-      }
-    });
+      })
+      .finally(() => resolve(command));
   });
 }
 
+/**
+ * Publish a control command (mode, schedules) in the device's protocol version
+ * and track its delivery (commandDeliveryService retries it until ACK or TTL).
+ * Fire-and-forget: failures are logged, the DeviceCommand stays pending and expires.
+ */
+function publishControlCommand(deviceId, commandDoc, params = {}) {
+  return commandDelivery.publishCommand(initMQTTClient(), deviceId, commandDoc, commandDoc.command, params)
+    .catch(err => console.error(`❌ Failed to publish ${commandDoc.command} to ${deviceId}:`, err.message));
+}
+
 /**
  * Switch Watering Mode (Auto/Manual/Schedule)
  * @route POST /api/devices/:deviceId/mode
@@ -173,16 +202,7 @@ exports.switchMode = async (req, res) => {
     await command.save();
     
     // Publish command via MQTT
-    const mqttTopic = `Ecosprinkle/${deviceId}/commands/control`;
-    const mqttPayload = JSON.stringify({
-      command: 'SET_WATERING_MODE',
-      parameters: { mode },
-      commandId: command._id,
-      timestamp: Date.now()
-    });
-    
-    const client = initMQTTClient();
-    client.publish(mqttTopic, mqttPayload, { qos: 1 });
+    publishControlCommand(deviceId, command, { mode });
 
     // Mode-specific logic
     if (mode === 'manual') {
@@ -199,14 +219,15 @@ exports.switchMode = async (req, res) => {
       }
       
     } else if (mode === 'schedule') {
-      // Enable schedule mode
+      // Enable schedule mode (slots from before now are not missed ones)
       device.scheduleMode.isEnabled = true;
       device.scheduleMode.isPaused = false;
+      scheduleExecutor.resetCursor(device);
       
       // Calculate next scheduled time (only if schedules exist)
       if (device.schedules && device.schedules.length > 0) {
         try {
-          const nextSchedule = calculateNextScheduledTime(device.schedules);
+          const nextSchedule = await calculateNextScheduledTime(device);
           device.scheduleMode.nextScheduledAt = nextSchedule;
         } catch (schedError) {
           console.warn('⚠️ Failed to calculate next schedule:', schedError.message);
@@ -268,7 +289,8 @@ exports.switchMode = async (req, res) => {
 exports.controlPump = async (req, res) => {
   try {
     const { deviceId } = req.params;
-    const { action, duration = 0, source = 'manual' } = req.body; // action: 'on' or 'off'
+    const { action, source = 'manual' } = req.body; // action: 'on' or 'off'
+    let { duration = 0 } = req.body;
     const userID = req.user?.uid || req.body.userID;
 
     console.log(`🚰 Controlling pump for device: ${deviceId}, Action: ${action}, Duration: ${duration}, Source: ${source}, UserID: ${userID || 'not provided'}`);
@@ -311,6 +333,20 @@ exports.controlPump = async (req, res) => {
       });
     }
 
+    // Refuse PUMP ON when the water budget is used up, otherwise cap the run to what's left
+    if (action === 'on') {
+      const budgetCheck = await waterBudget.checkPumpAllowed(device, duration);
+      if (!budgetCheck.allowed) {
+        await waterBudget.notifyBudgetExhausted(device, budgetCheck.budget, 'manual');
+        return res.status(409).json({
+          success: false,
+          message: budgetCheck.reason,
+          waterBudget: budgetCheck.budget
+        });
+      }
+      duration = budgetCheck.duration;
+    }
+
     // Initialize nested objects if they don't exist
     if (!device.manualPumpState) {
       device.manualPumpState = {
@@ -424,10 +460,13 @@ exports.getWateringState = async (req, res) => {
           isPaused: scheduleMode.isPaused || false,
           lastExecutedAt: scheduleMode.lastExecutedAt || null,
           nextScheduledAt: scheduleMode.nextScheduledAt || null,
-          executionCount: scheduleMode.executionCount || 0
+          executionCount: scheduleMode.executionCount || 0,
+          timezone: await scheduleExecutor.getTimezone(device)
         },
         schedules: device.schedules || [],
         currentPumpState: sensorData.pumpState || 0,
+        waterBudget: await waterBudget.getBudgetStatus(device),
+        pumpFault: device.pumpFault || { active: false },
         sensorVoting: {
           majorityVoteDry: sensorData.majorityVoteDry || false,
           dryVotes: sensorData.dryVotes || 0,
@@ -458,10 +497,11 @@ exports.upsertSchedule = async (req, res) => {
     const userID = req.user?.uid || req.body?.userID;
 
     // Validate schedules
-    if (!Array.isArray(schedules) || schedules.length === 0) {
+    const validationError = validateSchedules(schedules);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        message: 'Schedules must be a non-empty array'
+        message: validationError
       });
     }
 
@@ -485,20 +525,24 @@ exports.upsertSchedule = async (req, res) => {
       });
     }
 
+    const locationError = checkSolarLocation(schedules, device);
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError
+      });
+    }
+
     // Replace all schedules
-    // 🚨 CRITICAL: Convert frontend days (1-7, Mon-Sun) to database format (0-6, Sun-Sat)
-    device.schedules = schedules.map(s => ({
-      timeSlotId: s.timeSlotId || `slot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      time: s.time,
-      duration: s.duration,
-      daysOfWeek: s.daysOfWeek.map(day => day === 7 ? 0 : day), // Convert: 7 (Sun) -> 0, keep 1-6 as is
-      isActive: s.isActive !== undefined ? s.isActive : true,
-      createdAt: s.createdAt || new Date()
-    }));
+    const timezone = await scheduleExecutor.getTimezone(device);
+    device.schedules = schedules.map(s => toScheduleEntry(s, timezone));
 
     // Calculate next scheduled time
-    const nextSchedule = calculateNextScheduledTime(device.schedules);
+    const nextSchedule = await calculateNextScheduledTime(device, timezone);
     device.scheduleMode.nextScheduledAt = nextSchedule;
+    if (!device.scheduleMode.isEnabled) {
+      scheduleExecutor.resetCursor(device);
+    }
     device.scheduleMode.isEnabled = true;
     device.LastUpdated = new Date();
 
@@ -619,12 +663,13 @@ exports.upsertSchedule = async (req, res) => {
     console.log(`📅 Schedule saved! Executor will trigger ${device.schedules.length} schedules`);
     
     // Send CLEAR_ALL_SCHEDULES to ESP32 to remove any old internal schedules
-    const client = initMQTTClient();
-    const clearPayload = JSON.stringify({
+    const clearCommand = await DeviceCommand.create({
+      deviceId,
       command: 'CLEAR_ALL_SCHEDULES',
-      timestamp: Date.now()
+      status: 'pending',
+      executed: false
     });
-    client.publish(`ecosprinkle/${deviceId}/command`, clearPayload, { qos: 1 });
+    publishControlCommand(deviceId, clearCommand);
     
     await device.save();
 
@@ -699,12 +744,13 @@ exports.updateScheduleStatus = async (req, res) => {
     device.LastUpdated = new Date();
 
     // If we're enabling a schedule, make sure scheduleMode is enabled
-    if (isActive) {
+    if (isActive && !device.scheduleMode.isEnabled) {
+      scheduleExecutor.resetCursor(device);
       device.scheduleMode.isEnabled = true;
     }
     
     // Recalculate next scheduled time
-    device.scheduleMode.nextScheduledAt = calculateNextScheduledTime(device.schedules);
+    device.scheduleMode.nextScheduledAt = await calculateNextScheduledTime(device);
     
     // Create device command for updating the schedule status
     const command = new DeviceCommand({
@@ -727,16 +773,7 @@ exports.updateScheduleStatus = async (req, res) => {
     await command.save();
     
     // Publish command via MQTT
-    const mqttTopic = `Ecosprinkle/${deviceId}/commands/control`;
-    const mqttPayload = JSON.stringify({
-      command: 'UPDATE_SCHEDULE_STATUS',
-      parameters: command.parameters,
-      commandId: command._id,
-      timestamp: Date.now()
-    });
-    
-    const client = initMQTTClient();
-    client.publish(mqttTopic, mqttPayload, { qos: 1 });
+    publishControlCommand(deviceId, command, Object.fromEntries(command.parameters));
     
     await device.save();
 
@@ -902,7 +939,7 @@ exports.deleteSchedule = async (req, res) => {
     
     // Recalculate next scheduled time
     if (device.schedules.length > 0) {
-      const nextSchedule = calculateNextScheduledTime(device.schedules);
+      const nextSchedule = await calculateNextScheduledTime(device);
       device.scheduleMode.nextScheduledAt = nextSchedule;
     } else {
       device.scheduleMode.isEnabled = false;
@@ -923,16 +960,7 @@ exports.deleteSchedule = async (req, res) => {
     await command.save();
     
     // Publish command via MQTT
-    const mqttTopic = `Ecosprinkle/${deviceId}/commands/control`;
-    const mqttPayload = JSON.stringify({
-      command: 'DELETE_SCHEDULE',
-      parameters: { scheduleId: timeSlotId },
-      commandId: command._id,
-      timestamp: Date.now()
-    });
-    
-    const client = initMQTTClient();
-    client.publish(mqttTopic, mqttPayload, { qos: 1 });
+    publishControlCommand(deviceId, command, { scheduleId: timeSlotId });
 
     device.LastUpdated = new Date();
     await device.save();
@@ -1015,16 +1043,7 @@ exports.cancelAllSchedules = async (req, res) => {
     await command.save();
     
     // Publish command via MQTT to ESP32
-    const mqttTopic = `Ecosprinkle/${deviceId}/commands/control`;
-    const mqttPayload = JSON.stringify({
-      command: 'CANCEL_ALL_SCHEDULES',
-      parameters: {},
-      messageId: command._id.toString(),
-      timestamp: Date.now()
-    });
-    
-    const client = initMQTTClient();
-    client.publish(mqttTopic, mqttPayload, { qos: 1 });
+    publishControlCommand(deviceId, command);
     
     console.log(`✅ Cancelled ${schedulesCount} schedules for device ${deviceId}`);
     
@@ -1085,6 +1104,10 @@ exports.pauseResumeSchedule = async (req, res) => {
       });
     }
 
+    // Slots that fell in the pause are not caught up
+    if (!paused && device.scheduleMode.isPaused) {
+      scheduleExecutor.resetCursor(device);
+    }
     device.scheduleMode.isPaused = paused;
     device.LastUpdated = new Date();
     
@@ -1102,16 +1125,7 @@ exports.pauseResumeSchedule = async (req, res) => {
     await command.save();
     
     // Publish command via MQTT
-    const mqttTopic = `Ecosprinkle/${deviceId}/commands/control`;
-    const mqttPayload = JSON.stringify({
-      command: paused ? 'PAUSE_SCHEDULE' : 'RESUME_SCHEDULE',
-      parameters: { isPaused: paused },
-      commandId: command._id,
-      timestamp: Date.now()
-    });
-    
-    const client = initMQTTClient();
-    client.publish(mqttTopic, mqttPayload, { qos: 1 });
+    publishControlCommand(deviceId, command, { isPaused: paused });
     
     await device.save();
 
@@ -1140,43 +1154,188 @@ exports.pauseResumeSchedule = async (req, res) => {
 };
 
 /**
- * Helper: Calculate Next Scheduled Time
+ * Get Schedule Execution History
+ * What happened to each due slot: executed, caught up, skipped or failed
+ * @route GET /api/devices/:deviceId/schedule/executions?limit=50
+ * Requires authentication; only the device owner's history is returned
+ */
+exports.getScheduleExecutions = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const device = await Device.findOne({ deviceId, userID: req.user.userId }).select('deviceId');
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const executions = await ScheduleExecution.find({ deviceId })
+      .sort({ scheduledFor: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        deviceId,
+        executions
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting schedule executions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get schedule executions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Preview Schedule Fire Times
+ * Next fire times of the given schedules (not saved), or of the saved ones
+ * @route POST /api/devices/:deviceId/schedules/preview
+ * @body { schedules?: [...], count?: 10 }
+ * Requires authentication; previews only the owner's devices
  */
-function calculateNextScheduledTime(schedules) {
-  if (!schedules || schedules.length === 0) return null;
+exports.previewSchedules = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { schedules } = req.body || {};
+    const count = Math.min(Math.max(parseInt(req.body?.count) || 10, 1), 100);
+
+    if (schedules !== undefined) {
+      const validationError = validateSchedules(schedules);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+    }
 
-  const now = new Date();
-  const currentDay = now.getDay(); // 0-6 (Sun-Sat)
-  const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    const device = await Device.findOne({ deviceId, userID: req.user.userId });
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
 
-  let nextSchedule = null;
-  let minDiff = Infinity;
+    const locationError = checkSolarLocation(schedules || device.schedules, device);
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError
+      });
+    }
 
-  schedules.forEach(schedule => {
-    if (!schedule.isActive) return;
+    const timezone = await scheduleExecutor.getTimezone(device);
+    const entries = schedules !== undefined
+      ? schedules.map(s => toScheduleEntry(s, timezone))
+      : device.schedules;
+    const fires = scheduleRules.nextFireTimes(entries, timezone, new Date(), count, device.location?.coordinates);
 
-    schedule.daysOfWeek.forEach(day => {
-      const [hours, minutes] = schedule.time.split(':').map(Number);
-      
-      // Calculate days until this schedule
-      let daysUntil = day - currentDay;
-      if (daysUntil < 0) daysUntil += 7;
-      if (daysUntil === 0 && schedule.time <= currentTime) daysUntil = 7;
-
-      // Calculate exact datetime
-      const scheduledDate = new Date(now);
-      scheduledDate.setDate(scheduledDate.getDate() + daysUntil);
-      scheduledDate.setHours(hours, minutes, 0, 0);
-
-      const diff = scheduledDate - now;
-      if (diff > 0 && diff < minDiff) {
-        minDiff = diff;
-        nextSchedule = scheduledDate;
+    res.json({
+      success: true,
+      data: {
+        deviceId,
+        timezone,
+        fires: fires.map(({ at, schedule }) => ({
+          at,
+          localTime: zonedTime.formatLocal(at, timezone),
+          timeSlotId: schedule.timeSlotId,
+          rule: scheduleRules.describe(schedule),
+          duration: schedule.duration
+        }))
       }
     });
-  });
 
-  return nextSchedule;
+  } catch (error) {
+    console.error('Error previewing schedules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview schedules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Helper: Validate schedules from a request body
+ * @returns {string|null} Error message, null when valid
+ */
+function validateSchedules(schedules) {
+  if (!Array.isArray(schedules) || schedules.length === 0) {
+    return 'Schedules must be a non-empty array';
+  }
+  for (let i = 0; i < schedules.length; i++) {
+    const error = scheduleRules.validate(schedules[i]);
+    if (error) {
+      return `Schedule ${i + 1}: ${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Helper: Validated request schedule → Device.schedules entry
+ * Interval rules without a startDate start today in the owner's timezone.
+ */
+function toScheduleEntry(s, timezone) {
+  const type = s.type || 'weekly';
+  const today = scheduleRules.dateKey(zonedTime.getLocalParts(new Date(), timezone));
+
+  return {
+    timeSlotId: s.timeSlotId || `slot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    type,
+    time: type === 'cron' || type === 'solar' ? undefined : s.time,
+    cron: type === 'cron' ? s.cron.trim() : null,
+    intervalHours: type === 'interval_hours' ? s.intervalHours : null,
+    intervalDays: type === 'interval_days' ? s.intervalDays : null,
+    solarEvent: type === 'solar' ? s.solarEvent : null,
+    offsetMinutes: type === 'solar' ? s.offsetMinutes || 0 : 0,
+    startDate: s.startDate || (type.startsWith('interval_') ? today : null),
+    endDate: s.endDate || null,
+    duration: s.duration,
+    // 🚨 CRITICAL: Convert frontend days (1-7, Mon-Sun) to database format (0-6, Sun-Sat)
+    daysOfWeek: (type === 'weekly' || type === 'solar') && Array.isArray(s.daysOfWeek)
+      ? s.daysOfWeek.map(day => day === 7 ? 0 : day)
+      : [],
+    isActive: s.isActive !== undefined ? s.isActive : true,
+    catchUp: s.catchUp || 'run',
+    conditions: {
+      skipAboveMoisture: s.conditions?.skipAboveMoisture ?? null,
+      scaleByDryness: s.conditions?.scaleByDryness || false
+    },
+    createdAt: s.createdAt || new Date()
+  };
+}
+
+/**
+ * Helper: Solar schedules need the device's coordinates
+ * @returns {string|null} Error message, null when fine
+ */
+function checkSolarLocation(schedules, device) {
+  const needsLocation = schedules.some(s => s.type === 'solar');
+  if (needsLocation && !solarTimes.isValidLocation(device.location?.coordinates)) {
+    return 'Sunrise/sunset schedules need the device location (location.coordinates latitude/longitude)';
+  }
+  return null;
+}
+
+/**
+ * Helper: Calculate Next Scheduled Time in the owner's timezone
+ */
+async function calculateNextScheduledTime(device, timezone) {
+  const zone = timezone || await scheduleExecutor.getTimezone(device);
+  return scheduleExecutor.calculateNextScheduledTime(device.schedules, zone, {
+    location: device.location?.coordinates
+  });
 }
 
 module.exports = exports;
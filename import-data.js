@@ -0,0 +1,76 @@
+/**
+ * Bulk import from the old Firebase setup (same as the /api/import endpoints)
+ *
+ * Usage:
+ *   node import-data.js <userId> sensor-data <deviceId> <readings.csv|readings.ndjson>
+ *   node import-data.js <userId> configs <configs.json>
+ *
+ * configs.json: { "devices": [...], "plants": [...] }
+ * Per-row errors are printed; the exit code is 1 if any row failed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Device = require('./models/Device');
+const { loadConfig } = require('./config/appConfig');
+const sensorRetention = require('./services/sensorRetentionService');
+const importService = require('./services/importService');
+const { normalizeDeviceId } = require('./services/deviceId');
+
+function usage() {
+  console.log('Usage:');
+  console.log('  node import-data.js <userId> sensor-data <deviceId> <readings.csv|readings.ndjson>');
+  console.log('  node import-data.js <userId> configs <configs.json>');
+  process.exit(1);
+}
+
+async function importSensorData(userId, rawDeviceId, file) {
+  const deviceId = normalizeDeviceId(rawDeviceId);
+  const device = await Device.findOne({ deviceId, userID: userId });
+  if (!device) {
+    throw new Error(`Device ${deviceId} not found for user ${userId}`);
+  }
+
+  const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'ndjson';
+  return importService.importSensorData(fs.createReadStream(file), { deviceId, userId, format });
+}
+
+async function importConfigs(userId, file) {
+  const configs = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return importService.importConfigs(configs, userId);
+}
+
+async function run() {
+  const [userId, type, ...args] = process.argv.slice(2);
+  if (!userId || !['sensor-data', 'configs'].includes(type) || args.length !== (type === 'configs' ? 1 : 2)) {
+    usage();
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Old readings are staged and compacted according to the configured retention
+    sensorRetention.configure(loadConfig().retention);
+
+    const result = type === 'configs'
+      ? await importConfigs(userId, args[0])
+      : await importSensorData(userId, args[0], args[1]);
+
+    console.log(JSON.stringify(result, null, 2));
+
+    const reports = type === 'configs' ? [result.devices, result.plants] : [result];
+    const failed = reports.some(report => report.summary.failed > 0);
+
+    await mongoose.disconnect();
+    process.exit(failed ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
@@ -1,6 +1,71 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+/**
+ * Verify a JWT and load the active user it belongs to
+ * Shared by the HTTP middleware and the Socket.IO handshake.
+ * @returns {Promise<Object>} { user } on success, otherwise { status, error, details }
+ */
+const verifyToken = async (token) => {
+  try {
+    // Verify token
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Check if user still exists
+    const user = await User.findById(decoded.userId).select('-password -refreshToken');
+
+    if (!user) {
+      return {
+        status: 401,
+        error: 'User not found',
+        details: 'The account associated with this token no longer exists'
+      };
+    }
+
+    if (!user.isActive) {
+      return {
+        status: 401,
+        error: 'Account deactivated',
+        details: 'Your account has been deactivated'
+      };
+    }
+
+    // Check if account is locked
+    if (user.isAccountLocked()) {
+      return {
+        status: 423,
+        error: 'Account locked',
+        details: 'Your account is temporarily locked due to too many failed login attempts'
+      };
+    }
+
+    return {
+      user: {
+        userId: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role
+      }
+    };
+  } catch (jwtError) {
+    if (jwtError.name === 'TokenExpiredError') {
+      return {
+        status: 401,
+        error: 'Token expired',
+        details: 'Your session has expired. Please login again.'
+      };
+    } else if (jwtError.name === 'JsonWebTokenError') {
+      return {
+        status: 401,
+        error: 'Invalid token',
+        details: 'The provided token is invalid'
+      };
+    }
+    throw jwtError;
+  }
+};
+
 const authMiddleware = async (req, res, next) => {
   try {
     // Get token from header
@@ -16,60 +81,18 @@ const authMiddleware = async (req, res, next) => {
     // Extract token
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Check if user still exists
-      const user = await User.findById(decoded.userId).select('-password -refreshToken');
-      
-      if (!user) {
-        return res.status(401).json({ 
-          error: 'User not found',
-          details: 'The account associated with this token no longer exists'
-        });
-      }
-
-      if (!user.isActive) {
-        return res.status(401).json({ 
-          error: 'Account deactivated',
-          details: 'Your account has been deactivated'
-        });
-      }
+    const result = await verifyToken(token);
+    if (!result.user) {
+      return res.status(result.status).json({
+        error: result.error,
+        details: result.details
+      });
+    }
 
-      // Check if account is locked
-      if (user.isAccountLocked()) {
-        return res.status(423).json({ 
-          error: 'Account locked',
-          details: 'Your account is temporarily locked due to too many failed login attempts'
-        });
-      }
+    // Add user to request object
+    req.user = result.user;
 
-      // Add user to request object
-      req.user = {
-        userId: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role
-      };
-
-      next();
-    } catch (jwtError) {
-      if (jwtError.name === 'TokenExpiredError') {
-        return res.status(401).json({ 
-          error: 'Token expired',
-          details: 'Your session has expired. Please login again.'
-        });
-      } else if (jwtError.name === 'JsonWebTokenError') {
-        return res.status(401).json({ 
-          error: 'Invalid token',
-          details: 'The provided token is invalid'
-        });
-      } else {
-        throw jwtError;
-      }
-    }
+    next();
   } catch (error) {
     console.error('Auth middleware error:', error);
     res.status(500).json({ 
@@ -79,6 +102,37 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+// Socket.IO handshake middleware - same JWT as the REST API, sent as
+// io(url, { auth: { token } }) or an "Authorization: Bearer" header.
+// Failures reach the client's connect_error with err.data = { error, details }.
+const socketAuth = async (socket, next) => {
+  const authHeader = socket.handshake.headers?.authorization || '';
+  const token = socket.handshake.auth?.token ||
+    (authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+
+  const reject = (error, details) => {
+    const err = new Error(error);
+    err.data = { error, details };
+    next(err);
+  };
+
+  if (!token) {
+    return reject('Access denied', 'No valid authorization token provided');
+  }
+
+  try {
+    const result = await verifyToken(token);
+    if (!result.user) {
+      return reject(result.error, result.details);
+    }
+    socket.user = result.user;
+    next();
+  } catch (error) {
+    console.error('Socket auth error:', error);
+    reject('Authentication failed', 'Unable to verify authentication. Please try again.');
+  }
+};
+
 // Optional auth middleware - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   const authHeader = req.header('Authorization');
@@ -106,4 +160,6 @@ const adminMiddleware = (req, res, next) => {
 
 module.exports = authMiddleware;
 module.exports.optionalAuth = optionalAuth;
-module.exports.adminMiddleware = adminMiddleware;
\ No newline at end of file
+module.exports.adminMiddleware = adminMiddleware;
+module.exports.socketAuth = socketAuth;
+module.exports.verifyToken = verifyToken;
\ No newline at end of file
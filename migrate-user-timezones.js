@@ -0,0 +1,34 @@
+/**
+ * MIGRATION: Clear the old 'UTC' default from user profiles
+ * profile.timezone used to default to 'UTC' (and onboarding stored 'UTC' when
+ * no zone was sent), so those users' schedules ran on UTC wall-clock time.
+ * Unset it so they fall back to SCHEDULE_DEFAULT_TIMEZONE like new users.
+ * Run once after deploying; users can set 'UTC' again through onboarding.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('./models/User');
+
+async function migrateUserTimezones() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const result = await User.updateMany(
+      { 'profile.timezone': 'UTC' },
+      { $set: { 'profile.timezone': null } }
+    );
+
+    console.log(`✅ Cleared the 'UTC' default for ${result.modifiedCount} users`);
+    console.log(`   Their schedules now use SCHEDULE_DEFAULT_TIMEZONE (${process.env.SCHEDULE_DEFAULT_TIMEZONE || 'Asia/Manila'})`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+migrateUserTimezones();
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * CalibrationSession Schema - One run of the per-zone calibration wizard
+ *
+ * Purpose: Collect raw ADC samples from live MQTT readings while the user
+ * holds each probe in dry air and then submerges it in water, and keep the
+ * computed wetAdc/dryAdc with their noise statistics.
+ * - active:    capturing samples (services/calibrationService.js)
+ * - committed: results written to Device.calibration (read by the engine)
+ * - cancelled: abandoned or replaced by a newer session
+ *
+ * Committed sessions are the device's calibration history; unfinished ones
+ * expire after an hour without activity.
+ */
+const pointSamplesSchema = new mongoose.Schema({
+  dry: { type: [Number], default: [] }, // Probe in dry air (high ADC)
+  wet: { type: [Number], default: [] } // Probe submerged in water (low ADC)
+}, { _id: false });
+
+const calibrationSessionSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  userID: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'cancelled'],
+    default: 'active'
+  },
+
+  // Zones being calibrated in this session
+  zones: {
+    type: [String],
+    enum: ['zone1', 'zone2', 'zone3'],
+    default: ['zone1', 'zone2', 'zone3']
+  },
+
+  // Capture in progress (null between captures)
+  capture: {
+    type: {
+      point: { type: String, enum: ['dry', 'wet'] },
+      zones: [String],
+      targetSamples: Number,
+      startedAt: Date
+    },
+    default: null
+  },
+
+  samples: {
+    zone1: { type: pointSamplesSchema, default: () => ({}) },
+    zone2: { type: pointSamplesSchema, default: () => ({}) },
+    zone3: { type: pointSamplesSchema, default: () => ({}) }
+  },
+
+  // Per-zone { wetAdc, dryAdc, span, wet: stats, dry: stats, warnings } written on commit
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  committedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Unfinished sessions are removed by TTL; cleared on commit
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 60 * 60 * 1000)
+  }
+});
+
+// Indexes for efficient queries
+calibrationSessionSchema.index({ deviceId: 1, status: 1, startedAt: -1 });
+calibrationSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CalibrationSession', calibrationSessionSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+/**
+ * DeadLetter Schema - Inbound MQTT messages that failed validation
+ *
+ * Purpose: Keep what a device actually sent when it does not match
+ * INBOUND_SCHEMAS (services/mqttProtocol.js), instead of throwing it away.
+ * - Identical rejections (same topic, payload and error) are counted on one document
+ * - Admins can inspect and replay them through /api/admin/dead-letters
+ *
+ * Use Cases:
+ * - Debugging misbehaving ESP32 firmware
+ * - Re-processing messages after a schema or handler fix
+ */
+const deadLetterSchema = new mongoose.Schema({
+  topic: {
+    type: String,
+    required: true
+  },
+
+  // Device ID taken from the topic (null for the shared legacy sensor topic)
+  deviceId: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  // Message kind from mqttProtocol.parseTopic (sensor, ack, status, ...)
+  kind: {
+    type: String,
+    default: null
+  },
+
+  // Raw payload exactly as received
+  payload: {
+    type: String,
+    default: ''
+  },
+
+  error: {
+    type: String,
+    required: true
+  },
+
+  // Which MQTT entry point rejected it
+  source: {
+    type: String,
+    enum: ['embedded', 'cloud'],
+    default: 'cloud'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'replayed', 'failed'],
+    default: 'pending'
+  },
+
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  firstReceivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastReceivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Replay history
+  replayAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastReplayedAt: {
+    type: Date,
+    default: null
+  },
+  lastReplayError: {
+    type: String,
+    default: null
+  },
+  replayedPayload: {
+    type: String,
+    default: null // Set when the admin replayed a corrected payload
+  }
+});
+
+// Indexes for efficient queries
+deadLetterSchema.index({ status: 1, lastReceivedAt: -1 });
+deadLetterSchema.index({ topic: 1, status: 1 });
+
+// Remove dead letters 30 days after they were last seen
+deadLetterSchema.index({ lastReceivedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('DeadLetter', deadLetterSchema);
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 
+// Per-zone ADC → moisture curve (see services/moistureConversionService.js)
+const zoneCalibrationSchema = new mongoose.Schema({
+  type: { type: String, enum: ['linear', 'piecewise', 'polynomial'], default: 'linear' },
+  wet: Number, // Low ADC (100%) for linear and polynomial curves
+  dry: Number, // High ADC (0%) for linear and polynomial curves
+  points: { type: [{ adc: Number, percent: Number, _id: false }], default: undefined },
+  coefficients: { type: [Number], default: undefined }
+}, { _id: false });
+
 const deviceSchema = new mongoose.Schema({
   // Firebase-compatible fields
   userID: {
@@ -106,11 +115,54 @@ const deviceSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // When it fires (services/scheduleRules.js)
+    type: {
+      type: String,
+      enum: ['weekly', 'interval_days', 'interval_hours', 'cron', 'solar'],
+      default: 'weekly'
+    },
     time: {
       type: String,
-      required: true,
+      required: function() { return this.type !== 'cron' && this.type !== 'solar'; },
       match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/ // HH:MM format
     },
+    cron: {
+      type: String,
+      default: null
+    },
+    intervalHours: {
+      type: Number,
+      min: 1,
+      max: 168,
+      default: null
+    },
+    intervalDays: {
+      type: Number,
+      min: 1,
+      max: 365,
+      default: null
+    },
+    // Solar slots: minutes before (negative) or after sunrise/sunset at location.coordinates
+    solarEvent: {
+      type: String,
+      enum: ['sunrise', 'sunset', null],
+      default: null
+    },
+    offsetMinutes: {
+      type: Number,
+      min: -720,
+      max: 720,
+      default: 0
+    },
+    // Local calendar dates 'YYYY-MM-DD', inclusive (interval rules count from startDate)
+    startDate: {
+      type: String,
+      default: null
+    },
+    endDate: {
+      type: String,
+      default: null
+    },
     duration: {
       type: Number,
       required: true,
@@ -118,8 +170,8 @@ const deviceSchema = new mongoose.Schema({
       max: 120 // Max 2 hours per slot
     },
     daysOfWeek: {
-      type: [Number],
-      required: true,
+      type: [Number], // Weekly schedules (and optionally solar ones)
+      default: [],
       validate: {
         validator: function(arr) {
           return arr.every(day => day >= 0 && day <= 6);
@@ -131,6 +183,27 @@ const deviceSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Missed slot (executor down or late): run late, skip, or run shortened
+    catchUp: {
+      type: String,
+      enum: ['run', 'skip', 'shorten'],
+      default: 'run'
+    },
+    // Optional checks against the latest reading before each run
+    conditions: {
+      // Skip when average moisture is above this %
+      skipAboveMoisture: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null
+      },
+      // Full duration at the dry threshold, scaled down to none at the wet one
+      scaleByDryness: {
+        type: Boolean,
+        default: false
+      }
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -153,6 +226,11 @@ const deviceSchema = new mongoose.Schema({
     nextScheduledAt: {
       type: Date
     },
+    // ScheduleExecutor cursor: slots up to here have been handled
+    lastEvaluatedAt: {
+      type: Date,
+      default: null
+    },
     executionCount: {
       type: Number,
       default: 0
@@ -422,14 +500,177 @@ const deviceSchema = new mongoose.Schema({
   // Custom calibration override defaults
   calibration: {
     type: {
-      zone1: { wet: Number, dry: Number },
-      zone2: { wet: Number, dry: Number },
-      zone3: { wet: Number, dry: Number }
+      zone1: zoneCalibrationSchema,
+      zone2: zoneCalibrationSchema,
+      zone3: zoneCalibrationSchema
     },
     required: false,
     default: null // null means use defaults
   },
-  
+
+  // Auto mode decision algorithm (name registered in services/wateringStrategies.js)
+  wateringStrategy: {
+    type: String,
+    default: 'critical-dry'
+  },
+
+  // Per-zone weights used by the 'weighted-zone' strategy
+  zoneWeights: {
+    zone1: { type: Number, min: 0, default: 1 },
+    zone2: { type: Number, min: 0, default: 1 },
+    zone3: { type: Number, min: 0, default: 1 }
+  },
+
+  // Auto mode pump protection (prevents flip-flop near thresholds)
+  pumpProtection: {
+    minRunSeconds: {
+      type: Number,
+      min: 0,
+      max: 3600,
+      default: 30 // Pump must run this long before auto PUMP_OFF
+    },
+    minRestSeconds: {
+      type: Number,
+      min: 0,
+      max: 86400,
+      default: 120 // Pump must rest this long before auto PUMP_ON
+    },
+    maxCyclesPerHour: {
+      type: Number,
+      min: 1,
+      max: 60,
+      default: 6 // Max auto PUMP_ON starts in any rolling hour
+    },
+    hysteresisPercent: {
+      type: Number,
+      min: 0,
+      max: 20,
+      default: 2 // Extra margin past dry/wet thresholds before switching
+    }
+  },
+
+  // Pump cycle history used to enforce pumpProtection
+  pumpCycleState: {
+    lastStartedAt: {
+      type: Date,
+      default: null
+    },
+    lastStoppedAt: {
+      type: Date,
+      default: null
+    },
+    recentStarts: {
+      type: [Date],
+      default: []
+    }
+  },
+
+  // Daily/weekly water budget (enforced by services/waterBudgetService.js)
+  waterBudget: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    period: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      default: 'daily'
+    },
+    unit: {
+      type: String,
+      enum: ['seconds', 'litres'],
+      default: 'seconds'
+    },
+    limitSeconds: {
+      type: Number,
+      min: 0,
+      default: 1800 // 30 minutes of pump time per period
+    },
+    limitLitres: {
+      type: Number,
+      min: 0,
+      default: null // Used when unit is 'litres'
+    },
+    flowRateLitresPerMinute: {
+      type: Number,
+      min: 0,
+      default: 2 // Converts pump time to litres
+    }
+  },
+
+  // Pump time used in the current budget period (all sources, by pump session source)
+  waterUsage: {
+    periodStart: {
+      type: Date,
+      default: null
+    },
+    usedSeconds: {
+      type: Number,
+      default: 0
+    },
+    bySource: {
+      auto: { type: Number, default: 0 },
+      manual: { type: Number, default: 0 },
+      schedule: { type: Number, default: 0 },
+      other: { type: Number, default: 0 } // Test pumps and runs with no known source
+    },
+    lastPumpSampleAt: {
+      type: Date,
+      default: null // Last reading with pump ON, null while pump is off
+    },
+    exhaustedNotifiedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Stuck-pump / dry-run detection (services/pumpSafetyService.js)
+  pumpSafety: {
+    dryRunMinutes: {
+      type: Number,
+      min: 1,
+      max: 60,
+      default: 5 // Moisture must rise within this time after PUMP_ON
+    },
+    minMoistureRisePercent: {
+      type: Number,
+      min: 0,
+      max: 50,
+      default: 3 // Average moisture rise that counts as "water is arriving"
+    },
+    stuckGraceSeconds: {
+      type: Number,
+      min: 0,
+      max: 3600,
+      default: 60 // Allowed overrun past the commanded duration
+    }
+  },
+
+  // Active pump fault - blocks auto and schedule watering until cleared
+  pumpFault: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    faultType: {
+      type: String,
+      enum: ['dry_run', 'stuck_pump', null],
+      default: null
+    },
+    message: {
+      type: String,
+      default: null
+    },
+    detectedAt: {
+      type: Date,
+      default: null
+    },
+    sessionId: {
+      type: String,
+      default: null
+    }
+  },
+
   // Pump state tracking
   isPumpOn: {
     type: Boolean,
@@ -24,9 +24,12 @@ const deviceCommandSchema = new mongoose.Schema({
     default: Date.now,
     index: true
   },
+  // Lifecycle: pending → sent → acknowledged → executed / failed / expired
+  // (superseded: a newer pump command for the device was sent first;
+  // 'completed' kept for records written before the lifecycle existed)
   status: {
     type: String,
-    enum: ['pending', 'executed', 'failed', 'completed'],
+    enum: ['pending', 'sent', 'acknowledged', 'executed', 'failed', 'expired', 'superseded', 'completed'],
     default: 'pending'
   },
   executed: {
@@ -45,6 +48,52 @@ const deviceCommandSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Delivery tracking (services/commandDeliveryService.js)
+  topic: {
+    type: String,
+    default: null // MQTT topic, kept for retries
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null // Exact MQTT payload, republished on retry
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Filled from COMMAND_MAX_ATTEMPTS / COMMAND_ACK_TIMEOUT_SECONDS by
+  // commandDeliveryService.markSent() unless the sender sets them
+  maxAttempts: {
+    type: Number,
+    default: null
+  },
+  ackTimeoutSeconds: {
+    type: Number,
+    default: null // Retry if not acknowledged within this time
+  },
+  expiresAt: {
+    type: Date,
+    default: null // Commands not executed by then expire
+  },
+  sentAt: {
+    type: Date
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  acknowledgedAt: {
+    type: Date
+  },
+  expiredAt: {
+    type: Date
+  },
+  supersededAt: {
+    type: Date
+  },
+  supersededBy: {
+    type: String,
+    default: null // _id of the newer pump command
+  },
   executedAt: {
     type: Date
   },
@@ -64,5 +113,6 @@ const deviceCommandSchema = new mongoose.Schema({
 deviceCommandSchema.index({ deviceId: 1, status: 1, executed: 1 });
 deviceCommandSchema.index({ deviceId: 1, timestamp: -1 });
 deviceCommandSchema.index({ status: 1, timestamp: -1 });
+deviceCommandSchema.index({ status: 1, lastAttemptAt: 1 });
 
 module.exports = mongoose.model('DeviceCommand', deviceCommandSchema);
\ No newline at end of file
@@ -18,7 +18,7 @@ const logSchema = new mongoose.Schema({
   },
   eventType: {
     type: String,
-    enum: ['sensor_reading', 'irrigation_start', 'irrigation_stop', 'device_connected', 'device_disconnected', 'command_executed', 'error', 'maintenance'],
+    enum: ['sensor_reading', 'irrigation_start', 'irrigation_stop', 'device_connected', 'device_disconnected', 'command_executed', 'command_suppressed', 'error', 'maintenance'],
     required: true
   },
   moistureLevel: {
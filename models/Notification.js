@@ -14,7 +14,7 @@ const notificationSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['watering_started', 'watering_completed', 'low_moisture', 'device_offline', 'device_online', 'battery_low', 'maintenance_required', 'error']
+    enum: ['watering_started', 'watering_completed', 'low_moisture', 'device_offline', 'device_online', 'battery_low', 'maintenance_required', 'water_budget_exhausted', 'pump_fault', 'error']
   },
   title: {
     type: String,
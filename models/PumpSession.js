@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+/**
+ * PumpSession Schema - One document per real pump run
+ *
+ * Purpose: Record when a pump ACTUALLY ran, based on device ACK/status
+ * telemetry rather than the commands the backend sent.
+ * - Opened when the device reports pumpState ON
+ * - Closed when the device reports pumpState OFF (or goes offline)
+ *
+ * Use Cases:
+ * - How long and how often a pump really ran
+ * - Water usage per source (auto/manual/schedule/test)
+ * - Moisture gain per watering
+ */
+const moistureSnapshotSchema = new mongoose.Schema({
+  zone1Percent: Number,
+  zone2Percent: Number,
+  zone3Percent: Number,
+  averagePercent: Number,
+  readingAt: Date
+}, { _id: false });
+
+const pumpSessionSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  userID: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // What triggered the run
+  source: {
+    type: String,
+    enum: ['auto', 'manual', 'schedule', 'test', 'unknown'],
+    default: 'unknown'
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'interrupted'],
+    default: 'running'
+  },
+
+  // Actual start/stop times reported by the device
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  stoppedAt: {
+    type: Date,
+    default: null
+  },
+  durationSeconds: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  // Commands that started/stopped the pump (if known)
+  startCommandId: {
+    type: String,
+    default: null
+  },
+  stopCommandId: {
+    type: String,
+    default: null
+  },
+  requestedDuration: {
+    type: Number,
+    default: null // Seconds requested in the PUMP_ON command
+  },
+  stopReason: {
+    type: String,
+    default: null
+  },
+
+  // Set when pumpSafetyService stopped the run
+  fault: {
+    type: String,
+    enum: ['dry_run', 'stuck_pump', null],
+    default: null
+  },
+
+  moistureBefore: {
+    type: moistureSnapshotSchema,
+    default: null
+  },
+  // First reading SOAK_MINUTES after the stop; null until it arrives (pumpSessionService)
+  moistureAfter: {
+    type: moistureSnapshotSchema,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+pumpSessionSchema.index({ deviceId: 1, startedAt: -1 });
+pumpSessionSchema.index({ deviceId: 1, status: 1 });
+pumpSessionSchema.index({ userID: 1, startedAt: -1 });
+
+module.exports = mongoose.model('PumpSession', pumpSessionSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+/**
+ * ScheduleExecution Schema - One document per schedule slot the executor handled
+ *
+ * Purpose: Record what happened to every due slot, including the ones that
+ * did NOT water, instead of only the commands that were sent.
+ * - executed:  ran on time
+ * - adjusted:  ran on time, duration scaled by the schedule's conditions
+ * - caught_up: missed (restart, slow tick, database error) and run late,
+ *              possibly shortened, per the schedule's catchUp policy
+ * - skipped:   missed and dropped, refused (pump fault, water budget) or
+ *              not needed (soil already wet, per the schedule's conditions)
+ * - failed:    the command could not be created or sent
+ * - pending:   claimed before running; left pending only when the outcome
+ *              could not be recorded (the slot is not run again)
+ *
+ * Use Cases:
+ * - Schedule history for the app
+ * - Finding out why a watering did not happen
+ */
+const scheduleExecutionSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  userID: {
+    type: String,
+    default: null
+  },
+
+  // Device.schedules[].timeSlotId
+  scheduleId: {
+    type: String,
+    required: true
+  },
+  scheduleTime: {
+    type: String, // Local 'HH:MM'
+    required: true
+  },
+  timezone: {
+    type: String,
+    required: true
+  },
+
+  // When the slot was due, and when the executor handled it
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  evaluatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lateSeconds: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  outcome: {
+    type: String,
+    enum: ['pending', 'executed', 'adjusted', 'caught_up', 'skipped', 'failed'],
+    required: true
+  },
+  // Policy applied to a missed slot (null when on time)
+  catchUp: {
+    type: String,
+    enum: ['run', 'skip', 'shorten', null],
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+
+  // Latest reading the schedule's conditions were checked against
+  moisture: {
+    average: Number,
+    readingAt: Date
+  },
+
+  // Seconds: from the schedule, and actually requested from the device
+  requestedDuration: {
+    type: Number,
+    default: null
+  },
+  duration: {
+    type: Number,
+    default: null
+  },
+  commandId: {
+    type: String,
+    default: null
+  }
+});
+
+// A slot is handled once (the executor's claim relies on this)
+scheduleExecutionSchema.index({ deviceId: 1, scheduleId: 1, scheduledFor: 1 }, { unique: true });
+scheduleExecutionSchema.index({ deviceId: 1, scheduledFor: -1 });
+// Keep 90 days of history
+scheduleExecutionSchema.index({ evaluatedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ScheduleExecution', scheduleExecutionSchema);
@@ -42,6 +42,18 @@ const sensorSchema = new mongoose.Schema({
     isValid: {
       type: Boolean,
       default: true
+    },
+    // Probe health from services/sensorFaultService.js
+    health: {
+      status: {
+        type: String,
+        enum: ['ok', 'warning', 'faulty'],
+        default: 'ok'
+      },
+      faults: {
+        type: [String],
+        default: []
+      }
     }
   },
 
@@ -72,6 +84,18 @@ const sensorSchema = new mongoose.Schema({
     isValid: {
       type: Boolean,
       default: true
+    },
+    // Probe health from services/sensorFaultService.js
+    health: {
+      status: {
+        type: String,
+        enum: ['ok', 'warning', 'faulty'],
+        default: 'ok'
+      },
+      faults: {
+        type: [String],
+        default: []
+      }
     }
   },
 
@@ -102,6 +126,18 @@ const sensorSchema = new mongoose.Schema({
     isValid: {
       type: Boolean,
       default: true
+    },
+    // Probe health from services/sensorFaultService.js
+    health: {
+      status: {
+        type: String,
+        enum: ['ok', 'warning', 'faulty'],
+        default: 'ok'
+      },
+      faults: {
+        type: [String],
+        default: []
+      }
     }
   },
 
@@ -137,10 +173,10 @@ const sensorSchema = new mongoose.Schema({
     }
   },
 
-  // Overall sensor health
+  // Overall sensor health (faulty zones count as invalid)
   sensorHealth: {
     type: String,
-    enum: ['normal', 'warning', 'error'],
+    enum: ['normal', 'warning', 'error', 'degraded'],
     default: 'normal'
   },
 
@@ -29,10 +29,10 @@ const sensorDataSchema = new mongoose.Schema({
   },
   
   // Server timestamp (when backend received this data)
+  // TTL index on { timestamp: 1 } is managed by services/sensorRetentionService.js
   timestamp: {
     type: Date,
-    default: Date.now,
-    index: true
+    default: Date.now
   },
   
   // ESP32 internal timestamp (milliseconds since boot)
@@ -41,6 +41,11 @@ const sensorDataSchema = new mongoose.Schema({
     required: true
   },
 
+  // Set only on readings brought in by services/importService.js
+  importedAt: {
+    type: Date
+  },
+
   // Zone 1 Raw ADC and Percentage (0-4095 ADC, 0-100%)
   zone1: {
     type: Number,
@@ -113,6 +118,13 @@ const sensorDataSchema = new mongoose.Schema({
     enum: ['normal', 'warning', 'error', 'degraded'],
     required: true
   },
+
+  // Per-zone probe health from services/sensorFaultService.js
+  // { zone1: { status: 'ok'|'warning'|'faulty', faults: ['flatline', ...] }, ... }
+  zoneHealth: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
   median: {
     type: Number,
     min: 0,
@@ -138,9 +150,14 @@ sensorDataSchema.index({ userID: 1, deviceId: 1, timestamp: -1 }); // User's dev
 sensorDataSchema.index({ userID: 1, timestamp: -1 }); // All user's devices
 sensorDataSchema.index({ deviceId: 1, timestamp: -1 }); // Single device history (covers both deviceId and timestamp queries)
 sensorDataSchema.index({ timestamp: -1 }); // Time-based queries across all devices
+// Import deduplication: one imported reading per device and recorded time
+// (live readings don't carry importedAt and are never constrained)
+sensorDataSchema.index(
+  { deviceId: 1, timestamp: 1 },
+  { unique: true, partialFilterExpression: { importedAt: { $exists: true } } }
+);
 
-// TTL index - automatically delete records older than 90 days (optional)
-// Uncomment if you want automatic cleanup of old data:
-// sensorDataSchema.index({ timestamp: 1 }, { expireAfterSeconds: 7776000 }); // 90 days
+// Raw readings expire after SENSOR_RAW_RETENTION_DAYS once compacted into
+// hourly/daily rollups (models/SensorRollup.js)
 
 module.exports = mongoose.model('SensorData', sensorDataSchema);
\ No newline at end of file
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const SensorData = require('./SensorData');
+
+/**
+ * SensorDataImport Schema - Staging for imported readings
+ *
+ * Purpose: Hold imported readings that are already older than the raw
+ * retention, which the SensorData TTL index would delete before they
+ * could be compacted.
+ * - Same fields as SensorData, plus the importId of the run that staged them
+ * - Compacted into the rollups and removed at the end of each import
+ *   (services/importService.js)
+ * - Leftovers from an interrupted import expire after one day
+ */
+const sensorDataImportSchema = SensorData.schema.clone();
+
+sensorDataImportSchema.add({
+  importId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  stagedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sensorDataImportSchema.index({ stagedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('SensorDataImport', sensorDataImportSchema, 'sensordata_imports');
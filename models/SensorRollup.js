@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Sensor Rollup Schemas - Compacted SensorData history
+ *
+ * Purpose: Keep long-term moisture history after raw readings expire
+ * - One document per device per hour (SensorDataHourly) or UTC day (SensorDataDaily)
+ * - Written by services/sensorRetentionService.js with $merge (idempotent re-runs)
+ * - Same shape as one /api/sensor/:deviceId/aggregate bucket
+ *
+ * Retention (TTL on `start`) is applied by the retention service from
+ * SENSOR_HOURLY_RETENTION_DAYS / SENSOR_DAILY_RETENTION_DAYS.
+ */
+
+// Percentiles stored for every zone in every rollup
+const ROLLUP_PERCENTILES = [10, 25, 50, 75, 90];
+
+const zoneStatsSchema = new mongoose.Schema({
+  min: Number,
+  max: Number,
+  avg: Number,
+  ...Object.fromEntries(ROLLUP_PERCENTILES.map(p => [`p${p}`, Number]))
+}, { _id: false });
+
+function createRollupSchema() {
+  const schema = new mongoose.Schema({
+    userID: {
+      type: String,
+      required: true
+    },
+
+    deviceId: {
+      type: String,
+      required: true
+    },
+
+    // Bucket start (hour or UTC midnight)
+    start: {
+      type: Date,
+      required: true
+    },
+
+    // Readings in the bucket
+    count: {
+      type: Number,
+      default: 0
+    },
+
+    // Share of readings where the majority vote was DRY (0-100)
+    dryPercentage: Number,
+
+    zones: {
+      zone1: zoneStatsSchema,
+      zone2: zoneStatsSchema,
+      zone3: zoneStatsSchema
+    }
+  }, { versionKey: false });
+
+  // $merge target key - must be unique
+  schema.index({ deviceId: 1, start: 1 }, { unique: true });
+  // User's device history
+  schema.index({ userID: 1, deviceId: 1, start: -1 });
+
+  return schema;
+}
+
+const SensorDataHourly = mongoose.model('SensorDataHourly', createRollupSchema(), 'sensordata_hourly');
+const SensorDataDaily = mongoose.model('SensorDataDaily', createRollupSchema(), 'sensordata_daily');
+
+module.exports = { SensorDataHourly, SensorDataDaily, ROLLUP_PERCENTILES };
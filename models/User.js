@@ -51,9 +51,10 @@ const userSchema = new mongoose.Schema({
       type: String,
       default: null
     },
+    // IANA name; schedules use SCHEDULE_DEFAULT_TIMEZONE when unset
     timezone: {
       type: String,
-      default: 'UTC'
+      default: null
     },
     notifications: {
       email: { type: Boolean, default: true },
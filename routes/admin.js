@@ -0,0 +1,102 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const DeadLetter = require('../models/DeadLetter');
+const authMiddleware = require('../middleware/auth');
+const { adminMiddleware } = require('../middleware/auth');
+const deadLetters = require('../services/deadLetterService');
+
+// Every admin route requires an authenticated admin user
+router.use(authMiddleware, adminMiddleware);
+
+/**
+ * Reject ids that are not ObjectIds before they reach MongoDB
+ */
+function validateDeadLetterId(req, res, next) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({
+      error: 'Invalid dead letter ID',
+      details: 'The dead letter ID must be a valid ObjectId'
+    });
+  }
+  next();
+}
+
+// GET /api/admin/dead-letters - List rejected MQTT messages
+// Query: status (pending|replayed|failed), deviceId, kind, limit (max 200), skip
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const { status, deviceId, kind } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+    const result = await deadLetters.list({ status, deviceId, kind, limit, skip });
+
+    res.json({
+      success: true,
+      total: result.total,
+      counts: result.counts,
+      limit,
+      skip,
+      deadLetters: result.deadLetters
+    });
+  } catch (error) {
+    console.error('Get dead letters error:', error);
+    res.status(500).json({
+      error: 'Failed to get dead letters',
+      details: 'Unable to retrieve rejected MQTT messages. Please try again.'
+    });
+  }
+});
+
+// GET /api/admin/dead-letters/:id - Inspect one rejected message
+router.get('/dead-letters/:id', validateDeadLetterId, async (req, res) => {
+  try {
+    const deadLetter = await DeadLetter.findById(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({
+        error: 'Dead letter not found',
+        details: 'The requested dead letter does not exist or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      deadLetter
+    });
+  } catch (error) {
+    console.error('Get dead letter error:', error);
+    res.status(500).json({
+      error: 'Failed to get dead letter',
+      details: 'Unable to retrieve the rejected MQTT message. Please try again.'
+    });
+  }
+});
+
+// POST /api/admin/dead-letters/:id/replay - Re-process a rejected message
+// Body (optional): { payload } - corrected payload to replay instead of the stored one
+router.post('/dead-letters/:id/replay', validateDeadLetterId, async (req, res) => {
+  try {
+    const result = await deadLetters.replay(req.params.id, req.body?.payload);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Dead letter not found',
+        details: 'The requested dead letter does not exist or has expired'
+      });
+    }
+
+    res.status(result.replayed ? 200 : 422).json({
+      success: result.replayed,
+      error: result.error || undefined,
+      deadLetter: result.deadLetter
+    });
+  } catch (error) {
+    console.error('Replay dead letter error:', error);
+    res.status(500).json({
+      error: 'Failed to replay dead letter',
+      details: 'Unable to replay the rejected MQTT message. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
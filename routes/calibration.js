@@ -0,0 +1,307 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Device = require('../models/Device');
+const authMiddleware = require('../middleware/auth');
+const { validateDeviceId } = require('../middleware/validation');
+const calibration = require('../services/calibrationService');
+const moistureConversion = require('../services/moistureConversionService');
+const { normalizeDeviceId } = require('../services/deviceId');
+
+/**
+ * Calibration Wizard Routes
+ * Base path: /api/devices/:deviceId/calibration
+ *
+ * POST   /sessions                      start (body: { zones? })
+ * POST   /sessions/:sessionId/capture   body: { point: 'dry'|'wet', zones?, samples? }
+ * GET    /sessions/:sessionId           progress and sample statistics
+ * POST   /sessions/:sessionId/commit    compute and apply wetAdc/dryAdc
+ * DELETE /sessions/:sessionId           cancel
+ */
+
+// Verify device ownership; responds 404 and returns null otherwise
+async function findOwnedDevice(req, res) {
+  const deviceId = normalizeDeviceId(req.params.deviceId);
+  const device = await Device.findOne({ deviceId, userID: req.user.userId });
+  if (!device) {
+    res.status(404).json({
+      error: 'Device not found',
+      details: 'The requested device does not exist or you do not have access to it'
+    });
+    return null;
+  }
+  return device;
+}
+
+// Look up the device's session; responds 404 and returns null otherwise
+async function findSession(req, res, device) {
+  const { sessionId } = req.params;
+  const session = mongoose.isValidObjectId(sessionId)
+    ? await calibration.getSession(device.deviceId, sessionId)
+    : null;
+  if (!session) {
+    res.status(404).json({
+      error: 'Calibration session not found',
+      details: `No session ${sessionId} for device ${device.deviceId}`
+    });
+    return null;
+  }
+  return session;
+}
+
+// zones must be a non-empty subset of zone1-3 (defaults to all)
+function parseZones(zones, allowed = calibration.ZONES) {
+  if (zones === undefined) return allowed;
+  if (!Array.isArray(zones) || zones.length === 0 || !zones.every(zone => allowed.includes(zone))) {
+    return null;
+  }
+  return [...new Set(zones)];
+}
+
+// GET /api/devices/:deviceId/calibration - Effective calibration and wizard state
+router.get('/:deviceId/calibration', authMiddleware, validateDeviceId, async (req, res) => {
+  try {
+    const device = await findOwnedDevice(req, res);
+    if (!device) return;
+
+    const active = await calibration.getActiveSession(device.deviceId);
+    const lastCommitted = await calibration.getLastCommitted(device.deviceId);
+
+    res.json({
+      success: true,
+      deviceId: device.deviceId,
+      calibration: moistureConversion.resolve(device),
+      calibrated: Boolean(device.calibration),
+      activeSession: active ? calibration.progress(active) : null,
+      lastCommitted: lastCommitted ? calibration.progress(lastCommitted) : null
+    });
+  } catch (error) {
+    console.error('Calibration fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch calibration',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/devices/:deviceId/calibration/sessions - Start the wizard
+router.post('/:deviceId/calibration/sessions', authMiddleware, validateDeviceId, async (req, res) => {
+  try {
+    const device = await findOwnedDevice(req, res);
+    if (!device) return;
+
+    const zones = parseZones(req.body?.zones);
+    if (!zones) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: `zones must be a non-empty array of ${calibration.ZONES.join(', ')}`
+      });
+    }
+
+    const session = await calibration.startSession(device.deviceId, req.user.userId, zones);
+
+    res.status(201).json({
+      success: true,
+      session: calibration.progress(session),
+      next: 'Hold the probes in dry air, then start the dry capture'
+    });
+  } catch (error) {
+    console.error('Calibration start error:', error);
+    res.status(500).json({
+      error: 'Failed to start calibration',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/devices/:deviceId/calibration/sessions/:sessionId - Progress
+router.get('/:deviceId/calibration/sessions/:sessionId', authMiddleware, validateDeviceId, async (req, res) => {
+  try {
+    const device = await findOwnedDevice(req, res);
+    if (!device) return;
+    const session = await findSession(req, res, device);
+    if (!session) return;
+
+    res.json({
+      success: true,
+      session: calibration.progress(session)
+    });
+  } catch (error) {
+    console.error('Calibration session fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch calibration session',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/devices/:deviceId/calibration/sessions/:sessionId/capture - Sample live readings
+router.post('/:deviceId/calibration/sessions/:sessionId/capture', authMiddleware, validateDeviceId, async (req, res) => {
+  try {
+    const device = await findOwnedDevice(req, res);
+    if (!device) return;
+    const session = await findSession(req, res, device);
+    if (!session) return;
+
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        error: 'Calibration session is not active',
+        details: `Session is ${session.status}; start a new one`
+      });
+    }
+
+    const { point, zones: requestedZones, samples = calibration.DEFAULT_SAMPLES } = req.body || {};
+    const zones = parseZones(requestedZones, session.zones);
+    const errors = [];
+    if (!calibration.POINTS.includes(point)) {
+      errors.push(`point must be one of ${calibration.POINTS.join(', ')}`);
+    }
+    if (!zones) {
+      errors.push(`zones must be a non-empty subset of the session zones (${session.zones.join(', ')})`);
+    }
+    if (!Number.isInteger(samples) || samples < calibration.MIN_SAMPLES || samples > calibration.MAX_SAMPLES) {
+      errors.push(`samples must be an integer between ${calibration.MIN_SAMPLES} and ${calibration.MAX_SAMPLES}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.join('; ')
+      });
+    }
+
+    await calibration.startCapture(session, point, zones, samples);
+
+    res.status(202).json({
+      success: true,
+      session: calibration.progress(session),
+      message: `Collecting ${samples} ${point} samples from live readings`
+    });
+  } catch (error) {
+    console.error('Calibration capture error:', error);
+    res.status(500).json({
+      error: 'Failed to start capture',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/devices/:deviceId/calibration/sessions/:sessionId/commit - Apply the results
+router.post('/:deviceId/calibration/sessions/:sessionId/commit', authMiddleware, validateDeviceId, async (req, res) => {
+  try {
+    const device = await findOwnedDevice(req, res);
+    if (!device) return;
+    const session = await findSession(req, res, device);
+    if (!session) return;
+
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        error: 'Calibration session is not active',
+        details: `Session is ${session.status}`
+      });
+    }
+
+    const { committed, result } = await calibration.commit(session);
+    if (!committed) {
+      return res.status(400).json({
+        error: 'Calibration failed',
+        details: Object.entries(result)
+          .filter(([, zoneResult]) => zoneResult.error)
+          .map(([zone, zoneResult]) => `${zone}: ${zoneResult.error}`)
+          .join('; '),
+        result
+      });
+    }
+
+    const updated = await Device.findOne({ deviceId: device.deviceId });
+
+    res.json({
+      success: true,
+      calibration: moistureConversion.resolve(updated),
+      result
+    });
+  } catch (error) {
+    console.error('Calibration commit error:', error);
+    res.status(500).json({
+      error: 'Failed to commit calibration',
+      details: error.message
+    });
+  }
+});
+
+// DELETE /api/devices/:deviceId/calibration/sessions/:sessionId - Cancel
+router.delete('/:deviceId/calibration/sessions/:sessionId', authMiddleware, validateDeviceId, async (req, res) => {
+  try {
+    const device = await findOwnedDevice(req, res);
+    if (!device) return;
+    const session = await findSession(req, res, device);
+    if (!session) return;
+
+    if (session.status === 'committed') {
+      return res.status(409).json({
+        error: 'Calibration session already committed',
+        details: 'Use the reset endpoint to return to default calibration'
+      });
+    }
+
+    await calibration.cancel(session);
+
+    res.json({
+      success: true,
+      session: calibration.progress(session)
+    });
+  } catch (error) {
+    console.error('Calibration cancel error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel calibration',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/devices/:deviceId/calibration/reset - Back to default calibration
+router.post('/:deviceId/calibration/reset', authMiddleware, validateDeviceId, async (req, res) => {
+  try {
+    const device = await findOwnedDevice(req, res);
+    if (!device) return;
+
+    const defaults = await calibration.reset(device.deviceId);
+
+    res.json({
+      success: true,
+      calibration: defaults
+    });
+  } catch (error) {
+    console.error('Calibration reset error:', error);
+    res.status(500).json({
+      error: 'Failed to reset calibration',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/devices/:deviceId/calibration/validate - Latest readings against the calibration
+router.get('/:deviceId/calibration/validate', authMiddleware, validateDeviceId, async (req, res) => {
+  try {
+    const device = await findOwnedDevice(req, res);
+    if (!device) return;
+
+    const { zones, validSensors } = calibration.validateReadings(device);
+
+    res.json({
+      success: true,
+      deviceId: device.deviceId,
+      zones,
+      validSensors,
+      totalSensors: calibration.ZONES.length,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Calibration validation error:', error);
+    res.status(500).json({
+      error: 'Failed to validate sensor readings',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
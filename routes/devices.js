@@ -5,31 +5,32 @@ const User = require('../models/User');
 const authMiddleware = require('../middleware/auth');
 const { validateDeviceRegistration, validateDeviceId, sanitizeInput } = require('../middleware/validation');
 const watchdogService = require('../services/watchdogService');
+const mqttProtocol = require('../services/mqttProtocol');
+const { normalizeDeviceId } = require('../services/deviceId');
 
 // Apply input sanitization to all routes
 router.use(sanitizeInput);
 
 /**
- * Normalize device ID to handle various formats:
- * - "esp32-bcddc2cdbb40" → "cdbb40" (strip prefix, take last 6)
- * - "bcddc2cdbb40" → "cdbb40" (take last 6)
- * - "cdbb40" → "cdbb40" (already normalized)
- * - "ESP32-BCDDC2CDBB40" → "cdbb40" (lowercase and normalize)
+ * Validate a partial update of numeric settings and build dotted update paths
+ * @param {string} group - Device field name (e.g. 'pumpProtection')
+ * @param {Object} values - Values from the request body
+ * @param {Object} limits - { key: { min, max } } for every allowed key
+ * @returns {Object} { error } or { update }
  */
-function normalizeDeviceId(deviceId) {
-  if (!deviceId) return null;
-  
-  // Convert to lowercase and remove common prefixes
-  let normalized = deviceId.toLowerCase()
-    .replace(/^esp32-/, '')  // Remove "esp32-" prefix
-    .replace(/^ecosprinkle-/, ''); // Remove "ecosprinkle-" prefix
-  
-  // If longer than 6 chars, take last 6 (MAC address last 6 chars)
-  if (normalized.length > 6) {
-    normalized = normalized.slice(-6);
+function buildNumericSettingsUpdate(group, values, limits) {
+  const update = {};
+  for (const [key, value] of Object.entries(values || {})) {
+    const limit = limits[key];
+    if (!limit) {
+      return { error: `Unknown ${group} setting: ${key}` };
+    }
+    if (typeof value !== 'number' || value < limit.min || value > limit.max) {
+      return { error: `${key} must be a number between ${limit.min} and ${limit.max}` };
+    }
+    update[`${group}.${key}`] = value;
   }
-  
-  return normalized;
+  return { update };
 }
 
 // POST /api/devices/provision-started - Start watchdog timer when WiFi provisioning completes
@@ -114,7 +115,7 @@ router.post('/:deviceId/reset-wifi', async (req, res) => {
 // POST /api/devices/register - Register new device (link to existing MQTT device)
 router.post('/register', async (req, res) => {
   try {
-    const { userId, deviceId, macAddress, deviceName, plantType, soilType, sunlight, growthStage, minThreshold, maxThreshold, wifiSsid, ipAddress } = req.body;
+    const { userId, deviceId, macAddress, deviceName, plantType, soilType, sunlight, growthStage, minThreshold, maxThreshold, wifiSsid, ipAddress, firmwareVersion } = req.body;
 
     // Normalize deviceId (handles esp32- prefix, different formats)
     const normalizedDeviceId = normalizeDeviceId(deviceId);
@@ -215,12 +216,16 @@ router.post('/register', async (req, res) => {
       version: '2.0.0'
     });
 
-    // Generate MQTT topics for this device
+    // MQTT topics for this device (negotiated from the firmware version it reported)
+    const protocolVersion = mqttProtocol.getProtocolVersion(firmwareVersion);
     const mqttTopics = {
-      sensorData: `Ecosprinkle/${normalizedDeviceId}/sensors/data`,
-      commands: `Ecosprinkle/${normalizedDeviceId}/commands`,
-      status: `Ecosprinkle/${normalizedDeviceId}/status`,
-      responses: `Ecosprinkle/${normalizedDeviceId}/responses`
+      protocolVersion,
+      sensorData: mqttProtocol.topics.sensor(normalizedDeviceId),
+      commands: protocolVersion === mqttProtocol.PROTOCOL_VERSION
+        ? mqttProtocol.topics.command(normalizedDeviceId)
+        : mqttProtocol.topics.legacyControl(normalizedDeviceId),
+      status: mqttProtocol.topics.status(normalizedDeviceId),
+      responses: mqttProtocol.topics.ack(normalizedDeviceId)
     };
 
     // Create new device
@@ -251,7 +256,8 @@ router.post('/register', async (req, res) => {
       soilType: soilType || 'Unknown',
       sunlightExposure: sunlight || 'Unknown',
       growthStage: growthStage || 'Seedling',
-      plantedDate: new Date() // Set initial planted date
+      plantedDate: new Date(), // Set initial planted date
+      ...(firmwareVersion && { firmwareVersion: String(firmwareVersion) })
     });
 
     await device.save();
@@ -289,6 +295,11 @@ router.post('/register', async (req, res) => {
         thresholds: device.thresholds,
         wateringMode: device.wateringMode,
         mqttTopics, // Return MQTT topics for device to use
+        // Login for the embedded MQTT broker (only returned here, at registration)
+        mqttCredentials: {
+          username: device.deviceId,
+          password: securityKey
+        },
         plantType,
         soilType,
         sunlightExposure: sunlight,
@@ -618,6 +629,9 @@ router.delete('/:deviceId', authMiddleware, validateDeviceId, async (req, res) =
     
     console.log(`✅ Device ${deviceId} removed from user's device list`);
 
+    // Stop pushing this device's events to sockets that subscribed while it was owned
+    require('../services/realtimeService').closeDeviceRoom(deviceId);
+
     // Also delete all associated sensor data (optional - cleanup)
     const SensorData = require('../models/SensorData');
     const deletedSensorData = await SensorData.deleteMany({ deviceId });
@@ -625,35 +639,23 @@ router.delete('/:deviceId', authMiddleware, validateDeviceId, async (req, res) =
 
     // 🔥 CRITICAL: Send DEVICE_DELETED command to ESP32 via MQTT (cloud broker)
     try {
-      // Get MQTT client from app (set in secure-cloud-backend.js)
+      // Get MQTT client from app (set by createApp in app.js)
       const mqttClient = req.app.get('cloudMqttClient') || req.app.get('mqttClient');
       
       if (mqttClient && mqttClient.connected) {
-        const deletionMessage = {
-          command: 'DEVICE_DELETED',
+        // Send to the command topic the device's firmware subscribes to
+        const encoded = mqttProtocol.encodeCommand(device, 'DEVICE_DELETED', {
           deviceId: deviceId,
-          message: 'Device removed from account. WiFi will be cleared automatically.',
-          timestamp: new Date().toISOString()
-        };
-        
-        // Send to device-specific command topic (matching ESP32 subscription)
-        // FIXED: Must match ESP32 subscription: ecosprinkle/{deviceId}/command
-        const commandTopic = `ecosprinkle/${deviceId}/command`;
-        console.log(`📡 Sending DEVICE_DELETED to ${commandTopic} via cloud MQTT...`);
+          message: 'Device removed from account. WiFi will be cleared automatically.'
+        });
+        console.log(`📡 Sending DEVICE_DELETED to ${encoded.topic} via cloud MQTT...`);
         
-        mqttClient.publish(
-          commandTopic,
-          JSON.stringify(deletionMessage),
-          { qos: 1, retain: false },
-          (err) => {
-            if (err) {
-              console.error(`❌ Failed to send DEVICE_DELETED:`, err);
-            } else {
-              console.log(`✅ DEVICE_DELETED sent to ${deviceId}`);
-              console.log(`   ESP32 will clear WiFi credentials and restart in AP mode`);
-            }
-          }
-        );
+        mqttProtocol.publish(mqttClient, encoded)
+          .then(() => {
+            console.log(`✅ DEVICE_DELETED sent to ${deviceId}`);
+            console.log(`   ESP32 will clear WiFi credentials and restart in AP mode`);
+          })
+          .catch(err => console.error(`❌ Failed to send DEVICE_DELETED:`, err));
       } else {
         console.warn(`⚠️  MQTT client not connected - ESP32 won't receive deletion signal`);
         console.warn(`   Manual factory reset required: Hold button for 5 seconds`);
@@ -732,6 +734,50 @@ router.get('/:deviceId/command-history', async (req, res) => {
   await deviceController.getDeviceCommandHistory(req, res);
 });
 
+// GET /api/devices/:deviceId/commands/queue - Commands still in flight (pending/sent/acknowledged)
+router.get('/:deviceId/commands/queue', authMiddleware, async (req, res) => {
+  try {
+    const normalizedDeviceId = normalizeDeviceId(req.params.deviceId);
+
+    const device = await Device.findOne({
+      deviceId: normalizedDeviceId,
+      userID: req.user.userId
+    });
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const commandDelivery = require('../services/commandDeliveryService');
+    const commands = await commandDelivery.getInFlight(normalizedDeviceId);
+
+    const counts = { pending: 0, sent: 0, acknowledged: 0 };
+    commands.forEach(c => { counts[c.status] = (counts[c.status] || 0) + 1; });
+
+    res.json({
+      success: true,
+      deviceId: normalizedDeviceId,
+      counts,
+      commands: commands.map(c => ({
+        commandId: c._id,
+        command: c.command,
+        status: c.status,
+        attempts: c.attempts,
+        maxAttempts: c.maxAttempts,
+        createdAt: c.timestamp,
+        sentAt: c.sentAt,
+        lastAttemptAt: c.lastAttemptAt,
+        acknowledgedAt: c.acknowledgedAt,
+        expiresAt: c.expiresAt,
+        parameters: c.parameters
+      }))
+    });
+  } catch (error) {
+    console.error('Get command queue error:', error);
+    res.status(500).json({ error: 'Failed to get command queue' });
+  }
+});
+
 // POST /api/devices/:deviceId/provision-started - Notify that WiFi provisioning started
 // This starts the backend watchdog timer
 router.post('/:deviceId/provision-started', async (req, res) => {
@@ -837,8 +883,11 @@ router.get('/:deviceId/settings', authMiddleware, async (req, res) => {
     }
 
     const wateringEngine = require('../services/wateringDecisionEngine');
+    const wateringStrategies = require('../services/wateringStrategies');
+    const waterBudget = require('../services/waterBudgetService');
+    const pumpSafety = require('../services/pumpSafetyService');
+    const moistureConversion = require('../services/moistureConversionService');
     const defaultThresholds = wateringEngine.getThresholdsForPlant(device.plantType);
-    const defaultCalibration = wateringEngine.getDefaultCalibration();
 
     res.json({
       success: true,
@@ -846,8 +895,15 @@ router.get('/:deviceId/settings', authMiddleware, async (req, res) => {
         plantType: device.plantType,
         customThresholds: device.customThresholds,
         defaultThresholds: defaultThresholds,
-        calibration: device.calibration || defaultCalibration,
+        calibration: moistureConversion.resolve(device),
         wateringMode: device.wateringMode,
+        wateringStrategy: wateringEngine.getStrategyForDevice(device).name,
+        zoneWeights: device.zoneWeights,
+        availableStrategies: wateringStrategies.listStrategies(),
+        pumpProtection: wateringEngine.getPumpProtection(device),
+        pumpSafety: pumpSafety.getSafetySettings(device),
+        pumpFault: device.pumpFault,
+        waterBudget: waterBudget.getBudgetConfig(device),
         isPumpOn: device.isPumpOn,
         lastCommand: device.lastCommand,
         lastCommandTime: device.lastCommandTime
@@ -863,7 +919,7 @@ router.get('/:deviceId/settings', authMiddleware, async (req, res) => {
 router.put('/:deviceId/settings', authMiddleware, async (req, res) => {
   try {
     const normalizedDeviceId = normalizeDeviceId(req.params.deviceId);
-    const { plantType, customThresholds, wateringMode, calibration } = req.body;
+    const { plantType, customThresholds, wateringMode, calibration, wateringStrategy, zoneWeights, pumpProtection, pumpSafety, waterBudget } = req.body;
 
     // Validate thresholds
     if (customThresholds) {
@@ -876,6 +932,88 @@ router.put('/:deviceId/settings', authMiddleware, async (req, res) => {
       }
     }
 
+    // Validate calibration curves (linear, piecewise or polynomial per zone)
+    const moistureConversion = require('../services/moistureConversionService');
+    const calibrationError = calibration !== undefined ? moistureConversion.validate(calibration) : null;
+    if (calibrationError) {
+      return res.status(400).json({ error: calibrationError });
+    }
+
+    // Validate watering strategy
+    const wateringStrategies = require('../services/wateringStrategies');
+    if (wateringStrategy !== undefined && !wateringStrategies.hasStrategy(wateringStrategy)) {
+      return res.status(400).json({
+        error: 'Unknown watering strategy',
+        availableStrategies: wateringStrategies.listStrategies().map(s => s.name)
+      });
+    }
+
+    // Validate zone weights
+    if (zoneWeights) {
+      const invalidWeight = ['zone1', 'zone2', 'zone3'].some(zone =>
+        zoneWeights[zone] !== undefined &&
+        (typeof zoneWeights[zone] !== 'number' || zoneWeights[zone] < 0));
+      if (invalidWeight) {
+        return res.status(400).json({ error: 'Zone weights must be non-negative numbers' });
+      }
+    }
+
+    // Validate pump protection limits (partial updates allowed)
+    const pumpProtectionResult = buildNumericSettingsUpdate('pumpProtection', pumpProtection, {
+      minRunSeconds: { min: 0, max: 3600 },
+      minRestSeconds: { min: 0, max: 86400 },
+      maxCyclesPerHour: { min: 1, max: 60 },
+      hysteresisPercent: { min: 0, max: 20 }
+    });
+    if (pumpProtectionResult.error) {
+      return res.status(400).json({ error: pumpProtectionResult.error });
+    }
+
+    // Validate stuck-pump / dry-run detection settings (partial updates allowed)
+    const pumpSafetyResult = buildNumericSettingsUpdate('pumpSafety', pumpSafety, {
+      dryRunMinutes: { min: 1, max: 60 },
+      minMoistureRisePercent: { min: 0, max: 50 },
+      stuckGraceSeconds: { min: 0, max: 3600 }
+    });
+    if (pumpSafetyResult.error) {
+      return res.status(400).json({ error: pumpSafetyResult.error });
+    }
+
+    // Validate water budget (partial updates allowed)
+    const waterBudgetUpdate = {};
+    if (waterBudget) {
+      for (const [key, value] of Object.entries(waterBudget)) {
+        let valid;
+        switch (key) {
+          case 'enabled':
+            valid = typeof value === 'boolean';
+            break;
+          case 'period':
+            valid = ['daily', 'weekly'].includes(value);
+            break;
+          case 'unit':
+            valid = ['seconds', 'litres'].includes(value);
+            break;
+          case 'limitSeconds':
+          case 'limitLitres':
+          case 'flowRateLitresPerMinute':
+            valid = typeof value === 'number' && value >= 0;
+            break;
+          default:
+            return res.status(400).json({ error: `Unknown water budget setting: ${key}` });
+        }
+        if (!valid) {
+          return res.status(400).json({ error: `Invalid water budget value for ${key}` });
+        }
+        waterBudgetUpdate[`waterBudget.${key}`] = value;
+      }
+
+      if (waterBudget.unit === 'litres' &&
+          (!waterBudget.limitLitres || !waterBudget.flowRateLitresPerMinute)) {
+        return res.status(400).json({ error: 'Litre budgets need limitLitres and flowRateLitresPerMinute' });
+      }
+    }
+
     // Update device in database
     const device = await Device.findOneAndUpdate(
       { deviceId: normalizedDeviceId, userID: req.user.userId },
@@ -883,7 +1021,12 @@ router.put('/:deviceId/settings', authMiddleware, async (req, res) => {
         plantType,
         customThresholds,
         wateringMode,
-        calibration
+        calibration,
+        wateringStrategy,
+        zoneWeights,
+        ...pumpProtectionResult.update,
+        ...pumpSafetyResult.update,
+        ...waterBudgetUpdate
       },
       { new: true }
     );
@@ -905,7 +1048,12 @@ router.put('/:deviceId/settings', authMiddleware, async (req, res) => {
         plantType: device.plantType,
         customThresholds: device.customThresholds,
         wateringMode: device.wateringMode,
-        calibration: device.calibration
+        calibration: device.calibration,
+        wateringStrategy: device.wateringStrategy,
+        zoneWeights: device.zoneWeights,
+        pumpProtection: device.pumpProtection,
+        pumpSafety: device.pumpSafety,
+        waterBudget: device.waterBudget
       }
     });
   } catch (error) {
@@ -954,12 +1102,28 @@ router.post('/:deviceId/pump/:action', authMiddleware, async (req, res) => {
 
     console.log(`✅ Device found: ${device.deviceId}`)
 
+    // Refuse PUMP_ON when the water budget is used up, otherwise cap the run to what's left
+    let pumpDuration = duration;
+    if (action === 'on') {
+      const waterBudget = require('../services/waterBudgetService');
+      const budgetCheck = await waterBudget.checkPumpAllowed(device, duration);
+      if (!budgetCheck.allowed) {
+        await waterBudget.notifyBudgetExhausted(device, budgetCheck.budget, 'manual');
+        return res.status(409).json({
+          error: budgetCheck.reason,
+          waterBudget: budgetCheck.budget
+        });
+      }
+      pumpDuration = budgetCheck.duration;
+    }
+
     const wateringEngine = require('../services/wateringDecisionEngine');
     await wateringEngine.sendPumpCommand(
       normalizedDeviceId,
       action === 'on' ? 'PUMP_ON' : 'PUMP_OFF',
-      duration,
-      'Manual user control'
+      pumpDuration,
+      'Manual user control',
+      'manual'
     );
 
     res.json({
@@ -1008,4 +1172,80 @@ router.post('/:deviceId/pump/test', authMiddleware, async (req, res) => {
   }
 });
 
+// POST /api/devices/:deviceId/pump-fault/clear - Clear a dry-run/stuck-pump fault after fixing the hardware
+router.post('/:deviceId/pump-fault/clear', authMiddleware, async (req, res) => {
+  try {
+    const normalizedDeviceId = normalizeDeviceId(req.params.deviceId);
+
+    const pumpSafety = require('../services/pumpSafetyService');
+    const device = await pumpSafety.clearFault(normalizedDeviceId, req.user.userId);
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    console.log(`🛟 Pump fault cleared for ${normalizedDeviceId}`);
+
+    res.json({
+      success: true,
+      message: 'Pump fault cleared - automatic watering resumed',
+      pumpFault: device.pumpFault,
+      status: device.Status
+    });
+  } catch (error) {
+    console.error('Clear pump fault error:', error);
+    res.status(500).json({ error: 'Failed to clear pump fault' });
+  }
+});
+
+// GET /api/devices/:deviceId/pump-sessions - Actual pump runs with aggregated statistics
+// Query: days (default 7) or from/to (ISO dates), source, limit (default 50)
+router.get('/:deviceId/pump-sessions', authMiddleware, async (req, res) => {
+  try {
+    const normalizedDeviceId = normalizeDeviceId(req.params.deviceId);
+    const { days = 7, from, to, source, limit = 50 } = req.query;
+
+    const device = await Device.findOne({
+      deviceId: normalizedDeviceId,
+      userID: req.user.userId
+    });
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const toDate = to ? new Date(to) : new Date();
+    const fromDate = from
+      ? new Date(from)
+      : new Date(toDate.getTime() - (parseInt(days) * 24 * 60 * 60 * 1000));
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate > toDate) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const validSources = ['auto', 'manual', 'schedule', 'test', 'unknown'];
+    if (source && !validSources.includes(source)) {
+      return res.status(400).json({ error: 'Invalid source', validSources });
+    }
+
+    const pumpSessions = require('../services/pumpSessionService');
+    const report = await pumpSessions.getSessionReport(normalizedDeviceId, {
+      from: fromDate,
+      to: toDate,
+      source,
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      deviceId: normalizedDeviceId,
+      period: { from: fromDate, to: toDate },
+      ...report
+    });
+  } catch (error) {
+    console.error('Get pump sessions error:', error);
+    res.status(500).json({ error: 'Failed to get pump sessions' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
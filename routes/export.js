@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const Device = require('../models/Device');
+const authMiddleware = require('../middleware/auth');
+const { validateDeviceId, validateDateRange, sanitizeInput } = require('../middleware/validation');
+const exportService = require('../services/exportService');
+const { DATASETS, FORMATS } = exportService;
+const { normalizeDeviceId } = require('../services/deviceId');
+
+// Apply input sanitization to all routes
+router.use(sanitizeInput);
+
+// GET /api/export/:deviceId/:dataset - Download history as CSV or NDJSON
+// dataset: sensor-data | logs | commands | pump-sessions
+// Query: format (csv | ndjson, default csv), startDate, endDate
+router.get('/:deviceId/:dataset', authMiddleware, validateDeviceId, validateDateRange, async (req, res) => {
+  try {
+    const { dataset } = req.params;
+    const { format = 'csv', startDate, endDate } = req.query;
+    const deviceId = normalizeDeviceId(req.params.deviceId);
+    const userId = req.user.userId;
+
+    if (!DATASETS[dataset]) {
+      return res.status(400).json({
+        error: 'Invalid dataset',
+        details: `dataset must be one of: ${Object.keys(DATASETS).join(', ')}`
+      });
+    }
+
+    if (!FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        details: `format must be one of: ${Object.keys(FORMATS).join(', ')}`
+      });
+    }
+
+    // Verify device ownership
+    const device = await Device.findOne({ deviceId, userID: userId });
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        details: 'The requested device does not exist or you do not have access to it'
+      });
+    }
+
+    await exportService.stream(res, {
+      dataset,
+      format,
+      deviceId,
+      userId,
+      from: startDate ? new Date(startDate) : null,
+      to: endDate ? new Date(endDate) : null
+    });
+  } catch (error) {
+    console.error('Export error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: 'Failed to export data',
+      details: 'Unable to export the requested data. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const Device = require('../models/Device');
+const authMiddleware = require('../middleware/auth');
+const { validateDeviceId } = require('../middleware/validation');
+const moistureForecast = require('../services/moistureForecastService');
+const { normalizeDeviceId } = require('../services/deviceId');
+
+// GET /api/devices/:deviceId/forecast - Drying rates and predicted next watering
+// Auto mode: when the device's strategy is projected to start the pump.
+// Schedule mode: scheduleMode.nextScheduledAt. Per-zone dry-threshold
+// crossings are reported in every mode.
+router.get('/:deviceId/forecast', authMiddleware, validateDeviceId, async (req, res) => {
+  try {
+    const deviceId = normalizeDeviceId(req.params.deviceId);
+
+    // Verify device ownership
+    const device = await Device.findOne({ deviceId, userID: req.user.userId });
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        details: 'The requested device does not exist or you do not have access to it'
+      });
+    }
+
+    const forecast = await moistureForecast.forecast(device);
+
+    res.json({
+      success: true,
+      ...forecast
+    });
+  } catch (error) {
+    console.error('Forecast error:', error);
+    res.status(500).json({
+      error: 'Failed to compute forecast',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
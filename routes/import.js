@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const Device = require('../models/Device');
+const authMiddleware = require('../middleware/auth');
+const { validateDeviceId } = require('../middleware/validation');
+const importService = require('../services/importService');
+const { normalizeDeviceId } = require('../services/deviceId');
+
+// Request body formats accepted for readings
+const CONTENT_TYPES = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/jsonl': 'ndjson'
+};
+
+// POST /api/import/:deviceId/sensor-data - Import historical readings
+// Body: CSV (with header) or NDJSON in the sensor-data export layout,
+// streamed rather than parsed up front. Format from ?format= or Content-Type.
+router.post('/:deviceId/sensor-data', authMiddleware, validateDeviceId, async (req, res) => {
+  try {
+    const deviceId = normalizeDeviceId(req.params.deviceId);
+    const userId = req.user.userId;
+    const contentType = (req.get('Content-Type') || '').split(';')[0].trim();
+    const format = req.query.format || CONTENT_TYPES[contentType];
+
+    if (!['csv', 'ndjson'].includes(format)) {
+      return res.status(415).json({
+        error: 'Unsupported import format',
+        details: 'Send text/csv or application/x-ndjson, or set ?format=csv|ndjson'
+      });
+    }
+
+    // Verify device ownership
+    const device = await Device.findOne({ deviceId, userID: userId });
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        details: 'The requested device does not exist or you do not have access to it'
+      });
+    }
+
+    const report = await importService.importSensorData(req, { deviceId, userId, format });
+
+    res.json({
+      success: true,
+      deviceId,
+      ...report
+    });
+  } catch (error) {
+    console.error('Sensor data import error:', error);
+    res.status(500).json({
+      error: 'Failed to import sensor data',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/import/configs - Import device and plant configurations
+// Body: { devices: [Device-shaped configs], plants: [Plant-shaped configs] }
+router.post('/configs', authMiddleware, async (req, res) => {
+  try {
+    const { devices = [], plants = [] } = req.body || {};
+
+    if (!Array.isArray(devices) || !Array.isArray(plants) || devices.length + plants.length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: 'Provide a devices and/or plants array'
+      });
+    }
+
+    const result = await importService.importConfigs({ devices, plants }, req.user.userId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Config import error:', error);
+    res.status(500).json({
+      error: 'Failed to import configurations',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const Plant = require('../models/Plant');
+const DeviceCommand = require('../models/DeviceCommand');
+const Notification = require('../models/Notification');
+const deviceController = require('../controllers/deviceController');
+const authMiddleware = require('../middleware/auth');
+const { sanitizeInput } = require('../middleware/validation');
+
+// Controller-based routes mounted at /api, after the route modules
+// (routes/devices.js etc. take precedence where paths overlap, so the
+// shadowed register/get/delete device and sensor history routes are not
+// repeated here). controllers/sensorController.js is not mounted: it needs
+// an IrrigationSchedule model that does not exist.
+//
+// Every route needs a JWT and may only touch the caller's own devices,
+// plants, commands and notifications. DELETE /devices/all/delete-everything
+// (deleteAllDevices) is not exposed at all.
+
+const notFound = (res, resource) => res.status(404).json({
+  error: `${resource} not found`,
+  details: `The requested ${resource.toLowerCase()} does not exist or you do not have access to it`
+});
+
+/**
+ * Check that every id in the path (and a deviceId/plantId in the body)
+ * belongs to the authenticated user; body userId is forced to the caller
+ */
+async function requireOwnership(req, res, next) {
+  try {
+    const userId = String(req.user.userId);
+    const { deviceId, userId: pathUserId, plantId, commandId, notificationId } = req.params;
+    const body = req.body && typeof req.body === 'object' ? req.body : null;
+
+    if (pathUserId !== undefined && pathUserId !== userId) {
+      return res.status(403).json({
+        error: 'Access denied',
+        details: 'You can only access your own data'
+      });
+    }
+
+    const ownsDevice = id => Device.exists({ deviceId: id, userID: userId });
+    const ownsPlant = id => mongoose.isValidObjectId(id) && Plant.exists({ _id: id, userId });
+
+    if (deviceId !== undefined && !(await ownsDevice(deviceId))) {
+      return notFound(res, 'Device');
+    }
+    if (body?.deviceId !== undefined && !(await ownsDevice(body.deviceId))) {
+      return notFound(res, 'Device');
+    }
+    if (plantId !== undefined && !(await ownsPlant(plantId))) {
+      return notFound(res, 'Plant');
+    }
+    if (body?.plantId && !(await ownsPlant(body.plantId))) {
+      return notFound(res, 'Plant');
+    }
+    if (commandId !== undefined) {
+      const command = mongoose.isValidObjectId(commandId)
+        ? await DeviceCommand.findById(commandId).select('deviceId').lean()
+        : null;
+      if (!command || !(await ownsDevice(command.deviceId))) {
+        return notFound(res, 'Command');
+      }
+    }
+    if (notificationId !== undefined) {
+      const owned = mongoose.isValidObjectId(notificationId) &&
+        await Notification.exists({ _id: notificationId, userId });
+      if (!owned) {
+        return notFound(res, 'Notification');
+      }
+    }
+
+    if (body) {
+      body.userId = userId; // Plants and notifications are always created for the caller
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Ownership check failed:', error);
+    res.status(500).json({
+      error: 'Server error',
+      details: 'Could not verify access to the requested resource'
+    });
+  }
+}
+
+const authenticated = [sanitizeInput, authMiddleware];
+const owned = [...authenticated, requireOwnership];
+
+// Device routes
+router.get('/devices/check/:deviceId', authenticated, deviceController.isDeviceRegistered);
+router.put('/devices/:deviceId/status', owned, deviceController.updateDeviceStatus);
+router.put('/devices/:deviceId/plant', owned, deviceController.associateDeviceWithPlant);
+router.get('/users/:userId/devices', owned, deviceController.getUserDevices);
+
+// Plant routes
+router.get('/plants/user/:userId', owned, deviceController.getUserPlants);
+router.get('/plants/:plantId', owned, deviceController.getPlantById);
+router.post('/plants', owned, deviceController.createPlant);
+router.put('/plants/:plantId', owned, deviceController.updatePlant);
+router.delete('/plants/:plantId', owned, deviceController.deletePlant);
+router.get('/plants/:plantId/devices', owned, deviceController.getPlantDevices);
+router.put('/plants/:plantId/watering-mode', owned, deviceController.updatePlantWateringMode);
+router.put('/plants/:plantId/thresholds', owned, deviceController.updatePlantThresholds);
+router.put('/plants/:plantId/schedules', owned, deviceController.updatePlantSchedules);
+router.put('/plants/:plantId/watering-enabled', owned, deviceController.togglePlantWatering);
+
+// Sensor data routes
+router.post('/sensor/:deviceId/data', owned, deviceController.storeSensorData);
+
+// Device command routes
+router.post('/commands/:deviceId', owned, deviceController.sendDeviceCommand);
+router.get('/commands/:deviceId/pending', owned, deviceController.getPendingCommands);
+router.put('/commands/:commandId/executed', owned, deviceController.markCommandExecuted);
+router.put('/commands/:commandId/failed', owned, deviceController.markCommandFailed);
+
+// Watering control routes
+router.post('/watering/:deviceId/command', owned, deviceController.sendWateringCommand);
+router.put('/watering/:deviceId/thresholds', owned, deviceController.updateWateringThresholds);
+router.put('/watering/:deviceId/mode', owned, deviceController.setWateringMode);
+router.put('/watering/:deviceId/schedules', owned, deviceController.setWateringSchedules);
+
+// Device status routes
+router.get('/status/:deviceId', owned, deviceController.getDeviceStatus);
+router.get('/status/:deviceId/online', owned, deviceController.isDeviceOnline);
+
+// Notification routes
+router.get('/notifications/:deviceId', owned, deviceController.getDeviceNotifications);
+router.post('/notifications', owned, deviceController.createNotification);
+router.put('/notifications/:notificationId/read', owned, deviceController.markNotificationRead);
+
+// Legacy routes (for backward compatibility)
+router.get('/device/:deviceId/moisture', owned, deviceController.getMoistureLevel);
+router.post('/device/:deviceId/schedule', owned, deviceController.updateSchedule);
+router.post('/device/:deviceId/control', owned, deviceController.manualControl);
+
+module.exports = router;
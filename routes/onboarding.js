@@ -3,6 +3,7 @@ const router = express.Router();
 const User = require('../models/User');
 const Device = require('../models/Device');
 const authMiddleware = require('../middleware/auth');
+const { isValidTimeZone } = require('../services/zonedTime');
 const { sanitizeInput } = require('../middleware/validation');
 
 // Apply input sanitization to all routes
@@ -79,10 +80,17 @@ router.put('/profile', authMiddleware, async (req, res) => {
     const userId = req.user.userId;
     const { phone, location, timezone, notifications } = req.body;
 
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        error: 'Invalid timezone',
+        details: `Unknown IANA timezone: ${timezone}`
+      });
+    }
+
     const updateData = {
       'profile.phone': phone,
       'profile.location': location,
-      'profile.timezone': timezone || 'UTC',
+      'profile.timezone': timezone || null,
       'profile.notifications': {
         email: notifications?.email !== false,
         push: notifications?.push !== false,
@@ -4,6 +4,10 @@ const authMiddleware = require('../middleware/auth');
 const SensorData = require('../models/SensorData');
 const Sensor = require('../models/Sensor');
 const Device = require('../models/Device');
+const sensorStream = require('../services/sensorStreamService');
+const sensorAggregation = require('../services/sensorAggregationService');
+const sensorRetention = require('../services/sensorRetentionService');
+const { normalizeDeviceId } = require('../services/deviceId');
 
 /**
  * GET /api/devices/:deviceId/sensor-data/latest
@@ -63,12 +67,43 @@ router.get('/devices/:deviceId/sensor-data/latest', async (req, res) => {
 /**
  * GET /api/sensor/:deviceId/history
  * Get historical sensor data for charts and logs
+ * Starts older than the raw retention are answered from hourly/daily rollups
+ * (resolution: 'hour' | 'day'; one entry per bucket with per-zone averages)
  * Requires authentication
  */
 router.get('/sensor/:deviceId/history', authMiddleware, async (req, res) => {
   try {
     const { deviceId } = req.params;
     const { start, end, limit = 100 } = req.query;
+
+    const resolution = start && end ? sensorRetention.resolutionFor(start) : 'raw';
+    if (resolution !== 'raw') {
+      const range = { deviceId, userId: req.user.userId, from: new Date(start), to: new Date(end) };
+      const stored = await sensorAggregation.findRollups(resolution, { ...range, sort: -1, limit: parseInt(limit) });
+
+      // Newest buckets not compacted yet come from raw readings
+      const recent = await sensorAggregation.uncoveredBuckets(resolution === 'day' ? '1d' : '1h', {
+        ...range,
+        latestRollupStart: stored[0]?.start || null
+      });
+      const rollups = [...recent.reverse(), ...stored].slice(0, parseInt(limit));
+
+      return res.json({
+        success: true,
+        deviceId,
+        resolution,
+        count: rollups.length,
+        data: rollups.map(rollup => ({
+          timestamp: rollup.start,
+          readings: rollup.count,
+          zone1Percent: rollup.zones?.zone1?.avg ?? null,
+          zone2Percent: rollup.zones?.zone2?.avg ?? null,
+          zone3Percent: rollup.zones?.zone3?.avg ?? null,
+          dryPercentage: rollup.dryPercentage,
+          zones: rollup.zones
+        }))
+      });
+    }
     
     // Build query with user ID for security
     const query = { 
@@ -93,6 +128,7 @@ router.get('/sensor/:deviceId/history', authMiddleware, async (req, res) => {
     res.json({
       success: true,
       deviceId,
+      resolution,
       count: history.length,
       data: history
     });
@@ -270,4 +306,163 @@ router.get('/sensor/:deviceId/stats', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/sensor/:deviceId/aggregate
+ * Time-bucketed min/max/avg/percentiles per zone, computed in MongoDB
+ * Query: start, end (default last 24h), bucket (1m|5m|1h|1d|auto),
+ *        percentiles (e.g. 10,50,90), maxPoints (default 500), tz (IANA, default UTC)
+ * A bucket that would exceed maxPoints is coarsened (downsampled: true)
+ * Starts older than the raw retention are served from rollups (UTC, 1h or 1d)
+ * Requires authentication
+ */
+router.get('/sensor/:deviceId/aggregate', authMiddleware, async (req, res) => {
+  try {
+    const deviceId = normalizeDeviceId(req.params.deviceId);
+    const { start, end, bucket = 'auto', tz = 'UTC' } = req.query;
+
+    const to = end ? new Date(end) : new Date();
+    const from = start ? new Date(start) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        details: 'start and end must be valid dates with start before end'
+      });
+    }
+
+    if (bucket !== 'auto' && !sensorAggregation.BUCKET_NAMES.includes(bucket)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid bucket',
+        details: `bucket must be one of: auto, ${sensorAggregation.BUCKET_NAMES.join(', ')}`
+      });
+    }
+
+    const percentiles = req.query.percentiles
+      ? String(req.query.percentiles).split(',').map(Number)
+      : sensorAggregation.DEFAULT_PERCENTILES;
+    if (percentiles.length > 5 || percentiles.some(p => !Number.isInteger(p) || p < 1 || p > 99)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid percentiles',
+        details: 'percentiles must be up to 5 comma-separated integers between 1 and 99'
+      });
+    }
+
+    const maxPoints = Math.min(parseInt(req.query.maxPoints) || sensorAggregation.DEFAULT_MAX_POINTS, 2000);
+
+    try {
+      Intl.DateTimeFormat('en-US', { timeZone: tz });
+    } catch (e) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timezone',
+        details: `Unknown IANA timezone: ${tz}`
+      });
+    }
+
+    const result = await sensorAggregation.aggregate({
+      deviceId,
+      userId: req.user.userId,
+      from,
+      to,
+      bucket,
+      percentiles,
+      maxPoints,
+      timezone: tz,
+      resolution: sensorRetention.resolutionFor(from)
+    });
+
+    res.json({
+      success: true,
+      deviceId,
+      from,
+      to,
+      timezone: result.timezone,
+      bucket: result.bucket,
+      downsampled: result.downsampled,
+      resolution: result.resolution,
+      percentiles,
+      count: result.buckets.length,
+      data: result.buckets
+    });
+  } catch (error) {
+    console.error('Error aggregating sensor data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to aggregate sensor data',
+      details: error.message
+    });
+  }
+});
+
+// EventSource can't send headers, so stream routes also accept ?access_token=
+function acceptQueryToken(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+/**
+ * GET /api/sensor/stream
+ * Server-Sent Events for all of the user's devices (devices registered later
+ * need a new connection). Event format: services/sensorStreamService.js
+ * Resume with the Last-Event-ID header (or ?lastEventId=)
+ * Requires authentication
+ */
+router.get('/sensor/stream', acceptQueryToken, authMiddleware, async (req, res) => {
+  try {
+    const deviceIds = await Device.distinct('deviceId', { userID: req.user.userId });
+
+    await sensorStream.open(req, res, {
+      deviceIds,
+      userId: String(req.user.userId),
+      lastEventId: req.get('Last-Event-ID') || req.query.lastEventId
+    });
+  } catch (error) {
+    console.error('Error opening sensor stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to open sensor stream',
+        details: 'Unable to start the live data stream. Please try again.'
+      });
+    }
+  }
+});
+
+/**
+ * GET /api/sensor/:deviceId/stream
+ * Server-Sent Events for one device: sensorData, pumpSession, deviceStatus,
+ * command-ack and command-response. Resume with Last-Event-ID (or ?lastEventId=)
+ * Requires authentication
+ */
+router.get('/sensor/:deviceId/stream', acceptQueryToken, authMiddleware, async (req, res) => {
+  try {
+    const deviceId = normalizeDeviceId(req.params.deviceId);
+    const owned = await Device.exists({ deviceId, userID: req.user.userId });
+
+    if (!owned) {
+      return res.status(404).json({
+        error: 'Device not found',
+        details: 'The requested device does not exist or you do not have access to it'
+      });
+    }
+
+    await sensorStream.open(req, res, {
+      deviceIds: [deviceId],
+      userId: String(req.user.userId),
+      lastEventId: req.get('Last-Event-ID') || req.query.lastEventId
+    });
+  } catch (error) {
+    console.error('Error opening sensor stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to open sensor stream',
+        details: 'Unable to start the live data stream. Please try again.'
+      });
+    }
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const Device = require('../models/Device');
+const { normalizeDeviceId } = require('../services/deviceId');
+
+// Service info, health and status routes (mounted at /)
+// Runtime pieces are registered on the app by createApp (app.js):
+// 'config', 'mqttManager', 'embeddedBroker', 'deviceMessageHandler'
+
+/**
+ * Summarize the MQTT side of this process
+ */
+function getMqttStatus(app) {
+  const config = app.get('config');
+  const mqttManager = app.get('mqttManager');
+  const embeddedBroker = app.get('embeddedBroker');
+  const deviceMessageHandler = app.get('deviceMessageHandler');
+  const lastData = deviceMessageHandler?.lastDataTimestamp || null;
+
+  return {
+    mode: config?.mqtt.mode || 'none',
+    connected: !!mqttManager?.isConnected,
+    embeddedBroker: embeddedBroker ? embeddedBroker.getStatus() : null,
+    lastDataReceived: lastData ? new Date(lastData).toISOString() : null,
+    dataAgeSeconds: lastData ? Math.floor((Date.now() - lastData) / 1000) : null
+  };
+}
+
+// Root route - Welcome message
+router.get('/', (req, res) => {
+  res.json({
+    message: '🌱 Ecosprinkle Backend API',
+    status: 'running',
+    version: '1.0.0',
+    endpoints: {
+      health: '/health',
+      status: '/api/status',
+      auth: '/api/auth/*',
+      devices: '/api/devices/*',
+      sensors: '/api/sensor/*',
+      export: '/api/export/:deviceId/:dataset',
+      import: '/api/import/*',
+      feedback: '/api/feedback'
+    },
+    documentation: 'https://github.com/Kagawad2004/ecosprinkle-backend',
+    frontend: 'https://ecosprinkle-site.onrender.com'
+  });
+});
+
+// Health check endpoint
+router.get('/health', (req, res) => {
+  const mqttManager = req.app.get('mqttManager');
+  res.status(200).json({
+    status: 'healthy',
+    timestamp: Date.now(),
+    services: {
+      mqtt: !!mqttManager?.isConnected,
+      database: mongoose.connection.readyState === 1
+    }
+  });
+});
+
+router.get('/api/health', (req, res) => {
+  res.status(200).json({
+    status: 'ok',
+    timestamp: Date.now(),
+    service: 'Ecosprinkle Backend',
+    version: '1.0.0'
+  });
+});
+
+router.get('/api/status', (req, res) => {
+  try {
+    const mqttStatus = getMqttStatus(req.app);
+    res.json({
+      status: 'running',
+      mqttMode: mqttStatus.mode,
+      mqttConnected: mqttStatus.connected,
+      dbConnected: mongoose.connection.readyState === 1,
+      timestamp: Date.now(),
+      uptime: process.uptime(),
+      memory: process.memoryUsage(),
+      version: process.env.npm_package_version || '1.0.0'
+    });
+  } catch (error) {
+    console.error('❌ Status endpoint error:', error);
+    res.status(500).json({ error: 'Status check failed' });
+  }
+});
+
+router.get('/api/connection-status', (req, res) => {
+  const mqttStatus = getMqttStatus(req.app);
+  const dbConnected = mongoose.connection.readyState === 1;
+
+  res.json({
+    success: true,
+    timestamp: Date.now(),
+    mqtt: mqttStatus,
+    database: { connected: dbConnected },
+    overallStatus: {
+      healthy: mqttStatus.connected && dbConnected,
+      esp32Connection: mqttStatus.connected
+        ? (mqttStatus.mode === 'embedded' ? 'Connected via embedded MQTT broker' : 'Connected via cloud MQTT')
+        : 'Disconnected'
+    }
+  });
+});
+
+router.get('/api/connection-status/summary', (req, res) => {
+  const mqttStatus = getMqttStatus(req.app);
+
+  res.json({
+    status: mqttStatus.connected ? 'healthy' : 'unhealthy',
+    mqttMode: mqttStatus.mode,
+    esp32Status: mqttStatus.connected ? 'connected' : 'disconnected',
+    lastDataReceived: mqttStatus.lastDataReceived,
+    dataAgeSeconds: mqttStatus.dataAgeSeconds,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Send a command to one of the user's devices - requires authentication
+router.post('/api/command/:deviceId', authMiddleware, async (req, res) => {
+  try {
+    const deviceId = normalizeDeviceId(req.params.deviceId);
+    const { command, payload } = req.body;
+    const mqttManager = req.app.get('mqttManager');
+
+    // Validate input
+    if (!deviceId || !command) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: deviceId, command'
+      });
+    }
+
+    // Verify device ownership
+    const owned = await Device.exists({ deviceId, userID: req.user.userId });
+    if (!owned) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found or you do not have access to it'
+      });
+    }
+
+    if (!mqttManager) {
+      return res.status(503).json({
+        success: false,
+        error: 'MQTT is disabled on this server'
+      });
+    }
+
+    let encoded;
+    try {
+      encoded = await mqttManager.sendCommand(deviceId, command, payload);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      deviceId,
+      command,
+      payload,
+      topic: encoded.topic,
+      protocolVersion: encoded.protocolVersion,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('❌ Command endpoint error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Command processing failed'
+    });
+  }
+});
+
+module.exports = router;
@@ -19,10 +19,12 @@ router.get('/:deviceId/watering-state', wateringController.getWateringState);
 
 // Schedule management
 router.post('/:deviceId/schedules', wateringController.upsertSchedule);
+router.post('/:deviceId/schedules/preview', auth, wateringController.previewSchedules);
 router.patch('/:deviceId/schedules/:scheduleId', wateringController.updateScheduleStatus);
 router.delete('/:deviceId/schedules/:timeSlotId', wateringController.deleteSchedule);
 router.post('/:deviceId/schedule/pause', wateringController.pauseResumeSchedule);
 router.post('/:deviceId/schedule/cancel', wateringController.cancelAllSchedules);
+router.get('/:deviceId/schedule/executions', auth, wateringController.getScheduleExecutions);
 
 // Update schedule execution status
 router.post('/:deviceId/schedule-status', wateringController.updateScheduleExecution);
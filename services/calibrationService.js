@@ -0,0 +1,341 @@
+/**
+ * Calibration Service - Guided per-zone sensor calibration
+ *
+ * Wizard flow (routes/calibration.js):
+ *   1. start a session for some or all zones
+ *   2. capture 'dry' samples with the probes in dry air
+ *   3. capture 'wet' samples with the probes submerged in water
+ *   4. commit: dryAdc/wetAdc = median of each capture, checked for span and
+ *      noise, written to Device.calibration (what the watering engine reads)
+ *      and mirrored to Device.sensorCalibrations, then pushed to the device
+ *
+ * Samples are the raw ADC values of live MQTT readings; deviceMessageHandler
+ * passes every reading to recordReading(). Progress is pushed to the
+ * device's room as a 'calibration' event.
+ *
+ * Captures in progress are tracked in memory; after a restart the capture
+ * has to be started again (collected samples are kept).
+ */
+
+const CalibrationSession = require('../models/CalibrationSession');
+const Device = require('../models/Device');
+const wateringEngine = require('./wateringDecisionEngine');
+const moistureConversion = require('./moistureConversionService');
+const sensorFaults = require('./sensorFaultService');
+const { isSensorValid } = require('./esp32SensorAlgorithm');
+const realtime = require('./realtimeService');
+const { EVENTS } = realtime;
+
+const ZONES = ['zone1', 'zone2', 'zone3'];
+const POINTS = ['dry', 'wet'];
+const SESSION_TTL_MS = 60 * 60 * 1000;
+
+class CalibrationService {
+  constructor() {
+    this.capturing = new Map(); // deviceId → sessionId
+
+    this.DEFAULT_SAMPLES = 10;
+    this.MIN_SAMPLES = 5;
+    this.MAX_SAMPLES = 120;
+    this.MIN_SPAN_ADC = 300; // Smaller dry-wet spans can't resolve moisture usefully
+    this.MAX_NOISE_RATIO = 0.05; // Std dev above 5% of the span is flagged as noisy
+  }
+
+  /**
+   * count, mean, median, stdDev, min, max of ADC samples (null when empty)
+   */
+  stats(samples) {
+    if (!samples || samples.length === 0) return null;
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    const count = sorted.length;
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+    const middle = Math.floor(count / 2);
+    const median = count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+    const round = (value) => Math.round(value * 10) / 10;
+
+    return {
+      count,
+      mean: round(mean),
+      median: round(median),
+      stdDev: round(Math.sqrt(variance)),
+      min: sorted[0],
+      max: sorted[count - 1]
+    };
+  }
+
+  /**
+   * Compute a zone's calibration from its captures
+   * @returns {Object} { wetAdc, dryAdc, span, dry, wet, warnings, error }
+   */
+  evaluateZone(samples) {
+    const dry = this.stats(samples?.dry);
+    const wet = this.stats(samples?.wet);
+    const result = { dry, wet, warnings: [] };
+
+    if (!dry || dry.count < this.MIN_SAMPLES) {
+      result.error = `Capture at least ${this.MIN_SAMPLES} dry-air samples`;
+      return result;
+    }
+    if (!wet || wet.count < this.MIN_SAMPLES) {
+      result.error = `Capture at least ${this.MIN_SAMPLES} submerged samples`;
+      return result;
+    }
+
+    result.dryAdc = Math.round(dry.median);
+    result.wetAdc = Math.round(wet.median);
+    result.span = result.dryAdc - result.wetAdc;
+
+    if (result.span <= 0) {
+      result.error = 'Submerged reading is not below the dry-air reading - check the probe and its wiring';
+    } else if (result.span < this.MIN_SPAN_ADC) {
+      result.error = `Dry-wet span of ${result.span} ADC is below ${this.MIN_SPAN_ADC} - was the probe fully submerged?`;
+    } else {
+      POINTS.forEach(point => {
+        const { stdDev } = result[point];
+        if (stdDev > result.span * this.MAX_NOISE_RATIO) {
+          result.warnings.push(`Noisy ${point} capture (std dev ${stdDev} ADC) - hold the probe still and recapture`);
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Session view returned by the routes and the 'calibration' event
+   */
+  progress(session) {
+    const zones = {};
+    session.zones.forEach(zone => {
+      const samples = session.samples[zone] || {};
+      zones[zone] = {
+        dry: this.stats(samples.dry),
+        wet: this.stats(samples.wet)
+      };
+    });
+
+    let capture = null;
+    if (session.capture?.point) {
+      const { point, zones: captureZones, targetSamples, startedAt } = session.capture;
+      capture = {
+        point,
+        zones: captureZones,
+        targetSamples,
+        startedAt,
+        collected: Math.min(...captureZones.map(zone => session.samples[zone]?.[point]?.length || 0))
+      };
+    }
+
+    return {
+      sessionId: session._id,
+      deviceId: session.deviceId,
+      status: session.status,
+      zones,
+      capture,
+      result: session.result,
+      startedAt: session.startedAt,
+      committedAt: session.committedAt
+    };
+  }
+
+  notify(session) {
+    realtime.toDevice(session.deviceId, EVENTS.CALIBRATION, this.progress(session));
+  }
+
+  /**
+   * Open a new session, cancelling any unfinished one for the device
+   */
+  async startSession(deviceId, userId, zones = ZONES) {
+    await CalibrationSession.updateMany(
+      { deviceId, status: 'active' },
+      { $set: { status: 'cancelled', capture: null } }
+    );
+    this.capturing.delete(deviceId);
+
+    const session = await CalibrationSession.create({ deviceId, userID: String(userId), zones });
+    console.log(`🎯 Calibration session ${session._id} started for ${deviceId} (${zones.join(', ')})`);
+    return session;
+  }
+
+  async getSession(deviceId, sessionId) {
+    return CalibrationSession.findOne({ _id: sessionId, deviceId });
+  }
+
+  async getActiveSession(deviceId) {
+    return CalibrationSession.findOne({ deviceId, status: 'active' }).sort({ startedAt: -1 });
+  }
+
+  /**
+   * Latest committed session (the device's current wizard calibration)
+   */
+  async getLastCommitted(deviceId) {
+    return CalibrationSession.findOne({ deviceId, status: 'committed' }).sort({ committedAt: -1 });
+  }
+
+  /**
+   * Start collecting samples for one point; earlier samples for that
+   * point and those zones are discarded
+   */
+  async startCapture(session, point, zones, targetSamples) {
+    session.capture = { point, zones, targetSamples, startedAt: new Date() };
+    zones.forEach(zone => {
+      session.samples[zone][point] = [];
+    });
+    session.expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+    await session.save();
+
+    this.capturing.set(session.deviceId, String(session._id));
+    console.log(`🎯 Capturing ${targetSamples} ${point} samples for ${session.deviceId} (${zones.join(', ')})`);
+    this.notify(session);
+    return session;
+  }
+
+  /**
+   * Add a live reading to the device's capture in progress (if any)
+   * @param {string} deviceId - Normalized
+   * @param {Object} reading - Raw ADC values { zone1, zone2, zone3 }
+   */
+  async recordReading(deviceId, reading) {
+    const sessionId = this.capturing.get(deviceId);
+    if (!sessionId) return;
+
+    const session = await CalibrationSession.findOne({ _id: sessionId, status: 'active' });
+    if (!session?.capture?.point) {
+      this.capturing.delete(deviceId);
+      return;
+    }
+
+    const { point, zones, targetSamples } = session.capture;
+    zones.forEach(zone => {
+      const value = reading[zone];
+      if (typeof value === 'number' && isSensorValid(value) && session.samples[zone][point].length < targetSamples) {
+        session.samples[zone][point].push(value);
+      }
+    });
+
+    const done = zones.every(zone => session.samples[zone][point].length >= targetSamples);
+    if (done) {
+      session.capture = null;
+      this.capturing.delete(deviceId);
+      console.log(`🎯 ${point} capture complete for ${deviceId}`);
+    }
+    session.expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+    await session.save();
+    this.notify(session);
+  }
+
+  /**
+   * Compute and apply the session's calibration
+   * @returns {Promise<Object>} { committed: true, result } or { committed: false, result } when a zone failed
+   */
+  async commit(session) {
+    const result = {};
+    session.zones.forEach(zone => {
+      result[zone] = this.evaluateZone(session.samples[zone]);
+    });
+
+    if (Object.values(result).some(zoneResult => zoneResult.error)) {
+      return { committed: false, result };
+    }
+
+    const device = await Device.findOne({ deviceId: session.deviceId });
+    if (!device) {
+      throw new Error(`Device ${session.deviceId} not found`);
+    }
+
+    // Zones outside the session keep their current calibration
+    const calibration = moistureConversion.resolve(device);
+    const update = {};
+    session.zones.forEach(zone => {
+      const { wetAdc, dryAdc } = result[zone];
+      calibration[zone] = { type: 'linear', wet: wetAdc, dry: dryAdc };
+      update[`sensorCalibrations.${zone}.wetAdc`] = wetAdc;
+      update[`sensorCalibrations.${zone}.dryAdc`] = dryAdc;
+    });
+
+    await Device.updateOne(
+      { deviceId: session.deviceId },
+      { $set: { calibration, ...update, LastUpdated: new Date() } }
+    );
+
+    session.status = 'committed';
+    session.capture = null;
+    session.result = result;
+    session.committedAt = new Date();
+    session.expiresAt = null;
+    await session.save();
+    this.capturing.delete(session.deviceId);
+    sensorFaults.reset(session.deviceId); // Drift is judged against the new calibration
+
+    // Firmware computes its own percentages from the pushed calibration
+    await wateringEngine.sendDeviceConfig(session.deviceId);
+
+    console.log(`✅ Calibration committed for ${session.deviceId}:`, calibration);
+    this.notify(session);
+    return { committed: true, result };
+  }
+
+  async cancel(session) {
+    session.status = 'cancelled';
+    session.capture = null;
+    await session.save();
+    this.capturing.delete(session.deviceId);
+    this.notify(session);
+    return session;
+  }
+
+  /**
+   * Back to the engine defaults for every zone
+   */
+  async reset(deviceId) {
+    const defaults = moistureConversion.getDefaultCalibration();
+    const update = {};
+    ZONES.forEach(zone => {
+      update[`sensorCalibrations.${zone}.wetAdc`] = defaults[zone].wet;
+      update[`sensorCalibrations.${zone}.dryAdc`] = defaults[zone].dry;
+    });
+
+    await Device.updateOne({ deviceId }, { $set: { calibration: null, ...update, LastUpdated: new Date() } });
+    sensorFaults.reset(deviceId);
+    await wateringEngine.sendDeviceConfig(deviceId);
+    return defaults;
+  }
+
+  /**
+   * Check the device's latest raw readings against its calibration
+   */
+  validateReadings(device) {
+    const calibration = moistureConversion.resolve(device);
+    const zones = {};
+
+    ZONES.forEach(zone => {
+      const adc = device.sensorData?.[zone];
+      const { wet, dry } = calibration[zone];
+
+      if (typeof adc !== 'number' || !isSensorValid(adc)) {
+        zones[zone] = { isValid: false, adc: adc ?? null, error: 'No valid reading', calibration: calibration[zone] };
+        return;
+      }
+
+      const zoneResult = {
+        isValid: true,
+        adc,
+        percent: moistureConversion.toPercent(adc, calibration[zone]),
+        calibration: calibration[zone]
+      };
+      // Readings outside the calibrated range are clamped to 0% / 100%
+      if (adc < wet) zoneResult.warning = `Reading is wetter than the calibrated wet point (${wet} ADC)`;
+      if (adc > dry) zoneResult.warning = `Reading is drier than the calibrated dry point (${dry} ADC)`;
+      zones[zone] = zoneResult;
+    });
+
+    return { zones, validSensors: Object.values(zones).filter(z => z.isValid).length };
+  }
+}
+
+// Export singleton instance
+module.exports = new CalibrationService();
+module.exports.ZONES = ZONES;
+module.exports.POINTS = POINTS;
@@ -0,0 +1,320 @@
+/**
+ * Command Delivery Service
+ *
+ * Tracks every DeviceCommand through its lifecycle:
+ *
+ *   pending → sent → acknowledged → executed
+ *                 ↘ (no ACK) retry ... → failed
+ *   (not executed by expiresAt, or never sent within the TTL) → expired
+ *   (newer pump command sent for the device) → superseded
+ *
+ * Senders save a DeviceCommand, publish it with the command's _id as commandId,
+ * then call markSent() (publishCommand() does both). Device replies are correlated by that commandId in
+ * ecosprinkle/{deviceId}/ack messages. Unacknowledged commands are
+ * republished with the same payload until maxAttempts is reached. Only the
+ * latest pump command is kept in flight, so a retry never replays a stale
+ * PUMP_ON after the user has already switched the pump off.
+ *
+ * Defaults can be changed with environment variables:
+ * - COMMAND_MAX_ATTEMPTS        (default 3)
+ * - COMMAND_ACK_TIMEOUT_SECONDS (default 30)
+ * - COMMAND_TTL_SECONDS         (default 300)
+ */
+
+const mongoose = require('mongoose');
+const DeviceCommand = require('../models/DeviceCommand');
+const mqttProtocol = require('./mqttProtocol');
+
+const IN_FLIGHT_STATUSES = ['pending', 'sent', 'acknowledged'];
+const UNACKNOWLEDGED_STATUSES = ['pending', 'sent'];
+const PUMP_COMMANDS = ['PUMP_ON', 'PUMP_OFF', 'PUMP_CONTROL'];
+
+// ACK status reported by firmware → lifecycle status
+const ACK_STATUS_MAP = {
+  received: 'acknowledged',
+  ack: 'acknowledged',
+  acknowledged: 'acknowledged',
+  accepted: 'acknowledged',
+  executed: 'executed',
+  success: 'executed',
+  ok: 'executed',
+  done: 'executed',
+  completed: 'executed',
+  failed: 'failed',
+  error: 'failed',
+  rejected: 'failed'
+};
+
+class CommandDeliveryService {
+  constructor() {
+    this.mqttClient = null;
+    this.checkInterval = null;
+    this.isRunning = false;
+    this.CHECK_INTERVAL_MS = 10000; // Look for timed-out commands every 10 seconds
+
+    this.defaults = {
+      maxAttempts: parseInt(process.env.COMMAND_MAX_ATTEMPTS) || 3,
+      ackTimeoutSeconds: parseInt(process.env.COMMAND_ACK_TIMEOUT_SECONDS) || 30,
+      ttlSeconds: parseInt(process.env.COMMAND_TTL_SECONDS) || 300
+    };
+  }
+
+  /**
+   * Set MQTT client used for retrying commands
+   */
+  setMqttClient(client) {
+    this.mqttClient = client;
+  }
+
+  /**
+   * Start the retry/expiry checker
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    this.checkInterval = setInterval(() => {
+      this.processTimeouts();
+    }, this.CHECK_INTERVAL_MS);
+
+    console.log(`📬 Command Delivery: Started (retry after ${this.defaults.ackTimeoutSeconds}s, max ${this.defaults.maxAttempts} attempts)`);
+  }
+
+  /**
+   * Stop the retry/expiry checker
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.isRunning = false;
+    console.log('📬 Command Delivery: Stopped');
+  }
+
+  /**
+   * Mark a published command as sent so it gets ACK correlation, retries and expiry
+   * The payload must carry the DeviceCommand _id as commandId.
+   * @param {Object} commandDoc - DeviceCommand document
+   * @param {Object} delivery - { topic, payload }
+   */
+  async markSent(commandDoc, { topic, payload }) {
+    const now = new Date();
+
+    commandDoc.topic = topic;
+    commandDoc.payload = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    commandDoc.status = 'sent';
+    commandDoc.attempts = (commandDoc.attempts || 0) + 1;
+    commandDoc.sentAt = commandDoc.sentAt || now;
+    commandDoc.lastAttemptAt = now;
+    commandDoc.maxAttempts ??= this.defaults.maxAttempts;
+    commandDoc.ackTimeoutSeconds ??= this.defaults.ackTimeoutSeconds;
+    if (!commandDoc.expiresAt) {
+      commandDoc.expiresAt = new Date(now.getTime() + this.defaults.ttlSeconds * 1000);
+    }
+
+    await commandDoc.save();
+
+    if (PUMP_COMMANDS.includes(commandDoc.command)) {
+      await this.supersedePumpCommands(commandDoc);
+    }
+    return commandDoc;
+  }
+
+  /**
+   * Publish a saved DeviceCommand in the device's protocol version and markSent() it
+   * @param {Object} client - MQTT client
+   * @param {Object|string} target - Device ({ deviceId, firmwareVersion }) or deviceId
+   * @param {Object} commandDoc - DeviceCommand document (its _id becomes the commandId)
+   * @param {string} command - Command name on the wire
+   * @param {Object} params - Command parameters
+   * @returns {Promise<Object>} { topic, payload, protocolVersion }
+   */
+  async publishCommand(client, target, commandDoc, command, params = {}) {
+    const device = typeof target === 'string' ? await mqttProtocol.resolveDevice(target) : target;
+    const encoded = await mqttProtocol.publishCommand(client, device, command, params, {
+      commandId: commandDoc._id,
+      timestamp: commandDoc.timestamp
+    });
+
+    try {
+      await this.markSent(commandDoc, encoded);
+    } catch (markError) {
+      console.error(`⚠️ Failed to mark ${command} ${commandDoc._id} as sent:`, markError.message);
+    }
+    return encoded;
+  }
+
+  /**
+   * Take older in-flight pump commands for the device out of the retry loop
+   * @param {Object} commandDoc - The pump command that was just sent
+   */
+  async supersedePumpCommands(commandDoc) {
+    const now = new Date();
+    const result = await DeviceCommand.updateMany(
+      {
+        _id: { $ne: commandDoc._id },
+        deviceId: commandDoc.deviceId,
+        command: { $in: PUMP_COMMANDS },
+        status: { $in: IN_FLIGHT_STATUSES },
+        timestamp: { $lte: commandDoc.timestamp }
+      },
+      {
+        $set: {
+          status: 'superseded',
+          supersededAt: now,
+          supersededBy: String(commandDoc._id),
+          error: `Superseded by ${commandDoc.command} ${commandDoc._id}`
+        }
+      }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`📬 Command Delivery: ${result.modifiedCount} older pump command(s) for ${commandDoc.deviceId} superseded`);
+    }
+    return result.modifiedCount;
+  }
+
+  /**
+   * Republish a tracked command that was not acknowledged in time
+   */
+  async retry(commandDoc) {
+    // Superseded (or answered) since it was loaded - never republish it
+    const stillSent = await DeviceCommand.exists({ _id: commandDoc._id, status: 'sent' });
+    if (!stillSent) {
+      return commandDoc;
+    }
+
+    if (!this.mqttClient) {
+      console.error(`❌ Command Delivery: MQTT client not available - cannot retry ${commandDoc.command} for ${commandDoc.deviceId}`);
+      commandDoc.status = 'failed';
+      commandDoc.error = 'MQTT client not available';
+      commandDoc.failedAt = new Date();
+      await commandDoc.save();
+      return commandDoc;
+    }
+
+    this.mqttClient.publish(commandDoc.topic, JSON.stringify(commandDoc.payload), { qos: 1 });
+
+    const now = new Date();
+    commandDoc.status = 'sent';
+    commandDoc.attempts = (commandDoc.attempts || 0) + 1;
+    commandDoc.sentAt = commandDoc.sentAt || now;
+    commandDoc.lastAttemptAt = now;
+    await commandDoc.save();
+
+    console.log(`📬 Retried ${commandDoc.command} → ${commandDoc.topic} (attempt ${commandDoc.attempts}/${commandDoc.maxAttempts})`);
+    return commandDoc;
+  }
+
+  /**
+   * Correlate an ACK (ecosprinkle/{deviceId}/ack) with its DeviceCommand
+   * @returns {Object|null} Updated command, or null if the commandId is not tracked
+   */
+  async handleAck(deviceId, ack) {
+    if (!ack.commandId || !mongoose.isValidObjectId(ack.commandId)) {
+      return null; // Untracked command (e.g. connection test)
+    }
+
+    const commandDoc = await DeviceCommand.findOne({ _id: ack.commandId, deviceId });
+    if (!commandDoc) {
+      return null;
+    }
+
+    // Ignore late ACKs for commands that already finished
+    if (!IN_FLIGHT_STATUSES.includes(commandDoc.status)) {
+      return commandDoc;
+    }
+
+    const reported = String(ack.status || '').toLowerCase();
+    const status = ACK_STATUS_MAP[reported] || 'acknowledged';
+    const now = new Date();
+
+    commandDoc.status = status;
+    commandDoc.acknowledgedAt = commandDoc.acknowledgedAt || now;
+    commandDoc.response = ack;
+
+    if (status === 'executed') {
+      commandDoc.executed = true;
+      commandDoc.executedAt = now;
+    } else if (status === 'failed') {
+      commandDoc.failedAt = now;
+      commandDoc.error = ack.message || ack.error || 'Device reported failure';
+    }
+
+    await commandDoc.save();
+    console.log(`📬 Command ${commandDoc._id} (${commandDoc.command}) for ${deviceId}: ${status}`);
+    return commandDoc;
+  }
+
+  /**
+   * Retry unacknowledged commands, fail those out of attempts, expire stale ones
+   */
+  async processTimeouts() {
+    try {
+      const now = new Date();
+
+      // Commands past their TTL expire: unacknowledged ones, and acknowledged
+      // ones the device never reported as executed
+      const expired = await DeviceCommand.updateMany(
+        { status: { $in: UNACKNOWLEDGED_STATUSES }, expiresAt: { $lte: now } },
+        { $set: { status: 'expired', expiredAt: now, error: 'Not acknowledged before TTL' } }
+      );
+      const expiredAcknowledged = await DeviceCommand.updateMany(
+        { status: 'acknowledged', expiresAt: { $lte: now } },
+        { $set: { status: 'expired', expiredAt: now, error: 'Acknowledged but not executed before TTL' } }
+      );
+      // Never published (MQTT down or the publish failed): no expiresAt was set
+      const expiredUnsent = await DeviceCommand.updateMany(
+        {
+          status: 'pending',
+          expiresAt: null,
+          timestamp: { $lte: new Date(now.getTime() - this.defaults.ttlSeconds * 1000) }
+        },
+        { $set: { status: 'expired', expiredAt: now, error: 'Not sent before TTL' } }
+      );
+      const expiredCount = expired.modifiedCount + expiredAcknowledged.modifiedCount + expiredUnsent.modifiedCount;
+      if (expiredCount > 0) {
+        console.log(`📬 Command Delivery: ${expiredCount} command(s) expired`);
+      }
+
+      // Sent but not acknowledged within ackTimeoutSeconds
+      const unacknowledged = await DeviceCommand.find({ status: 'sent', topic: { $ne: null } });
+
+      for (const commandDoc of unacknowledged) {
+        const waitedMs = now - new Date(commandDoc.lastAttemptAt || commandDoc.sentAt || commandDoc.timestamp);
+        if (waitedMs < (commandDoc.ackTimeoutSeconds ?? this.defaults.ackTimeoutSeconds) * 1000) continue;
+
+        if (commandDoc.attempts >= (commandDoc.maxAttempts ?? this.defaults.maxAttempts)) {
+          commandDoc.status = 'failed';
+          commandDoc.failedAt = now;
+          commandDoc.error = `No acknowledgment after ${commandDoc.attempts} attempt(s)`;
+          await commandDoc.save();
+          console.log(`📬 Command ${commandDoc._id} (${commandDoc.command}) for ${commandDoc.deviceId} failed: not acknowledged`);
+        } else {
+          await this.retry(commandDoc);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Command Delivery: Error processing timeouts:', error);
+    }
+  }
+
+  /**
+   * Commands still in flight for a device (oldest first)
+   * Acknowledged commands count until their TTL, while waiting for 'executed'.
+   */
+  async getInFlight(deviceId) {
+    return DeviceCommand.find({
+      deviceId,
+      $or: [
+        { status: { $in: UNACKNOWLEDGED_STATUSES } },
+        { status: 'acknowledged', expiresAt: { $gt: new Date() } }
+      ]
+    }).sort({ timestamp: 1 });
+  }
+}
+
+// Export singleton instance
+module.exports = new CommandDeliveryService();
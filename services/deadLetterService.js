@@ -0,0 +1,136 @@
+/**
+ * Dead Letter Service
+ *
+ * Stores inbound MQTT messages that failed schema validation
+ * (mqttProtocol.decodeInbound) and replays them on request.
+ *
+ * Each MQTT entry point registers the function that normally processes
+ * device messages with setReplayHandler(), so a replay goes through the
+ * same code path as a live message.
+ */
+
+const DeadLetter = require('../models/DeadLetter');
+const mqttProtocol = require('./mqttProtocol');
+
+// Keep stored payloads bounded (ESP32 messages are well under this)
+const MAX_PAYLOAD_LENGTH = 16 * 1024;
+
+class DeadLetterService {
+  constructor() {
+    this.replayHandler = null;
+  }
+
+  /**
+   * Set the function that processes a device message: (topic, payloadBuffer) => Promise
+   */
+  setReplayHandler(handler) {
+    this.replayHandler = handler;
+  }
+
+  /**
+   * Store a rejected message (repeats of a pending one only bump its counter)
+   * @param {Object} decoded - Result of mqttProtocol.decodeInbound()
+   * @param {string} topic - MQTT topic
+   * @param {string} source - 'embedded' or 'cloud'
+   */
+  async record(decoded, topic, source) {
+    const payload = (decoded.raw || '').slice(0, MAX_PAYLOAD_LENGTH);
+    const now = new Date();
+
+    try {
+      const deadLetter = await DeadLetter.findOneAndUpdate(
+        { topic, payload, error: decoded.error, status: 'pending' },
+        {
+          $inc: { occurrences: 1 },
+          $set: { lastReceivedAt: now },
+          $setOnInsert: {
+            deviceId: decoded.deviceId || null,
+            kind: decoded.kind || null,
+            source,
+            firstReceivedAt: now
+          }
+        },
+        { upsert: true, new: true }
+      );
+
+      if (deadLetter.occurrences === 1) {
+        console.warn(`📭 Dead letter: ${topic} rejected - ${decoded.error}`);
+      }
+      return deadLetter;
+    } catch (error) {
+      console.error(`❌ Failed to store dead letter for ${topic}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List dead letters (newest first) with counts per status
+   * @param {Object} filters - { status, deviceId, kind, limit, skip }
+   */
+  async list({ status, deviceId, kind, limit = 50, skip = 0 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (deviceId) query.deviceId = deviceId;
+    if (kind) query.kind = kind;
+
+    const [deadLetters, total, byStatus] = await Promise.all([
+      DeadLetter.find(query).sort({ lastReceivedAt: -1 }).skip(skip).limit(limit),
+      DeadLetter.countDocuments(query),
+      DeadLetter.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    return {
+      total,
+      counts: byStatus.reduce((counts, s) => ({ ...counts, [s._id]: s.count }), {}),
+      deadLetters
+    };
+  }
+
+  /**
+   * Re-run a dead letter through validation and the registered handler
+   * @param {string} id - DeadLetter _id
+   * @param {string|Object} payloadOverride - Corrected payload to replay instead of the stored one
+   * @returns {Object|null} { replayed, error, deadLetter }, or null if not found
+   */
+  async replay(id, payloadOverride = undefined) {
+    const deadLetter = await DeadLetter.findById(id);
+    if (!deadLetter) return null;
+
+    const payload = payloadOverride === undefined
+      ? deadLetter.payload
+      : (typeof payloadOverride === 'string' ? payloadOverride : JSON.stringify(payloadOverride));
+
+    deadLetter.replayAttempts += 1;
+    deadLetter.lastReplayedAt = new Date();
+    if (payloadOverride !== undefined) {
+      deadLetter.replayedPayload = payload;
+    }
+
+    let error = null;
+    const decoded = mqttProtocol.decodeInbound(deadLetter.topic, payload);
+
+    if (!decoded) {
+      error = 'Topic is no longer handled';
+    } else if (!decoded.valid) {
+      error = decoded.error;
+    } else if (!this.replayHandler) {
+      error = 'No MQTT message handler registered';
+    } else {
+      try {
+        await this.replayHandler(deadLetter.topic, Buffer.from(payload));
+      } catch (handlerError) {
+        error = handlerError.message;
+      }
+    }
+
+    deadLetter.status = error ? 'failed' : 'replayed';
+    deadLetter.lastReplayError = error;
+    await deadLetter.save();
+
+    console.log(`📭 Dead letter ${id} replay ${error ? `failed: ${error}` : 'succeeded'}`);
+    return { replayed: !error, error, deadLetter };
+  }
+}
+
+// Export singleton instance
+module.exports = new DeadLetterService();
@@ -0,0 +1,34 @@
+/**
+ * Device ID normalization, shared by routes, MQTT handling and services
+ *
+ * Devices are stored under the last 6 hex characters of their MAC address:
+ * - "esp32-bcddc2cdbb40" → "cdbb40" (strip prefix, take last 6)
+ * - "bcddc2cdbb40" → "cdbb40" (take last 6)
+ * - "cdbb40" → "cdbb40" (already normalized)
+ * - "ESP32-BCDDC2CDBB40" → "cdbb40" (lowercase and normalize)
+ */
+
+/**
+ * Normalize a device ID from any of the formats above
+ * @param {string} deviceId
+ * @returns {string|null} Normalized ID, null when empty
+ */
+function normalizeDeviceId(deviceId) {
+  if (!deviceId) return null;
+
+  // Convert to lowercase and remove common prefixes
+  let normalized = deviceId.toLowerCase()
+    .replace(/^esp32-/, '')  // Remove "esp32-" prefix
+    .replace(/^ecosprinkle-/, ''); // Remove "ecosprinkle-" prefix
+
+  // If longer than 6 chars, take last 6 (MAC address last 6 chars)
+  if (normalized.length > 6) {
+    normalized = normalized.slice(-6);
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  normalizeDeviceId
+};
@@ -0,0 +1,355 @@
+/**
+ * Device Message Handler
+ *
+ * Processes every device → backend MQTT message, whichever broker it came
+ * through (embedded or external). Topics are classified by
+ * mqttProtocol.parseTopic:
+ * - sensor:       ecosprinkle/{id}/sensor → storage, watering engine, WebSocket
+ * - legacySensor: Ecosprinkle/{id}/sensors/data and Ecosprinkle/sensors/data
+ * - ack:          ecosprinkle/{id}/ack → command lifecycle, pump sessions
+ * - status:       ecosprinkle/{id}/status (JSON or plain 'online'/'offline')
+ * - response:     devices/{id}/responses → DeviceCommand result
+ *
+ * Messages failing their INBOUND_SCHEMAS entry go to the dead-letter store;
+ * handle() is also the dead-letter replay handler, so it rethrows errors.
+ */
+
+const mqttProtocol = require('./mqttProtocol');
+const deadLetters = require('./deadLetterService');
+const sensorStorage = require('./sensorStorageService');
+const wateringEngine = require('./wateringDecisionEngine');
+const realtime = require('./realtimeService');
+const calibration = require('./calibrationService');
+const moistureConversion = require('./moistureConversionService');
+const sensorFaults = require('./sensorFaultService');
+const { EVENTS } = realtime;
+const { normalizeDeviceId } = require('./deviceId');
+
+class DeviceMessageHandler {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getMqttClient - Returns the client used for replies (DEVICE_DELETED)
+   * @param {string} options.source - Dead-letter source: 'embedded' or 'cloud'
+   */
+  constructor({ getMqttClient, source }) {
+    this.getMqttClient = getMqttClient;
+    this.source = source;
+    this.lastDataTimestamp = null;
+  }
+
+  /**
+   * Entry point for live MQTT messages
+   */
+  async receive(topic, payload) {
+    // Device messages that don't match their schema go to the dead-letter store
+    const decoded = mqttProtocol.decodeInbound(topic, payload);
+    if (!decoded) return;
+    if (!decoded.valid) {
+      await deadLetters.record(decoded, topic, this.source);
+      return;
+    }
+
+    console.log('📨 MQTT Message:', topic, payload.toString());
+    await this.handle(topic, payload);
+  }
+
+  /**
+   * Process a validated device message
+   */
+  async handle(topic, payloadBuffer) {
+    const route = mqttProtocol.parseTopic(topic);
+    if (!route) return;
+
+    const payload = payloadBuffer.toString();
+    // 🔧 CRITICAL FIX: Normalize deviceId to match database format (last 6 chars of MAC)
+    const deviceId = route.deviceId ? normalizeDeviceId(route.deviceId) : null;
+
+    switch (route.kind) {
+      case 'sensor':
+        return this.handleSensor(deviceId, payload);
+      case 'legacySensor':
+        return this.handleLegacySensor(deviceId, topic, payload);
+      case 'ack':
+        return this.handleAck(deviceId, payload);
+      case 'status':
+        return this.handleStatus(deviceId, payload);
+      case 'response':
+        return this.handleResponse(deviceId, payload);
+    }
+  }
+
+  /**
+   * v2 firmware sensor reading: ecosprinkle/{deviceId}/sensor
+   */
+  async handleSensor(deviceId, payload) {
+    const rawData = JSON.parse(payload);
+    this.lastDataTimestamp = Date.now();
+
+    // Use synchronized sensor algorithm service
+    const sensorAlgorithm = require('./esp32SensorAlgorithm');
+
+    // Validate data structure
+    const validation = sensorAlgorithm.validateSensorData(rawData);
+    if (!validation.isValid) {
+      console.error('❌ Invalid sensor data:', validation.error);
+      throw new Error(`Invalid sensor data: ${validation.error}`);
+    }
+
+    // Feed a calibration capture in progress with the raw ADC values
+    try {
+      await calibration.recordReading(deviceId, rawData);
+    } catch (calibrationError) {
+      console.error('❌ Calibration capture failed:', calibrationError.message);
+    }
+
+    // Percentages use the device's calibration, exactly as the watering engine does
+    const Device = require('../models/Device');
+    let device = null;
+    try {
+      device = await Device.findOne({ deviceId }).select('calibration').lean();
+    } catch (dbError) {
+      console.error('❌ Calibration lookup failed, using default calibration:', dbError.message);
+    }
+    const zoneCalibration = moistureConversion.resolve(device);
+
+    // Flatlined, jumping or disagreeing probes are left out of the vote
+    let zoneHealth = null;
+    try {
+      zoneHealth = await sensorFaults.evaluate(deviceId, rawData, zoneCalibration);
+    } catch (faultError) {
+      console.error('❌ Sensor fault detection failed:', faultError.message);
+    }
+
+    const processedData = sensorAlgorithm.processSensorData(rawData, zoneCalibration, zoneHealth);
+
+    console.log('🌱 Sensor data received from ESP32:', {
+      deviceId: processedData.deviceId,
+      zone1: `${processedData.zone1.moisturePercent}% (${processedData.zone1.status})`,
+      zone2: `${processedData.zone2.moisturePercent}% (${processedData.zone2.status})`,
+      zone3: `${processedData.zone3.moisturePercent}% (${processedData.zone3.status})`,
+      dryVotes: processedData.votingResults.dryVotes,
+      wetVotes: processedData.votingResults.wetVotes,
+      decision: processedData.votingResults.wateringRecommendation,
+      validSensors: processedData.votingResults.validSensors,
+      sensorHealth: processedData.deviceStatus.sensorHealth,
+      timestamp: processedData.receivedAt
+    });
+
+    // Store sensor data with proper error handling
+    let reading = null;
+    try {
+      reading = await sensorStorage.storeSensorDataSafely(rawData, processedData);
+      console.log('💾 Sensor data stored successfully in MongoDB');
+    } catch (dbError) {
+      console.error('❌ Database storage failed:', dbError.message);
+      // Continue operation even if database fails
+    }
+    await this.fillSessionMoisture(deviceId, reading);
+
+    // 🤖 AUTOMATIC WATERING DECISION ENGINE
+    // Process sensor data and decide if watering is needed (AUTO mode only)
+    try {
+      // CRITICAL: Include pump state from ESP32 for accurate decision making
+      const sensorDataForEngine = {
+        zone1: rawData.zone1,
+        zone2: rawData.zone2,
+        zone3: rawData.zone3,
+        zoneHealth,
+        pumpState: rawData.pumpState || rawData.pump || false,
+        timestamp: rawData.timestamp
+      };
+
+      console.log(`🤖 Calling watering engine with pump state: ${sensorDataForEngine.pumpState}`);
+      await wateringEngine.processSensorData(deviceId, sensorDataForEngine);
+    } catch (wateringError) {
+      console.error('❌ Watering decision engine failed:', wateringError.message);
+    }
+
+    // Real-time update for the device's owner (sensorDataId is the SSE resume cursor)
+    realtime.toDevice(deviceId, EVENTS.SENSOR_DATA, { ...processedData, sensorDataId: reading?._id || null });
+  }
+
+  /**
+   * Older firmware readings: Ecosprinkle/{deviceId}/sensors/data, or the
+   * shared Ecosprinkle/sensors/data topic with the ID in the payload
+   */
+  async handleLegacySensor(deviceId, topic, payload) {
+    const data = JSON.parse(payload);
+    this.lastDataTimestamp = Date.now();
+
+    if (deviceId) {
+      // Ensure normalized deviceId is in the payload
+      data.deviceId = deviceId;
+
+      console.log('🌱 CALIBRATED SENSOR DATA RECEIVED:');
+      console.log('   Device: ' + data.deviceId + ' | Topic: ' + topic);
+      console.log('   Zones: ' + [1, 2, 3].map(z => (data[`zone${z}`] || 'N/A') + ' ADC → ' + (data[`zone${z}Percent`] || 'N/A') + '%').join(' | '));
+      console.log('   DRY votes: ' + (data.dryVotes || 0) + ' | WET votes: ' + (data.wetVotes || 0) +
+        ' | Decision: ' + (data.majorityVoteDry ? '🚰 WATER NEEDED' : '💧 NO WATER NEEDED'));
+
+      try {
+        const Device = require('../models/Device');
+        const device = await Device.findOne({ deviceId });
+        if (!device) {
+          // Device not found - could be deleted or never registered
+          console.log(`⚠️ Device ${deviceId} not found in database`);
+          console.log(`📡 Sending DEVICE_DELETED signal to ESP32...`);
+
+          mqttProtocol.publishCommand(this.getMqttClient(), deviceId, 'DEVICE_DELETED', {
+            deviceId,
+            message: 'Device was removed. Please reset to factory settings.'
+          })
+            .then(() => console.log(`✅ Sent DEVICE_DELETED to ${deviceId}`))
+            .catch(err => console.error('❌ Failed to send deletion notification:', err));
+
+          // DO NOT auto-register - require manual re-registration via app
+          console.log(`🔒 Device ${deviceId} must be manually re-registered`);
+        } else {
+          await Device.updateOne({ deviceId }, { $set: { lastSeen: new Date() } });
+        }
+      } catch (regError) {
+        console.error('❌ Error with device registration:', regError);
+      }
+
+      try {
+        await calibration.recordReading(deviceId, data);
+      } catch (calibrationError) {
+        console.error('❌ Calibration capture failed:', calibrationError.message);
+      }
+    } else {
+      console.log('🌱 Legacy MQTT: Sensor data received:', {
+        deviceId: data.deviceId,
+        source: 'Legacy format'
+      });
+    }
+
+    const reading = await sensorStorage.storeSensorData(data);
+    await this.fillSessionMoisture(data.deviceId, reading);
+    realtime.toDevice(data.deviceId, EVENTS.SENSOR_DATA, { ...data, sensorDataId: reading?._id || null });
+  }
+
+  /**
+   * Post-watering moisture for pump sessions whose soak delay has passed
+   */
+  async fillSessionMoisture(deviceId, reading) {
+    if (!reading) return;
+
+    try {
+      const pumpSessions = require('./pumpSessionService');
+      await pumpSessions.fillMoistureAfter(deviceId, reading.timestamp);
+    } catch (sessionError) {
+      console.error('❌ Pump session moisture update failed:', sessionError.message);
+    }
+  }
+
+  /**
+   * Command acknowledgment: ecosprinkle/{deviceId}/ack
+   */
+  async handleAck(deviceId, payload) {
+    // Legacy firmware reports { action: 'on'|'off' } instead of pumpState
+    const ack = mqttProtocol.normalizeAck(JSON.parse(payload));
+    console.log(`✅ Command ${ack.commandId} acknowledged by ${deviceId}: ${ack.status}`);
+
+    const Device = require('../models/Device');
+    await Device.findOneAndUpdate(
+      { deviceId },
+      {
+        isPumpOn: ack.pumpState,
+        lastAck: new Date(),
+        lastAckMessage: ack.message
+      }
+    );
+
+    realtime.toDevice(deviceId, EVENTS.COMMAND_ACK, { deviceId, ...ack });
+
+    // Advance the DeviceCommand lifecycle (acknowledged/executed/failed)
+    const commandDelivery = require('./commandDeliveryService');
+    await commandDelivery.handleAck(deviceId, ack);
+
+    // Record actual pump start/stop times
+    const pumpSessions = require('./pumpSessionService');
+    await pumpSessions.handleAck(deviceId, ack);
+  }
+
+  /**
+   * Device status: ecosprinkle/{deviceId}/status
+   * v2 firmware sends JSON ({ online, pumpState, firmwareVersion }), older
+   * firmware a plain 'online'/'offline' string
+   */
+  async handleStatus(deviceId, payload) {
+    let status;
+    try {
+      status = JSON.parse(payload);
+    } catch (parseError) {
+      status = payload.trim();
+    }
+    const isObject = status !== null && typeof status === 'object';
+    const online = isObject ? status.online !== false : status !== 'offline';
+
+    console.log(`📡 Device ${deviceId} status: ${online ? 'ONLINE' : 'OFFLINE'}`);
+
+    const Device = require('../models/Device');
+    const statusUpdate = {
+      isOnline: online,
+      lastSeen: new Date()
+    };
+
+    if (isObject) {
+      // Firmware version decides which MQTT protocol adapter commands use
+      const firmwareVersion = mqttProtocol.getReportedFirmware(status);
+      if (firmwareVersion) {
+        statusUpdate.firmwareVersion = firmwareVersion;
+      }
+    }
+
+    await Device.findOneAndUpdate({ deviceId }, statusUpdate);
+
+    if (isObject) {
+      // Close interrupted sessions / record pump state changes
+      const pumpSessions = require('./pumpSessionService');
+      await pumpSessions.handleStatus(deviceId, status);
+    }
+
+    realtime.toDevice(deviceId, EVENTS.DEVICE_STATUS, {
+      deviceId,
+      status: online ? 'online' : 'offline',
+      timestamp: Date.now()
+    });
+
+    // Send config when device comes online
+    if (online) {
+      setTimeout(() => {
+        wateringEngine.sendDeviceConfig(deviceId);
+      }, 2000); // Wait 2 seconds for device to be ready
+    }
+  }
+
+  /**
+   * Command result: devices/{deviceId}/responses
+   */
+  async handleResponse(deviceId, payload) {
+    const responseData = JSON.parse(payload);
+
+    const DeviceCommand = require('../models/DeviceCommand');
+    const updateData = {
+      status: responseData.status,
+      executed: responseData.status === 'executed',
+      executedAt: responseData.status === 'executed' ? new Date() : undefined,
+      response: responseData.response || {},
+      failedAt: responseData.status === 'failed' ? new Date() : undefined,
+      error: responseData.status === 'failed' ? responseData.error : undefined
+    };
+
+    await DeviceCommand.findByIdAndUpdate(responseData.commandId, { $set: updateData });
+    console.log(`Command ${responseData.commandId} updated with status: ${responseData.status}`);
+
+    realtime.toDevice(deviceId, EVENTS.COMMAND_RESPONSE, {
+      deviceId,
+      commandId: responseData.commandId,
+      status: responseData.status,
+      response: responseData.response
+    });
+  }
+}
+
+module.exports = DeviceMessageHandler;
@@ -0,0 +1,119 @@
+/**
+ * Embedded MQTT Broker
+ *
+ * Runs an aedes broker inside the backend process for deployments where
+ * devices connect straight to the backend instead of a cloud broker.
+ * Device logins and topic ACLs come from services/mqttBrokerAuth.js; the
+ * backend itself consumes messages through a normal MQTT client
+ * (services/mqttManager.js) logged in with the backend credentials.
+ */
+
+const net = require('net');
+const Aedes = require('aedes');
+const mqttBrokerAuth = require('./mqttBrokerAuth');
+
+class EmbeddedBroker {
+  /**
+   * @param {Object} options - { port, host }
+   */
+  constructor(options = {}) {
+    this.port = Number(options.port) || 1883;
+    this.host = options.host || '0.0.0.0';
+
+    this.aedes = Aedes();
+    mqttBrokerAuth.attach(this.aedes);
+
+    this.server = net.createServer({ allowHalfOpen: false }, this.aedes.handle);
+    this.isRunning = false;
+    this.clientsConnected = 0;
+    this.esp32Connected = false;
+
+    this.setupEventHandlers();
+  }
+
+  setupEventHandlers() {
+    this.server.on('error', (err) => {
+      console.error('MQTT Server Error:', err);
+    });
+
+    this.server.on('connection', (socket) => {
+      console.log('🔌 New TCP connection from:', socket.remoteAddress, socket.remotePort);
+
+      socket.on('error', (err) => {
+        console.error('❌ Socket error:', err);
+      });
+    });
+
+    this.aedes.on('client', (client) => {
+      console.log('🎯 MQTT Client Connected:', client.id);
+      this.clientsConnected++;
+
+      if (client.id.includes('ESP32')) {
+        console.log('🚀 ESP32 Device Connected Successfully!');
+        this.esp32Connected = true;
+      }
+    });
+
+    this.aedes.on('clientDisconnect', (client) => {
+      console.log('🔌 MQTT Client Disconnected:', client.id);
+      this.clientsConnected--;
+
+      if (client.id.includes('ESP32')) {
+        console.log('⚠️ ESP32 Device Disconnected');
+        this.esp32Connected = false;
+      }
+    });
+  }
+
+  /**
+   * Start accepting MQTT connections
+   * @returns {Promise<void>}
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        this.isRunning = true;
+        console.log(`MQTT Broker running on port ${this.port} (all interfaces)`);
+        console.log(`MQTT Broker address: ${this.server.address().address}:${this.server.address().port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * URL the backend's own client uses to reach this broker
+   */
+  getLocalUrl() {
+    return `mqtt://localhost:${this.port}`;
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      port: this.port,
+      clientsConnected: this.clientsConnected,
+      esp32Connected: this.esp32Connected
+    };
+  }
+
+  /**
+   * Stop the TCP listener and disconnect every client
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => {
+      // Disconnect clients first - server.close() waits for open sockets
+      this.aedes.close(() => {
+        this.server.close(() => {
+          this.isRunning = false;
+          console.log('📡 Embedded MQTT broker closed');
+          resolve();
+        });
+      });
+    });
+  }
+}
+
+module.exports = EmbeddedBroker;
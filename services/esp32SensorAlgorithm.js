@@ -5,12 +5,12 @@
  * to ensure 100% synchronization between device and backend.
  * 
  * ESP32 Firmware Reference: firmware/src/main.cpp
- * Calibration: MIN_ADC=1200 (100% wet), MAX_ADC=2000 (0% dry)
+ * ADC → % uses the device's calibration via moistureConversionService, the
+ * same conversion the watering engine decides with.
  */
 
-// ESP32 Calibration Constants (MUST match firmware/src/config.h)
-const MIN_ADC = 1200; // 100% moisture (fully wet)
-const MAX_ADC = 2000; // 0% moisture (completely dry)
+const moistureConversion = require('./moistureConversionService');
+
 const MOISTURE_THRESHOLD = 30; // Below 30% = DRY, needs water
 
 /**
@@ -43,20 +43,6 @@ function validateSensorData(data) {
     return { isValid: true };
 }
 
-/**
- * Convert ADC value to moisture percentage (EXACT ESP32 algorithm)
- * @param {number} adc - Raw ADC reading (0-4095)
- * @returns {number} Moisture percentage (0-100)
- */
-function adcToMoisturePercent(adc) {
-    if (adc <= MIN_ADC) return 100; // Fully wet
-    if (adc >= MAX_ADC) return 0;   // Completely dry
-    
-    // Linear interpolation: 100% at MIN_ADC, 0% at MAX_ADC
-    const percent = 100 - ((adc - MIN_ADC) * 100 / (MAX_ADC - MIN_ADC));
-    return Math.max(0, Math.min(100, Math.round(percent)));
-}
-
 /**
  * Determine sensor status from ADC reading (EXACT ESP32 logic)
  * @param {number} adc - Raw ADC reading
@@ -95,40 +81,36 @@ function isSensorValid(adc) {
 /**
  * Process raw ESP32 sensor data with EXACT firmware algorithm
  * @param {Object} rawData - Raw MQTT payload from ESP32
+ * @param {Object} [calibration] - moistureConversion.resolve(device); defaults when omitted
+ * @param {Object} [zoneHealth] - sensorFaultService.evaluate() result; all zones ok when omitted
  * @returns {Object} Processed sensor data with all zones
  */
-function processSensorData(rawData) {
+function processSensorData(rawData, calibration = moistureConversion.getDefaultCalibration(), zoneHealth = null) {
     // Calculate moisture percentages from raw ADC values
-    const zone1Percent = adcToMoisturePercent(rawData.zone1);
-    const zone2Percent = adcToMoisturePercent(rawData.zone2);
-    const zone3Percent = adcToMoisturePercent(rawData.zone3);
+    const {
+        zone1: zone1Percent,
+        zone2: zone2Percent,
+        zone3: zone3Percent
+    } = moistureConversion.convert(rawData, calibration);
     
-    // Process Zone 1
-    const zone1 = {
-        rawADC: rawData.zone1,
-        moisturePercent: zone1Percent,
-        status: getSensorStatus(rawData.zone1, zone1Percent),
-        vote: getVotingDecision(zone1Percent),
-        isValid: isSensorValid(rawData.zone1)
-    };
-
-    // Process Zone 2
-    const zone2 = {
-        rawADC: rawData.zone2,
-        moisturePercent: zone2Percent,
-        status: getSensorStatus(rawData.zone2, zone2Percent),
-        vote: getVotingDecision(zone2Percent),
-        isValid: isSensorValid(rawData.zone2)
+    // Zones flagged faulty by sensorFaultService don't vote
+    const processZone = (zone, moisturePercent) => {
+        const adc = rawData[zone];
+        const health = zoneHealth?.[zone] || { status: 'ok', faults: [] };
+        const faulty = health.status === 'faulty';
+        return {
+            rawADC: adc,
+            moisturePercent,
+            status: faulty ? 'ERROR' : getSensorStatus(adc, moisturePercent),
+            vote: faulty ? 'ERROR' : getVotingDecision(moisturePercent),
+            isValid: isSensorValid(adc) && !faulty,
+            health
+        };
     };
 
-    // Process Zone 3
-    const zone3 = {
-        rawADC: rawData.zone3,
-        moisturePercent: zone3Percent,
-        status: getSensorStatus(rawData.zone3, zone3Percent),
-        vote: getVotingDecision(zone3Percent),
-        isValid: isSensorValid(rawData.zone3)
-    };
+    const zone1 = processZone('zone1', zone1Percent);
+    const zone2 = processZone('zone2', zone2Percent);
+    const zone3 = processZone('zone3', zone3Percent);
 
     // Calculate voting results (backend does the voting logic)
     let dryVotes = 0;
@@ -220,14 +202,11 @@ function getAverageMoisture(processedData) {
 
 module.exports = {
     // Constants
-    MIN_ADC,
-    MAX_ADC,
     MOISTURE_THRESHOLD,
     
     // Functions
     validateSensorData,
     processSensorData,
-    adcToMoisturePercent,
     getSensorStatus,
     getVotingDecision,
     isSensorValid,
@@ -0,0 +1,165 @@
+/**
+ * Export Service - CSV / NDJSON history downloads
+ *
+ * Streams one device's history straight from a MongoDB cursor to the HTTP
+ * response, so a season of 5-second readings never sits in memory.
+ * Backpressure is handled by stream.pipeline; a client that disconnects
+ * closes the cursor.
+ *
+ * Datasets:
+ * - sensor-data   SensorData readings
+ * - logs          Log events
+ * - commands      DeviceCommand history
+ * - pump-sessions PumpSession runs
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const SensorData = require('../models/SensorData');
+const Log = require('../models/Log');
+const DeviceCommand = require('../models/DeviceCommand');
+const PumpSession = require('../models/PumpSession');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Columns are dotted paths into the lean document
+const DATASETS = {
+  'sensor-data': {
+    model: SensorData,
+    timeField: 'timestamp',
+    ownerField: 'userID',
+    columns: [
+      'timestamp', 'deviceId', 'deviceTimestamp',
+      'zone1', 'zone1Percent', 'zone2', 'zone2Percent', 'zone3', 'zone3Percent',
+      'dryVotes', 'wetVotes', 'majorityVoteDry', 'validSensors',
+      'sensorHealth', 'zoneHealth', 'median', 'pumpState', 'rssi'
+    ]
+  },
+  logs: {
+    model: Log,
+    timeField: 'timestamp',
+    ownerField: 'userId',
+    columns: [
+      'timestamp', 'deviceId', 'eventType', 'severity', 'source',
+      'moistureLevel', 'temperature', 'actionTaken', 'details'
+    ]
+  },
+  commands: {
+    model: DeviceCommand,
+    timeField: 'timestamp',
+    ownerField: null, // Commands carry no owner; the route checks device ownership
+    columns: [
+      'timestamp', 'deviceId', 'command', 'status', 'attempts', 'parameters',
+      'sentAt', 'acknowledgedAt', 'executedAt', 'failedAt', 'expiredAt', 'error', 'response'
+    ]
+  },
+  'pump-sessions': {
+    model: PumpSession,
+    timeField: 'startedAt',
+    ownerField: 'userID',
+    columns: [
+      'startedAt', 'stoppedAt', 'deviceId', 'source', 'status', 'durationSeconds',
+      'requestedDuration', 'stopReason', 'fault',
+      'moistureBefore.averagePercent', 'moistureAfter.averagePercent'
+    ]
+  }
+};
+
+class ExportService {
+  /**
+   * Read a dotted path from a document
+   */
+  pick(doc, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+  }
+
+  /**
+   * Escape one CSV cell. Strings starting with = + - @ are prefixed with '
+   * so spreadsheets don't evaluate them as formulas.
+   */
+  csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') value = JSON.stringify(value);
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Serialized lines for every document of the cursor
+   */
+  async *lines(cursor, format, columns) {
+    if (format === 'csv') {
+      yield columns.join(',') + '\r\n';
+    }
+
+    for await (const doc of cursor) {
+      if (format === 'csv') {
+        yield columns.map(column => this.csvCell(this.pick(doc, column))).join(',') + '\r\n';
+      } else {
+        const row = {};
+        columns.forEach(column => { row[column] = this.pick(doc, column) ?? null; });
+        yield JSON.stringify(row) + '\n';
+      }
+    }
+  }
+
+  /**
+   * Stream a dataset as an attachment
+   * @param {Object} res - Express response
+   * @param {Object} options
+   * @param {string} options.dataset - Key of DATASETS
+   * @param {string} options.format - 'csv' | 'ndjson'
+   * @param {string} options.deviceId - Normalized, ownership already checked
+   * @param {string} options.userId
+   * @param {Date} options.from - Optional range start (inclusive)
+   * @param {Date} options.to - Optional range end (inclusive)
+   */
+  async stream(res, { dataset, format, deviceId, userId, from, to }) {
+    const { model, timeField, ownerField, columns } = DATASETS[dataset];
+
+    const query = { deviceId };
+    if (ownerField) {
+      query[ownerField] = String(userId);
+    }
+    if (from || to) {
+      query[timeField] = {};
+      if (from) query[timeField].$gte = from;
+      if (to) query[timeField].$lte = to;
+    }
+
+    const cursor = model.find(query)
+      .sort({ [timeField]: 1 })
+      .lean()
+      .cursor({ batchSize: 1000 });
+
+    const filename = `${deviceId}-${dataset}-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+    res.status(200);
+    res.set({
+      'Content-Type': FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    try {
+      await pipeline(Readable.from(this.lines(cursor, format, columns)), res);
+    } catch (error) {
+      // Client went away mid-download; pipeline already closed the cursor
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error(`❌ Export failed (${dataset}, ${deviceId}):`, error.message);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ExportService();
+module.exports.DATASETS = DATASETS;
+module.exports.FORMATS = FORMATS;
@@ -0,0 +1,423 @@
+/**
+ * Import Service - Bulk migration of history and configs
+ *
+ * Brings data over from the old Firebase setup:
+ * - importSensorData: CSV or NDJSON readings for one device, in the column
+ *   layout of the sensor-data export (services/exportService.js). Rows are
+ *   checked with esp32SensorAlgorithm.validateSensorData and processed with
+ *   the same algorithm as live MQTT readings.
+ * - importConfigs: JSON device and plant configurations
+ *
+ * Readings are deduplicated by deviceId + recorded (server) timestamp,
+ * within the file and against stored data; a unique index over imported
+ * readings catches concurrent imports. deviceTimestamp is not a key: it is
+ * the ESP32's time since boot and repeats after every restart. Both imports
+ * return a summary plus per-row errors instead of failing the whole file.
+ */
+
+const crypto = require('crypto');
+const readline = require('readline');
+const Device = require('../models/Device');
+const Plant = require('../models/Plant');
+const User = require('../models/User');
+const SensorData = require('../models/SensorData');
+const SensorDataImport = require('../models/SensorDataImport');
+const sensorAlgorithm = require('./esp32SensorAlgorithm');
+const moistureConversion = require('./moistureConversionService');
+const { toSensorDataRecord } = require('./sensorStorageService');
+const sensorRetention = require('./sensorRetentionService');
+const { normalizeDeviceId } = require('./deviceId');
+
+const BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 1000;
+const DUPLICATE_KEY = 11000;
+
+// Device settings an import may set (everything else is managed by the backend)
+const DEVICE_CONFIG_FIELDS = [
+  'DeviceName', 'WifiSSID', 'plantType', 'soilType', 'sunlightExposure', 'growthStage',
+  'plantedDate', 'wateringMode', 'isWateringEnabled', 'thresholds', 'schedules',
+  'location', 'firmwareVersion'
+];
+const PLANT_CONFIG_FIELDS = [
+  'name', 'plantType', 'location', 'description', 'wateringType',
+  'isWateringEnabled', 'moistureThresholds', 'schedules'
+];
+
+/**
+ * Collects per-row errors, keeping only the first MAX_REPORTED_ERRORS
+ */
+class ImportReport {
+  constructor(extraCounts = {}) {
+    this.summary = { received: 0, failed: 0, ...extraCounts };
+    this.errors = [];
+  }
+
+  fail(row, error) {
+    this.summary.failed++;
+    if (this.errors.length < MAX_REPORTED_ERRORS) {
+      this.errors.push({ row, error });
+    }
+  }
+
+  toJSON() {
+    return {
+      summary: this.summary,
+      errors: this.errors,
+      errorsTruncated: this.summary.failed > this.errors.length
+    };
+  }
+}
+
+class ImportService {
+  /**
+   * Split one CSV record into cells (RFC 4180 quoting)
+   */
+  parseCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        cells.push(cell);
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell);
+    return cells;
+  }
+
+  /**
+   * Yield { row, data } for every record of a CSV or NDJSON stream.
+   * `row` is the line number the record starts on; `data` is null when the
+   * line could not be parsed (with `error` set).
+   */
+  async *records(input, format) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let header = null;
+    let lineNumber = 0;
+    let pending = null; // CSV record spanning lines (quoted newline)
+
+    for await (const line of lines) {
+      lineNumber++;
+
+      if (format === 'ndjson') {
+        if (!line.trim()) continue;
+        try {
+          yield { row: lineNumber, data: JSON.parse(line) };
+        } catch (error) {
+          yield { row: lineNumber, data: null, error: 'Invalid JSON' };
+        }
+        continue;
+      }
+
+      const record = pending ? { row: pending.row, text: `${pending.text}\n${line}` } : { row: lineNumber, text: line };
+      // An odd number of quotes means a quoted cell continues on the next line
+      if ((record.text.match(/"/g) || []).length % 2 === 1) {
+        pending = record;
+        continue;
+      }
+      pending = null;
+      if (!record.text.trim()) continue;
+
+      const cells = this.parseCsvLine(record.text);
+      if (!header) {
+        header = cells.map(cell => cell.trim());
+        continue;
+      }
+      yield { row: record.row, data: Object.fromEntries(header.map((column, i) => [column, cells[i]])) };
+    }
+
+    if (pending) {
+      yield { row: pending.row, data: null, error: 'Unterminated quoted field' };
+    }
+  }
+
+  /**
+   * Turn one imported row into a SensorData record
+   * @returns {Object} { record } or { error }
+   */
+  toRecord(data, deviceId, userId, calibration) {
+    const number = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+    if (data.deviceId && normalizeDeviceId(String(data.deviceId)) !== deviceId) {
+      return { error: `Row belongs to device ${data.deviceId}` };
+    }
+
+    const recordedAt = new Date(data.timestamp);
+    if (!data.timestamp || isNaN(recordedAt.getTime())) {
+      return { error: 'Invalid or missing timestamp' };
+    }
+    if (recordedAt.getTime() > Date.now()) {
+      return { error: 'Timestamp is in the future' };
+    }
+
+    // The firmware payload's `timestamp` is the device clock (required on
+    // SensorData); rows without one fall back to the recorded time
+    const deviceTimestamp = number(data.deviceTimestamp) ?? recordedAt.getTime();
+    const rawData = {
+      deviceId,
+      zone1: number(data.zone1),
+      zone2: number(data.zone2),
+      zone3: number(data.zone3),
+      timestamp: deviceTimestamp,
+      pumpState: number(data.pumpState) || 0,
+      rssi: number(data.rssi) || 0
+    };
+    Object.keys(rawData).forEach(key => rawData[key] === undefined && delete rawData[key]);
+
+    const validation = sensorAlgorithm.validateSensorData(rawData);
+    if (!validation.isValid) {
+      return { error: validation.error };
+    }
+    if ([rawData.zone1, rawData.zone2, rawData.zone3, deviceTimestamp].some(Number.isNaN)) {
+      return { error: 'Zone values and deviceTimestamp must be numbers' };
+    }
+
+    const processedData = sensorAlgorithm.processSensorData(rawData, calibration);
+    const record = toSensorDataRecord(processedData, String(userId), recordedAt);
+
+    const invalid = new SensorData(record).validateSync();
+    if (invalid) {
+      return { error: Object.values(invalid.errors).map(e => e.message).join('; ') };
+    }
+    return { record };
+  }
+
+  /**
+   * Import readings for one (owned) device
+   * @param {stream.Readable} input - CSV or NDJSON text
+   * @param {Object} options - { deviceId (normalized), userId, format: 'csv' | 'ndjson' }
+   * @returns {Promise<Object>} ImportReport JSON
+   */
+  async importSensorData(input, { deviceId, userId, format }) {
+    const report = new ImportReport({ imported: 0, duplicates: 0 });
+    const importId = crypto.randomUUID();
+    const importedAt = new Date();
+    const seen = new Set();
+    let batch = [];
+    let earliestRecent = null;
+    let staged = 0;
+
+    // Percentages from the device's current calibration, as for live readings
+    const device = await Device.findOne({ deviceId }).select('calibration').lean();
+    const calibration = moistureConversion.resolve(device);
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const current = batch;
+      batch = [];
+
+      // Skip readings already stored (live or from an earlier import)
+      const timestamps = current.map(({ record }) => record.timestamp);
+      const [stored, stagedBefore] = await Promise.all([
+        SensorData.find({ deviceId, timestamp: { $in: timestamps } }).select('timestamp').lean(),
+        SensorDataImport.find({ deviceId, timestamp: { $in: timestamps } }).select('timestamp').lean()
+      ]);
+      const existing = new Set([...stored, ...stagedBefore].map(doc => doc.timestamp.getTime()));
+      const fresh = current.filter(({ record }) => !existing.has(record.timestamp.getTime()));
+      report.summary.duplicates += current.length - fresh.length;
+
+      // Readings a concurrent import stored since the check above hit the
+      // unique index on imported readings and count as duplicates too
+      const insert = async (Model, records) => {
+        const { inserted, duplicates } = await this.insertReadings(Model, records);
+        report.summary.imported += inserted;
+        report.summary.duplicates += duplicates;
+        return inserted;
+      };
+
+      // Readings past the raw retention would be deleted by the TTL index
+      // before compaction, so they go to the staging collection instead
+      const recent = [];
+      const old = [];
+      fresh.forEach(({ record }) => {
+        (sensorRetention.resolutionFor(record.timestamp) === 'raw' ? recent : old).push({ ...record, importedAt });
+      });
+
+      if (recent.length > 0 && await insert(SensorData, recent) > 0) {
+        const earliest = recent.reduce((min, r) => (r.timestamp < min ? r.timestamp : min), recent[0].timestamp);
+        if (!earliestRecent || earliest < earliestRecent) earliestRecent = earliest;
+      }
+      if (old.length > 0) {
+        staged += await insert(SensorDataImport, old.map(record => ({ ...record, importId })));
+      }
+    };
+
+    for await (const { row, data, error } of this.records(input, format)) {
+      report.summary.received++;
+      if (!data) {
+        report.fail(row, error);
+        continue;
+      }
+
+      const result = this.toRecord(data, deviceId, userId, calibration);
+      if (result.error) {
+        report.fail(row, result.error);
+        continue;
+      }
+
+      const key = result.record.timestamp.getTime();
+      if (seen.has(key)) {
+        report.summary.duplicates++;
+        continue;
+      }
+      seen.add(key);
+
+      batch.push(result);
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    if (earliestRecent || staged > 0) {
+      await sensorRetention.rollupImport(deviceId, { importId, since: earliestRecent });
+    }
+
+    console.log(`📥 Imported ${report.summary.imported}/${report.summary.received} readings for device ${deviceId} (${report.summary.duplicates} duplicates, ${report.summary.failed} failed)`);
+    return report.toJSON();
+  }
+
+  /**
+   * Insert readings unordered, counting duplicate-key failures instead of throwing
+   * @returns {Promise<Object>} { inserted, duplicates }
+   */
+  async insertReadings(Model, records) {
+    try {
+      await Model.insertMany(records, { ordered: false });
+      return { inserted: records.length, duplicates: 0 };
+    } catch (error) {
+      // Mongoose copies the driver's WriteErrors into plain objects (code under err)
+      const writeErrors = error.writeErrors || [];
+      const isDuplicate = writeError => (writeError.code ?? writeError.err?.code) === DUPLICATE_KEY;
+      if (writeErrors.length === 0 || !writeErrors.every(isDuplicate)) {
+        throw error;
+      }
+      return { inserted: records.length - writeErrors.length, duplicates: writeErrors.length };
+    }
+  }
+
+  /**
+   * Pick the allowed fields of a config object
+   */
+  pickFields(source, fields) {
+    return Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+  }
+
+  /**
+   * Create or update one device from an imported config
+   * @returns {Promise<string>} 'created' | 'updated'
+   */
+  async importDevice(config, userId) {
+    const deviceId = config.deviceId ? normalizeDeviceId(String(config.deviceId)) : null;
+    if (!deviceId) {
+      throw new Error('deviceId is required');
+    }
+
+    const settings = this.pickFields(config, DEVICE_CONFIG_FIELDS);
+    const existing = await Device.findOne({ deviceId });
+
+    if (existing) {
+      if (existing.userID !== String(userId)) {
+        throw new Error('Device is registered to another user');
+      }
+      existing.set(settings);
+      existing.LastUpdated = new Date();
+      await existing.save();
+      return 'updated';
+    }
+
+    const macAddress = config.MACaddress || config.macAddress;
+    if (!macAddress) {
+      throw new Error('MACaddress is required for new devices');
+    }
+
+    // Same identity fields as POST /api/devices/register; the device goes
+    // Online once it connects and registers itself
+    const device = new Device({
+      ...settings,
+      userID: String(userId),
+      deviceId,
+      MACaddress: macAddress,
+      DeviceName: settings.DeviceName || `Ecosprinkle-${deviceId.substring(0, 8)}`,
+      WifiSSID: settings.WifiSSID || 'Unknown',
+      deviceType: ['sensor', 'pump', 'combined'].includes(config.deviceType) ? config.deviceType : 'combined',
+      QRcode: JSON.stringify({ deviceId, type: 'Ecosprinkle', mac: macAddress, version: '2.0.0' }),
+      securityKey: crypto.randomBytes(32).toString('hex'),
+      Status: 'Registered'
+    });
+    await device.save();
+
+    await User.findByIdAndUpdate(userId, { $push: { devices: device._id } });
+    return 'created';
+  }
+
+  /**
+   * Create one plant unless the user already has one with the same name and type
+   * @returns {Promise<string>} 'created' | 'duplicate'
+   */
+  async importPlant(config, userId) {
+    if (!config.name || !config.plantType) {
+      throw new Error('name and plantType are required');
+    }
+
+    const exists = await Plant.exists({ userId, name: config.name, plantType: config.plantType });
+    if (exists) {
+      return 'duplicate';
+    }
+
+    await Plant.create({ ...this.pickFields(config, PLANT_CONFIG_FIELDS), userId });
+    return 'created';
+  }
+
+  /**
+   * Import device and plant configurations
+   * @param {Object} configs - { devices: [...], plants: [...] }
+   * @param {string} userId - Owner of everything imported
+   * @returns {Promise<Object>} { devices: ImportReport JSON, plants: ImportReport JSON }
+   */
+  async importConfigs({ devices = [], plants = [] }, userId) {
+    const deviceReport = new ImportReport({ created: 0, updated: 0 });
+    const plantReport = new ImportReport({ created: 0, duplicates: 0 });
+
+    for (const [index, config] of devices.entries()) {
+      deviceReport.summary.received++;
+      try {
+        deviceReport.summary[await this.importDevice(config || {}, userId)]++;
+      } catch (error) {
+        deviceReport.fail(index, error.message);
+      }
+    }
+
+    for (const [index, config] of plants.entries()) {
+      plantReport.summary.received++;
+      try {
+        const result = await this.importPlant(config || {}, userId);
+        plantReport.summary[result === 'duplicate' ? 'duplicates' : 'created']++;
+      } catch (error) {
+        plantReport.fail(index, error.message);
+      }
+    }
+
+    console.log(`📥 Imported configs for user ${userId}: ${deviceReport.summary.created} devices created, ${deviceReport.summary.updated} updated, ${plantReport.summary.created} plants created`);
+    return { devices: deviceReport.toJSON(), plants: plantReport.toJSON() };
+  }
+}
+
+// Export singleton instance
+module.exports = new ImportService();
@@ -0,0 +1,198 @@
+/**
+ * Moisture Conversion Service - The one ADC → moisture % conversion
+ *
+ * Every percentage the backend shows, stores or decides on comes from
+ * toPercent() with the device's resolved calibration, so a stored
+ * SensorData.zoneNPercent is exactly what the watering engine voted on.
+ *
+ * Resistive probes read HIGH ADC when dry and LOW ADC when wet.
+ * Per-zone curves (Device.calibration.zoneN):
+ * - linear     { wet, dry }                                 (type optional)
+ * - piecewise  { type: 'piecewise', points: [{ adc, percent }, ...] }
+ *              interpolated between points, clamped outside them
+ * - polynomial { type: 'polynomial', wet, dry, coefficients: [c0, c1, ...] }
+ *              percent = c0 + c1·adc + c2·adc² ..., with adc clamped to wet..dry
+ *
+ * Results are rounded and clamped to 0-100. Firmware only understands
+ * linear calibration; resolve() gives every curve the wet/dry endpoints it
+ * spans so the device config still has something sensible.
+ */
+
+const ZONES = ['zone1', 'zone2', 'zone3'];
+const CURVE_TYPES = ['linear', 'piecewise', 'polynomial'];
+const ADC_MAX = 4095;
+
+// Used for zones that were never calibrated
+const DEFAULT_CALIBRATION = {
+  zone1: { type: 'linear', dry: 4095, wet: 1050 },
+  zone2: { type: 'linear', dry: 4095, wet: 1070 },
+  zone3: { type: 'linear', dry: 4095, wet: 1150 }
+};
+
+class MoistureConversionService {
+  getDefaultCalibration() {
+    const calibration = {};
+    ZONES.forEach(zone => {
+      calibration[zone] = { ...DEFAULT_CALIBRATION[zone] };
+    });
+    return calibration;
+  }
+
+  /**
+   * Plain curve object from a stored zone calibration, or null when the
+   * zone has no usable curve
+   */
+  normalizeCurve(zoneCalibration) {
+    if (!zoneCalibration) return null;
+    const source = typeof zoneCalibration.toObject === 'function' ? zoneCalibration.toObject() : zoneCalibration;
+    const type = source.type || 'linear';
+
+    if (type === 'piecewise') {
+      if (!Array.isArray(source.points) || source.points.length < 2) return null;
+      const points = source.points
+        .map(({ adc, percent }) => ({ adc, percent }))
+        .sort((a, b) => a.adc - b.adc);
+      return { type, points, wet: points[0].adc, dry: points[points.length - 1].adc };
+    }
+
+    if (typeof source.wet !== 'number' || typeof source.dry !== 'number') return null;
+    if (type === 'polynomial') {
+      if (!Array.isArray(source.coefficients) || source.coefficients.length === 0) return null;
+      return { type, wet: source.wet, dry: source.dry, coefficients: [...source.coefficients] };
+    }
+    return { type: 'linear', wet: source.wet, dry: source.dry };
+  }
+
+  /**
+   * Per-zone curves for a device: Device.calibration (settings or the
+   * calibration wizard) with defaults for zones that have none
+   * @param {Object|null} device
+   */
+  resolve(device) {
+    const stored = device?.calibration || {};
+    const calibration = {};
+    ZONES.forEach(zone => {
+      calibration[zone] = this.normalizeCurve(stored[zone]) || { ...DEFAULT_CALIBRATION[zone] };
+    });
+    return calibration;
+  }
+
+  /**
+   * Convert one raw ADC reading
+   * @param {number} adc - Raw ADC (0-4095)
+   * @param {Object} curve - Zone curve (see header)
+   * @returns {number} Moisture percent 0-100 (100 = wet)
+   */
+  toPercent(adc, curve) {
+    const normalized = this.normalizeCurve(curve);
+    if (!normalized) {
+      throw new Error('Invalid calibration curve');
+    }
+
+    let percent;
+    switch (normalized.type) {
+      case 'piecewise':
+        percent = this.interpolate(adc, normalized.points);
+        break;
+      case 'polynomial': {
+        const clamped = Math.max(normalized.wet, Math.min(normalized.dry, adc));
+        percent = normalized.coefficients.reduce((sum, c, power) => sum + c * clamped ** power, 0);
+        break;
+      }
+      default: {
+        const { wet, dry } = normalized;
+        const clamped = Math.max(wet, Math.min(dry, adc));
+        percent = 100 - ((clamped - wet) / (dry - wet)) * 100;
+      }
+    }
+
+    return Math.max(0, Math.min(100, Math.round(percent)));
+  }
+
+  /**
+   * Linear interpolation between points sorted by ascending ADC
+   */
+  interpolate(adc, points) {
+    if (adc <= points[0].adc) return points[0].percent;
+    const last = points[points.length - 1];
+    if (adc >= last.adc) return last.percent;
+
+    const upper = points.findIndex(point => point.adc >= adc);
+    const a = points[upper - 1];
+    const b = points[upper];
+    if (b.adc === a.adc) return b.percent;
+    return a.percent + ((adc - a.adc) / (b.adc - a.adc)) * (b.percent - a.percent);
+  }
+
+  /**
+   * Percentages for a { zone1, zone2, zone3 } reading
+   * @param {Object} reading - Raw ADC values
+   * @param {Object} calibration - resolve() result
+   */
+  convert(reading, calibration) {
+    const percents = {};
+    ZONES.forEach(zone => {
+      percents[zone] = this.toPercent(reading[zone], calibration[zone]);
+    });
+    return percents;
+  }
+
+  /**
+   * Validate a calibration from the API (any subset of zones)
+   * @returns {string|null} Error message, null when valid
+   */
+  validate(calibration) {
+    if (calibration === null) return null;
+    if (typeof calibration !== 'object' || Array.isArray(calibration)) {
+      return 'calibration must be an object keyed by zone';
+    }
+
+    const isAdc = (value) => typeof value === 'number' && value >= 0 && value <= ADC_MAX;
+
+    for (const [zone, curve] of Object.entries(calibration)) {
+      if (!ZONES.includes(zone)) return `Unknown calibration zone: ${zone}`;
+      if (!curve || typeof curve !== 'object') return `${zone}: calibration must be an object`;
+
+      const type = curve.type || 'linear';
+      if (!CURVE_TYPES.includes(type)) {
+        return `${zone}: type must be one of ${CURVE_TYPES.join(', ')}`;
+      }
+
+      if (type === 'piecewise') {
+        const { points } = curve;
+        if (!Array.isArray(points) || points.length < 2) {
+          return `${zone}: piecewise calibration needs at least 2 points`;
+        }
+        if (!points.every(p => p && isAdc(p.adc) && typeof p.percent === 'number' && p.percent >= 0 && p.percent <= 100)) {
+          return `${zone}: points need adc 0-${ADC_MAX} and percent 0-100`;
+        }
+        const sorted = [...points].sort((a, b) => a.adc - b.adc);
+        for (let i = 1; i < sorted.length; i++) {
+          if (sorted[i].adc === sorted[i - 1].adc) return `${zone}: duplicate point at ${sorted[i].adc} ADC`;
+          if (sorted[i].percent > sorted[i - 1].percent) {
+            return `${zone}: percent must not increase with ADC (higher ADC = drier)`;
+          }
+        }
+        continue;
+      }
+
+      if (!isAdc(curve.wet) || !isAdc(curve.dry)) {
+        return `${zone}: wet and dry must be ADC values 0-${ADC_MAX}`;
+      }
+      if (curve.wet >= curve.dry) {
+        return `${zone}: wet ADC must be below dry ADC (resistive sensors read lower when wet)`;
+      }
+      if (type === 'polynomial' &&
+          (!Array.isArray(curve.coefficients) || curve.coefficients.length === 0 ||
+           !curve.coefficients.every(Number.isFinite))) {
+        return `${zone}: polynomial calibration needs numeric coefficients`;
+      }
+    }
+    return null;
+  }
+}
+
+// Export singleton instance
+module.exports = new MoistureConversionService();
+module.exports.ZONES = ZONES;
+module.exports.CURVE_TYPES = CURVE_TYPES;
@@ -0,0 +1,233 @@
+/**
+ * Moisture Forecast Service - Drying rates and predicted next watering
+ *
+ * Fits a drying rate per zone from the last LOOKBACK_HOURS of readings
+ * (5-minute buckets from sensorAggregationService):
+ * - PumpSession runs split the history into drying segments; each segment
+ *   starts SOAK_MINUTES after the pump stopped, once the water has spread
+ * - a least-squares slope per segment, averaged weighted by segment length,
+ *   is the zone's decline in % per hour
+ *
+ * The forecast projects each zone forward at its rate and runs the device's
+ * watering strategy on the projection, so "next watering" means what the
+ * engine would actually do in auto mode. Zones flagged faulty
+ * (sensorFaultService) are left out, as they are from the live vote.
+ */
+
+const PumpSession = require('../models/PumpSession');
+const Sensor = require('../models/Sensor');
+const sensorAggregation = require('./sensorAggregationService');
+const wateringStrategies = require('./wateringStrategies');
+const wateringEngine = require('./wateringDecisionEngine');
+
+const ZONES = ['zone1', 'zone2', 'zone3'];
+const HOUR_MS = 60 * 60 * 1000;
+
+class MoistureForecastService {
+  constructor() {
+    this.LOOKBACK_HOURS = 48; // Raw readings are kept at least 2 days
+    this.SOAK_MINUTES = 30;
+    this.MIN_SEGMENT_HOURS = 1;
+    this.MIN_SEGMENT_POINTS = 6;
+    this.MIN_RATE_PER_HOUR = 0.05; // Slower than this counts as not drying
+    this.HORIZON_HOURS = 7 * 24;
+    this.STEP_MINUTES = 10;
+  }
+
+  /**
+   * Least-squares slope of { hours, percent } points (% per hour)
+   */
+  slope(points) {
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.hours, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.percent, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    points.forEach(p => {
+      numerator += (p.hours - meanX) * (p.percent - meanY);
+      denominator += (p.hours - meanX) ** 2;
+    });
+    return denominator > 0 ? numerator / denominator : 0;
+  }
+
+  /**
+   * Drying segments between waterings: [{ from, to }]
+   */
+  segments(from, to, sessions) {
+    const soakMs = this.SOAK_MINUTES * 60 * 1000;
+    const segments = [];
+    let start = from;
+
+    sessions.forEach(session => {
+      if (session.startedAt > start) {
+        segments.push({ from: start, to: session.startedAt });
+      }
+      const stoppedAt = session.stoppedAt || to; // Still running: nothing after it dries yet
+      start = new Date(Math.max(start.getTime(), stoppedAt.getTime() + soakMs));
+    });
+    if (start < to) {
+      segments.push({ from: start, to });
+    }
+    return segments;
+  }
+
+  /**
+   * Fit one zone's drying rate over the segments
+   * @returns {Object} { ratePerHour, segments } (ratePerHour null when unknown)
+   */
+  fitZone(zone, buckets, segments) {
+    let weightedRate = 0;
+    let totalHours = 0;
+    let used = 0;
+
+    segments.forEach(({ from, to }) => {
+      const points = buckets
+        .filter(b => b.start >= from && b.start < to && typeof b.zones[zone]?.avg === 'number')
+        .map(b => ({ hours: (b.start - from) / HOUR_MS, percent: b.zones[zone].avg }));
+      const hours = (to - from) / HOUR_MS;
+      if (points.length < this.MIN_SEGMENT_POINTS || hours < this.MIN_SEGMENT_HOURS) return;
+
+      weightedRate += -this.slope(points) * hours;
+      totalHours += hours;
+      used++;
+    });
+
+    return {
+      ratePerHour: totalHours > 0 ? Math.round((weightedRate / totalHours) * 100) / 100 : null,
+      segments: used
+    };
+  }
+
+  /**
+   * First time the strategy would water, stepping the projection forward
+   * @returns {number|null} Hours from the last reading, null beyond the horizon
+   */
+  predictWatering(zones, strategy, thresholds, options) {
+    for (let minutes = 0; minutes <= this.HORIZON_HOURS * 60; minutes += this.STEP_MINUTES) {
+      const hours = minutes / 60;
+      const projected = zones.map(z => ({
+        name: z.name,
+        percent: Math.max(0, Math.round(z.percent - (z.ratePerHour > 0 ? z.ratePerHour * hours : 0))),
+        isValid: true
+      }));
+      if (strategy.decide({ zones: projected, thresholds, options }).shouldWater) {
+        return hours;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forecast for one device
+   * @param {Object} device - Device document (ownership already checked)
+   */
+  async forecast(device) {
+    const { deviceId, userID } = device;
+    const thresholds = device.customThresholds || wateringEngine.calculateThresholdsFromSettings(device);
+    const to = new Date();
+    const from = new Date(to.getTime() - this.LOOKBACK_HOURS * HOUR_MS);
+
+    const [{ buckets }, sessions, sensor] = await Promise.all([
+      sensorAggregation.aggregate({ deviceId, userId: userID, from, to, bucket: '5m', percentiles: [], maxPoints: this.LOOKBACK_HOURS * 12 }),
+      PumpSession.find({
+        deviceId,
+        startedAt: { $lt: to },
+        $or: [{ stoppedAt: null }, { stoppedAt: { $gte: from } }]
+      }).sort({ startedAt: 1 }).select('startedAt stoppedAt').lean(),
+      Sensor.findOne({ deviceId }).select('zone1.health zone2.health zone3.health').lean()
+    ]);
+
+    const strategy = wateringStrategies.getStrategy(device.wateringStrategy);
+    const result = {
+      deviceId,
+      mode: device.wateringMode || 'auto',
+      strategy: strategy.name,
+      thresholds,
+      lookbackHours: this.LOOKBACK_HOURS,
+      generatedAt: to,
+      lastReadingAt: null,
+      zones: {},
+      nextWateringAt: null,
+      hoursUntilWatering: null,
+      source: null,
+      reason: null
+    };
+
+    if (device.wateringMode === 'schedule') {
+      result.source = 'schedule';
+      result.nextWateringAt = device.scheduleMode?.nextScheduledAt || null;
+      if (result.nextWateringAt) {
+        result.hoursUntilWatering = Math.max(0, Math.round(((result.nextWateringAt - to) / HOUR_MS) * 10) / 10);
+      }
+    }
+
+    const last = buckets[buckets.length - 1];
+    if (!last) {
+      result.reason = `No readings in the last ${this.LOOKBACK_HOURS} hours`;
+      return result;
+    }
+    result.lastReadingAt = last.start;
+
+    const segments = this.segments(from, to, sessions);
+    const votingZones = [];
+
+    ZONES.forEach(zone => {
+      const health = sensor?.[zone]?.health?.status || 'ok';
+      const { ratePerHour, segments: segmentsUsed } = this.fitZone(zone, buckets, segments);
+      const currentPercent = typeof last.zones[zone]?.avg === 'number' ? Math.round(last.zones[zone].avg) : null;
+      const drying = ratePerHour !== null && ratePerHour >= this.MIN_RATE_PER_HOUR;
+
+      let hoursUntilDry = null;
+      if (currentPercent !== null && currentPercent <= thresholds.dry) {
+        hoursUntilDry = 0;
+      } else if (currentPercent !== null && drying) {
+        hoursUntilDry = Math.round(((currentPercent - thresholds.dry) / ratePerHour) * 10) / 10;
+      }
+
+      result.zones[zone] = {
+        health,
+        currentPercent,
+        dryingRatePerHour: ratePerHour,
+        segments: segmentsUsed,
+        hoursUntilDry,
+        dryAt: hoursUntilDry !== null ? new Date(last.start.getTime() + hoursUntilDry * HOUR_MS) : null
+      };
+
+      if (health !== 'faulty' && currentPercent !== null) {
+        votingZones.push({ name: zone, percent: currentPercent, ratePerHour: drying ? ratePerHour : 0 });
+      }
+    });
+
+    if (result.source === 'schedule') {
+      return result;
+    }
+    if (result.mode !== 'auto') {
+      result.reason = 'Watering is manual';
+      return result;
+    }
+
+    result.source = 'auto';
+    if (votingZones.length === 0) {
+      result.reason = 'No healthy zones to forecast';
+      return result;
+    }
+
+    const hours = this.predictWatering(votingZones, strategy, thresholds, { zoneWeights: device.zoneWeights });
+    if (hours === null) {
+      result.reason = `No watering expected within ${this.HORIZON_HOURS / 24} days at the current drying rates`;
+      return result;
+    }
+
+    // Measured from the last reading, never in the past
+    const wateringAt = new Date(Math.max(to.getTime(), last.start.getTime() + hours * HOUR_MS));
+    result.nextWateringAt = wateringAt;
+    result.hoursUntilWatering = Math.round(((wateringAt - to) / HOUR_MS) * 10) / 10;
+    result.reason = hours === 0
+      ? 'Watering is due now'
+      : `Projected from drying rates over the last ${this.LOOKBACK_HOURS} hours`;
+    return result;
+  }
+}
+
+// Export singleton instance
+module.exports = new MoistureForecastService();
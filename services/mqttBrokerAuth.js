@@ -0,0 +1,369 @@
+/**
+ * MQTT Broker Authentication & Topic ACLs
+ *
+ * Hooks for the embedded aedes broker (index.js):
+ * - authenticate:       username = deviceId, password = Device.securityKey
+ *                       (issued at registration). The backend's own clients
+ *                       log in with MQTT_BACKEND_USERNAME / MQTT_BACKEND_PASSWORD.
+ * - authorizePublish:   a device may only publish under ecosprinkle/{ownId}/#
+ *                       (and its command responses, devices/{ownId}/#)
+ * - authorizeSubscribe: a device may only subscribe under ecosprinkle/{ownId}/#
+ *                       (plus the retained backend status topic)
+ *
+ * The topic prefix is matched case-insensitively so legacy firmware using
+ * Ecosprinkle/{ownId}/... keeps working. The shared Ecosprinkle/sensors/data
+ * topic carries no device ID, so firmware still using it needs
+ * MQTT_ALLOW_ANONYMOUS=true. Anonymous clients have no credentials, so
+ * they only get what old firmware needs: publishing device → backend topics
+ * (sensor data, status, ACKs, responses) and subscribing to one device's
+ * tree without wildcards in the device segment. They can never publish
+ * commands. Each anonymous connection is bound to a single device: the one
+ * its client ID names (e.g. "ESP32-BCDDC2CDBB40"), otherwise the first device
+ * it publishes or subscribes for. Topics of any other device are denied, and
+ * so are shared-topic readings whose payload names another device. This
+ * still lets an anonymous client speak for the device it claims, which is
+ * why a warning is logged at startup. Device IDs in usernames, client IDs,
+ * topics and payloads are normalized the same way as the REST API (last 6
+ * MAC characters).
+ *
+ * Every rejected connection, publish and subscribe is logged, and written to
+ * the Log collection (throttled per client and action).
+ */
+
+const crypto = require('crypto');
+const Device = require('../models/Device');
+const Log = require('../models/Log');
+const mqttProtocol = require('./mqttProtocol');
+const { normalizeDeviceId } = require('./deviceId');
+
+// Only write one Log entry per client and action per minute
+const DENIAL_LOG_INTERVAL_MS = 60 * 1000;
+
+// Log owner/device for denials that cannot be tied to a registered device
+const SYSTEM_USER_ID = 'system';
+const ANONYMOUS_DEVICE_ID = 'anonymous';
+
+// Device → backend topic suffixes (after {prefix}/{deviceId}/)
+const UPLINK_TOPICS = ['sensor', 'ack', 'status', 'sensors/data'];
+
+// Topic segments that look like device IDs but are shared topics
+const RESERVED_SEGMENTS = ['sensors', 'backend'];
+
+// Client IDs that carry a device's MAC address (optionally prefixed)
+const DEVICE_CLIENT_ID = /^(esp32-|ecosprinkle-)?[0-9a-f]{6,12}$/i;
+
+// CONNACK return codes (MQTT 3.1.1)
+const BAD_USERNAME_OR_PASSWORD = 4;
+const NOT_AUTHORIZED = 5;
+
+class MqttBrokerAuth {
+  constructor() {
+    this.backendUsername = process.env.MQTT_BACKEND_USERNAME || 'ecosprinkle-backend';
+    // Without a configured password only clients in this process can log in as the backend
+    this.backendPassword = process.env.MQTT_BACKEND_PASSWORD || crypto.randomBytes(24).toString('hex');
+    this.allowAnonymous = process.env.MQTT_ALLOW_ANONYMOUS === 'true';
+    this.lastDenialLog = new Map();
+  }
+
+  /**
+   * Credentials for backend MQTT clients connecting to the embedded broker
+   */
+  getBackendCredentials() {
+    return {
+      username: this.backendUsername,
+      password: this.backendPassword
+    };
+  }
+
+  /**
+   * Install the hooks on an aedes instance
+   */
+  attach(broker) {
+    broker.authenticate = this.authenticate.bind(this);
+    broker.authorizePublish = this.authorizePublish.bind(this);
+    broker.authorizeSubscribe = this.authorizeSubscribe.bind(this);
+
+    if (this.allowAnonymous) {
+      console.warn('⚠️ MQTT_ALLOW_ANONYMOUS=true - devices may connect without credentials. Anonymous clients are ' +
+        'not authenticated: any client on the network can publish sensor readings, status and ACKs for the device ID ' +
+        'it claims (one device per connection). Disable once all firmware logs in with its securityKey.');
+    }
+    console.log('🔐 MQTT broker authentication and topic ACLs enabled');
+  }
+
+  /**
+   * Constant-time string comparison
+   */
+  safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
+  /**
+   * Reject a CONNECT with the given return code
+   * @param {Object} [identity] - { deviceId, userId } the login claimed
+   */
+  rejectConnection(client, callback, returnCode, reason, identity = {}) {
+    console.warn(`🔐❌ MQTT login rejected for client ${client.id}: ${reason}`);
+    this.logDenial('connect', client, reason, identity);
+    const error = new Error(reason);
+    error.returnCode = returnCode;
+    callback(error, false);
+  }
+
+  /**
+   * aedes authenticate hook
+   */
+  async authenticate(client, username, password, callback) {
+    const secret = password ? password.toString() : '';
+
+    if (!username) {
+      if (this.allowAnonymous) {
+        client.isAnonymous = true;
+        client.deviceId = DEVICE_CLIENT_ID.test(client.id || '') ? normalizeDeviceId(client.id) : null;
+        return callback(null, true);
+      }
+      return this.rejectConnection(client, callback, NOT_AUTHORIZED, 'no credentials supplied',
+        { deviceId: ANONYMOUS_DEVICE_ID });
+    }
+
+    if (username === this.backendUsername) {
+      if (this.safeEqual(secret, this.backendPassword)) {
+        client.isBackend = true;
+        return callback(null, true);
+      }
+      return this.rejectConnection(client, callback, BAD_USERNAME_OR_PASSWORD, 'invalid backend password',
+        { deviceId: this.backendUsername });
+    }
+
+    const deviceId = normalizeDeviceId(username);
+    try {
+      const device = await Device.findOne({ deviceId }).select('deviceId userID securityKey isActive');
+      const identity = { deviceId, userId: device?.userID };
+
+      if (!device || !device.securityKey || !this.safeEqual(secret, device.securityKey)) {
+        return this.rejectConnection(client, callback, BAD_USERNAME_OR_PASSWORD, `invalid credentials for device ${deviceId}`, identity);
+      }
+
+      if (device.isActive === false) {
+        return this.rejectConnection(client, callback, NOT_AUTHORIZED, `device ${deviceId} is not active`, identity);
+      }
+
+      client.deviceId = deviceId;
+      client.userId = device.userID || null;
+      callback(null, true);
+    } catch (error) {
+      console.error('❌ MQTT authentication error:', error);
+      this.rejectConnection(client, callback, NOT_AUTHORIZED, 'authentication unavailable', { deviceId });
+    }
+  }
+
+  /**
+   * Write a rejected connect/publish/subscribe to the Log collection
+   * Throttled to one entry per client and action per minute. Denials that
+   * can't be tied to an owned device are logged under the 'system' user.
+   * @param {string} action - 'connect', 'publish' or 'subscribe'
+   * @param {Object} client - aedes client
+   * @param {string} reason
+   * @param {Object} [identity] - { deviceId, userId }; defaults to the client's own
+   * @param {Object} [details] - Extra details (e.g. topic)
+   */
+  async logDenial(action, client, reason, identity = {}, details = {}) {
+    const deviceId = identity.deviceId || client.deviceId || ANONYMOUS_DEVICE_ID;
+    const userId = identity.userId || client.userId || SYSTEM_USER_ID;
+
+    const key = `${action}:${deviceId}:${client.id}`;
+    const now = Date.now();
+    const last = this.lastDenialLog.get(key) || 0;
+    if (now - last < DENIAL_LOG_INTERVAL_MS) return;
+    this.lastDenialLog.set(key, now);
+
+    try {
+      await Log.create({
+        deviceId,
+        userId: String(userId),
+        eventType: 'error',
+        severity: 'warning',
+        source: 'mqtt',
+        details: {
+          message: `MQTT ${action} denied: ${reason}`,
+          action,
+          anonymous: !!client.isAnonymous,
+          clientId: client.id,
+          remoteAddress: client.conn?.remoteAddress || null,
+          ...details
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Failed to log MQTT ${action} denial for ${deviceId}:`, error.message);
+    }
+  }
+
+  /**
+   * Device ID segment of a topic, or null for shared topics and wildcards
+   */
+  getTopicDeviceSegment(topic) {
+    const parts = topic.split('/');
+    const prefix = parts[0].toLowerCase();
+    if (parts.length < 3 || !(prefix === 'ecosprinkle' || parts[0] === 'devices')) {
+      return null;
+    }
+    const segment = parts[1];
+    if (segment.includes('+') || segment.includes('#') || RESERVED_SEGMENTS.includes(segment.toLowerCase())) {
+      return null;
+    }
+    return segment;
+  }
+
+  /**
+   * Whether an anonymous client may publish to a topic: the shared legacy
+   * sensor topic, or a device → backend topic of a single device
+   */
+  isAnonymousPublishAllowed(topic) {
+    if (topic.toLowerCase() === mqttProtocol.topics.legacySensor.toLowerCase()) {
+      return true;
+    }
+    if (!this.getTopicDeviceSegment(topic)) {
+      return false;
+    }
+    const [prefix, , ...rest] = topic.split('/');
+    const suffix = rest.join('/');
+    return prefix === 'devices'
+      ? suffix === 'responses'
+      : UPLINK_TOPICS.includes(suffix.toLowerCase());
+  }
+
+  /**
+   * Device an anonymous publish speaks for: the topic's device segment, or
+   * the deviceId in the payload of the shared legacy sensor topic
+   * @returns {string|null} Normalized device ID, null when none is named
+   */
+  getAnonymousPublishDevice(topic, payload) {
+    const segment = this.getTopicDeviceSegment(topic);
+    if (segment) {
+      return normalizeDeviceId(segment);
+    }
+    try {
+      const data = JSON.parse(payload.toString());
+      return typeof data?.deviceId === 'string' ? normalizeDeviceId(data.deviceId) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Bind an anonymous client to the device it uses first
+   * @returns {boolean} Whether the client is bound to this device
+   */
+  bindAnonymousClient(client, deviceId) {
+    if (!client.deviceId) {
+      client.deviceId = deviceId;
+      console.log(`🔐 Anonymous MQTT client ${client.id} bound to device ${deviceId}`);
+    }
+    return client.deviceId === deviceId;
+  }
+
+  /**
+   * Whether an anonymous client may subscribe to a topic: the backend status,
+   * or one device's ecosprinkle/{id}/# tree (no wildcard device segment)
+   */
+  isAnonymousSubscribeAllowed(topic) {
+    if (topic === mqttProtocol.topics.backendStatus) {
+      return true;
+    }
+    return topic.split('/')[0].toLowerCase() === 'ecosprinkle' && this.getTopicDeviceSegment(topic) !== null;
+  }
+
+  /**
+   * Whether a device may use a topic (its own ecosprinkle/{id}/# tree,
+   * or devices/{id}/# when allowDevicesPrefix is set)
+   */
+  isOwnTopic(deviceId, topic, allowDevicesPrefix = false) {
+    const parts = topic.split('/');
+    const prefix = parts[0].toLowerCase();
+    if (parts.length < 3 || !(prefix === 'ecosprinkle' || (allowDevicesPrefix && parts[0] === 'devices'))) {
+      return false;
+    }
+    // Wildcards in the device segment would reach other devices
+    if (parts[1].includes('+') || parts[1].includes('#')) {
+      return false;
+    }
+    return normalizeDeviceId(parts[1]) === deviceId;
+  }
+
+  /**
+   * aedes authorizePublish hook
+   */
+  authorizePublish(client, packet, callback) {
+    const topic = packet.topic;
+
+    if (topic.startsWith('$SYS/')) {
+      this.logDenial('publish', client, '$SYS/ topics are reserved', {}, { topic });
+      return callback(new Error('$SYS/ topics are reserved'));
+    }
+    // Backend clients are unrestricted
+    if (client.isBackend) {
+      return callback(null);
+    }
+
+    if (client.isAnonymous) {
+      if (!this.isAnonymousPublishAllowed(topic)) {
+        console.warn(`🔐❌ MQTT publish denied: anonymous client ${client.id} → ${topic}`);
+        this.logDenial('publish', client, 'anonymous clients may only publish sensor/status topics', {}, { topic });
+        return callback(new Error(`Anonymous clients may not publish to ${topic}`));
+      }
+      const deviceId = this.getAnonymousPublishDevice(topic, packet.payload);
+      if (!deviceId) {
+        console.warn(`🔐❌ MQTT publish denied: anonymous client ${client.id} → ${topic} names no device`);
+        this.logDenial('publish', client, 'message names no device', {}, { topic });
+        return callback(new Error(`Anonymous clients must name their device on ${topic}`));
+      }
+      if (!this.bindAnonymousClient(client, deviceId)) {
+        console.warn(`🔐❌ MQTT publish denied: anonymous client ${client.id} (bound to ${client.deviceId}) → ${topic} for ${deviceId}`);
+        this.logDenial('publish', client, 'anonymous client is bound to another device', {}, { topic, claimedDeviceId: deviceId });
+        return callback(new Error(`Anonymous client ${client.id} may not publish for device ${deviceId}`));
+      }
+      return callback(null);
+    }
+
+    if (!this.isOwnTopic(client.deviceId, topic, true)) {
+      console.warn(`🔐❌ MQTT publish denied: device ${client.deviceId} (${client.id}) → ${topic}`);
+      this.logDenial('publish', client, 'topic belongs to another device', {}, { topic });
+      return callback(new Error(`Device ${client.deviceId} may not publish to ${topic}`));
+    }
+    callback(null);
+  }
+
+  /**
+   * aedes authorizeSubscribe hook (denied subscriptions are negated, not fatal)
+   */
+  authorizeSubscribe(client, subscription, callback) {
+    if (client.isBackend) {
+      return callback(null, subscription);
+    }
+
+    const topic = subscription.topic;
+    if (client.isAnonymous) {
+      if (topic === mqttProtocol.topics.backendStatus ||
+        (this.isAnonymousSubscribeAllowed(topic) &&
+          this.bindAnonymousClient(client, normalizeDeviceId(this.getTopicDeviceSegment(topic))))) {
+        return callback(null, subscription);
+      }
+      console.warn(`🔐❌ MQTT subscribe denied: anonymous client ${client.id} → ${topic}`);
+      this.logDenial('subscribe', client, 'anonymous clients may only subscribe to their own device', {}, { topic });
+      return callback(null, null);
+    }
+
+    if (topic === mqttProtocol.topics.backendStatus || this.isOwnTopic(client.deviceId, topic)) {
+      return callback(null, subscription);
+    }
+
+    console.warn(`🔐❌ MQTT subscribe denied: device ${client.deviceId} (${client.id}) → ${topic}`);
+    this.logDenial('subscribe', client, 'topic belongs to another device', {}, { topic });
+    callback(null, null);
+  }
+}
+
+// Export singleton instance
+module.exports = new MqttBrokerAuth();
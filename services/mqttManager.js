@@ -0,0 +1,191 @@
+/**
+ * MQTT Manager
+ *
+ * The backend's connection to the broker devices talk to - either the
+ * embedded aedes broker (services/embeddedBroker.js) or an external/cloud
+ * broker. Subscribes to every device → backend topic, hands messages to the
+ * device message handler, and queues outgoing commands while offline.
+ *
+ * One instance per app (see app.js createApp), so it is exported as a class.
+ */
+
+const mqtt = require('mqtt');
+const mqttProtocol = require('./mqttProtocol');
+
+class MQTTManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.brokerUrl - e.g. mqtt://broker.hivemq.com:1883
+   * @param {string} options.username - Optional broker login
+   * @param {string} options.password - Optional broker password
+   * @param {Function} options.onMessage - (topic, payloadBuffer) => Promise
+   * @param {Function} options.onConnect - Called after every (re)connect
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.client = null;
+    this.isConnected = false;
+    this.reconnectAttempts = 0;
+    this.maxReconnectAttempts = 10;
+    this.backoffDelay = 1000;
+    this.messageQueue = [];
+    this.maxQueueSize = 1000;
+  }
+
+  connect() {
+    const { brokerUrl, username, password } = this.options;
+    const BACKEND_CLIENT_ID = 'BACKEND_Ecosprinkle_' + Math.random().toString(36).substr(2, 9);
+
+    console.log('🔒 Initializing Enhanced MQTT Connection...');
+    console.log('📍 Broker URL:', brokerUrl);
+    console.log('📍 Client ID:', BACKEND_CLIENT_ID);
+
+    this.client = mqtt.connect(brokerUrl, {
+      clientId: BACKEND_CLIENT_ID,
+      username: username || undefined,
+      password: password || undefined,
+      clean: true,
+      connectTimeout: 30000,
+      reconnectPeriod: 5000,
+      keepalive: 60,
+      protocolVersion: 4,
+      will: {
+        topic: mqttProtocol.topics.backendStatus,
+        payload: 'offline',
+        qos: 1,
+        retain: true
+      }
+    });
+
+    this.setupEventHandlers();
+    return this.client;
+  }
+
+  setupEventHandlers() {
+    this.client.on('connect', () => {
+      console.log('✅ Backend connected to MQTT broker');
+      this.isConnected = true;
+      this.reconnectAttempts = 0;
+
+      // Wildcard (+) subscriptions match every device ID
+      this.client.subscribe(mqttProtocol.SUBSCRIPTIONS, { qos: 1 }, (err) => {
+        if (err) {
+          console.error('❌ Subscription error for device topics:', err);
+        } else {
+          console.log('✅ Subscribed to:', mqttProtocol.SUBSCRIPTIONS.join(', '));
+        }
+      });
+
+      // Publish backend online status
+      this.client.publish(mqttProtocol.topics.backendStatus, 'online', { qos: 1, retain: true });
+
+      // Process any queued messages
+      this.processQueuedMessages();
+
+      if (this.options.onConnect) {
+        this.options.onConnect(this.client);
+      }
+    });
+
+    this.client.on('error', (error) => {
+      console.error('❌ MQTT connection error:', error);
+      this.isConnected = false;
+    });
+
+    this.client.on('offline', () => {
+      console.log('📴 MQTT client offline - attempting reconnection...');
+      this.isConnected = false;
+      this.handleReconnection();
+    });
+
+    this.client.on('reconnect', () => {
+      this.reconnectAttempts++;
+      console.log(`🔄 Reconnecting to MQTT broker... (Attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+    });
+
+    this.client.on('message', async (topic, payload) => {
+      try {
+        await this.options.onMessage(topic, payload);
+      } catch (error) {
+        console.error('❌ Error processing MQTT message:', error);
+        // Log the problematic message for debugging
+        console.error('📨 Problematic message:', { topic, payload: payload.toString() });
+      }
+    });
+  }
+
+  handleReconnection() {
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      console.error('❌ Max reconnection attempts reached. Stopping reconnection.');
+      return;
+    }
+
+    // Exponential backoff
+    const delay = Math.min(this.backoffDelay * Math.pow(2, this.reconnectAttempts), 30000);
+    setTimeout(() => {
+      console.log(`⏰ Retrying connection in ${delay}ms...`);
+    }, delay);
+  }
+
+  /**
+   * Send a command in the protocol version the device's firmware speaks
+   * @returns {Promise<Object>} Encoded command ({ topic, payload, protocolVersion })
+   * @throws {Error} When the parameters don't match the command schema
+   */
+  async sendCommand(deviceId, command, params = {}) {
+    const device = await mqttProtocol.resolveDevice(deviceId);
+    const encoded = mqttProtocol.encodeCommand(device, command, params || {});
+    const { topic } = encoded;
+    const message = JSON.stringify(encoded.payload);
+
+    if (this.isConnected) {
+      this.client.publish(topic, message, { qos: 1 }, (err) => {
+        if (err) {
+          console.error('❌ Failed to send command:', err);
+          this.queueMessage(topic, message);
+        } else {
+          console.log('📤 Command sent to ESP32:', topic, message);
+        }
+      });
+    } else {
+      console.log('📦 MQTT offline, queueing command:', { topic, message });
+      this.queueMessage(topic, message);
+    }
+
+    return encoded;
+  }
+
+  queueMessage(topic, message) {
+    if (this.messageQueue.length >= this.maxQueueSize) {
+      console.warn('⚠️ Message queue full, dropping oldest message');
+      this.messageQueue.shift();
+    }
+    this.messageQueue.push({ topic, message, timestamp: Date.now() });
+  }
+
+  processQueuedMessages() {
+    console.log(`📦 Processing ${this.messageQueue.length} queued messages...`);
+    while (this.messageQueue.length > 0) {
+      const { topic, message } = this.messageQueue.shift();
+      this.client.publish(topic, message, { qos: 1 });
+    }
+  }
+
+  /**
+   * Disconnect (the retained status is set to offline first)
+   */
+  close() {
+    return new Promise((resolve) => {
+      if (!this.client) return resolve();
+
+      this.client.publish(mqttProtocol.topics.backendStatus, 'offline', { qos: 1, retain: true });
+      this.client.end(false, {}, () => {
+        this.isConnected = false;
+        console.log('📡 MQTT connection closed');
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = MQTTManager;
@@ -0,0 +1,602 @@
+/**
+ * EcoSprinkle MQTT Protocol
+ *
+ * Single definition of every MQTT topic and command payload exchanged with
+ * the ESP32. Services build messages through encodeCommand()/publishCommand()
+ * instead of hand-writing topics, so firmware generations can be supported
+ * side by side.
+ *
+ * Protocol versions:
+ *
+ *   v2 (current)  ecosprinkle/{deviceId}/command
+ *                 { v: 2, command, commandId, timestamp, ...params }
+ *                 timestamp in epoch seconds
+ *
+ *   v1 (legacy)   Ecosprinkle/{deviceId}/commands/pump
+ *                 { action: 'on'|'off', duration, source, commandId, timestamp }
+ *                 Ecosprinkle/{deviceId}/commands/control
+ *                 { command, parameters, commandId, timestamp }
+ *                 timestamp in epoch milliseconds
+ *
+ * The version is negotiated from Device.firmwareVersion. Firmware older than
+ * MQTT_LEGACY_FIRMWARE_BELOW (default 1.0) gets the v1 adapter, everything
+ * else gets v2.
+ *
+ * Device → backend topics (sensor/ack/status) are the same for both versions.
+ * decodeInbound() validates them against INBOUND_SCHEMAS (a JSON Schema
+ * subset) before any handler sees them; normalizeAck() translates legacy
+ * ACK fields.
+ */
+
+const PROTOCOL_VERSION = 2;
+const LEGACY_PROTOCOL_VERSION = 1;
+
+// Firmware below this version only understands the v1 topics
+const LEGACY_FIRMWARE_BELOW = process.env.MQTT_LEGACY_FIRMWARE_BELOW || '1.0';
+
+const topics = {
+  // Backend → device
+  command: deviceId => `ecosprinkle/${deviceId}/command`,
+  config: deviceId => `ecosprinkle/${deviceId}/config`,
+  legacyPump: deviceId => `Ecosprinkle/${deviceId}/commands/pump`,
+  legacyControl: deviceId => `Ecosprinkle/${deviceId}/commands/control`,
+
+  // Device → backend
+  sensor: deviceId => `ecosprinkle/${deviceId}/sensor`,
+  ack: deviceId => `ecosprinkle/${deviceId}/ack`,
+  status: deviceId => `ecosprinkle/${deviceId}/status`,
+  legacyStatus: deviceId => `Ecosprinkle/${deviceId}/status`,
+  legacySensor: 'Ecosprinkle/sensors/data',
+  legacyDeviceSensor: deviceId => `Ecosprinkle/${deviceId}/sensors/data`,
+  responses: deviceId => `devices/${deviceId}/responses`,
+
+  // Backend presence (retained)
+  backendStatus: 'Ecosprinkle/backend/status'
+};
+
+// Wildcard subscriptions the backend needs for all devices
+const SUBSCRIPTIONS = [
+  'ecosprinkle/+/sensor',
+  'ecosprinkle/+/ack',
+  'ecosprinkle/+/status',
+  'Ecosprinkle/+/status',
+
+  // Older firmware (sensors/data topics are published in either case)
+  'Ecosprinkle/+/sensors/data',
+  'ecosprinkle/+/sensors/data',
+  topics.legacySensor,
+  'devices/+/responses'
+];
+
+/**
+ * Command payload schemas
+ * Each entry lists the parameters the firmware reads. `required` parameters
+ * must be present; `type` is checked with typeof (or Array.isArray for 'array').
+ * Commands not listed here are passed through unchecked.
+ */
+const COMMANDS = {
+  PUMP_ON: {
+    params: {
+      duration: { type: 'number', required: true },
+      reason: { type: 'string' },
+      source: { type: 'string' },
+      zone: { type: 'number' },
+      isTest: { type: 'boolean' }
+    }
+  },
+  PUMP_OFF: {
+    params: {
+      duration: { type: 'number' },
+      reason: { type: 'string' },
+      source: { type: 'string' },
+      zone: { type: 'number' }
+    }
+  },
+  DEVICE_REGISTERED: { params: {} },
+  DEVICE_DELETED: {
+    params: {
+      deviceId: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  RESET_WIFI: {
+    params: {
+      reason: { type: 'string' }
+    }
+  },
+  SET_WATERING_MODE: {
+    params: {
+      mode: { type: 'string', required: true }
+    }
+  },
+  UPDATE_SCHEDULE: {
+    params: {
+      schedules: { type: 'array', required: true }
+    }
+  },
+  UPDATE_SCHEDULE_STATUS: {
+    params: {
+      scheduleId: { type: 'string' },
+      enabled: { type: 'boolean' },
+      schedule: { type: 'object' }
+    }
+  },
+  DELETE_SCHEDULE: {
+    params: {
+      scheduleId: { type: 'string', required: true }
+    }
+  },
+  CANCEL_ALL_SCHEDULES: {
+    params: {
+      cancelledCount: { type: 'number' }
+    }
+  },
+  CLEAR_ALL_SCHEDULES: { params: {} },
+  PAUSE_SCHEDULE: {
+    params: {
+      isPaused: { type: 'boolean' }
+    }
+  },
+  RESUME_SCHEDULE: {
+    params: {
+      isPaused: { type: 'boolean' }
+    }
+  },
+  UPDATE_CALIBRATION: {
+    params: {
+      zone: { type: 'string', required: true },
+      calibration: { type: 'object', required: true }
+    }
+  },
+  RESET_CALIBRATION: {
+    params: {
+      calibrations: { type: 'object' }
+    }
+  }
+};
+
+const PUMP_COMMANDS = ['PUMP_ON', 'PUMP_OFF'];
+
+const ADC_VALUE = { type: 'number', minimum: 0, maximum: 4095 };
+const PERCENT_VALUE = { type: 'number', minimum: 0, maximum: 100 };
+const PUMP_STATE = { type: ['number', 'boolean'] };
+const TIMESTAMP = { type: ['number', 'string'] };
+
+/**
+ * Inbound (device → backend) payload schemas, keyed by message kind
+ * Written as JSON Schema; validateSchema() supports type, required,
+ * properties, enum, minimum, maximum and minLength.
+ */
+const INBOUND_SCHEMAS = {
+  // ecosprinkle/{deviceId}/sensor - raw ADC readings (v2 firmware)
+  sensor: {
+    type: 'object',
+    required: ['deviceId', 'zone1', 'zone2', 'zone3', 'timestamp'],
+    properties: {
+      deviceId: { type: 'string', minLength: 1 },
+      zone1: ADC_VALUE,
+      zone2: ADC_VALUE,
+      zone3: ADC_VALUE,
+      timestamp: TIMESTAMP,
+      pumpState: PUMP_STATE,
+      rssi: { type: 'number' }
+    }
+  },
+
+  // Ecosprinkle/{deviceId}/sensors/data and Ecosprinkle/sensors/data - calibrated readings
+  legacySensor: {
+    type: 'object',
+    properties: {
+      deviceId: { type: 'string', minLength: 1 },
+      zone1: ADC_VALUE,
+      zone2: ADC_VALUE,
+      zone3: ADC_VALUE,
+      zone1Percent: PERCENT_VALUE,
+      zone2Percent: PERCENT_VALUE,
+      zone3Percent: PERCENT_VALUE,
+      pumpState: PUMP_STATE,
+      rssi: { type: 'number' }
+    }
+  },
+
+  // ecosprinkle/{deviceId}/ack - command acknowledgment
+  ack: {
+    type: 'object',
+    required: ['commandId'],
+    properties: {
+      commandId: { type: ['string', 'number'], minLength: 1 },
+      status: { type: 'string' },
+      action: { type: 'string', enum: ['on', 'off', 'ON', 'OFF'] },
+      pumpState: PUMP_STATE,
+      message: { type: 'string' }
+    }
+  },
+
+  // ecosprinkle/{deviceId}/status - JSON status, or plain 'online'/'offline'
+  status: {
+    type: ['object', 'string'],
+    enum: ['online', 'offline'],
+    properties: {
+      online: { type: 'boolean' },
+      pumpState: PUMP_STATE,
+      firmwareVersion: { type: ['string', 'number'] },
+      rssi: { type: 'number' }
+    }
+  },
+
+  // devices/{deviceId}/responses - command result
+  response: {
+    type: 'object',
+    required: ['commandId', 'status'],
+    properties: {
+      commandId: { type: 'string', minLength: 1 },
+      status: { type: 'string', enum: ['pending', 'sent', 'acknowledged', 'executed', 'failed', 'expired', 'completed'] },
+      error: { type: 'string' }
+    }
+  }
+};
+
+/**
+ * Compare dotted version strings ('1.10' > '1.9')
+ * @returns {number} -1, 0 or 1
+ */
+function compareVersions(a, b) {
+  const left = String(a).replace(/^v/i, '').split('.').map(n => parseInt(n, 10) || 0);
+  const right = String(b).replace(/^v/i, '').split('.').map(n => parseInt(n, 10) || 0);
+  const length = Math.max(left.length, right.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * Pick the protocol version a firmware understands
+ * @param {string} firmwareVersion - Device.firmwareVersion (missing → current protocol)
+ * @returns {number} 1 or 2
+ */
+function getProtocolVersion(firmwareVersion) {
+  if (!firmwareVersion) return PROTOCOL_VERSION;
+  return compareVersions(firmwareVersion, LEGACY_FIRMWARE_BELOW) < 0
+    ? LEGACY_PROTOCOL_VERSION
+    : PROTOCOL_VERSION;
+}
+
+/**
+ * Check command parameters against COMMANDS
+ * @throws {Error} When a required parameter is missing or has the wrong type
+ */
+function validateCommand(command, params = {}) {
+  const schema = COMMANDS[command];
+  if (!schema) return;
+
+  Object.entries(schema.params).forEach(([name, rule]) => {
+    const value = params[name];
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        throw new Error(`${command}: missing required parameter '${name}'`);
+      }
+      return;
+    }
+
+    const valid = rule.type === 'array' ? Array.isArray(value) : typeof value === rule.type;
+    if (!valid) {
+      throw new Error(`${command}: parameter '${name}' must be ${rule.type}`);
+    }
+  });
+}
+
+/**
+ * v2 adapter - one command topic, parameters at the top level
+ */
+const v2Adapter = {
+  version: PROTOCOL_VERSION,
+
+  encode(deviceId, command, params, { commandId, timestamp }) {
+    return {
+      topic: topics.command(deviceId),
+      payload: {
+        v: PROTOCOL_VERSION,
+        command,
+        ...params,
+        commandId,
+        timestamp: Math.floor(timestamp.getTime() / 1000)
+      }
+    };
+  }
+};
+
+/**
+ * v1 adapter - pump commands as on/off actions, everything else on the control topic
+ */
+const legacyAdapter = {
+  version: LEGACY_PROTOCOL_VERSION,
+
+  encode(deviceId, command, params, { commandId, timestamp }) {
+    if (PUMP_COMMANDS.includes(command)) {
+      return {
+        topic: topics.legacyPump(deviceId),
+        payload: {
+          action: command === 'PUMP_ON' ? 'on' : 'off',
+          duration: params.duration || 0,
+          source: params.source || 'auto',
+          commandId,
+          timestamp: timestamp.getTime()
+        }
+      };
+    }
+
+    return {
+      topic: topics.legacyControl(deviceId),
+      payload: {
+        command,
+        parameters: params,
+        commandId,
+        timestamp: timestamp.getTime()
+      }
+    };
+  }
+};
+
+const adapters = {
+  [PROTOCOL_VERSION]: v2Adapter,
+  [LEGACY_PROTOCOL_VERSION]: legacyAdapter
+};
+
+/**
+ * Build the topic and payload for a command
+ * @param {Object|string} device - Device document / { deviceId, firmwareVersion }, or a deviceId
+ * @param {string} command - Command name (see COMMANDS)
+ * @param {Object} params - Command parameters
+ * @param {Object} options - { commandId, timestamp, protocolVersion }
+ * @returns {Object} { topic, payload, protocolVersion }
+ */
+function encodeCommand(device, command, params = {}, options = {}) {
+  const deviceId = typeof device === 'string' ? device : device.deviceId;
+  const firmwareVersion = typeof device === 'string' ? null : device.firmwareVersion;
+
+  validateCommand(command, params);
+
+  const protocolVersion = options.protocolVersion || getProtocolVersion(firmwareVersion);
+  const adapter = adapters[protocolVersion] || v2Adapter;
+
+  const encoded = adapter.encode(deviceId, command, params, {
+    commandId: options.commandId ? String(options.commandId) : `${command.toLowerCase()}_${Date.now()}`,
+    timestamp: options.timestamp ? new Date(options.timestamp) : new Date()
+  });
+
+  return { ...encoded, protocolVersion: adapter.version };
+}
+
+/**
+ * Publish an encoded command
+ * Works with an mqtt.js client (callback) and the shared mqttClient service (promise).
+ * @param {Object} client - MQTT client with publish()
+ * @param {Object} encoded - Result of encodeCommand()
+ * @param {Object} publishOptions - MQTT publish options (default qos 1)
+ * @returns {Promise<Object>} The encoded command, once the broker accepted it
+ */
+function publish(client, encoded, publishOptions = {}) {
+  const message = JSON.stringify(encoded.payload);
+  const mqttOptions = { qos: 1, retain: false, ...publishOptions };
+
+  return new Promise((resolve, reject) => {
+    if (!client) {
+      reject(new Error('MQTT client not available'));
+      return;
+    }
+
+    let settled = false;
+    const done = (error) => {
+      if (settled) return;
+      settled = true;
+      if (error) reject(error);
+      else resolve(encoded);
+    };
+
+    const result = client.publish(encoded.topic, message, mqttOptions, done);
+    if (result && typeof result.then === 'function') {
+      result.then(() => done(), done);
+    }
+  });
+}
+
+/**
+ * Encode and publish a command in one call
+ * @returns {Promise<Object>} { topic, payload, protocolVersion }
+ */
+function publishCommand(client, device, command, params = {}, options = {}) {
+  try {
+    return publish(client, encodeCommand(device, command, params, options), options.publish);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+}
+
+/**
+ * Load what encodeCommand() needs to negotiate the protocol for a deviceId
+ * @returns {Promise<Object>} { deviceId, firmwareVersion }
+ */
+async function resolveDevice(deviceId) {
+  const Device = require('../models/Device');
+  const device = await Device.findOne({ deviceId }).select('deviceId firmwareVersion').lean();
+  return device || { deviceId };
+}
+
+/**
+ * Publish a command to a deviceId, negotiating the protocol from its stored firmwareVersion
+ * @returns {Promise<Object>} { topic, payload, protocolVersion }
+ */
+async function publishToDevice(client, deviceId, command, params = {}, options = {}) {
+  const device = await resolveDevice(deviceId);
+  return publishCommand(client, device, command, params, options);
+}
+
+/**
+ * Work out which device message a topic carries
+ * @returns {Object|null} { deviceId, kind } or null when the topic is not a device → backend message
+ */
+function parseTopic(topic) {
+  const normalized = topic.toLowerCase();
+  let match;
+
+  if (normalized === topics.legacySensor.toLowerCase()) {
+    return { deviceId: null, kind: 'legacySensor' };
+  }
+  if ((match = topic.match(/^ecosprinkle\/([^/]+)\/sensors\/data$/i))) {
+    return { deviceId: match[1], kind: 'legacySensor' };
+  }
+  if ((match = topic.match(/^devices\/([^/]+)\/responses/))) {
+    return { deviceId: match[1], kind: 'response' };
+  }
+
+  match = topic.match(/^ecosprinkle\/([^/]+)\/(sensor|ack|status)$/i);
+  if (!match || match[1] === 'backend') {
+    return null;
+  }
+  return { deviceId: match[1], kind: match[2].toLowerCase() };
+}
+
+/**
+ * Type name of a JSON value as JSON Schema sees it
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a (subset of) JSON Schema
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validateSchema(value, schema, path = 'payload') {
+  const errors = [];
+  const type = jsonType(value);
+  const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (schema.type && !allowed.includes(type)) {
+    return [`${path} must be ${allowed.join(' or ')} (got ${type})`];
+  }
+
+  if (type === 'object') {
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined || value[name] === null) {
+        errors.push(`${path}.${name} is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+      if (value[name] !== undefined && value[name] !== null) {
+        errors.push(...validateSchema(value[name], propertySchema, `${path}.${name}`));
+      }
+    });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(type === 'string' ? value.toLowerCase() : value) &&
+      !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (type === 'number') {
+    if (!Number.isFinite(value)) errors.push(`${path} must be a finite number`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+  if (type === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate an inbound device message
+ * @param {string} topic - MQTT topic
+ * @param {Buffer|string} payload - Raw payload
+ * @returns {Object|null} { deviceId, kind, raw, message, valid, error }, or null for topics that are not device messages
+ */
+function decodeInbound(topic, payload) {
+  const route = parseTopic(topic);
+  if (!route) return null;
+
+  const raw = Buffer.isBuffer(payload) ? payload.toString() : String(payload);
+  const result = { ...route, raw, message: null, valid: false, error: null };
+
+  // Plain-text status ('online') predates JSON status reports
+  const trimmed = raw.trim();
+  if (route.kind === 'status' && !trimmed.startsWith('{')) {
+    result.message = trimmed;
+  } else {
+    try {
+      result.message = JSON.parse(raw);
+    } catch (error) {
+      result.error = `Invalid JSON: ${error.message}`;
+      return result;
+    }
+  }
+
+  const errors = validateSchema(result.message, INBOUND_SCHEMAS[route.kind]);
+  result.valid = errors.length === 0;
+  result.error = result.valid ? null : errors.join('; ');
+  return result;
+}
+
+/**
+ * Translate a legacy ACK ({ action: 'on'|'off' }) to the v2 shape ({ command, pumpState })
+ */
+function normalizeAck(ack) {
+  if (!ack || typeof ack !== 'object' || !ack.action) {
+    return ack;
+  }
+
+  const pumpOn = String(ack.action).toLowerCase() === 'on';
+  return {
+    ...ack,
+    command: ack.command || (pumpOn ? 'PUMP_ON' : 'PUMP_OFF'),
+    pumpState: ack.pumpState !== undefined ? ack.pumpState : pumpOn
+  };
+}
+
+/**
+ * Firmware version a device reported in a status/sensor message, if any
+ * Stored on Device.firmwareVersion so later commands use the right adapter.
+ * @returns {string|null}
+ */
+function getReportedFirmware(message) {
+  if (!message || typeof message !== 'object') return null;
+  const version = message.firmwareVersion || message.firmware || message.fwVersion;
+  return version ? String(version) : null;
+}
+
+module.exports = {
+  // Constants
+  PROTOCOL_VERSION,
+  LEGACY_PROTOCOL_VERSION,
+  LEGACY_FIRMWARE_BELOW,
+  SUBSCRIPTIONS,
+  COMMANDS,
+  INBOUND_SCHEMAS,
+  topics,
+
+  // Negotiation
+  compareVersions,
+  getProtocolVersion,
+
+  // Outbound
+  validateCommand,
+  encodeCommand,
+  publish,
+  publishCommand,
+  resolveDevice,
+  publishToDevice,
+
+  // Inbound
+  parseTopic,
+  validateSchema,
+  decodeInbound,
+  normalizeAck,
+  getReportedFirmware
+};
@@ -0,0 +1,243 @@
+/**
+ * Pump Safety Service
+ *
+ * Watches running pump sessions and performs an emergency stop when:
+ * - DRY RUN:    moisture has not risen within N minutes of PUMP_ON
+ *               (empty reservoir or disconnected hose)
+ * - STUCK PUMP: the device still reports pumpState=1 after its commanded
+ *               duration (relay welded or firmware ignoring PUMP_OFF)
+ *
+ * Emergency stop = PUMP_OFF + Device Status 'Error' + critical Notification.
+ * The fault blocks auto and schedule watering until the user clears it.
+ *
+ * Replaces running reset-pump-state.js by hand.
+ */
+
+const Device = require('../models/Device');
+const SensorData = require('../models/SensorData');
+const PumpSession = require('../models/PumpSession');
+const Notification = require('../models/Notification');
+const Log = require('../models/Log');
+const pumpSessions = require('./pumpSessionService');
+const wateringEngine = require('./wateringDecisionEngine');
+const realtime = require('./realtimeService');
+
+class PumpSafetyService {
+  constructor() {
+    this.checkInterval = null;
+    this.isRunning = false;
+    this.CHECK_INTERVAL_MS = 30000; // Check running sessions every 30 seconds
+
+    // Fallback settings when a device document predates these fields
+    this.defaultSettings = {
+      dryRunMinutes: 5,
+      minMoistureRisePercent: 3,
+      stuckGraceSeconds: 60
+    };
+  }
+
+  /**
+   * Start the safety checker
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    this.checkInterval = setInterval(() => {
+      this.checkRunningSessions();
+    }, this.CHECK_INTERVAL_MS);
+
+    console.log(`🛟 Pump Safety: Started (checking every ${this.CHECK_INTERVAL_MS / 1000} seconds)`);
+  }
+
+  /**
+   * Stop the safety checker
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.isRunning = false;
+    console.log('🛟 Pump Safety: Stopped');
+  }
+
+  /**
+   * Get safety settings for a device (stored values override defaults)
+   */
+  getSafetySettings(device) {
+    const stored = device.pumpSafety || {};
+    const settings = { ...this.defaultSettings };
+
+    Object.keys(settings).forEach(key => {
+      if (typeof stored[key] === 'number') {
+        settings[key] = stored[key];
+      }
+    });
+
+    return settings;
+  }
+
+  /**
+   * Check every running pump session for faults
+   */
+  async checkRunningSessions() {
+    try {
+      const sessions = await PumpSession.find({ status: 'running' });
+
+      for (const session of sessions) {
+        await this.checkSession(session);
+      }
+    } catch (error) {
+      console.error('❌ Pump Safety: Error checking sessions:', error);
+    }
+  }
+
+  /**
+   * Detect dry-run or stuck pump for one session
+   * @returns {Object|null} Fault that was handled, if any
+   */
+  async checkSession(session, now = Date.now()) {
+    try {
+      const device = await Device.findOne({ deviceId: session.deviceId });
+      if (!device) return null;
+
+      const settings = this.getSafetySettings(device);
+      const startedAt = new Date(session.startedAt).getTime();
+      const elapsedSeconds = Math.floor((now - startedAt) / 1000);
+
+      // Latest reading taken while this session was running
+      const latest = await SensorData.findOne({
+        deviceId: session.deviceId,
+        timestamp: { $gt: session.startedAt }
+      }).sort({ timestamp: -1 });
+
+      let fault = null;
+
+      // STUCK PUMP: device reports ON after the commanded duration (+ grace)
+      if (session.requestedDuration > 0 && latest && latest.pumpState === 1) {
+        const deadline = startedAt + (session.requestedDuration + settings.stuckGraceSeconds) * 1000;
+        if (new Date(latest.timestamp).getTime() > deadline) {
+          fault = {
+            type: 'stuck_pump',
+            message: `Pump still running ${elapsedSeconds}s after start (commanded ${session.requestedDuration}s)`
+          };
+        }
+      }
+
+      // DRY RUN: moisture has not risen after dryRunMinutes
+      const before = session.moistureBefore?.averagePercent;
+      if (!fault && latest && typeof before === 'number' &&
+          elapsedSeconds >= settings.dryRunMinutes * 60) {
+        const current = Math.round((latest.zone1Percent + latest.zone2Percent + latest.zone3Percent) / 3);
+        const rise = current - before;
+        if (rise < settings.minMoistureRisePercent) {
+          fault = {
+            type: 'dry_run',
+            message: `Moisture rose ${rise}% in ${Math.floor(elapsedSeconds / 60)} min (expected ${settings.minMoistureRisePercent}%) - check reservoir and hose`
+          };
+        }
+      }
+
+      if (fault) {
+        await this.triggerEmergencyStop(device, session, fault);
+      }
+
+      return fault;
+    } catch (error) {
+      console.error(`❌ Pump Safety: Error checking session for ${session.deviceId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Stop the pump, flag the device and notify the owner
+   */
+  async triggerEmergencyStop(device, session, fault) {
+    const deviceId = device.deviceId;
+    console.log(`🚨 Pump Safety: ${fault.type.toUpperCase()} on ${deviceId} - ${fault.message}`);
+
+    await wateringEngine.sendPumpCommand(deviceId, 'PUMP_OFF', 0, `SAFETY: ${fault.message}`, 'safety');
+
+    await Device.findOneAndUpdate(
+      { deviceId },
+      {
+        Status: 'Error',
+        isPumpOn: false,
+        pumpFault: {
+          active: true,
+          faultType: fault.type,
+          message: fault.message,
+          detectedAt: new Date(),
+          sessionId: session._id.toString()
+        }
+      }
+    );
+
+    await pumpSessions.closeSession(deviceId, {
+      status: 'interrupted',
+      reason: fault.message,
+      fault: fault.type
+    }, session);
+
+    const title = fault.type === 'dry_run' ? 'Pump dry-run detected' : 'Pump stuck on';
+
+    try {
+      const notification = await Notification.create({
+        deviceId,
+        userId: device.userID,
+        type: 'pump_fault',
+        title,
+        message: `${device.DeviceName || deviceId}: ${fault.message}. The pump was stopped and automatic watering is paused until the fault is cleared.`,
+        severity: 'critical',
+        data: {
+          faultType: fault.type,
+          sessionId: session._id.toString(),
+          source: session.source
+        }
+      });
+      realtime.notify(notification);
+
+      await Log.create({
+        deviceId,
+        userId: device.userID,
+        eventType: 'error',
+        severity: 'critical',
+        source: 'system',
+        details: {
+          faultType: fault.type,
+          message: fault.message,
+          sessionId: session._id.toString()
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Pump Safety: Failed to record fault for ${deviceId}:`, error.message);
+    }
+  }
+
+  /**
+   * Clear an active pump fault (user fixed the hose/reservoir)
+   * @returns {Object|null} Updated device, or null if not found
+   */
+  async clearFault(deviceId, userID) {
+    return Device.findOneAndUpdate(
+      { deviceId, userID },
+      {
+        Status: 'Online',
+        pumpFault: {
+          active: false,
+          faultType: null,
+          message: null,
+          detectedAt: null,
+          sessionId: null
+        }
+      },
+      { new: true }
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new PumpSafetyService();
@@ -0,0 +1,365 @@
+/**
+ * Pump Session Service
+ *
+ * Builds PumpSession records from what the device reports, not from what the
+ * backend asked for:
+ * - ecosprinkle/{deviceId}/ack    → pumpState in command acknowledgments
+ * - ecosprinkle/{deviceId}/status → pumpState / online flag
+ * - sensor telemetry              → fallback when the pump stops on its own timer
+ *
+ * Commands are registered with trackCommand() when they are sent, so the ACK's
+ * commandId can be matched back to its source (auto/manual/schedule/test).
+ *
+ * moistureAfter is filled once the water has soaked in: from the first
+ * reading at or after stoppedAt + SOAK_MINUTES (fillMoistureAfter, called
+ * for every stored reading), not the reading at stop time.
+ *
+ * Session starts and stops also update Device.pumpCycleState, which the
+ * watering engine's pump protection (min run/rest, cycles per hour) reads,
+ * so every pump run counts whatever started it.
+ */
+
+const mongoose = require('mongoose');
+const PumpSession = require('../models/PumpSession');
+const SensorData = require('../models/SensorData');
+const Device = require('../models/Device');
+const DeviceCommand = require('../models/DeviceCommand');
+const realtime = require('./realtimeService');
+
+const VALID_SOURCES = ['auto', 'manual', 'schedule', 'test'];
+
+class PumpSessionService {
+  constructor() {
+    // commandId → { deviceId, command, source, duration, reason, sentAt }
+    this.trackedCommands = new Map();
+    this.COMMAND_TRACK_MS = 10 * 60 * 1000; // Forget commands after 10 minutes
+    this.SOAK_MINUTES = 30; // Wait for the water to spread before reading moistureAfter
+  }
+
+  /**
+   * Remember a pump command so its ACK can be attributed to a source
+   */
+  trackCommand(deviceId, commandId, { command, source, duration = null, reason = null }) {
+    if (!commandId) return;
+
+    const now = Date.now();
+    for (const [id, tracked] of this.trackedCommands) {
+      if (now - tracked.sentAt > this.COMMAND_TRACK_MS) {
+        this.trackedCommands.delete(id);
+      }
+    }
+
+    this.trackedCommands.set(String(commandId), {
+      deviceId,
+      command,
+      source,
+      duration,
+      reason,
+      sentAt: now
+    });
+  }
+
+  /**
+   * Work out what triggered a pump run from the ACK's commandId
+   */
+  async resolveSource(commandId, device) {
+    const tracked = commandId ? this.trackedCommands.get(String(commandId)) : null;
+    if (tracked && VALID_SOURCES.includes(tracked.source)) {
+      return tracked.source;
+    }
+
+    if (commandId && String(commandId).startsWith('test')) {
+      return 'test';
+    }
+
+    // Schedule and watering-controller commands are stored in DeviceCommand
+    if (commandId && mongoose.isValidObjectId(commandId)) {
+      try {
+        const command = await DeviceCommand.findById(commandId);
+        const source = command?.parameters?.get('source');
+        if (VALID_SOURCES.includes(source)) {
+          return source;
+        }
+      } catch (error) {
+        console.error(`⚠️ Failed to look up command ${commandId}:`, error.message);
+      }
+    }
+
+    // Fall back to the mode the device is in
+    return VALID_SOURCES.includes(device?.wateringMode) ? device.wateringMode : 'unknown';
+  }
+
+  /**
+   * Source of the session currently running on a device
+   * @returns {Promise<string|null>} null when no session is open
+   */
+  async getRunningSource(deviceId) {
+    const running = await PumpSession.findOne({ deviceId, status: 'running' })
+      .sort({ startedAt: -1 })
+      .select('source')
+      .lean();
+    return running?.source || null;
+  }
+
+  /**
+   * Latest moisture reading at or before a point in time
+   */
+  async getMoistureSnapshot(deviceId, at = new Date()) {
+    const reading = await SensorData.findOne({
+      deviceId,
+      timestamp: { $lte: at }
+    }).sort({ timestamp: -1 });
+
+    return this.toMoistureSnapshot(reading);
+  }
+
+  /**
+   * First moisture reading at or after a point in time
+   */
+  async getMoistureSnapshotAfter(deviceId, at) {
+    const reading = await SensorData.findOne({
+      deviceId,
+      timestamp: { $gte: at }
+    }).sort({ timestamp: 1 });
+
+    return this.toMoistureSnapshot(reading);
+  }
+
+  toMoistureSnapshot(reading) {
+    if (!reading) return null;
+
+    return {
+      zone1Percent: reading.zone1Percent,
+      zone2Percent: reading.zone2Percent,
+      zone3Percent: reading.zone3Percent,
+      averagePercent: Math.round((reading.zone1Percent + reading.zone2Percent + reading.zone3Percent) / 3),
+      readingAt: reading.timestamp
+    };
+  }
+
+  /**
+   * Handle a command acknowledgment (ecosprinkle/{deviceId}/ack)
+   */
+  async handleAck(deviceId, ack) {
+    if (ack.pumpState === undefined || ack.pumpState === null) return null;
+
+    return this.handlePumpState(deviceId, Boolean(ack.pumpState), {
+      commandId: ack.commandId,
+      source: ack.source,
+      reason: ack.message
+    });
+  }
+
+  /**
+   * Handle a device status report (ecosprinkle/{deviceId}/status)
+   */
+  async handleStatus(deviceId, status) {
+    if (status.online === false) {
+      return this.closeSession(deviceId, {
+        status: 'interrupted',
+        reason: 'Device went offline'
+      });
+    }
+
+    if (status.pumpState === undefined || status.pumpState === null) return null;
+
+    return this.handlePumpState(deviceId, Boolean(status.pumpState), {
+      reason: 'Device status report'
+    });
+  }
+
+  /**
+   * Open or close a session when the reported pump state changes
+   */
+  async handlePumpState(deviceId, pumpIsOn, context = {}) {
+    try {
+      const running = await PumpSession.findOne({ deviceId, status: 'running' })
+        .sort({ startedAt: -1 });
+
+      if (pumpIsOn && !running) {
+        return await this.openSession(deviceId, context);
+      }
+      if (!pumpIsOn && running) {
+        return await this.closeSession(deviceId, context, running);
+      }
+      return running;
+    } catch (error) {
+      console.error(`❌ Failed to update pump session for ${deviceId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Start a new session with the moisture reading before watering
+   */
+  async openSession(deviceId, context = {}) {
+    const device = await Device.findOne({ deviceId });
+    if (!device) return null;
+
+    const startedAt = new Date();
+    const tracked = context.commandId ? this.trackedCommands.get(String(context.commandId)) : null;
+    const source = VALID_SOURCES.includes(context.source)
+      ? context.source
+      : await this.resolveSource(context.commandId, device);
+
+    const session = await PumpSession.create({
+      deviceId,
+      userID: device.userID,
+      source,
+      startedAt,
+      startCommandId: context.commandId ? String(context.commandId) : null,
+      requestedDuration: tracked?.duration ?? null,
+      moistureBefore: await this.getMoistureSnapshot(deviceId, startedAt)
+    });
+    await this.recordPumpCycle(deviceId, true, startedAt);
+
+    console.log(`🚿 Pump session started for ${deviceId} (source: ${source})`);
+    realtime.toDevice(deviceId, realtime.EVENTS.PUMP_SESSION, { deviceId, event: 'started', session });
+    return session;
+  }
+
+  /**
+   * Close the running session (moistureAfter follows after the soak delay)
+   */
+  async closeSession(deviceId, context = {}, session = null) {
+    const running = session || await PumpSession.findOne({ deviceId, status: 'running' })
+      .sort({ startedAt: -1 });
+    if (!running) return null;
+
+    const stoppedAt = new Date();
+    const tracked = context.commandId ? this.trackedCommands.get(String(context.commandId)) : null;
+
+    running.stoppedAt = stoppedAt;
+    running.durationSeconds = Math.round((stoppedAt - running.startedAt) / 1000);
+    running.status = context.status || 'completed';
+    running.stopCommandId = context.commandId ? String(context.commandId) : null;
+    running.stopReason = tracked?.reason || context.reason || null;
+    if (context.fault) {
+      running.fault = context.fault;
+    }
+    await running.save();
+    await this.recordPumpCycle(deviceId, false, stoppedAt);
+
+    console.log(`🚿 Pump session ended for ${deviceId}: ${running.durationSeconds}s (${running.status})`);
+    realtime.toDevice(deviceId, realtime.EVENTS.PUMP_SESSION, { deviceId, event: 'ended', session: running });
+    return running;
+  }
+
+  /**
+   * Fill moistureAfter for finished sessions whose soak delay has passed
+   * @param {string} deviceId
+   * @param {Date} readingAt - time of the reading just stored
+   */
+  async fillMoistureAfter(deviceId, readingAt = new Date()) {
+    const soakMs = this.SOAK_MINUTES * 60 * 1000;
+    const sessions = await PumpSession.find({
+      deviceId,
+      moistureAfter: null,
+      stoppedAt: { $lte: new Date(new Date(readingAt).getTime() - soakMs) }
+    });
+
+    for (const session of sessions) {
+      const moistureAfter = await this.getMoistureSnapshotAfter(deviceId, new Date(session.stoppedAt.getTime() + soakMs));
+      if (!moistureAfter) continue;
+
+      session.moistureAfter = moistureAfter;
+      await session.save();
+      realtime.toDevice(deviceId, realtime.EVENTS.PUMP_SESSION, { deviceId, event: 'soaked', session });
+    }
+  }
+
+  /**
+   * Update the pump cycle history used by pump protection
+   * @param {boolean} started - true for a start, false for a stop
+   */
+  async recordPumpCycle(deviceId, started, at) {
+    const update = started
+      ? {
+        $set: { 'pumpCycleState.lastStartedAt': at },
+        $push: { 'pumpCycleState.recentStarts': { $each: [at], $slice: -60 } } // Keep last 60 starts
+      }
+      : { $set: { 'pumpCycleState.lastStoppedAt': at } };
+
+    try {
+      await Device.updateOne({ deviceId }, update);
+    } catch (error) {
+      console.error(`❌ Failed to record pump cycle for ${deviceId}:`, error.message);
+    }
+  }
+
+  /**
+   * Get sessions and aggregated statistics for a device
+   * @param {string} deviceId
+   * @param {Object} options - { from, to, source, limit }
+   */
+  async getSessionReport(deviceId, { from, to, source, limit = 50 }) {
+    const match = {
+      deviceId,
+      startedAt: { $gte: from, $lte: to }
+    };
+    if (source) {
+      match.source = source;
+    }
+
+    const sessions = await PumpSession.find(match)
+      .sort({ startedAt: -1 })
+      .limit(limit);
+
+    const bySource = await PumpSession.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$source',
+          sessions: { $sum: 1 },
+          totalRunSeconds: { $sum: { $ifNull: ['$durationSeconds', 0] } },
+          avgRunSeconds: { $avg: '$durationSeconds' },
+          maxRunSeconds: { $max: '$durationSeconds' },
+          avgMoistureGain: {
+            $avg: { $subtract: ['$moistureAfter.averagePercent', '$moistureBefore.averagePercent'] }
+          }
+        }
+      },
+      { $sort: { totalRunSeconds: -1 } }
+    ]);
+
+    const daily = await PumpSession.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt' } },
+          sessions: { $sum: 1 },
+          totalRunSeconds: { $sum: { $ifNull: ['$durationSeconds', 0] } }
+        }
+      },
+      { $sort: { '_id': 1 } }
+    ]);
+
+    const totalSessions = bySource.reduce((sum, s) => sum + s.sessions, 0);
+    const totalRunSeconds = bySource.reduce((sum, s) => sum + s.totalRunSeconds, 0);
+
+    return {
+      summary: {
+        totalSessions,
+        totalRunSeconds,
+        avgRunSeconds: totalSessions > 0 ? Math.round(totalRunSeconds / totalSessions) : 0,
+        bySource: bySource.map(s => ({
+          source: s._id,
+          sessions: s.sessions,
+          totalRunSeconds: s.totalRunSeconds,
+          avgRunSeconds: s.avgRunSeconds !== null ? Math.round(s.avgRunSeconds) : null,
+          maxRunSeconds: s.maxRunSeconds,
+          avgMoistureGain: s.avgMoistureGain !== null ? Math.round(s.avgMoistureGain * 10) / 10 : null
+        }))
+      },
+      daily: daily.map(d => ({
+        date: d._id,
+        sessions: d.sessions,
+        totalRunSeconds: d.totalRunSeconds
+      })),
+      sessions
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new PumpSessionService();
@@ -0,0 +1,124 @@
+/**
+ * Realtime Service - Socket.IO event catalogue and delivery
+ *
+ * Every socket is authenticated with the REST API's JWT (middleware/auth.js
+ * socketAuth) and is placed in its user's room on connect. Clients then
+ * `subscribe` to devices they own; ownership is checked before joining.
+ *
+ * Rooms:
+ * - user:{userId}     - joined automatically
+ * - device:{deviceId} - joined via subscribe(deviceId), owners only
+ *
+ * Server → client events:
+ * | Event            | Room   | Payload                                                  |
+ * |------------------|--------|----------------------------------------------------------|
+ * | sensorData       | device | Processed reading (deviceId, zone1-3, votingResults...)  |
+ * | deviceStatus     | device | { deviceId, status: 'online'|'offline', timestamp }      |
+ * | device-command   | device | DeviceCommand document that was queued                   |
+ * | command-ack      | device | Normalized ACK { deviceId, commandId, status, pumpState } |
+ * | command-response | device | { deviceId, commandId, status, response }                |
+ * | pumpSession      | device | { deviceId, event: 'started'|'ended'|'soaked', session } |
+ * | calibration      | device | Calibration wizard progress (calibrationService)         |
+ * | notification     | user   | Notification document                                    |
+ *
+ * Client → server events (all take an optional ack callback):
+ * - subscribe(deviceId, ack)   → ack({ success, deviceId } | { success: false, error })
+ * - unsubscribe(deviceId, ack)
+ * - sendCommand({ deviceId, command, payload }, ack) - owners only
+ *
+ * Device events are also published on `bus` ('device', deviceId, event, data)
+ * for in-process consumers such as the SSE streams (sensorStreamService).
+ */
+
+const EventEmitter = require('events');
+const Device = require('../models/Device');
+const { normalizeDeviceId } = require('./deviceId');
+
+const EVENTS = {
+  SENSOR_DATA: 'sensorData',
+  DEVICE_STATUS: 'deviceStatus',
+  DEVICE_COMMAND: 'device-command',
+  COMMAND_ACK: 'command-ack',
+  COMMAND_RESPONSE: 'command-response',
+  PUMP_SESSION: 'pumpSession',
+  CALIBRATION: 'calibration',
+  NOTIFICATION: 'notification'
+};
+
+class RealtimeService {
+  constructor() {
+    this.io = null;
+    this.bus = new EventEmitter();
+    this.bus.setMaxListeners(0); // One listener per open SSE stream
+  }
+
+  setIo(io) {
+    this.io = io;
+  }
+
+  deviceRoom(deviceId) {
+    return `device:${normalizeDeviceId(String(deviceId))}`;
+  }
+
+  userRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  /**
+   * Whether a user owns a device (the only way into its room)
+   */
+  async userOwnsDevice(userId, deviceId) {
+    if (!userId || !deviceId) return false;
+    const device = await Device.exists({
+      deviceId: normalizeDeviceId(String(deviceId)),
+      userID: String(userId)
+    });
+    return !!device;
+  }
+
+  /**
+   * Push an event to everyone subscribed to a device
+   */
+  toDevice(deviceId, event, data) {
+    if (!deviceId) return;
+    this.bus.emit('device', normalizeDeviceId(String(deviceId)), event, data);
+
+    if (!this.io) return;
+    try {
+      this.io.to(this.deviceRoom(deviceId)).emit(event, data);
+    } catch (error) {
+      console.error(`❌ WebSocket emission failed (${event}):`, error.message);
+    }
+  }
+
+  /**
+   * Push an event to every connection of one user
+   */
+  toUser(userId, event, data) {
+    if (!this.io || !userId) return;
+    try {
+      this.io.to(this.userRoom(userId)).emit(event, data);
+    } catch (error) {
+      console.error(`❌ WebSocket emission failed (${event}):`, error.message);
+    }
+  }
+
+  /**
+   * Deliver a saved Notification to its owner
+   */
+  notify(notification) {
+    this.toUser(notification.userId, EVENTS.NOTIFICATION, notification);
+  }
+
+  /**
+   * Remove every socket from a device's room (device deleted or re-assigned)
+   */
+  closeDeviceRoom(deviceId) {
+    if (!this.io) return;
+    this.io.in(this.deviceRoom(deviceId)).socketsLeave(this.deviceRoom(deviceId));
+  }
+}
+
+// Export singleton instance
+module.exports = new RealtimeService();
+module.exports.EVENTS = EVENTS;
@@ -1,15 +1,87 @@
+const mongoose = require('mongoose');
 const Device = require('../models/Device');
 const DeviceCommand = require('../models/DeviceCommand');
+const User = require('../models/User');
+const ScheduleExecution = require('../models/ScheduleExecution');
+const SensorData = require('../models/SensorData');
+const waterBudget = require('./waterBudgetService');
+const pumpSessions = require('./pumpSessionService');
+const commandDelivery = require('./commandDeliveryService');
+const mqttProtocol = require('./mqttProtocol');
+const wateringEngine = require('./wateringDecisionEngine');
+const zonedTime = require('./zonedTime');
+const scheduleRules = require('./scheduleRules');
+
+const CHECK_INTERVAL_MS = 60000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const ZONES = ['zone1', 'zone2', 'zone3'];
 
 /**
  * Schedule Executor Service
  * Checks all devices every minute and executes scheduled watering
+ *
+ * Schedule times are wall-clock times in the device owner's timezone
+ * (User.profile.timezone, falling back to defaultTimezone); see zonedTime
+ * for how DST gaps and overlaps resolve.
  */
 class ScheduleExecutor {
   constructor() {
     this.mqttClient = null;
     this.checkInterval = null;
     this.isRunning = false;
+    this.isChecking = false;
+    this.defaultTimezone = 'Asia/Manila';
+
+    this.ON_TIME_SECONDS = 120; // Later than this counts as missed
+    this.CATCH_UP_HOURS = 6; // Missed slots older than this are skipped
+    this.LOOKBACK_HOURS = 24; // Downtime beyond this is not looked at
+    this.SHORTEN_FACTOR = 0.5; // 'shorten' runs half the duration
+    this.STALE_READING_MINUTES = 30; // Older readings don't drive conditions
+  }
+
+  /**
+   * Apply config.schedules (config/appConfig.js)
+   */
+  configure({ defaultTimezone } = {}) {
+    if (defaultTimezone && zonedTime.isValidTimeZone(defaultTimezone)) {
+      this.defaultTimezone = defaultTimezone;
+    } else if (defaultTimezone) {
+      console.warn(`⚠️ Schedule Executor: Unknown timezone '${defaultTimezone}', using ${this.defaultTimezone}`);
+    }
+  }
+
+  /**
+   * Owners' timezones for a batch of devices
+   * @returns {Promise<Map>} userID → IANA timezone
+   */
+  async getOwnerTimezones(devices) {
+    const timezones = new Map();
+    const userIds = [...new Set(devices.map(d => d.userID).filter(id => mongoose.Types.ObjectId.isValid(id)))];
+
+    if (userIds.length > 0) {
+      const users = await User.find({ _id: { $in: userIds } }).select('profile.timezone').lean();
+      users.forEach(user => {
+        const timezone = user.profile?.timezone;
+        if (zonedTime.isValidTimeZone(timezone)) {
+          timezones.set(String(user._id), timezone);
+        }
+      });
+    }
+    return timezones;
+  }
+
+  /**
+   * Timezone the device's schedules run in
+   */
+  async getTimezone(device) {
+    try {
+      const timezones = await this.getOwnerTimezones([device]);
+      return timezones.get(String(device.userID)) || this.defaultTimezone;
+    } catch (error) {
+      console.error(`⚠️ Could not load owner timezone for ${device.deviceId}:`, error.message);
+      return this.defaultTimezone;
+    }
   }
 
   /**
@@ -38,7 +110,7 @@ class ScheduleExecutor {
     // Then check every minute
     this.checkInterval = setInterval(() => {
       this.checkSchedules();
-    }, 60000); // Check every 60 seconds
+    }, CHECK_INTERVAL_MS);
 
     console.log('✅ Schedule Executor: Started (checking every 60 seconds)');
   }
@@ -59,15 +131,16 @@ class ScheduleExecutor {
    * Check all devices for schedules that need to execute
    */
   async checkSchedules() {
+    // A slow check must not overlap the next tick; the cursor catches up
+    if (this.isChecking) {
+      console.log('⚠️ Schedule Executor: Previous check still running, skipping tick');
+      return;
+    }
+    this.isChecking = true;
+
     try {
-      // Get current Philippine Time (UTC+8)
       const now = new Date();
-      const phTime = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Manila' }));
-      const currentDay = phTime.getDay(); // 0-6 (Sun-Sat), convert to 1-7 (Mon-Sun)
-      const dayOfWeek = currentDay === 0 ? 7 : currentDay; // Convert Sunday from 0 to 7
-      const currentTime = `${String(phTime.getHours()).padStart(2, '0')}:${String(phTime.getMinutes()).padStart(2, '0')}`;
-
-      console.log(`\n⏰ Schedule Executor: Checking at ${currentTime} (PH Time), Day ${dayOfWeek}`);
+      console.log(`\n⏰ Schedule Executor: Checking at ${now.toISOString()}`);
 
       // Find all devices in schedule mode with active schedules
       const devices = await Device.find({
@@ -84,134 +157,396 @@ class ScheduleExecutor {
 
       console.log(`   Found ${devices.length} device(s) in schedule mode`);
 
+      const timezones = await this.getOwnerTimezones(devices);
       for (const device of devices) {
-        await this.checkDeviceSchedules(device, dayOfWeek, currentTime, phTime);
+        const timezone = timezones.get(String(device.userID)) || this.defaultTimezone;
+        await this.checkDeviceSchedules(device, now, timezone);
       }
 
     } catch (error) {
       console.error('❌ Schedule Executor: Error checking schedules:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Start a device's cursor at now. Call when schedule mode (re)starts, so
+   * slots from while it was off or paused don't count as missed.
+   */
+  resetCursor(device) {
+    device.scheduleMode.lastEvaluatedAt = new Date();
+  }
+
+  /**
+   * Active slots due in (from, to], oldest first
+   * @returns {Array} [{ schedule, at, time }] (time: local 'HH:MM')
+   */
+  slotsBetween(schedules, timezone, from, to, location = null) {
+    const slots = [];
+    const firstDay = zonedTime.getLocalParts(from, timezone);
+    const days = Math.ceil((to - from) / DAY_MS) + 1;
+
+    for (let offset = 0; offset <= days; offset++) {
+      const date = zonedTime.addLocalDays(firstDay, offset);
+
+      schedules.forEach(schedule => {
+        if (!schedule.isActive) return;
+
+        scheduleRules.firesOnDate(schedule, date, timezone, location).forEach(at => {
+          // A slot from before the schedule existed was never missed
+          if (at > from && at <= to && !(schedule.createdAt > at)) {
+            slots.push({ schedule, at, time: zonedTime.getLocalParts(at, timezone).time });
+          }
+        });
+      });
     }
+
+    return slots.sort((a, b) => a.at - b.at);
   }
 
   /**
-   * Check and execute schedules for a specific device
+   * Handle every slot since the device's cursor (scheduleMode.lastEvaluatedAt)
+   *
+   * Slots due within ON_TIME_SECONDS run normally. Older ones were missed:
+   * only the latest missed slot is caught up (none if a slot is due now),
+   * with its schedule's catchUp policy, and only within CATCH_UP_HOURS.
+   * Every slot gets a ScheduleExecution record. The cursor only moves past
+   * a slot once it is handled, so a slot whose handling throws is retried
+   * next tick as a missed one (at least once).
+   *
+   * @param {Object} device
+   * @param {Date} now - Time of this check
+   * @param {string} timezone - Owner's IANA timezone
    */
-  async checkDeviceSchedules(device, dayOfWeek, currentTime, phTime) {
+  async checkDeviceSchedules(device, now, timezone) {
     const deviceId = device.deviceId;
     
     try {
-      // Find schedules that match current day and time
-      const matchingSchedules = device.schedules.filter(schedule => {
-        if (!schedule.isActive) return false;
-        if (!schedule.daysOfWeek.includes(dayOfWeek)) return false;
-        
-        // Match time (HH:MM format)
-        return schedule.time === currentTime;
-      });
+      // First check for this device: start one tick back
+      const cursor = device.scheduleMode.lastEvaluatedAt || new Date(now.getTime() - CHECK_INTERVAL_MS);
+      const from = new Date(Math.max(cursor.getTime(), now.getTime() - this.LOOKBACK_HOURS * HOUR_MS));
+      const slots = this.slotsBetween(device.schedules, timezone, from, now, device.location?.coordinates);
+
+      const onTimeAfter = now.getTime() - this.ON_TIME_SECONDS * 1000;
+      const missed = slots.filter(slot => slot.at.getTime() <= onTimeAfter);
+      const dueNow = slots.length > missed.length;
+      const catchUpSlot = dueNow ? null : missed[missed.length - 1];
+
+      if (slots.length > 0) {
+        console.log(`   📍 Device ${deviceId}: ${slots.length} slot(s) due, ${missed.length} missed (${zonedTime.formatLocal(now, timezone)})`);
+      }
 
-      if (matchingSchedules.length === 0) {
-        return; // No schedules to execute right now
+      let evaluatedUntil = now;
+      for (const slot of slots) {
+        try {
+          await this.handleSlot(device, slot, now, timezone, slot === catchUpSlot);
+        } catch (error) {
+          console.error(`❌ Schedule Executor: Slot ${slot.time} for ${deviceId} will be retried:`, error.message);
+          evaluatedUntil = new Date(slot.at.getTime() - 1);
+          break;
+        }
       }
 
-      console.log(`   📍 Device ${deviceId}: ${matchingSchedules.length} schedule(s) to execute`);
+      device.scheduleMode.lastEvaluatedAt = evaluatedUntil;
+      await Device.updateOne({ _id: device._id }, { $set: { 'scheduleMode.lastEvaluatedAt': evaluatedUntil } });
 
-      for (const schedule of matchingSchedules) {
-        await this.executeSchedule(device, schedule, phTime);
+      // Update next scheduled time once slots were handled
+      if (slots.length > 0) {
+        await this.updateNextScheduledTime(device, timezone);
       }
 
-      // Update next scheduled time after execution
-      await this.updateNextScheduledTime(device);
-
     } catch (error) {
       console.error(`❌ Schedule Executor: Error checking device ${deviceId}:`, error);
     }
   }
 
   /**
-   * Execute a specific schedule
+   * Decide, run and record one due slot
+   * The slot is claimed with a 'pending' ScheduleExecution before anything is
+   * sent, so a slot whose outcome could not be recorded is never run twice.
+   * @param {boolean} isCatchUp - The missed slot chosen for catch-up
    */
-  async executeSchedule(device, schedule, phTime) {
-    const deviceId = device.deviceId;
-    const duration = schedule.duration || 15; // Default 15 seconds
-    
+  async handleSlot(device, { schedule, at, time }, now, timezone, isCatchUp) {
+    const scheduleId = schedule.timeSlotId || String(schedule._id);
+    const lateSeconds = Math.max(0, Math.round((now - at) / 1000));
+    const missed = lateSeconds > this.ON_TIME_SECONDS;
+    const expired = lateSeconds > this.CATCH_UP_HOURS * 3600;
+    const policy = missed && isCatchUp && !expired ? (schedule.catchUp || 'run') : null;
+    const requestedDuration = schedule.duration || 15; // Default 15 seconds
+
+    let claim;
     try {
-      console.log(`   💧 Executing schedule for ${deviceId}:`);
-      console.log(`      Time: ${schedule.time}`);
-      console.log(`      Duration: ${duration}s`);
-      console.log(`      Days: ${schedule.daysOfWeek.join(',')}`);
-
-      // Create device command record (include userID for tracking)
-      const command = new DeviceCommand({
-        deviceId,
-        command: 'PUMP_ON',
-        parameters: {
-          duration,
-          source: 'schedule',
-          scheduleId: schedule.timeSlotId || schedule._id,
-          scheduleTime: schedule.time,
-          userID: device.userID // Include for consistency
-        },
-        status: 'pending',
-        executed: false,
-        timestamp: phTime
+      claim = await ScheduleExecution.create({
+        deviceId: device.deviceId,
+        userID: device.userID || null,
+        scheduleId,
+        scheduleTime: time,
+        timezone,
+        scheduledFor: at,
+        evaluatedAt: now,
+        lateSeconds,
+        outcome: 'pending',
+        catchUp: policy,
+        requestedDuration
       });
+    } catch (error) {
+      if (error.code === 11000) {
+        return; // Already handled or claimed (e.g. before a restart)
+      }
+      throw error;
+    }
 
-      await command.save();
+    let result;
+    let moisture = null;
+    try {
+      ({ result, moisture } = await this.runSlot(device, schedule, now, { time, missed, expired, isCatchUp, policy, requestedDuration }));
+    } catch (error) {
+      // Nothing was sent (executeSchedule doesn't throw after publishing): release the slot for a retry
+      await ScheduleExecution.deleteOne({ _id: claim._id })
+        .catch(releaseError => console.error(`❌ Schedule Executor: Could not release slot ${time} for ${device.deviceId}:`, releaseError.message));
+      throw error;
+    }
 
-      // Send MQTT command to ESP32
-      if (this.mqttClient) {
-        const topic = `ecosprinkle/${deviceId}/command`;
-        const payload = {
-          command: 'PUMP_ON',
-          duration,
-          reason: `Scheduled watering at ${schedule.time}`,
-          commandId: command._id.toString(),
-          timestamp: Math.floor(phTime.getTime() / 1000),
-          source: 'schedule'
-        };
-
-        console.log(`      📡 Publishing to MQTT: ${topic}`);
-        this.mqttClient.publish(topic, JSON.stringify(payload), { qos: 1 });
-        console.log(`      ✅ MQTT command sent successfully`);
-
-        // Mark command as sent
-        command.status = 'sent';
-        await command.save();
-
-        // Update device state
-        device.isPumpOn = true;
-        device.lastCommand = 'PUMP_ON (SCHEDULE)';
-        device.lastCommandTime = phTime;
-        device.scheduleMode.lastExecutedAt = phTime;
-        device.scheduleMode.executionCount = (device.scheduleMode.executionCount || 0) + 1;
-        await device.save();
-
-        console.log(`      ✅ Schedule executed successfully`);
+    console.log(`      📝 ${time} (${at.toISOString()}): ${result.outcome}${result.reason ? ` - ${result.reason}` : ''}`);
+    await ScheduleExecution.updateOne({ _id: claim._id }, {
+      $set: {
+        outcome: result.outcome,
+        reason: result.reason || null,
+        moisture,
+        duration: result.duration ?? null,
+        commandId: result.commandId || null
+      }
+    });
+  }
 
+  /**
+   * Apply the missed-slot policy and conditions to a claimed slot, then run it
+   * @returns {Promise<Object>} { result: { outcome, reason, duration, commandId }, moisture }
+   */
+  async runSlot(device, schedule, now, { time, missed, expired, isCatchUp, policy, requestedDuration }) {
+    let result;
+    let moisture = null;
+
+    if (missed && !isCatchUp) {
+      result = { outcome: 'skipped', reason: 'Missed; superseded by a later slot' };
+    } else if (expired) {
+      result = { outcome: 'skipped', reason: `Missed by more than ${this.CATCH_UP_HOURS} hours` };
+    } else if (policy === 'skip') {
+      result = { outcome: 'skipped', reason: 'Missed; catch-up policy is skip' };
+    } else {
+      const duration = policy === 'shorten'
+        ? Math.max(1, Math.round(requestedDuration * this.SHORTEN_FACTOR))
+        : requestedDuration;
+      const check = await this.checkConditions(device, schedule, duration, now);
+      moisture = check.moisture;
+
+      if (check.action === 'skip') {
+        result = { outcome: 'skipped', reason: check.reason };
       } else {
-        console.error(`      ❌ MQTT client not available - cannot send command!`);
-        command.status = 'failed';
-        command.error = 'MQTT client not available';
-        await command.save();
+        result = await this.executeSchedule(device, schedule, now, {
+          duration: check.duration,
+          time,
+          reason: missed ? `Catch-up for missed ${time} watering` : null
+        });
+        if (result.outcome === 'executed') {
+          result.outcome = missed ? 'caught_up' : check.action === 'adjust' ? 'adjusted' : 'executed';
+          result.reason = [check.reason, result.reason].filter(Boolean).join('; ') || null;
+        }
+      }
+    }
+
+    return { result, moisture };
+  }
+
+  /**
+   * Average moisture of the latest reading over zones not flagged faulty
+   * @returns {Promise<Object|null>} { average, readingAt }
+   */
+  async getLatestMoisture(deviceId) {
+    const reading = await SensorData.findOne({ deviceId })
+      .sort({ timestamp: -1 })
+      .select('timestamp zone1Percent zone2Percent zone3Percent zoneHealth')
+      .lean();
+    if (!reading) return null;
+
+    const percents = ZONES
+      .filter(zone => reading.zoneHealth?.[zone]?.status !== 'faulty')
+      .map(zone => reading[`${zone}Percent`])
+      .filter(percent => typeof percent === 'number');
+    if (percents.length === 0) return null;
+
+    return {
+      average: Math.round(percents.reduce((sum, p) => sum + p, 0) / percents.length),
+      readingAt: reading.timestamp
+    };
+  }
+
+  /**
+   * Apply a schedule's conditions (Device.schedules[].conditions)
+   * - skipAboveMoisture: skip when the soil is wetter than this %
+   * - scaleByDryness:    full duration at the dry threshold, none at the wet one
+   * Without a reading from the last STALE_READING_MINUTES the slot waters as
+   * scheduled: a dead sensor must not stop a schedule.
+   * @returns {Promise<Object>} { action: 'run'|'skip'|'adjust', duration, reason, moisture }
+   */
+  async checkConditions(device, schedule, duration, now) {
+    const conditions = schedule.conditions || {};
+    const skipAbove = typeof conditions.skipAboveMoisture === 'number' ? conditions.skipAboveMoisture : null;
+    if (skipAbove === null && !conditions.scaleByDryness) {
+      return { action: 'run', duration, reason: null, moisture: null };
+    }
+
+    const moisture = await this.getLatestMoisture(device.deviceId);
+    if (!moisture || now - moisture.readingAt > this.STALE_READING_MINUTES * 60 * 1000) {
+      return { action: 'run', duration, reason: 'No recent moisture reading; conditions not applied', moisture };
+    }
+
+    const { average } = moisture;
+    if (skipAbove !== null && average > skipAbove) {
+      return { action: 'skip', duration: 0, reason: `Soil at ${average}% (skips above ${skipAbove}%)`, moisture };
+    }
+
+    if (conditions.scaleByDryness) {
+      const { dry, wet } = device.customThresholds || wateringEngine.calculateThresholdsFromSettings(device);
+      const dryness = wet > dry ? (wet - average) / (wet - dry) : (average <= dry ? 1 : 0);
+      const factor = Math.max(0, Math.min(1, dryness));
+      const scaled = Math.round(duration * factor);
+
+      if (scaled < 1) {
+        return { action: 'skip', duration: 0, reason: `Soil at ${average}%, at or above the wet threshold (${wet}%)`, moisture };
       }
+      if (scaled < duration) {
+        return { action: 'adjust', duration: scaled, reason: `Scaled to ${scaled}s for soil at ${average}%`, moisture };
+      }
+    }
+
+    return { action: 'run', duration, reason: null, moisture };
+  }
+
+  /**
+   * Execute a specific schedule
+   * @param {Object} [options] - { duration, time, reason } overrides (catch-up, conditions, slot time)
+   * @returns {Promise<Object>} { outcome: 'executed'|'skipped'|'failed', reason, duration, commandId }
+   *   (throws on database errors so the slot is retried)
+   */
+  async executeSchedule(device, schedule, now, options = {}) {
+    const deviceId = device.deviceId;
+    let duration = options.duration || schedule.duration || 15; // Default 15 seconds
+    const time = options.time || schedule.time;
+    const reason = options.reason || `Scheduled watering at ${time}`;
+    let budgetNote = null;
+
+    // 🚨 Unattended watering is paused while a dry-run/stuck-pump fault is active
+    if (device.pumpFault?.active) {
+      console.log(`   🚨 Skipping schedule ${time} for ${deviceId}: pump fault (${device.pumpFault.faultType})`);
+      return { outcome: 'skipped', reason: `Pump fault (${device.pumpFault.faultType})` };
+    }
+
+    // 🚱 Refuse or shorten the run if the water budget is (nearly) used up
+    const budgetCheck = await waterBudget.checkPumpAllowed(device, duration, now);
+    if (!budgetCheck.allowed) {
+      console.log(`   🚱 Skipping schedule ${time} for ${deviceId}: ${budgetCheck.reason}`);
+      await waterBudget.notifyBudgetExhausted(device, budgetCheck.budget, 'schedule');
+      return { outcome: 'skipped', reason: budgetCheck.reason };
+    }
+    if (budgetCheck.duration < duration) {
+      console.log(`   🚱 Shortening schedule to ${budgetCheck.duration}s (remaining water budget)`);
+      duration = budgetCheck.duration;
+      budgetNote = `Shortened to ${duration}s by the water budget`;
+    }
+
+    console.log(`   💧 Executing schedule for ${deviceId}:`);
+    console.log(`      Time: ${time}`);
+    console.log(`      Duration: ${duration}s`);
+    console.log(`      Rule: ${scheduleRules.describe(schedule)}`);
+
+    // Create device command record (include userID for tracking)
+    const command = new DeviceCommand({
+      deviceId,
+      command: 'PUMP_ON',
+      parameters: {
+        duration,
+        source: 'schedule',
+        scheduleId: schedule.timeSlotId || schedule._id,
+        scheduleTime: time,
+        userID: device.userID // Include for consistency
+      },
+      status: 'pending',
+      executed: false,
+      timestamp: now
+    });
+
+    await command.save();
+
+    // Send MQTT command to ESP32
+    if (!this.mqttClient) {
+      console.error(`      ❌ MQTT client not available - cannot send command!`);
+      command.status = 'failed';
+      command.error = 'MQTT client not available';
+      await command.save();
+      return { outcome: 'failed', reason: 'MQTT client not available', duration, commandId: String(command._id) };
+    }
 
+    const encoded = mqttProtocol.encodeCommand(device, 'PUMP_ON', {
+      duration,
+      reason,
+      source: 'schedule'
+    }, {
+      commandId: command._id,
+      timestamp: now
+    });
+
+    pumpSessions.trackCommand(deviceId, encoded.payload.commandId, {
+      command: 'PUMP_ON',
+      source: 'schedule',
+      duration,
+      reason
+    });
+
+    console.log(`      📡 Publishing to MQTT: ${encoded.topic}`);
+    mqttProtocol.publish(this.mqttClient, encoded)
+      .catch(error => console.error(`      ❌ MQTT publish failed:`, error.message));
+    console.log(`      ✅ MQTT command sent successfully`);
+
+    // The command is out: bookkeeping failures below must not make the slot run again
+    try {
+      // Mark command as sent (ACK tracking, retries and expiry)
+      await commandDelivery.markSent(command, encoded);
+
+      // Update device state
+      device.isPumpOn = true;
+      device.lastCommand = 'PUMP_ON (SCHEDULE)';
+      device.lastCommandTime = now;
+      device.scheduleMode.lastExecutedAt = now;
+      device.scheduleMode.executionCount = (device.scheduleMode.executionCount || 0) + 1;
+      await device.save();
     } catch (error) {
-      console.error(`❌ Schedule Executor: Error executing schedule for ${deviceId}:`, error);
+      console.error(`      ⚠️ Schedule sent, but recording it failed:`, error.message);
     }
+
+    console.log(`      ✅ Schedule executed successfully`);
+    return {
+      outcome: 'executed',
+      reason: budgetNote,
+      duration,
+      commandId: String(command._id)
+    };
   }
 
   /**
    * Update next scheduled time after execution
    */
-  async updateNextScheduledTime(device) {
+  async updateNextScheduledTime(device, timezone) {
     try {
-      const nextSchedule = this.calculateNextScheduledTime(device.schedules);
+      const nextSchedule = this.calculateNextScheduledTime(device.schedules, timezone, {
+        location: device.location?.coordinates
+      });
       device.scheduleMode.nextScheduledAt = nextSchedule;
       await device.save();
 
       if (nextSchedule) {
-        const phTime = new Date(nextSchedule.toLocaleString('en-US', { timeZone: 'Asia/Manila' }));
-        console.log(`      📅 Next schedule: ${phTime.toLocaleString('en-US', { timeZone: 'Asia/Manila' })}`);
+        console.log(`      📅 Next schedule: ${zonedTime.formatLocal(nextSchedule, timezone)}`);
       }
     } catch (error) {
       console.error(`❌ Error updating next scheduled time:`, error);
@@ -219,46 +554,18 @@ class ScheduleExecutor {
   }
 
   /**
-   * Calculate Next Scheduled Time (Philippine Time UTC+8)
+   * Calculate Next Scheduled Time
+   * @param {Array} schedules - Device.schedules
+   * @param {string} [timezone] - Owner's IANA timezone (defaultTimezone when omitted)
+   * @param {Object} [options] - { from: only slots strictly after this (now),
+   *   location: Device.location.coordinates for solar schedules }
+   * @returns {Date|null}
    */
-  calculateNextScheduledTime(schedules) {
+  calculateNextScheduledTime(schedules, timezone = this.defaultTimezone, { from = new Date(), location = null } = {}) {
     if (!schedules || schedules.length === 0) return null;
 
-    // Get current Philippine Time
-    const now = new Date();
-    const phTime = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Manila' }));
-    const currentDay = phTime.getDay(); // 0-6 (Sun-Sat)
-    const currentDayOfWeek = currentDay === 0 ? 7 : currentDay; // Convert to 1-7 (Mon-Sun)
-    const currentTime = `${String(phTime.getHours()).padStart(2, '0')}:${String(phTime.getMinutes()).padStart(2, '0')}`;
-
-    let nextSchedule = null;
-    let minDiff = Infinity;
-
-    schedules.forEach(schedule => {
-      if (!schedule.isActive) return;
-
-      schedule.daysOfWeek.forEach(day => {
-        const [hours, minutes] = schedule.time.split(':').map(Number);
-        
-        // Calculate days until this schedule
-        let daysUntil = day - currentDayOfWeek;
-        if (daysUntil < 0) daysUntil += 7;
-        if (daysUntil === 0 && schedule.time <= currentTime) daysUntil = 7;
-
-        // Calculate exact datetime in Philippine Time
-        const scheduledDate = new Date(phTime);
-        scheduledDate.setDate(scheduledDate.getDate() + daysUntil);
-        scheduledDate.setHours(hours, minutes, 0, 0);
-
-        const diff = scheduledDate - phTime;
-        if (diff > 0 && diff < minDiff) {
-          minDiff = diff;
-          nextSchedule = scheduledDate;
-        }
-      });
-    });
-
-    return nextSchedule;
+    const [next] = scheduleRules.nextFireTimes(schedules.filter(s => s.isActive), timezone, from, 1, location);
+    return next ? next.at : null;
   }
 }
 
@@ -0,0 +1,391 @@
+/**
+ * Schedule Rules - When a Device.schedules entry fires
+ *
+ * Rule types (schedule.type):
+ * - weekly          time 'HH:MM' on daysOfWeek (0=Sun..6=Sat)         (default)
+ * - interval_days   time 'HH:MM' every intervalDays days from startDate
+ * - interval_hours  every intervalHours hours from startDate at time;
+ *                   real elapsed hours, so local times shift across DST
+ * - cron            5-field cron (minute hour day-of-month month day-of-week),
+ *                   with *, lists, ranges, steps, JAN-DEC/SUN-SAT names and
+ *                   @hourly/@daily/@weekly/@monthly; day-of-month and
+ *                   day-of-week match either when both are restricted
+ * - solar           offsetMinutes before (negative) or after solarEvent
+ *                   (sunrise/sunset) at Device.location.coordinates, on
+ *                   daysOfWeek (every day when empty); no slot on polar
+ *                   days/nights or without coordinates
+ *
+ * All rules are evaluated in the owner's timezone (see zonedTime). startDate
+ * and endDate are optional local calendar dates 'YYYY-MM-DD' (inclusive);
+ * the interval rules count from startDate.
+ */
+
+const zonedTime = require('./zonedTime');
+const solarTimes = require('./solarTimes');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const SCHEDULE_TYPES = ['weekly', 'interval_days', 'interval_hours', 'cron', 'solar'];
+const CATCH_UP_POLICIES = ['run', 'skip', 'shorten'];
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MAX_INTERVAL_HOURS = 168;
+const MAX_INTERVAL_DAYS = 365;
+const MAX_DURATION = 120;
+const MIN_CRON_GAP_MINUTES = 30; // A cron rule may not water more often than this
+const MAX_SCAN_DAYS = 366; // Rules that fire less than yearly look no further
+const MAX_SOLAR_OFFSET_MINUTES = 720;
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+const parsedCron = new Map(); // expression → parseCron() result
+
+function parseCronValue(text, field) {
+  const upper = text.toUpperCase();
+  const named = field.names ? field.names.indexOf(upper) : -1;
+  const value = named >= 0 ? named + field.offset : (/^\d+$/.test(text) ? Number(text) : NaN);
+  if (Number.isNaN(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} value '${text}' (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step in '${part}'`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(value => parseCronValue(value, field));
+      if (from > to) throw new Error(`Invalid ${field.name} range '${range}'`);
+    } else {
+      from = parseCronValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression (throws with a readable message when invalid)
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek (Sets), domRestricted, dowRestricted }
+ */
+function parseCron(expression) {
+  if (parsedCron.has(expression)) {
+    return parsedCron.get(expression);
+  }
+
+  const source = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const fields = source.split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((text, i) => parseCronField(text, CRON_FIELDS[i]));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0); // 7 is Sunday too
+  }
+
+  const cron = {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in Vixie cron, a field starting with '*' (e.g. '*/2') counts as unrestricted
+    domRestricted: !fields[2].startsWith('*'),
+    dowRestricted: !fields[4].startsWith('*')
+  };
+  parsedCron.set(expression, cron);
+  return cron;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function dateKey({ year, month, day }) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return { year, month, day };
+}
+
+/**
+ * Whole local days from one calendar date to another
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / DAY_MS);
+}
+
+function cronMatchesDate(cron, date) {
+  if (!cron.months.has(date.month)) return false;
+  const domMatch = cron.daysOfMonth.has(date.day);
+  const dowMatch = cron.daysOfWeek.has(date.dayOfWeek);
+  if (cron.domRestricted && cron.dowRestricted) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+/**
+ * Instants a schedule fires on one local calendar date, ascending
+ * @param {Object} schedule - Device.schedules entry (isActive is not checked)
+ * @param {Object} date - { year, month, day, dayOfWeek } (zonedTime.addLocalDays)
+ * @param {string} timezone - IANA name
+ * @param {Object} [location] - Device.location.coordinates (solar rules)
+ * @returns {Date[]}
+ */
+function firesOnDate(schedule, date, timezone, location = null) {
+  const key = dateKey(date);
+  if (schedule.startDate && key < schedule.startDate) return [];
+  if (schedule.endDate && key > schedule.endDate) return [];
+
+  const type = schedule.type || 'weekly';
+  let fires = [];
+
+  if (type === 'weekly') {
+    if (schedule.daysOfWeek.includes(date.dayOfWeek)) {
+      fires = [zonedTime.atLocalTime(date, schedule.time, timezone)];
+    }
+  } else if (type === 'interval_days') {
+    if (daysBetween(parseDateKey(schedule.startDate), date) % schedule.intervalDays === 0) {
+      fires = [zonedTime.atLocalTime(date, schedule.time, timezone)];
+    }
+  } else if (type === 'interval_hours') {
+    const anchor = zonedTime.atLocalTime(parseDateKey(schedule.startDate), schedule.time, timezone).getTime();
+    const step = schedule.intervalHours * HOUR_MS;
+    const dayStart = zonedTime.atLocalTime(date, '00:00', timezone).getTime();
+    const dayEnd = zonedTime.atLocalTime(zonedTime.addLocalDays(date, 1), '00:00', timezone).getTime();
+    for (let at = anchor + Math.max(0, Math.ceil((dayStart - anchor) / step)) * step; at < dayEnd; at += step) {
+      fires.push(new Date(at));
+    }
+  } else if (type === 'cron') {
+    const cron = parseCron(schedule.cron);
+    if (cronMatchesDate(cron, date)) {
+      [...cron.hours].sort((a, b) => a - b).forEach(hour => {
+        [...cron.minutes].sort((a, b) => a - b).forEach(minute => {
+          fires.push(zonedTime.atLocalTime(date, `${pad(hour)}:${pad(minute)}`, timezone));
+        });
+      });
+    }
+  } else if (type === 'solar') {
+    const days = schedule.daysOfWeek || [];
+    if (solarTimes.isValidLocation(location) && (days.length === 0 || days.includes(date.dayOfWeek))) {
+      const event = solarTimes.getSolarTimes(date, location)[schedule.solarEvent];
+      if (event) {
+        // Whole minutes, like every other rule
+        const at = event.getTime() + (schedule.offsetMinutes || 0) * 60 * 1000;
+        fires = [new Date(Math.round(at / 60000) * 60000)];
+      }
+    }
+  }
+
+  // A DST gap can move a wall time onto another one; fire once
+  const seen = new Set();
+  return fires.filter(at => {
+    if (seen.has(at.getTime())) return false;
+    seen.add(at.getTime());
+    return true;
+  });
+}
+
+/**
+ * Next fire times of the active schedules strictly after `from`
+ * @param {Array} schedules - Device.schedules entries
+ * @param {string} timezone - IANA name
+ * @param {Date} from
+ * @param {number} count
+ * @param {Object} [location] - Device.location.coordinates (solar rules)
+ * @returns {Array} [{ at, schedule }] ascending
+ */
+function nextFireTimes(schedules, timezone, from, count, location = null) {
+  const fires = [];
+  const active = schedules.filter(schedule => schedule.isActive !== false);
+  if (active.length === 0 || count < 1) return fires;
+
+  const firstDay = zonedTime.getLocalParts(from, timezone);
+  for (let offset = 0; offset <= MAX_SCAN_DAYS && fires.length < count; offset++) {
+    const date = zonedTime.addLocalDays(firstDay, offset);
+    const dayFires = [];
+    active.forEach(schedule => {
+      firesOnDate(schedule, date, timezone, location)
+        .filter(at => at > from)
+        .forEach(at => dayFires.push({ at, schedule }));
+    });
+    dayFires.sort((a, b) => a.at - b.at);
+    fires.push(...dayFires.slice(0, count - fires.length));
+  }
+
+  return fires;
+}
+
+/**
+ * One-line description for logs and previews
+ */
+function describe(schedule) {
+  const range = schedule.endDate ? ` until ${schedule.endDate}` : '';
+  switch (schedule.type || 'weekly') {
+    case 'interval_days':
+      return `every ${schedule.intervalDays} day(s) at ${schedule.time} from ${schedule.startDate}${range}`;
+    case 'interval_hours':
+      return `every ${schedule.intervalHours} hour(s) from ${schedule.startDate} ${schedule.time}${range}`;
+    case 'cron':
+      return `cron '${schedule.cron}'${range}`;
+    case 'solar': {
+      const offset = schedule.offsetMinutes || 0;
+      const when = offset === 0 ? `at ${schedule.solarEvent}`
+        : `${Math.abs(offset)} min ${offset < 0 ? 'before' : 'after'} ${schedule.solarEvent}`;
+      const days = schedule.daysOfWeek?.length ? ` on days ${schedule.daysOfWeek.join(',')}` : '';
+      return `${when}${days}${range}`;
+    }
+    default:
+      return `${schedule.time} on days ${schedule.daysOfWeek.join(',')}${range}`;
+  }
+}
+
+/**
+ * Validate a schedule from the API, before days are converted to 0-6
+ * (upsertSchedule accepts 1-7 with 7 = Sunday, and 0 for Sunday)
+ * @returns {string|null} Error message, null when valid
+ */
+function validate(schedule) {
+  if (!schedule || typeof schedule !== 'object') return 'schedule must be an object';
+
+  const type = schedule.type || 'weekly';
+  if (!SCHEDULE_TYPES.includes(type)) {
+    return `type must be one of ${SCHEDULE_TYPES.join(', ')}`;
+  }
+
+  if (typeof schedule.duration !== 'number' || schedule.duration < 1 || schedule.duration > MAX_DURATION) {
+    return `duration must be 1-${MAX_DURATION} seconds`;
+  }
+
+  if (type !== 'cron' && type !== 'solar' && !(typeof schedule.time === 'string' && TIME_PATTERN.test(schedule.time))) {
+    return 'time must be HH:MM';
+  }
+
+  const days = schedule.daysOfWeek;
+  const validDays = Array.isArray(days) && days.every(day => Number.isInteger(day) && day >= 0 && day <= 7);
+  if (type === 'weekly' && (!validDays || days.length === 0)) {
+    return 'daysOfWeek must be a non-empty list of days 1-7 (Mon-Sun)';
+  }
+  if (type === 'solar' && days !== undefined && days !== null && !validDays) {
+    return 'daysOfWeek must be a list of days 1-7 (Mon-Sun), or empty for every day';
+  }
+
+  if (type === 'solar') {
+    if (!solarTimes.SOLAR_EVENTS.includes(schedule.solarEvent)) {
+      return `solarEvent must be one of ${solarTimes.SOLAR_EVENTS.join(', ')}`;
+    }
+    const offset = schedule.offsetMinutes;
+    if (offset !== undefined && offset !== null &&
+        !(Number.isInteger(offset) && Math.abs(offset) <= MAX_SOLAR_OFFSET_MINUTES)) {
+      return `offsetMinutes must be a whole number from -${MAX_SOLAR_OFFSET_MINUTES} to ${MAX_SOLAR_OFFSET_MINUTES}`;
+    }
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    const value = schedule[field];
+    if (value === undefined || value === null) continue;
+    const valid = typeof value === 'string' && DATE_PATTERN.test(value) &&
+      dateKey(zonedTime.addLocalDays(parseDateKey(value), 0)) === value;
+    if (!valid) return `${field} must be a date YYYY-MM-DD`;
+  }
+  if (schedule.startDate && schedule.endDate && schedule.endDate < schedule.startDate) {
+    return 'endDate must not be before startDate';
+  }
+
+  if (type === 'interval_days' &&
+      !(Number.isInteger(schedule.intervalDays) && schedule.intervalDays >= 1 && schedule.intervalDays <= MAX_INTERVAL_DAYS)) {
+    return `intervalDays must be a whole number 1-${MAX_INTERVAL_DAYS}`;
+  }
+  if (type === 'interval_hours' &&
+      !(Number.isInteger(schedule.intervalHours) && schedule.intervalHours >= 1 && schedule.intervalHours <= MAX_INTERVAL_HOURS)) {
+    return `intervalHours must be a whole number 1-${MAX_INTERVAL_HOURS}`;
+  }
+
+  if (type === 'cron') {
+    if (typeof schedule.cron !== 'string' || !schedule.cron.trim()) {
+      return 'cron expression is required';
+    }
+    try {
+      parseCron(schedule.cron);
+    } catch (error) {
+      return error.message;
+    }
+
+    // Runs closer together than a short soak make no sense for a pump
+    const fires = nextFireTimes([{ ...schedule, startDate: null, endDate: null }], 'UTC', new Date(), 20);
+    if (fires.length === 0) {
+      return 'cron expression never fires';
+    }
+    for (let i = 1; i < fires.length; i++) {
+      if (fires[i].at - fires[i - 1].at < MIN_CRON_GAP_MINUTES * 60 * 1000) {
+        return `cron expression fires more often than every ${MIN_CRON_GAP_MINUTES} minutes`;
+      }
+    }
+  }
+
+  if (schedule.catchUp !== undefined && !CATCH_UP_POLICIES.includes(schedule.catchUp)) {
+    return `catchUp must be one of ${CATCH_UP_POLICIES.join(', ')}`;
+  }
+
+  const { conditions } = schedule;
+  if (conditions !== undefined && conditions !== null) {
+    if (typeof conditions !== 'object') return 'conditions must be an object';
+    const { skipAboveMoisture, scaleByDryness } = conditions;
+    if (skipAboveMoisture != null &&
+        !(typeof skipAboveMoisture === 'number' && skipAboveMoisture >= 0 && skipAboveMoisture <= 100)) {
+      return 'conditions.skipAboveMoisture must be 0-100';
+    }
+    if (scaleByDryness !== undefined && typeof scaleByDryness !== 'boolean') {
+      return 'conditions.scaleByDryness must be a boolean';
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  SCHEDULE_TYPES,
+  CATCH_UP_POLICIES,
+  parseCron,
+  firesOnDate,
+  nextFireTimes,
+  describe,
+  validate,
+  dateKey
+};
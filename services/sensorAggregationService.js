@@ -0,0 +1,248 @@
+/**
+ * Sensor Aggregation Service
+ *
+ * Time-bucketed statistics over SensorData, computed in MongoDB so charts
+ * receive one point per bucket instead of every raw reading.
+ *
+ * For each bucket and zone (zone1-3 moisture %): min, max, avg and
+ * nearest-rank percentiles. When the requested bucket would produce more
+ * than maxPoints buckets the next coarser size is used (downsampling).
+ *
+ * Ranges older than the raw retention are served from the hourly/daily
+ * rollups (models/SensorRollup.js) instead; see sensorRetentionService.
+ * Rollups only hold completed buckets, so the newest part of such a range
+ * is filled in from raw readings (uncoveredBuckets).
+ *
+ * Requires MongoDB 5.2+ ($dateTrunc, $sortArray).
+ */
+
+const SensorData = require('../models/SensorData');
+const { SensorDataHourly, SensorDataDaily } = require('../models/SensorRollup');
+
+// Bucket sizes, finest first (downsampling walks up this list)
+const BUCKETS = {
+  '1m': { unit: 'minute', binSize: 1, ms: 60 * 1000 },
+  '5m': { unit: 'minute', binSize: 5, ms: 5 * 60 * 1000 },
+  '1h': { unit: 'hour', binSize: 1, ms: 60 * 60 * 1000 },
+  '1d': { unit: 'day', binSize: 1, ms: 24 * 60 * 60 * 1000 }
+};
+const BUCKET_NAMES = Object.keys(BUCKETS);
+
+const ZONES = ['zone1', 'zone2', 'zone3'];
+const DEFAULT_PERCENTILES = [10, 50, 90];
+const DEFAULT_MAX_POINTS = 500;
+
+class SensorAggregationService {
+  /**
+   * Smallest bucket (not finer than requested) that keeps the series within maxPoints
+   * @returns {string} Bucket name
+   */
+  chooseBucket(from, to, requested, maxPoints) {
+    const span = to - from;
+    const startIndex = requested && requested !== 'auto' ? BUCKET_NAMES.indexOf(requested) : 0;
+
+    for (let i = startIndex; i < BUCKET_NAMES.length; i++) {
+      if (span / BUCKETS[BUCKET_NAMES[i]].ms <= maxPoints) {
+        return BUCKET_NAMES[i];
+      }
+    }
+    return BUCKET_NAMES[BUCKET_NAMES.length - 1];
+  }
+
+  /**
+   * Per-zone stats expression for the $project stage
+   */
+  zoneStats(zone, percentiles) {
+    const sorted = {
+      $sortArray: {
+        input: { $filter: { input: `$${zone}Values`, cond: { $isNumber: '$$this' } } },
+        sortBy: 1
+      }
+    };
+
+    const stats = {
+      min: `$${zone}Min`,
+      max: `$${zone}Max`,
+      avg: { $round: [`$${zone}Avg`, 1] }
+    };
+    for (const p of percentiles) {
+      stats[`p${p}`] = {
+        $arrayElemAt: ['$$sorted', { $floor: { $multiply: [p / 100, { $subtract: [{ $size: '$$sorted' }, 1] }] } }]
+      };
+    }
+
+    return { $let: { vars: { sorted }, in: stats } };
+  }
+
+  /**
+   * $group/$sort/$project stages turning matched readings into buckets
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name (1m | 5m | 1h | 1d)
+   * @param {number[]} options.percentiles
+   * @param {string} options.timezone - IANA zone for hour/day boundaries
+   * @param {boolean} options.byDevice - Group per device too (adds deviceId/userID to each bucket).
+   *   Keyed on deviceId + start only, the rollups' $merge key; userID is the
+   *   owner any reading in the bucket carries (legacy readings have none)
+   */
+  bucketStages({ bucket, percentiles, timezone = 'UTC', byDevice = false }) {
+    const { unit, binSize } = BUCKETS[bucket];
+    const start = { $dateTrunc: { date: '$timestamp', unit, binSize, timezone } };
+
+    const group = {
+      _id: byDevice ? { deviceId: '$deviceId', start } : start,
+      ...(byDevice && { userID: { $max: '$userID' } }),
+      count: { $sum: 1 },
+      dryCount: { $sum: { $cond: ['$majorityVoteDry', 1, 0] } }
+    };
+    const project = {
+      _id: 0,
+      ...(byDevice && { deviceId: '$_id.deviceId', userID: 1 }),
+      start: byDevice ? '$_id.start' : '$_id',
+      count: 1,
+      dryPercentage: { $round: [{ $multiply: [{ $divide: ['$dryCount', '$count'] }, 100] }, 0] },
+      zones: {}
+    };
+    for (const zone of ZONES) {
+      const field = `$${zone}Percent`;
+      group[`${zone}Min`] = { $min: field };
+      group[`${zone}Max`] = { $max: field };
+      group[`${zone}Avg`] = { $avg: field };
+      group[`${zone}Values`] = { $push: field };
+      project.zones[zone] = this.zoneStats(zone, percentiles);
+    }
+
+    return [
+      { $group: group },
+      { $sort: { _id: 1 } },
+      { $project: project }
+    ];
+  }
+
+  /**
+   * Rollup model for a resolution ('hour' | 'day')
+   */
+  rollupModel(resolution) {
+    return resolution === 'day' ? SensorDataDaily : SensorDataHourly;
+  }
+
+  /**
+   * Read stored rollup buckets for one device
+   * @param {string} resolution - 'hour' | 'day'
+   * @param {Object} options - { deviceId, userId, from, to, sort: 1 | -1, limit }
+   */
+  async findRollups(resolution, { deviceId, userId, from, to, sort = 1, limit = 0 }) {
+    const query = { deviceId, userID: String(userId) };
+    if (from || to) {
+      query.start = {};
+      if (from) query.start.$gte = from;
+      if (to) query.start.$lt = to;
+    }
+
+    return this.rollupModel(resolution)
+      .find(query)
+      .sort({ start: sort })
+      .limit(limit)
+      .select('-_id start count dryPercentage zones')
+      .lean();
+  }
+
+  /**
+   * Buckets of a rollup-served range that the rollups don't cover yet (the
+   * current partial bucket, or ones the hourly run hasn't compacted), from
+   * raw readings with UTC boundaries like the rollups
+   * @param {string} bucketName - 1h | 1d
+   * @param {Object} options - { deviceId, userId, from, to, latestRollupStart, percentiles }
+   * @returns {Promise<Object[]>} Buckets, oldest first
+   */
+  async uncoveredBuckets(bucketName, { deviceId, userId, from, to, latestRollupStart = null, percentiles = DEFAULT_PERCENTILES }) {
+    const coveredUntil = latestRollupStart
+      ? new Date(new Date(latestRollupStart).getTime() + BUCKETS[bucketName].ms)
+      : from;
+    const rawFrom = coveredUntil > from ? coveredUntil : from;
+    if (rawFrom >= to) {
+      return [];
+    }
+
+    return SensorData.aggregate([
+      { $match: { deviceId, userID: String(userId), timestamp: { $gte: rawFrom, $lt: to } } },
+      ...this.bucketStages({ bucket: bucketName, percentiles })
+    ]).allowDiskUse(true);
+  }
+
+  /**
+   * Aggregate a device's readings into time buckets
+   * @param {Object} options
+   * @param {string} options.deviceId
+   * @param {string} options.userId - Owner (readings are stored with userID)
+   * @param {Date} options.from
+   * @param {Date} options.to
+   * @param {string} options.bucket - 1m | 5m | 1h | 1d | auto
+   * @param {number[]} options.percentiles - e.g. [10, 50, 90]
+   * @param {number} options.maxPoints - Upper bound on returned buckets
+   * @param {string} options.timezone - IANA zone for hour/day boundaries
+   * @param {string} options.resolution - 'raw' | 'hour' | 'day' (oldest data available for `from`)
+   */
+  async aggregate({ deviceId, userId, from, to, bucket = 'auto', percentiles = DEFAULT_PERCENTILES, maxPoints = DEFAULT_MAX_POINTS, timezone = 'UTC', resolution = 'raw' }) {
+    if (resolution !== 'raw') {
+      return this.aggregateRollups({ deviceId, userId, from, to, bucket, percentiles, maxPoints, resolution });
+    }
+
+    const bucketName = this.chooseBucket(from, to, bucket, maxPoints);
+    const buckets = await SensorData.aggregate([
+      { $match: { deviceId, userID: String(userId), timestamp: { $gte: from, $lt: to } } },
+      ...this.bucketStages({ bucket: bucketName, percentiles, timezone })
+    ]).allowDiskUse(true);
+
+    return {
+      bucket: bucketName,
+      downsampled: bucket !== 'auto' && bucketName !== bucket,
+      resolution,
+      timezone,
+      buckets
+    };
+  }
+
+  /**
+   * Serve a range from the rollups. Buckets are at least one hour (one day
+   * when only daily rollups remain), boundaries are UTC, and percentiles
+   * not stored in rollups come back as null.
+   */
+  async aggregateRollups({ deviceId, userId, from, to, bucket, percentiles, maxPoints, resolution }) {
+    const finest = resolution === 'day' ? '1d' : '1h';
+    const requested = bucket === 'auto' || BUCKET_NAMES.indexOf(bucket) < BUCKET_NAMES.indexOf(finest) ? finest : bucket;
+    const bucketName = this.chooseBucket(from, to, requested, maxPoints);
+
+    const rollups = await this.findRollups(bucketName === '1d' ? 'day' : 'hour', { deviceId, userId, from, to });
+    const recent = await this.uncoveredBuckets(bucketName, {
+      deviceId,
+      userId,
+      from,
+      to,
+      latestRollupStart: rollups.length > 0 ? rollups[rollups.length - 1].start : null,
+      percentiles
+    });
+    const buckets = [...rollups, ...recent].map(rollup => ({
+      ...rollup,
+      zones: Object.fromEntries(ZONES.map(zone => {
+        const stored = rollup.zones?.[zone] || {};
+        const stats = { min: stored.min ?? null, max: stored.max ?? null, avg: stored.avg ?? null };
+        percentiles.forEach(p => { stats[`p${p}`] = stored[`p${p}`] ?? null; });
+        return [zone, stats];
+      }))
+    }));
+
+    return {
+      bucket: bucketName,
+      downsampled: bucket !== 'auto' && bucketName !== bucket,
+      resolution: bucketName === '1d' ? 'day' : 'hour',
+      timezone: 'UTC',
+      buckets
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SensorAggregationService();
+module.exports.BUCKET_NAMES = BUCKET_NAMES;
+module.exports.DEFAULT_PERCENTILES = DEFAULT_PERCENTILES;
+module.exports.DEFAULT_MAX_POINTS = DEFAULT_MAX_POINTS;
@@ -0,0 +1,186 @@
+/**
+ * Sensor Fault Service - Per-zone probe health beyond ADC range checks
+ *
+ * Every v2 reading is checked against a short per-device history:
+ * - out_of_range  ADC outside 0-4095 (isSensorValid)
+ * - flatline      identical ADC for FLATLINE_READINGS readings in a row
+ * - jump          implausible change between consecutive readings; the zone
+ *                 stays suspect for SETTLE_READINGS readings afterwards
+ * - disagreement  far from both siblings while they agree with each other,
+ *                 for DISAGREE_READINGS readings in a row
+ * - drift         window average outside the calibrated wet..dry range
+ *
+ * Health per zone: { status: 'ok' | 'warning' | 'faulty', faults: [...] }.
+ * Drift is a warning (the calibration needs redoing); everything else marks
+ * the zone faulty and the watering engine leaves it out of the vote, so a
+ * disconnected probe reading "bone dry" can't start the pump.
+ *
+ * History lives in memory and is seeded from the latest SensorData after a
+ * restart.
+ */
+
+const SensorData = require('../models/SensorData');
+const moistureConversion = require('./moistureConversionService');
+const { isSensorValid } = require('./esp32SensorAlgorithm');
+
+const ZONES = ['zone1', 'zone2', 'zone3'];
+
+class SensorFaultService {
+  constructor() {
+    this.history = new Map(); // deviceId → { zone1: { adcs, jumpHold, disagreeCount }, ... }
+
+    this.FLATLINE_READINGS = 12; // 1 minute at the firmware's 5 s interval
+    this.JUMP_FRACTION = 0.5; // Change of half the calibrated span in one reading
+    this.SETTLE_READINGS = 12;
+    this.DISAGREE_PERCENT = 50;
+    this.SIBLING_AGREE_PERCENT = 20; // Siblings must be this close to each other
+    this.DISAGREE_READINGS = 6;
+    this.DRIFT_MARGIN_FRACTION = 0.1; // Beyond the calibrated range by 10% of the span
+  }
+
+  /**
+   * Per-device history, seeded from the latest stored readings
+   */
+  async getHistory(deviceId) {
+    if (this.history.has(deviceId)) {
+      return this.history.get(deviceId);
+    }
+
+    const state = {};
+    ZONES.forEach(zone => {
+      state[zone] = { adcs: [], jumpHold: 0, disagreeCount: 0 };
+    });
+
+    try {
+      const recent = await SensorData.find({ deviceId })
+        .sort({ timestamp: -1 })
+        .limit(this.FLATLINE_READINGS)
+        .select('zone1 zone2 zone3')
+        .lean();
+      recent.reverse().forEach(reading => {
+        ZONES.forEach(zone => state[zone].adcs.push(reading[zone]));
+      });
+    } catch (error) {
+      console.error(`⚠️ Could not seed sensor history for ${deviceId}:`, error.message);
+    }
+
+    this.history.set(deviceId, state);
+    return state;
+  }
+
+  /**
+   * Check one zone's reading against its own history
+   * @returns {string[]} Fault codes
+   */
+  checkZone(adc, zoneState, curve, pumpOn) {
+    if (typeof adc !== 'number' || !isSensorValid(adc)) {
+      return ['out_of_range'];
+    }
+
+    const faults = [];
+    const { adcs } = zoneState;
+    const span = Math.max(1, curve.dry - curve.wet);
+
+    // Jump: wetter jumps are expected while the pump runs
+    const previous = adcs[adcs.length - 1];
+    if (previous !== undefined) {
+      const change = adc - previous;
+      const wetterWhileWatering = pumpOn && change < 0;
+      if (Math.abs(change) > span * this.JUMP_FRACTION && !wetterWhileWatering) {
+        zoneState.jumpHold = this.SETTLE_READINGS;
+      }
+    }
+    if (zoneState.jumpHold > 0) {
+      faults.push('jump');
+      zoneState.jumpHold--;
+    }
+
+    // Flatline: a live probe always shows some ADC noise
+    const window = [...adcs.slice(-(this.FLATLINE_READINGS - 1)), adc];
+    if (window.length >= this.FLATLINE_READINGS && window.every(value => value === adc)) {
+      faults.push('flatline');
+    }
+
+    // Drift: the probe's whole recent range sits outside its calibration
+    if (window.length >= this.FLATLINE_READINGS) {
+      const average = window.reduce((sum, value) => sum + value, 0) / window.length;
+      const margin = span * this.DRIFT_MARGIN_FRACTION;
+      if (average < curve.wet - margin || average > curve.dry + margin) {
+        faults.push('drift');
+      }
+    }
+
+    return faults;
+  }
+
+  /**
+   * Evaluate a reading and update the device's history
+   * @param {string} deviceId - Normalized
+   * @param {Object} reading - Raw ADC values { zone1, zone2, zone3, pumpState }
+   * @param {Object} calibration - moistureConversion.resolve(device)
+   * @returns {Promise<Object>} { zone1: { status, faults }, ... }
+   */
+  async evaluate(deviceId, reading, calibration) {
+    const state = await this.getHistory(deviceId);
+    const pumpOn = Boolean(reading.pumpState || reading.pump);
+    const faults = {};
+
+    ZONES.forEach(zone => {
+      faults[zone] = this.checkZone(reading[zone], state[zone], calibration[zone], pumpOn);
+    });
+
+    // Disagreement: only when both siblings are in range and agree
+    const percents = {};
+    ZONES.forEach(zone => {
+      percents[zone] = faults[zone].includes('out_of_range')
+        ? null
+        : moistureConversion.toPercent(reading[zone], calibration[zone]);
+    });
+    ZONES.forEach(zone => {
+      const siblings = ZONES.filter(other => other !== zone).map(other => percents[other]);
+      const zoneState = state[zone];
+      const disagrees = percents[zone] !== null &&
+        siblings.every(percent => percent !== null) &&
+        Math.abs(siblings[0] - siblings[1]) <= this.SIBLING_AGREE_PERCENT &&
+        siblings.every(percent => Math.abs(percent - percents[zone]) > this.DISAGREE_PERCENT);
+
+      zoneState.disagreeCount = disagrees ? zoneState.disagreeCount + 1 : 0;
+      if (zoneState.disagreeCount >= this.DISAGREE_READINGS) {
+        faults[zone].push('disagreement');
+      }
+    });
+
+    const health = {};
+    ZONES.forEach(zone => {
+      const zoneFaults = faults[zone];
+      const status = zoneFaults.some(fault => fault !== 'drift') ? 'faulty'
+        : zoneFaults.length > 0 ? 'warning' : 'ok';
+      health[zone] = { status, faults: zoneFaults };
+
+      // Remember the reading (out-of-range values would mask flatlines)
+      if (typeof reading[zone] === 'number' && isSensorValid(reading[zone])) {
+        const { adcs } = state[zone];
+        adcs.push(reading[zone]);
+        if (adcs.length > this.FLATLINE_READINGS) adcs.shift();
+      }
+    });
+
+    const faulty = ZONES.filter(zone => health[zone].status === 'faulty');
+    if (faulty.length > 0) {
+      console.log(`🩺 ${deviceId} faulty zones excluded from voting: ` +
+        faulty.map(zone => `${zone} (${health[zone].faults.join(', ')})`).join(', '));
+    }
+    return health;
+  }
+
+  /**
+   * Forget a device's history (e.g. after recalibration or probe replacement)
+   */
+  reset(deviceId) {
+    this.history.delete(deviceId);
+  }
+}
+
+// Export singleton instance
+module.exports = new SensorFaultService();
+module.exports.ZONES = ZONES;
@@ -0,0 +1,273 @@
+/**
+ * Sensor Retention Service
+ *
+ * Keeps SensorData from growing forever:
+ * - Every hour, compacts completed hours and UTC days of raw readings into
+ *   the hourly and daily rollup collections (models/SensorRollup.js)
+ * - Applies TTL indexes so MongoDB deletes raw readings and rollups past
+ *   their retention age
+ * - Tells readers which resolution still covers a date (resolutionFor)
+ *
+ * Retention ages are in days; 0 keeps that resolution forever.
+ *
+ * Rollups are written with $merge keyed on (deviceId, start), so re-running
+ * a bucket replaces it. Raw readings must outlive the daily rollup of their
+ * day, hence the two-day minimum raw retention.
+ */
+
+const mongoose = require('mongoose');
+const SensorData = require('../models/SensorData');
+const SensorDataImport = require('../models/SensorDataImport');
+const { SensorDataHourly, SensorDataDaily, ROLLUP_PERCENTILES } = require('../models/SensorRollup');
+const sensorAggregation = require('./sensorAggregationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_RAW_RETENTION_DAYS = 2;
+
+// How each rollup is built; chunkMs bounds the raw readings per aggregation
+const ROLLUPS = {
+  hour: { model: SensorDataHourly, bucket: '1h', bucketMs: HOUR_MS, chunkMs: DAY_MS },
+  day: { model: SensorDataDaily, bucket: '1d', bucketMs: DAY_MS, chunkMs: 7 * DAY_MS }
+};
+
+class SensorRetentionService {
+  constructor() {
+    this.runInterval = null;
+    this.isRunning = false;
+    this.isRollingUp = false;
+    this.RUN_INTERVAL_MS = HOUR_MS;
+
+    // Days to keep each resolution (0 = keep forever); see configure()
+    this.retention = { rawDays: 30, hourlyDays: 365, dailyDays: 0 };
+  }
+
+  /**
+   * Apply retention settings (config.retention from config/appConfig.js)
+   */
+  configure(retention = {}) {
+    this.retention = { ...this.retention, ...retention };
+
+    if (this.retention.rawDays && this.retention.rawDays < MIN_RAW_RETENTION_DAYS) {
+      console.warn(`⚠️ Raw sensor retention raised to ${MIN_RAW_RETENTION_DAYS} days so daily rollups can be built`);
+      this.retention.rawDays = MIN_RAW_RETENTION_DAYS;
+    }
+  }
+
+  /**
+   * Start hourly rollups (the first run waits for the database connection)
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    const firstRun = () => this.run();
+    if (mongoose.connection.readyState === 1) {
+      firstRun();
+    } else {
+      mongoose.connection.once('connected', firstRun);
+    }
+    this.runInterval = setInterval(() => this.run(), this.RUN_INTERVAL_MS);
+
+    const { rawDays, hourlyDays, dailyDays } = this.retention;
+    const keep = (days) => (days ? `${days}d` : 'forever');
+    console.log(`🗜️ Sensor Retention: Started (raw ${keep(rawDays)}, hourly ${keep(hourlyDays)}, daily ${keep(dailyDays)})`);
+  }
+
+  /**
+   * Stop hourly rollups
+   */
+  stop() {
+    if (this.runInterval) {
+      clearInterval(this.runInterval);
+      this.runInterval = null;
+    }
+    this.isRunning = false;
+    console.log('🗜️ Sensor Retention: Stopped');
+  }
+
+  /**
+   * Apply TTL indexes, then roll up everything not yet compacted
+   */
+  async run() {
+    if (this.isRollingUp) {
+      return;
+    }
+
+    this.isRollingUp = true;
+    try {
+      await this.ensureIndexes();
+      const hours = await this.rollup('hour');
+      const days = await this.rollup('day');
+      if (hours || days) {
+        console.log(`🗜️ Sensor Retention: Rolled up ${hours} hourly and ${days} daily chunks`);
+      }
+    } catch (error) {
+      console.error('❌ Sensor rollup failed:', error.message);
+    } finally {
+      this.isRollingUp = false;
+    }
+  }
+
+  /**
+   * Build the $merge unique indexes and set each collection's TTL
+   */
+  async ensureIndexes() {
+    await SensorDataHourly.init();
+    await SensorDataDaily.init();
+
+    await this.ensureTtlIndex(SensorData, 'timestamp', this.retention.rawDays);
+    await this.ensureTtlIndex(SensorDataHourly, 'start', this.retention.hourlyDays);
+    await this.ensureTtlIndex(SensorDataDaily, 'start', this.retention.dailyDays);
+  }
+
+  /**
+   * Create or update a single-field TTL index. collMod also converts an
+   * existing plain { field: 1 } index, so changing the retention age needs
+   * no manual index rebuild. With days = 0 nothing is changed.
+   */
+  async ensureTtlIndex(Model, field, days) {
+    if (!days) {
+      return;
+    }
+
+    const expireAfterSeconds = days * 24 * 60 * 60;
+    try {
+      await Model.db.db.command({
+        collMod: Model.collection.collectionName,
+        index: { keyPattern: { [field]: 1 }, expireAfterSeconds }
+      });
+    } catch (error) {
+      if (!['IndexNotFound', 'NamespaceNotFound'].includes(error.codeName)) {
+        throw error;
+      }
+      await Model.collection.createIndex({ [field]: 1 }, { expireAfterSeconds });
+    }
+  }
+
+  /**
+   * Compact completed buckets since the latest stored rollup
+   * @param {string} resolution - 'hour' | 'day'
+   * @returns {Promise<number>} Chunks aggregated
+   */
+  async rollup(resolution) {
+    const { model, bucketMs, chunkMs } = ROLLUPS[resolution];
+    const floor = (time) => Math.floor(time / bucketMs) * bucketMs;
+
+    // Only completed buckets; the current one is rolled up next run
+    const end = floor(Date.now());
+
+    // Re-roll the latest bucket to pick up readings that arrived late
+    const latest = await model.findOne().sort({ start: -1 }).select('start').lean();
+    let from;
+    if (latest) {
+      from = latest.start.getTime();
+    } else {
+      const oldest = await SensorData.findOne().sort({ timestamp: 1 }).select('timestamp').lean();
+      if (!oldest) return 0;
+      from = floor(oldest.timestamp.getTime());
+    }
+
+    // Never rewrite a bucket whose raw readings are already expiring
+    const rawCutoff = Date.now() - this.retention.rawDays * DAY_MS;
+    if (this.retention.rawDays && from < rawCutoff) {
+      from = floor(rawCutoff) + bucketMs;
+    }
+
+    let chunks = 0;
+    for (let chunkStart = from; chunkStart < end; chunkStart += chunkMs) {
+      const chunkEnd = Math.min(chunkStart + chunkMs, end);
+
+      await SensorData.aggregate([
+        { $match: { timestamp: { $gte: new Date(chunkStart), $lt: new Date(chunkEnd) } } },
+        ...this.rollupStages(resolution, 'replace')
+      ]).allowDiskUse(true);
+      chunks++;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Bucket matched readings and $merge them into a rollup collection
+   * @param {string} resolution - 'hour' | 'day'
+   * @param {string} whenMatched - 'replace' | 'keepExisting'
+   */
+  rollupStages(resolution, whenMatched) {
+    const { model, bucket } = ROLLUPS[resolution];
+    return [
+      ...sensorAggregation.bucketStages({ bucket, percentiles: ROLLUP_PERCENTILES, byDevice: true }),
+      {
+        $merge: {
+          into: model.collection.collectionName,
+          on: ['deviceId', 'start'],
+          whenMatched,
+          whenNotMatched: 'insert'
+        }
+      }
+    ];
+  }
+
+  /**
+   * Compact one device's freshly imported readings (importService):
+   * - staged readings (older than the raw retention) only fill buckets that
+   *   don't exist yet, so rollups built from live data are kept
+   * - readings imported into SensorData re-roll every completed bucket since
+   *   `since`, which the hourly run would otherwise never revisit
+   * @param {string} deviceId
+   * @param {Object} options - { importId: staged readings of this import,
+   *   since: earliest reading imported into SensorData }
+   */
+  async rollupImport(deviceId, { importId = null, since = null } = {}) {
+    await this.ensureIndexes();
+
+    for (const resolution of Object.keys(ROLLUPS)) {
+      const { bucketMs } = ROLLUPS[resolution];
+      const floor = (time) => Math.floor(time / bucketMs) * bucketMs;
+
+      if (importId) {
+        await SensorDataImport.aggregate([
+          { $match: { deviceId, importId } },
+          ...this.rollupStages(resolution, 'keepExisting')
+        ]).allowDiskUse(true);
+      }
+
+      if (since) {
+        let from = floor(new Date(since).getTime());
+        const rawCutoff = Date.now() - this.retention.rawDays * DAY_MS;
+        if (this.retention.rawDays && from < rawCutoff) {
+          from = floor(rawCutoff) + bucketMs;
+        }
+
+        await SensorData.aggregate([
+          { $match: { deviceId, timestamp: { $gte: new Date(from), $lt: new Date(floor(Date.now())) } } },
+          ...this.rollupStages(resolution, 'replace')
+        ]).allowDiskUse(true);
+      }
+    }
+
+    // Only this import's rows: a concurrent import of the same device may
+    // still be staging its own
+    if (importId) {
+      await SensorDataImport.deleteMany({ importId });
+    }
+  }
+
+  /**
+   * Finest stored resolution that still covers a date
+   * @returns {string} 'raw' | 'hour' | 'day'
+   */
+  resolutionFor(date) {
+    const age = Date.now() - new Date(date).getTime();
+    const { rawDays, hourlyDays } = this.retention;
+
+    if (!rawDays || age <= rawDays * DAY_MS) return 'raw';
+    if (!hourlyDays || age <= hourlyDays * DAY_MS) return 'hour';
+    return 'day';
+  }
+}
+
+// Export singleton instance
+module.exports = new SensorRetentionService();
@@ -0,0 +1,413 @@
+/**
+ * Sensor Storage Service
+ *
+ * Persists sensor readings received over MQTT:
+ * - storeSensorDataSafely: v2 firmware readings (ecosprinkle/{deviceId}/sensor),
+ *   already processed by esp32SensorAlgorithm, behind a database circuit breaker
+ * - storeSensorData: older firmware readings (.../sensors/data) that carry
+ *   their own calibrated percentages or a single soilMoisture value
+ */
+
+// Enhanced sensor data storage with circuit breaker pattern
+class DatabaseManager {
+  constructor() {
+    this.isHealthy = true;
+    this.failureCount = 0;
+    this.maxFailures = 5;
+    this.resetTimeout = 60000; // 1 minute
+    this.lastFailureTime = 0;
+  }
+
+  async executeQuery(operation) {
+    // Circuit breaker pattern
+    if (!this.isHealthy) {
+      if (Date.now() - this.lastFailureTime > this.resetTimeout) {
+        console.log('🔄 Attempting to reset database circuit breaker...');
+        this.isHealthy = true;
+        this.failureCount = 0;
+      } else {
+        throw new Error('Database circuit breaker is open');
+      }
+    }
+
+    try {
+      const result = await operation();
+      // Reset failure count on success
+      this.failureCount = 0;
+      return result;
+    } catch (error) {
+      this.failureCount++;
+      this.lastFailureTime = Date.now();
+      
+      if (this.failureCount >= this.maxFailures) {
+        console.error('❌ Database circuit breaker opened due to repeated failures');
+        this.isHealthy = false;
+      }
+      
+      throw error;
+    }
+  }
+}
+
+const dbManager = new DatabaseManager();
+
+// SensorData document fields for a reading processed by esp32SensorAlgorithm
+function toSensorDataRecord(processedData, userID, timestamp = new Date()) {
+  return {
+    deviceId: processedData.deviceId,
+    userID: userID, // ← Link to user
+    timestamp, // Server timestamp
+    deviceTimestamp: processedData.deviceStatus.deviceTimestamp,
+    
+    // Zone 1
+    zone1: processedData.zone1.rawADC,
+    zone1Percent: processedData.zone1.moisturePercent,
+    
+    // Zone 2
+    zone2: processedData.zone2.rawADC,
+    zone2Percent: processedData.zone2.moisturePercent,
+    
+    // Zone 3
+    zone3: processedData.zone3.rawADC,
+    zone3Percent: processedData.zone3.moisturePercent,
+    
+    // Voting results
+    dryVotes: processedData.votingResults.dryVotes,
+    wetVotes: processedData.votingResults.wetVotes,
+    majorityVoteDry: processedData.votingResults.majorityVoteDry,
+    validSensors: processedData.votingResults.validSensors,
+    median: processedData.votingResults.medianADC,
+    
+    // Device status
+    sensorHealth: processedData.deviceStatus.sensorHealth,
+    zoneHealth: {
+      zone1: processedData.zone1.health,
+      zone2: processedData.zone2.health,
+      zone3: processedData.zone3.health
+    },
+    pumpState: processedData.deviceStatus.pumpState,
+    rssi: processedData.deviceStatus.rssi
+  };
+}
+
+// Enhanced sensor data storage function with synchronized algorithm
+// Resolves with the stored SensorData document
+async function storeSensorDataSafely(rawData, processedData) {
+  return await dbManager.executeQuery(async () => {
+    const Sensor = require('../models/Sensor');
+    const Device = require('../models/Device');
+    const SensorData = require('../models/SensorData');
+    
+    // ========== STEP 1: GET DEVICE AND USER ID ==========
+    // Fetch device to get the userID for proper data association
+    const device = await Device.findOne({ deviceId: processedData.deviceId });
+    
+    if (!device) {
+      console.error('❌ Device not found:', processedData.deviceId);
+      console.error('⚠️  Data cannot be stored - device must be registered first!');
+      throw new Error(`Device ${processedData.deviceId} not registered in database`);
+    }
+    
+    const userID = device.userID;
+    console.log('👤 User ID for device:', userID);
+    
+    // ========== STEP 2: INSERT HISTORICAL DATA (SensorData) ==========
+    // Store EVERY reading for time-series analysis (append-only)
+    // MUST include userID for proper data ownership
+    let reading;
+    try {
+      reading = await SensorData.create(toSensorDataRecord(processedData, userID));
+      console.log('📈 Historical data saved to SensorData collection (User:', userID + ')');
+    } catch (error) {
+      console.error('❌ Failed to save historical data:', error.message);
+      throw error; // Re-throw to handle properly
+    }
+    
+    // ========== STEP 3: UPDATE SENSOR MODEL (Current State) ==========
+    // Store complete zone data with voting results
+    // MUST include userID for proper data ownership
+    const sensorUpdate = {
+      deviceId: processedData.deviceId,
+      userID: userID, // ← Link to user
+      
+      // Zone 1 data
+      'zone1.rawADC': processedData.zone1.rawADC,
+      'zone1.moisturePercent': processedData.zone1.moisturePercent,
+      'zone1.status': processedData.zone1.status,
+      'zone1.vote': processedData.zone1.vote,
+      'zone1.isValid': processedData.zone1.isValid,
+      'zone1.health': processedData.zone1.health,
+      
+      // Zone 2 data
+      'zone2.rawADC': processedData.zone2.rawADC,
+      'zone2.moisturePercent': processedData.zone2.moisturePercent,
+      'zone2.status': processedData.zone2.status,
+      'zone2.vote': processedData.zone2.vote,
+      'zone2.isValid': processedData.zone2.isValid,
+      'zone2.health': processedData.zone2.health,
+      
+      // Zone 3 data
+      'zone3.rawADC': processedData.zone3.rawADC,
+      'zone3.moisturePercent': processedData.zone3.moisturePercent,
+      'zone3.status': processedData.zone3.status,
+      'zone3.vote': processedData.zone3.vote,
+      'zone3.isValid': processedData.zone3.isValid,
+      'zone3.health': processedData.zone3.health,
+      
+      // Voting results
+      'votingResults.dryVotes': processedData.votingResults.dryVotes,
+      'votingResults.wetVotes': processedData.votingResults.wetVotes,
+      'votingResults.majorityVoteDry': processedData.votingResults.majorityVoteDry,
+      'votingResults.validSensors': processedData.votingResults.validSensors,
+      'votingResults.medianADC': processedData.votingResults.medianADC,
+      
+      // Device status
+      sensorHealth: processedData.deviceStatus.sensorHealth,
+      pumpState: processedData.deviceStatus.pumpState,
+      rssi: processedData.deviceStatus.rssi,
+      deviceTimestamp: processedData.deviceStatus.deviceTimestamp,
+      
+      // Legacy fields (average of all zones for backward compatibility)
+      moistureLevel: Math.round((processedData.zone1.moisturePercent + 
+                   processedData.zone2.moisturePercent + 
+                   processedData.zone3.moisturePercent) / 3),
+      lastUpdated: new Date(),
+      isActive: true
+    };
+    
+    await Sensor.findOneAndUpdate(
+      { deviceId: processedData.deviceId },
+      sensorUpdate,
+      { upsert: true, new: true }
+    );
+    console.log('📊 Sensor state updated (User:', userID + ')');
+    
+    // ========== STEP 4: UPDATE DEVICE MODEL ==========
+    // Update device with latest sensor data
+    const deviceUpdate = {
+      deviceId: processedData.deviceId,
+      
+      // Complete sensor data in nested structure
+      'sensorData.zone1': processedData.zone1.rawADC,
+      'sensorData.zone2': processedData.zone2.rawADC,
+      'sensorData.zone3': processedData.zone3.rawADC,
+      'sensorData.zone1Percent': processedData.zone1.moisturePercent,
+      'sensorData.zone2Percent': processedData.zone2.moisturePercent,
+      'sensorData.zone3Percent': processedData.zone3.moisturePercent,
+      'sensorData.dryVotes': processedData.votingResults.dryVotes,
+      'sensorData.wetVotes': processedData.votingResults.wetVotes,
+      'sensorData.majorityVoteDry': processedData.votingResults.majorityVoteDry,
+      'sensorData.validSensors': processedData.votingResults.validSensors,
+      'sensorData.sensorHealth': processedData.deviceStatus.sensorHealth,
+      'sensorData.median': processedData.votingResults.medianADC,
+      'sensorData.pumpState': processedData.deviceStatus.pumpState,
+      'sensorData.rssi': processedData.deviceStatus.rssi,
+      'sensorData.deviceTimestamp': processedData.deviceStatus.deviceTimestamp,
+      'sensorData.receivedAt': processedData.receivedAt,
+      
+      // Update device status (a pump fault keeps the device in Error until cleared)
+      Status: device.pumpFault?.active ? 'Error' : 'Online',
+      LastUpdated: new Date(),
+      lastSensorUpdate: new Date(),
+      
+      // Update overall moisture level (average for display)
+      moistureLevel: Math.round((processedData.zone1.moisturePercent + 
+                   processedData.zone2.moisturePercent + 
+                   processedData.zone3.moisturePercent) / 3)
+    };
+    
+    await Device.findOneAndUpdate(
+      { deviceId: processedData.deviceId },
+      deviceUpdate,
+      { upsert: false } // Don't create device if it doesn't exist
+    );
+    
+    console.log('💾 Sensor data stored in MongoDB for device:', processedData.deviceId);
+    console.log('📊 Stored data:', {
+      deviceId: processedData.deviceId,
+      zone1: `${processedData.zone1.moisturePercent}% (${processedData.zone1.status})`,
+      zone2: `${processedData.zone2.moisturePercent}% (${processedData.zone2.status})`,
+      zone3: `${processedData.zone3.moisturePercent}% (${processedData.zone3.status})`,
+      dryVotes: processedData.votingResults.dryVotes,
+      wetVotes: processedData.votingResults.wetVotes,
+      majorityVoteDry: processedData.votingResults.majorityVoteDry,
+      recommendation: processedData.votingResults.wateringRecommendation,
+      pumpState: processedData.deviceStatus.pumpState === 1 ? 'ON' : 'OFF',
+      rssi: processedData.deviceStatus.rssi
+    });
+
+    return reading;
+  });
+}
+
+// ============ FINAL DEFENSE REVISION: ENHANCED SENSOR DATA PROCESSING ============
+// Function to store calibrated sensor data with individual zone processing
+// Returns the stored SensorData document (undefined if storage failed)
+async function storeSensorData(data) {
+  try {
+    const Device = require('../models/Device');
+    const SensorData = require('../models/SensorData');
+    
+    // Get device calibration settings
+    const device = await Device.findOne({ deviceId: data.deviceId });
+    
+    // ENHANCED DATA PROCESSING: Handle individual zone data with calibration
+    if (data.zone1Percent !== undefined && data.zone2Percent !== undefined && data.zone3Percent !== undefined) {
+      console.log('🌱 Processing CALIBRATED sensor data from ESP32:');
+      console.log('   Zone 1: ' + data.zone1 + ' ADC → ' + data.zone1Percent + '%');
+      console.log('   Zone 2: ' + data.zone2 + ' ADC → ' + data.zone2Percent + '%');
+      console.log('   Zone 3: ' + data.zone3 + ' ADC → ' + data.zone3Percent + '%');
+      console.log('   Majority Decision: ' + (data.majorityVoteDry ? 'WATER NEEDED' : 'NO WATER NEEDED'));
+      console.log('   Valid Sensors: ' + data.validSensors + '/3, Health: ' + data.sensorHealth);
+      
+      // Calculate overall moisture level (average of valid sensors)
+      let overallMoisture = 0;
+      let validZones = 0;
+      
+      if (data.zone1Percent !== undefined) {
+        overallMoisture += data.zone1Percent;
+        validZones++;
+      }
+      if (data.zone2Percent !== undefined) {
+        overallMoisture += data.zone2Percent;
+        validZones++;
+      }
+      if (data.zone3Percent !== undefined) {
+        overallMoisture += data.zone3Percent;
+        validZones++;
+      }
+      
+      overallMoisture = validZones > 0 ? Math.round(overallMoisture / validZones) : 0;
+      
+      // Determine soil status based on calibrated percentage readings
+      let soilStatus = 'Unknown';
+      if (overallMoisture >= 80) soilStatus = 'Well Watered';
+      else if (overallMoisture >= 60) soilStatus = 'Adequately Moist';
+      else if (overallMoisture >= 40) soilStatus = 'Slightly Dry';
+      else if (overallMoisture >= 20) soilStatus = 'Dry - Needs Water';
+      else soilStatus = 'Very Dry - Urgent';
+      
+      // Store enhanced sensor data with individual zone information
+      const sensorData = new SensorData({
+        deviceId: data.deviceId,
+        timestamp: new Date(data.timestamp || Date.now()),
+        // Individual zone data (RAW ADC)
+        zone1: data.zone1 || 0,
+        zone2: data.zone2 || 0,
+        zone3: data.zone3 || 0,
+        // Individual zone percentages (CALIBRATED)
+        zone1Percent: data.zone1Percent || 0,
+        zone2Percent: data.zone2Percent || 0,
+        zone3Percent: data.zone3Percent || 0,
+        // Overall system data
+        moistureLevel: overallMoisture,
+        moisturePercent: overallMoisture,
+        soilStatus: soilStatus,
+        // Voting system results
+        dryVotes: data.dryVotes || 0,
+        wetVotes: data.wetVotes || 0,
+        majorityVoteDry: data.majorityVoteDry || false,
+        validSensors: data.validSensors || 0,
+        sensorHealth: data.sensorHealth || 'unknown',
+        // Device status
+        isWatering: data.pumpState === 1 || false,
+        pumpStatus: data.pumpState === 1 ? 'ON' : 'OFF',
+        wateringMode: data.wateringMode || 'auto',
+        deviceStatus: 'Online',
+        rssi: data.rssi || 0,
+        // Legacy compatibility
+        median: data.median || 0,
+        batteryLevel: data.batteryPercentage || 100,
+        temperature: data.temperature || null
+      });
+      
+      await sensorData.save();
+      
+      // Update device's real-time sensor data
+      if (device) {
+        await Device.findOneAndUpdate(
+          { deviceId: data.deviceId },
+          {
+            $set: {
+              'sensorData.zone1': data.zone1,
+              'sensorData.zone2': data.zone2,
+              'sensorData.zone3': data.zone3,
+              'sensorData.zone1Percent': data.zone1Percent,
+              'sensorData.zone2Percent': data.zone2Percent,
+              'sensorData.zone3Percent': data.zone3Percent,
+              'sensorData.dryVotes': data.dryVotes,
+              'sensorData.wetVotes': data.wetVotes,
+              'sensorData.majorityVoteDry': data.majorityVoteDry,
+              'sensorData.validSensors': data.validSensors,
+              'sensorData.sensorHealth': data.sensorHealth,
+              'sensorData.pumpState': data.pumpState,
+              'sensorData.rssi': data.rssi,
+              'sensorData.receivedAt': new Date(),
+              'lastSensorUpdate': new Date(),
+              'moistureLevel': overallMoisture,
+              'Status': 'Online',
+              'LastUpdated': new Date()
+            }
+          }
+        );
+      }
+      
+      console.log('💾 Enhanced calibrated sensor data stored successfully!');
+      console.log('📊 Final processed data:', {
+        overallMoisture: overallMoisture + '%',
+        soilStatus: soilStatus,
+        majorityDecision: data.majorityVoteDry ? 'WATER' : 'NO_WATER',
+        sensorHealth: data.sensorHealth,
+        validSensors: data.validSensors
+      });
+      return sensorData;
+      
+    } else {
+      // LEGACY PROCESSING: Handle old format for backward compatibility
+      console.log('� Processing LEGACY sensor data format...');
+      
+      const moisturePercent = Math.round(((4095 - (data.soilMoisture || 0)) / 4095) * 100);
+      
+      let soilStatus = 'Unknown';
+      if (moisturePercent >= 80) soilStatus = 'Very Wet';
+      else if (moisturePercent >= 60) soilStatus = 'Wet';
+      else if (moisturePercent >= 40) soilStatus = 'Moist';
+      else if (moisturePercent >= 20) soilStatus = 'Dry';
+      else soilStatus = 'Very Dry';
+      
+      const sensorData = new SensorData({
+        deviceId: data.deviceId,
+        timestamp: new Date(data.timestamp || Date.now()),
+        moistureLevel: data.soilMoisture || 0,
+        moisturePercent: moisturePercent,
+        soilStatus: soilStatus,
+        isWatering: data.pumpState || false,
+        wateringMode: 'auto',
+        deviceStatus: 'Online',
+        batteryLevel: data.batteryPercentage || 100,
+        temperature: data.temperature || null,
+        pumpStatus: data.pumpState ? 'ON' : 'OFF'
+      });
+      
+      await sensorData.save();
+      console.log('💾 Legacy sensor data stored for device:', data.deviceId);
+      return sensorData;
+    }
+    
+  } catch (error) {
+    console.error('❌ MongoDB storage error:', error.message);
+    console.log('📊 Raw ESP32 data that failed to store:', {
+      deviceId: data.deviceId,
+      hasZoneData: !!(data.zone1Percent && data.zone2Percent && data.zone3Percent),
+      dataKeys: Object.keys(data)
+    });
+  }
+}
+
+module.exports = {
+  DatabaseManager,
+  dbManager,
+  storeSensorDataSafely,
+  storeSensorData,
+  toSensorDataRecord
+};
@@ -0,0 +1,173 @@
+/**
+ * Sensor Stream Service - Server-Sent Events
+ *
+ * Streams one device's (or all of a user's devices') live events over SSE
+ * for clients that can't use Socket.IO (dashboards, curl):
+ *
+ *   event: sensorData | pumpSession | deviceStatus | command-ack | command-response
+ *   id:    <SensorData _id of the latest reading sent>
+ *   data:  JSON
+ *
+ * Every event carries the ID of the last SensorData reading the stream has
+ * delivered. A client reconnecting with Last-Event-ID (sent automatically
+ * by EventSource) first receives the readings stored after that one, then
+ * live events. Only readings are replayed; other events are live-only.
+ */
+
+const mongoose = require('mongoose');
+const SensorData = require('../models/SensorData');
+const realtime = require('./realtimeService');
+const { EVENTS } = realtime;
+
+// Device events forwarded to SSE clients
+const STREAMED_EVENTS = [
+  EVENTS.SENSOR_DATA,
+  EVENTS.PUMP_SESSION,
+  EVENTS.DEVICE_STATUS,
+  EVENTS.COMMAND_ACK,
+  EVENTS.COMMAND_RESPONSE
+];
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const MAX_REPLAY = 500;
+const RETRY_MS = 5000;
+
+class SensorStreamService {
+  constructor() {
+    this.openStreams = 0;
+  }
+
+  /**
+   * Flatten a reading to the shape /devices/:deviceId/sensor-data/latest returns.
+   * Accepts SensorData documents, esp32SensorAlgorithm output and raw firmware payloads.
+   */
+  formatReading(source) {
+    const zone = (n) => {
+      const value = source[`zone${n}`];
+      return value !== null && typeof value === 'object'
+        ? { raw: value.rawADC, percent: value.moisturePercent }
+        : { raw: value, percent: source[`zone${n}Percent`] };
+    };
+    const votes = source.votingResults || source;
+    const status = source.deviceStatus && typeof source.deviceStatus === 'object' ? source.deviceStatus : source;
+    const [z1, z2, z3] = [zone(1), zone(2), zone(3)];
+
+    return {
+      id: source.sensorDataId || source._id || null,
+      deviceId: source.deviceId,
+      timestamp: source.timestamp instanceof Date ? source.timestamp : (source.receivedAt || new Date()),
+      zone1: z1.raw,
+      zone2: z2.raw,
+      zone3: z3.raw,
+      zone1Percent: z1.percent,
+      zone2Percent: z2.percent,
+      zone3Percent: z3.percent,
+      dryVotes: votes.dryVotes,
+      wetVotes: votes.wetVotes,
+      majorityVoteDry: votes.majorityVoteDry,
+      validSensors: votes.validSensors,
+      sensorHealth: status.sensorHealth,
+      pumpState: status.pumpState,
+      rssi: status.rssi
+    };
+  }
+
+  /**
+   * Write one SSE frame
+   */
+  send(res, event, id, data) {
+    let frame = `event: ${event}\n`;
+    if (id) frame += `id: ${id}\n`;
+    frame += `data: ${JSON.stringify(data)}\n\n`;
+    res.write(frame);
+  }
+
+  /**
+   * Serve an SSE stream until the client disconnects
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} options
+   * @param {string[]} options.deviceIds - Normalized IDs of the (owned) devices to stream
+   * @param {string} options.userId - Owner, used to scope the replay query
+   * @param {string} options.lastEventId - Resume cursor (SensorData _id)
+   */
+  async open(req, res, { deviceIds, userId, lastEventId }) {
+    const devices = new Set(deviceIds);
+    let cursor = mongoose.isValidObjectId(lastEventId) ? String(lastEventId) : null;
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx/Render)
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Buffer live events while the replay query runs so nothing is lost or reordered
+    let replaying = true;
+    const pending = [];
+
+    const deliver = (deviceId, event, payload) => {
+      const data = typeof payload?.toObject === 'function' ? payload.toObject() : payload;
+      if (event === EVENTS.SENSOR_DATA) {
+        const reading = this.formatReading({ ...data, deviceId });
+        if (reading.id) {
+          // Skip readings the replay already sent
+          if (cursor && String(reading.id) <= cursor) return;
+          cursor = String(reading.id);
+        }
+        this.send(res, event, cursor, reading);
+      } else {
+        this.send(res, event, cursor, data);
+      }
+    };
+
+    const onDeviceEvent = (deviceId, event, data) => {
+      if (!devices.has(deviceId) || !STREAMED_EVENTS.includes(event)) return;
+      if (replaying) {
+        pending.push([deviceId, event, data]);
+      } else {
+        deliver(deviceId, event, data);
+      }
+    };
+
+    realtime.bus.on('device', onDeviceEvent);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+    this.openStreams++;
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      realtime.bus.off('device', onDeviceEvent);
+      this.openStreams--;
+    });
+
+    try {
+      if (cursor) {
+        const missed = await SensorData.find({
+          _id: { $gt: cursor },
+          deviceId: { $in: [...devices] },
+          userID: userId
+        })
+          .sort({ _id: 1 })
+          .limit(MAX_REPLAY)
+          .lean();
+
+        for (const doc of missed) {
+          cursor = String(doc._id);
+          this.send(res, EVENTS.SENSOR_DATA, cursor, this.formatReading(doc));
+        }
+      }
+    } catch (error) {
+      console.error('❌ SSE replay failed:', error.message);
+      this.send(res, 'error', cursor, { error: 'Failed to replay missed readings' });
+    }
+
+    replaying = false;
+    pending.splice(0).forEach(args => deliver(...args));
+  }
+}
+
+// Export singleton instance
+module.exports = new SensorStreamService();
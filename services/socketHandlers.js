@@ -0,0 +1,123 @@
+/**
+ * Socket.IO event handlers
+ *
+ * Connections must carry a valid JWT (middleware/auth.js socketAuth).
+ * Clients subscribe to the rooms of devices they own to receive real-time
+ * updates and may send commands to those devices through the MQTT manager.
+ * The event catalogue is documented in services/realtimeService.js.
+ */
+
+const rateLimit = require('express-rate-limit');
+const { socketAuth } = require('../middleware/auth');
+const realtime = require('./realtimeService');
+
+// WebSocket rate limiting: 50 events per minute per IP (localhost exempt).
+// Sockets have no Express response, so headers are off and the limit
+// rejects the event instead of writing a 429.
+const socketLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000,
+  max: 50,
+  standardHeaders: false,
+  legacyHeaders: false,
+  validate: false,
+  keyGenerator: (req) => req.socket?.remoteAddress || 'unknown',
+  skip: (req) => ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket?.remoteAddress),
+  handler: (req, res, next) => next(new Error('Too many requests, please slow down'))
+});
+
+/**
+ * Register connection handlers on a Socket.IO server
+ * @param {Object} io - Socket.IO server
+ * @param {Object} options - { mqttManager } (null when MQTT is disabled)
+ */
+function setupSocketHandlers(io, { mqttManager }) {
+  realtime.setIo(io);
+  io.use(socketAuth);
+
+  io.on('connection', (socket) => {
+    const { userId } = socket.user;
+    console.log(`🔌 WebSocket client connected: ${socket.id} (user ${userId})`);
+
+    // Notifications and other per-user events
+    socket.join(realtime.userRoom(userId));
+
+    // Apply rate limiting to socket events
+    socket.use((packet, next) => {
+      socketLimiter(socket.request, {}, next);
+    });
+
+    // Event handlers answer through the optional ack callback
+    const reply = (ack, body) => {
+      if (typeof ack === 'function') ack(body);
+    };
+
+    socket.on('subscribe', async (deviceId, ack) => {
+      try {
+        if (typeof deviceId !== 'string' || deviceId.length === 0) {
+          socket.emit('error', 'Invalid device ID');
+          return reply(ack, { success: false, error: 'Invalid device ID' });
+        }
+        if (!(await realtime.userOwnsDevice(userId, deviceId))) {
+          console.warn(`🔒 User ${userId} denied subscription to device ${deviceId}`);
+          socket.emit('error', 'Device not found or not owned by you');
+          return reply(ack, { success: false, error: 'Device not found or not owned by you' });
+        }
+
+        socket.join(realtime.deviceRoom(deviceId));
+        console.log(`📡 Client ${socket.id} subscribed to device ${deviceId}`);
+        reply(ack, { success: true, deviceId });
+      } catch (error) {
+        console.error('❌ Socket subscription error:', error);
+        socket.emit('error', 'Subscription failed');
+        reply(ack, { success: false, error: 'Subscription failed' });
+      }
+    });
+
+    socket.on('unsubscribe', (deviceId, ack) => {
+      if (typeof deviceId === 'string' && deviceId.length > 0) {
+        socket.leave(realtime.deviceRoom(deviceId));
+        console.log(`Client ${socket.id} unsubscribed from device ${deviceId}`);
+      }
+      reply(ack, { success: true, deviceId });
+    });
+
+    socket.on('sendCommand', async (data, ack) => {
+      try {
+        const { deviceId, command, payload } = data || {};
+
+        // Validate input
+        if (!deviceId || !command) {
+          socket.emit('error', 'Missing required fields: deviceId, command');
+          return reply(ack, { success: false, error: 'Missing required fields: deviceId, command' });
+        }
+        if (!mqttManager) {
+          socket.emit('error', 'MQTT is disabled on this server');
+          return reply(ack, { success: false, error: 'MQTT is disabled on this server' });
+        }
+        if (!(await realtime.userOwnsDevice(userId, deviceId))) {
+          socket.emit('error', 'Device not found or not owned by you');
+          return reply(ack, { success: false, error: 'Device not found or not owned by you' });
+        }
+
+        await mqttManager.sendCommand(deviceId, command, payload);
+        console.log('📤 Command sent via WebSocket:', data);
+        socket.emit('commandAck', { success: true, timestamp: Date.now() });
+        reply(ack, { success: true, timestamp: Date.now() });
+      } catch (error) {
+        console.error('❌ Socket command error:', error);
+        socket.emit('error', 'Command failed');
+        reply(ack, { success: false, error: error.message });
+      }
+    });
+
+    socket.on('disconnect', (reason) => {
+      console.log('🔌 WebSocket client disconnected:', socket.id, 'Reason:', reason);
+    });
+
+    socket.on('error', (error) => {
+      console.error('❌ Socket error for client', socket.id, ':', error.message || error);
+    });
+  });
+}
+
+module.exports = { setupSocketHandlers };
@@ -0,0 +1,71 @@
+/**
+ * Solar Times - Sunrise and sunset from latitude/longitude
+ *
+ * Computed locally with the sunrise equation (NOAA/Meeus simplified, about a
+ * minute of accuracy away from the poles); no external service. Sunrise and
+ * sunset are when the sun's upper edge crosses the horizon, including
+ * atmospheric refraction (-0.833°).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440587.5; // Julian day of the Unix epoch
+const J2000 = 2451545.0;
+const SUN_ALTITUDE = -0.833;
+const OBLIQUITY = 23.4397;
+
+const SOLAR_EVENTS = ['sunrise', 'sunset'];
+
+const rad = degrees => degrees * Math.PI / 180;
+const deg = radians => radians * 180 / Math.PI;
+
+/**
+ * Check for usable coordinates ({ latitude, longitude } in degrees)
+ * @returns {boolean}
+ */
+function isValidLocation(location) {
+  return Boolean(location) &&
+    typeof location.latitude === 'number' && location.latitude >= -90 && location.latitude <= 90 &&
+    typeof location.longitude === 'number' && location.longitude >= -180 && location.longitude <= 180;
+}
+
+/**
+ * Sunrise and sunset around solar noon of a calendar date at a location
+ * @param {Object} date - { year, month, day }
+ * @param {Object} location - { latitude, longitude } (east positive)
+ * @returns {Object} { sunrise, sunset, solarNoon, polar }; sunrise/sunset are
+ *   null on days the sun never sets (polar: 'day') or never rises (polar: 'night')
+ */
+function getSolarTimes({ year, month, day }, { latitude, longitude }) {
+  const julianNoon = Date.UTC(year, month - 1, day, 12) / DAY_MS + J1970;
+  const n = Math.round(julianNoon - J2000 + 0.0008);
+  const meanSolarTime = n - longitude / 360;
+
+  const anomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+  const center = 1.9148 * Math.sin(rad(anomaly)) + 0.02 * Math.sin(rad(2 * anomaly)) + 0.0003 * Math.sin(rad(3 * anomaly));
+  const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+  const transit = J2000 + meanSolarTime + 0.0053 * Math.sin(rad(anomaly)) - 0.0069 * Math.sin(rad(2 * eclipticLongitude));
+
+  const declination = Math.asin(Math.sin(rad(eclipticLongitude)) * Math.sin(rad(OBLIQUITY)));
+  const cosHourAngle = (Math.sin(rad(SUN_ALTITUDE)) - Math.sin(rad(latitude)) * Math.sin(declination)) /
+    (Math.cos(rad(latitude)) * Math.cos(declination));
+
+  const toDate = julian => new Date(Math.round((julian - J1970) * DAY_MS));
+  const times = { sunrise: null, sunset: null, solarNoon: toDate(transit), polar: null };
+
+  if (cosHourAngle < -1) {
+    times.polar = 'day';
+  } else if (cosHourAngle > 1) {
+    times.polar = 'night';
+  } else {
+    const hourAngle = deg(Math.acos(cosHourAngle));
+    times.sunrise = toDate(transit - hourAngle / 360);
+    times.sunset = toDate(transit + hourAngle / 360);
+  }
+  return times;
+}
+
+module.exports = {
+  SOLAR_EVENTS,
+  isValidLocation,
+  getSolarTimes
+};
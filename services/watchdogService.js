@@ -11,6 +11,7 @@
  */
 
 const mqttClientService = require('./mqttClient');
+const mqttProtocol = require('./mqttProtocol');
 
 class WatchdogService {
   constructor() {
@@ -34,18 +35,14 @@ class WatchdogService {
    * Send WiFi reset command via MQTT
    */
   sendWiFiResetCommand(deviceId) {
-    const topic = `ecosprinkle/${deviceId}/command`;
-    const payload = JSON.stringify({
-      command: 'RESET_WIFI',
-      commandId: `reset-${Date.now()}`,
-      timestamp: new Date().toISOString(),
-      reason: 'Registration timeout - device not saved within 30 minutes'
-    });
-
     console.log(`🐕 Sending WiFi reset to ${deviceId}...`);
     
     // Use shared MQTT client (handles queueing automatically)
-    return mqttClientService.publish(topic, payload, { qos: 1 })
+    return mqttProtocol.publishToDevice(mqttClientService, deviceId, 'RESET_WIFI', {
+      reason: 'Registration timeout - device not saved within 30 minutes'
+    }, {
+      commandId: `reset-${Date.now()}`
+    })
       .then(() => {
         console.log(`🐕✅ WiFi reset command sent to ${deviceId}`);
       })
@@ -59,17 +56,12 @@ class WatchdogService {
    * Send device registration confirmation via MQTT
    */
   sendRegistrationConfirmation(deviceId) {
-    const topic = `ecosprinkle/${deviceId}/command`;
-    const payload = JSON.stringify({
-      command: 'DEVICE_REGISTERED',
-      commandId: `reg-${Date.now()}`,
-      timestamp: new Date().toISOString()
-    });
-
     console.log(`🐕 Sending registration confirmation to ${deviceId}...`);
 
     // Use shared MQTT client (handles queueing automatically)
-    return mqttClientService.publish(topic, payload, { qos: 1 })
+    return mqttProtocol.publishToDevice(mqttClientService, deviceId, 'DEVICE_REGISTERED', {}, {
+      commandId: `reg-${Date.now()}`
+    })
       .then(() => {
         console.log(`🐕✅ Registration confirmation sent to ${deviceId}`);
       })
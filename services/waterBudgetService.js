@@ -0,0 +1,304 @@
+/**
+ * Water Budget Service
+ *
+ * Limits how much water a device may use per day or per week. Usage is
+ * measured as pump run time from the pumpState the ESP32 reports with every
+ * sensor reading, so auto, manual and schedule watering are all counted the
+ * same way, and attributed to the source of the running pump session
+ * (pumpSessionService). Budgets can be set in seconds of pump time, or in
+ * litres using the device's configured flow rate. Periods roll over at
+ * midnight in the owner's timezone (the same zone their schedules use).
+ *
+ * When the budget runs out:
+ * - New PUMP_ON requests are refused (auto, manual and schedule)
+ * - A running pump is switched off by the watering engine
+ * - One Notification is raised per budget period
+ */
+
+const Device = require('../models/Device');
+const Notification = require('../models/Notification');
+const realtime = require('./realtimeService');
+const pumpSessions = require('./pumpSessionService');
+const zonedTime = require('./zonedTime');
+
+// Session sources with their own usage bucket; test pumps and runs without
+// a known source are counted as 'other'
+const USAGE_SOURCES = ['auto', 'manual', 'schedule'];
+
+// Ignore gaps between pump-on readings longer than this (device went offline)
+const MAX_SAMPLE_GAP_SECONDS = 60;
+
+// Owner timezones are looked up once per this interval, not for every reading
+const TIMEZONE_CACHE_TTL_MS = 10 * 60 * 1000;
+
+class WaterBudgetService {
+  constructor() {
+    // Fallback budget when a device document predates these fields
+    this.defaultBudget = {
+      enabled: false,
+      period: 'daily',
+      unit: 'seconds',
+      limitSeconds: 1800,
+      limitLitres: null,
+      flowRateLitresPerMinute: 2
+    };
+    this.timezones = new Map(); // userID → { timezone, expiresAt }
+  }
+
+  /**
+   * Get budget settings for a device (stored values override defaults)
+   */
+  getBudgetConfig(device) {
+    const stored = device.waterBudget || {};
+    const config = { ...this.defaultBudget };
+
+    Object.keys(config).forEach(key => {
+      if (stored[key] !== undefined && stored[key] !== null) {
+        config[key] = stored[key];
+      }
+    });
+
+    return config;
+  }
+
+  /**
+   * Convert the configured budget to seconds of pump time
+   */
+  getLimitSeconds(config) {
+    if (config.unit === 'litres') {
+      if (!config.limitLitres || !config.flowRateLitresPerMinute) return 0;
+      return Math.floor((config.limitLitres / config.flowRateLitresPerMinute) * 60);
+    }
+    return config.limitSeconds;
+  }
+
+  /**
+   * Convert pump seconds to litres using the device flow rate
+   */
+  secondsToLitres(seconds, config) {
+    return Math.round((seconds / 60) * config.flowRateLitresPerMinute * 100) / 100;
+  }
+
+  /**
+   * Timezone budget periods roll over in: the owner's, as for schedules
+   * Cached per owner, so a profile change applies within TIMEZONE_CACHE_TTL_MS.
+   */
+  async getTimezone(device) {
+    const key = String(device.userID);
+    const cached = this.timezones.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.timezone;
+    }
+
+    // Required here: the schedule executor itself depends on this service
+    const scheduleExecutor = require('./scheduleExecutor');
+    const timezone = await scheduleExecutor.getTimezone(device);
+    this.timezones.set(key, { timezone, expiresAt: Date.now() + TIMEZONE_CACHE_TTL_MS });
+    return timezone;
+  }
+
+  /**
+   * Start of the current budget period (local midnight, weeks start Monday)
+   */
+  getPeriodStart(period, now, timezone) {
+    const today = zonedTime.getLocalParts(now, timezone);
+    const daysSinceMonday = period === 'weekly' ? (today.dayOfWeek + 6) % 7 : 0;
+    return zonedTime.atLocalTime(zonedTime.addLocalDays(today, -daysSinceMonday), '00:00', timezone);
+  }
+
+  /**
+   * End of the current budget period (next local midnight, so DST days are 23 or 25 hours)
+   */
+  getPeriodEnd(period, periodStart, timezone) {
+    const days = period === 'weekly' ? 7 : 1;
+    const startDay = zonedTime.getLocalParts(periodStart, timezone);
+    return zonedTime.atLocalTime(zonedTime.addLocalDays(startDay, days), '00:00', timezone);
+  }
+
+  /**
+   * Get usage for the current period (zeroed if the stored usage is from an older period)
+   */
+  getCurrentUsage(device, config, now, timezone) {
+    const usage = device.waterUsage || {};
+    const periodStart = this.getPeriodStart(config.period, now, timezone);
+    const isCurrentPeriod = usage.periodStart &&
+      new Date(usage.periodStart).getTime() === periodStart.getTime();
+
+    return {
+      periodStart,
+      usedSeconds: isCurrentPeriod ? (usage.usedSeconds || 0) : 0,
+      bySource: {
+        auto: isCurrentPeriod ? (usage.bySource?.auto || 0) : 0,
+        manual: isCurrentPeriod ? (usage.bySource?.manual || 0) : 0,
+        schedule: isCurrentPeriod ? (usage.bySource?.schedule || 0) : 0,
+        other: isCurrentPeriod ? (usage.bySource?.other || 0) : 0
+      },
+      lastPumpSampleAt: usage.lastPumpSampleAt || null,
+      exhaustedNotifiedAt: isCurrentPeriod ? (usage.exhaustedNotifiedAt || null) : null
+    };
+  }
+
+  /**
+   * Get budget status for API responses and pump checks
+   * @param {string} [timezone] - Owner's timezone when already known
+   */
+  async getBudgetStatus(device, now = new Date(), timezone = null) {
+    const zone = timezone || await this.getTimezone(device);
+    const config = this.getBudgetConfig(device);
+    const usage = this.getCurrentUsage(device, config, now, zone);
+    const limitSeconds = this.getLimitSeconds(config);
+    const remainingSeconds = Math.max(0, limitSeconds - usage.usedSeconds);
+
+    const status = {
+      enabled: config.enabled,
+      period: config.period,
+      unit: config.unit,
+      timezone: zone,
+      periodStart: usage.periodStart,
+      periodEndsAt: this.getPeriodEnd(config.period, usage.periodStart, zone),
+      limitSeconds,
+      usedSeconds: usage.usedSeconds,
+      remainingSeconds,
+      usedBySource: usage.bySource,
+      exhausted: config.enabled && remainingSeconds <= 0
+    };
+
+    if (config.unit === 'litres') {
+      status.flowRateLitresPerMinute = config.flowRateLitresPerMinute;
+      status.limitLitres = config.limitLitres;
+      status.usedLitres = this.secondsToLitres(usage.usedSeconds, config);
+      status.remainingLitres = this.secondsToLitres(remainingSeconds, config);
+    }
+
+    return status;
+  }
+
+  /**
+   * Check whether a PUMP_ON may be sent and clamp its duration to the remaining budget
+   * @param {Object} device - Device document
+   * @param {number} requestedDuration - Seconds requested (0 = until stopped)
+   * @param {string} [timezone] - Owner's timezone when already known
+   * @returns {Promise<Object>} { allowed, duration, reason, budget }
+   */
+  async checkPumpAllowed(device, requestedDuration = 0, now = new Date(), timezone = null) {
+    const budget = await this.getBudgetStatus(device, now, timezone);
+
+    if (!budget.enabled) {
+      return { allowed: true, duration: requestedDuration, reason: null, budget };
+    }
+
+    if (budget.exhausted) {
+      return {
+        allowed: false,
+        duration: 0,
+        reason: `${budget.period === 'weekly' ? 'Weekly' : 'Daily'} water budget exhausted (${budget.usedSeconds}s of ${budget.limitSeconds}s used)`,
+        budget
+      };
+    }
+
+    const duration = requestedDuration > 0
+      ? Math.min(requestedDuration, budget.remainingSeconds)
+      : budget.remainingSeconds;
+
+    return { allowed: true, duration, reason: null, budget };
+  }
+
+  /**
+   * Account pump run time from a sensor reading
+   * Called for every reading so run time is counted whatever started the pump;
+   * the time goes to the source of the running pump session.
+   * @param {string} [timezone] - Owner's timezone when already known
+   * @returns {Promise<Object>} Updated budget status
+   */
+  async recordPumpSample(device, pumpIsOn, now = new Date(), timezone = null) {
+    const zone = timezone || await this.getTimezone(device);
+    const config = this.getBudgetConfig(device);
+    const usage = this.getCurrentUsage(device, config, now, zone);
+
+    let elapsedSeconds = 0;
+    if (pumpIsOn && usage.lastPumpSampleAt) {
+      const gapSeconds = (now.getTime() - new Date(usage.lastPumpSampleAt).getTime()) / 1000;
+      elapsedSeconds = Math.max(0, Math.min(gapSeconds, MAX_SAMPLE_GAP_SECONDS));
+    }
+
+    if (elapsedSeconds > 0) {
+      const sessionSource = await pumpSessions.getRunningSource(device.deviceId);
+      const source = USAGE_SOURCES.includes(sessionSource) ? sessionSource : 'other';
+
+      usage.usedSeconds = Math.round((usage.usedSeconds + elapsedSeconds) * 10) / 10;
+      usage.bySource[source] = Math.round((usage.bySource[source] + elapsedSeconds) * 10) / 10;
+    }
+
+    const waterUsage = {
+      periodStart: usage.periodStart,
+      usedSeconds: usage.usedSeconds,
+      bySource: usage.bySource,
+      lastPumpSampleAt: pumpIsOn ? now : null,
+      exhaustedNotifiedAt: usage.exhaustedNotifiedAt
+    };
+
+    // Skip the write when the pump was idle and is still idle in the same period
+    const storedPeriodStart = device.waterUsage?.periodStart;
+    const periodChanged = !storedPeriodStart ||
+      new Date(storedPeriodStart).getTime() !== usage.periodStart.getTime();
+
+    if (pumpIsOn || usage.lastPumpSampleAt || periodChanged) {
+      await Device.findOneAndUpdate({ deviceId: device.deviceId }, { waterUsage });
+    }
+
+    device.waterUsage = waterUsage;
+    return this.getBudgetStatus(device, now, zone);
+  }
+
+  /**
+   * Raise a Notification that the budget is exhausted (once per period)
+   */
+  async notifyBudgetExhausted(device, budget, source) {
+    const usage = device.waterUsage || {};
+    if (usage.exhaustedNotifiedAt &&
+        new Date(usage.exhaustedNotifiedAt) >= new Date(budget.periodStart)) {
+      return;
+    }
+
+    try {
+      const notifiedAt = new Date();
+      await Device.findOneAndUpdate(
+        { deviceId: device.deviceId },
+        { 'waterUsage.exhaustedNotifiedAt': notifiedAt }
+      );
+      if (device.waterUsage) {
+        device.waterUsage.exhaustedNotifiedAt = notifiedAt;
+      }
+
+      const periodLabel = budget.period === 'weekly' ? 'weekly' : 'daily';
+      const usedLabel = budget.unit === 'litres'
+        ? `${budget.usedLitres}L of ${budget.limitLitres}L`
+        : `${Math.round(budget.usedSeconds / 60)} of ${Math.round(budget.limitSeconds / 60)} minutes`;
+
+      const notification = await Notification.create({
+        deviceId: device.deviceId,
+        userId: device.userID,
+        type: 'water_budget_exhausted',
+        title: 'Water budget reached',
+        message: `${device.DeviceName || device.deviceId} has used its ${periodLabel} water budget (${usedLabel}). Watering is paused until ${budget.periodEndsAt.toLocaleString('en-US', { timeZone: budget.timezone })}.`,
+        severity: 'high',
+        data: {
+          period: budget.period,
+          unit: budget.unit,
+          usedSeconds: budget.usedSeconds,
+          limitSeconds: budget.limitSeconds,
+          periodEndsAt: budget.periodEndsAt,
+          source
+        }
+      });
+
+      realtime.notify(notification);
+      console.log(`🚱 Water budget exhausted for ${device.deviceId} (${source}) - notification sent`);
+    } catch (error) {
+      console.error(`❌ Failed to notify water budget for ${device.deviceId}:`, error.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new WaterBudgetService();
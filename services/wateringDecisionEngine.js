@@ -1,5 +1,14 @@
 const Device = require('../models/Device');
 const SensorData = require('../models/SensorData');
+const DeviceCommand = require('../models/DeviceCommand');
+const Log = require('../models/Log');
+const wateringStrategies = require('./wateringStrategies');
+const waterBudget = require('./waterBudgetService');
+const pumpSessions = require('./pumpSessionService');
+const commandDelivery = require('./commandDeliveryService');
+const mqttProtocol = require('./mqttProtocol');
+const moistureConversion = require('./moistureConversionService');
+const { isSensorValid } = require('./esp32SensorAlgorithm');
 
 class WateringDecisionEngine {
   constructor() {
@@ -18,6 +27,17 @@ class WateringDecisionEngine {
     // Track last command sent to each device to prevent duplicates
     this.lastCommands = new Map(); // deviceId → { command, timestamp }
     this.COMMAND_DEBOUNCE_MS = 30000; // Don't send same command within 30 seconds
+
+    // Track last suppression logged per device to avoid Log spam every 5s reading
+    this.lastSuppressions = new Map(); // deviceId → { command, code, timestamp }
+
+    // Fallback pump protection when a device document predates these fields
+    this.defaultPumpProtection = {
+      minRunSeconds: 30,
+      minRestSeconds: 120,
+      maxCyclesPerHour: 6,
+      hysteresisPercent: 2
+    };
   }
 
   /**
@@ -27,24 +47,6 @@ class WateringDecisionEngine {
     this.mqttClient = client;
   }
 
-  /**
-   * CRITICAL: ADC-to-Moisture conversion
-   * RESISTIVE SENSORS: HIGH ADC = DRY, LOW ADC = WET (INVERTED!)
-   */
-  calculateMoisturePercent(adc, zoneCalibration) {
-    const { dry, wet } = zoneCalibration; // dry = HIGH ADC (4095), wet = LOW ADC (1050)
-    
-    // Clamp ADC to calibration range
-    if (adc < wet) adc = wet;   // Below wet threshold (low ADC)
-    if (adc > dry) adc = dry;   // Above dry threshold (high ADC)
-    
-    // Calculate percentage: INVERTED for resistive sensors
-    // DRY (4095 ADC) → 0%
-    // WET (1050 ADC) → 100%
-    const percent = Math.round(100 - ((adc - wet) / (dry - wet)) * 100);
-    return Math.max(0, Math.min(100, percent));
-  }
-
   /**
    * Get thresholds for a plant type (from table formulas)
    */
@@ -155,17 +157,180 @@ class WateringDecisionEngine {
   }
 
   /**
-   * Get default calibration values for a zone
-   * RESISTIVE SENSORS: HIGH ADC = DRY, LOW ADC = WET (INVERTED!)
+   * Resolve the watering strategy selected for a device
+   * Unknown or missing names fall back to the default (critical-dry)
    */
-  getDefaultCalibration() {
+  getStrategyForDevice(device) {
+    return wateringStrategies.getStrategy(device.wateringStrategy);
+  }
+
+  /**
+   * Get pump protection limits for a device (stored values override defaults)
+   */
+  getPumpProtection(device) {
+    const stored = device.pumpProtection || {};
+    const protection = { ...this.defaultPumpProtection };
+
+    Object.keys(protection).forEach(key => {
+      if (typeof stored[key] === 'number') {
+        protection[key] = stored[key];
+      }
+    });
+
+    return protection;
+  }
+
+  /**
+   * HYSTERESIS: Widen the dry/wet band in the direction of the next switch
+   * - Pump OFF → soil must drop hysteresisPercent BELOW dry before starting
+   * - Pump ON  → soil must rise hysteresisPercent ABOVE wet before stopping
+   */
+  applyHysteresis(thresholds, protection, pumpIsOn) {
+    const margin = protection.hysteresisPercent || 0;
+
     return {
-      zone1: { dry: 4095, wet: 1050 }, // dry = HIGH ADC (4095), wet = LOW ADC (1050)
-      zone2: { dry: 4095, wet: 1070 }, // Resistive sensor behavior
-      zone3: { dry: 4095, wet: 1150 }  // Resistive sensor behavior
+      ...thresholds,
+      dry: pumpIsOn ? thresholds.dry : Math.max(0, thresholds.dry - margin),
+      wet: pumpIsOn ? Math.min(100, thresholds.wet + margin) : thresholds.wet
     };
   }
 
+  /**
+   * Check minimum run/rest time and cycles-per-hour limits for an auto command
+   * @returns {Object|null} { code, reason } if the command must be suppressed
+   */
+  checkPumpProtection(device, command, now = Date.now()) {
+    const protection = this.getPumpProtection(device);
+    const cycleState = device.pumpCycleState || {};
+
+    if (command === 'PUMP_ON') {
+      const lastStoppedAt = cycleState.lastStoppedAt ? new Date(cycleState.lastStoppedAt).getTime() : null;
+      if (lastStoppedAt && (now - lastStoppedAt) < protection.minRestSeconds * 1000) {
+        const restedSeconds = Math.floor((now - lastStoppedAt) / 1000);
+        return {
+          code: 'min_rest_time',
+          reason: `Pump rested ${restedSeconds}s, minimum rest is ${protection.minRestSeconds}s`
+        };
+      }
+
+      const hourAgo = now - 60 * 60 * 1000;
+      const startsLastHour = (cycleState.recentStarts || [])
+        .filter(startedAt => new Date(startedAt).getTime() > hourAgo).length;
+      if (startsLastHour >= protection.maxCyclesPerHour) {
+        return {
+          code: 'max_cycles_per_hour',
+          reason: `${startsLastHour} pump starts in the last hour, limit is ${protection.maxCyclesPerHour}`
+        };
+      }
+    }
+
+    if (command === 'PUMP_OFF') {
+      const lastStartedAt = cycleState.lastStartedAt ? new Date(cycleState.lastStartedAt).getTime() : null;
+      if (lastStartedAt && (now - lastStartedAt) < protection.minRunSeconds * 1000) {
+        const ranSeconds = Math.floor((now - lastStartedAt) / 1000);
+        return {
+          code: 'min_run_time',
+          reason: `Pump ran ${ranSeconds}s, minimum run is ${protection.minRunSeconds}s`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Suppression for a command repeated within COMMAND_DEBOUNCE_MS
+   * @param {Object} lastCommand - { command, timestamp } from lastCommands
+   */
+  getDebounceSuppression(lastCommand, now = Date.now()) {
+    return {
+      code: 'debounced',
+      reason: `${lastCommand.command} already sent ${Math.floor((now - lastCommand.timestamp) / 1000)}s ago (debounce ${this.COMMAND_DEBOUNCE_MS / 1000}s)`
+    };
+  }
+
+  /**
+   * Record a suppressed auto command in the Log collection
+   * Identical suppressions are logged once per COMMAND_DEBOUNCE_MS window
+   */
+  async logSuppressedCommand(device, command, suppression, context = {}) {
+    const now = Date.now();
+    const last = this.lastSuppressions.get(device.deviceId);
+
+    if (last && last.command === command && last.code === suppression.code &&
+        (now - last.timestamp) < this.COMMAND_DEBOUNCE_MS) {
+      return;
+    }
+
+    this.lastSuppressions.set(device.deviceId, {
+      command,
+      code: suppression.code,
+      timestamp: now
+    });
+
+    try {
+      await Log.create({
+        deviceId: device.deviceId,
+        userId: device.userID,
+        eventType: 'command_suppressed',
+        severity: 'warning',
+        source: 'system',
+        details: {
+          command,
+          code: suppression.code,
+          reason: suppression.reason,
+          protection: this.getPumpProtection(device),
+          ...context
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Failed to log suppressed ${command} for ${device.deviceId}:`, error.message);
+    }
+  }
+
+  /**
+   * Convert a raw reading and run the device's strategy on it (no side effects)
+   * @param {Object} device - Device document or plain object
+   * @param {Object} sensorData - { zone1, zone2, zone3 } raw ADC, pumpState, zoneHealth
+   * @returns {Object} { percents, zoneValidity, thresholds, protection, decisionThresholds, votingZones, strategy, decision }
+   */
+  evaluateReading(device, sensorData) {
+    // Same conversion and calibration as the stored reading (moistureConversionService)
+    const percents = moistureConversion.convert(sensorData, moistureConversion.resolve(device));
+
+    // Get thresholds (use custom OR calculate from device settings)
+    const thresholds = device.customThresholds ||
+      this.calculateThresholdsFromSettings(device);
+
+    // Widen thresholds by the device's hysteresis margin before deciding
+    const protection = this.getPumpProtection(device);
+    const decisionThresholds = this.applyHysteresis(thresholds, protection, sensorData.pumpState || false);
+
+    // A zone is valid when the raw ADC is a real reading within range
+    const isValid = (zone) => typeof sensorData[zone] === 'number' && isSensorValid(sensorData[zone]);
+
+    // Zones flagged by sensorFaultService (flatline, jump, disagreement) don't vote at all
+    const isFaulty = (zone) => sensorData.zoneHealth?.[zone]?.status === 'faulty';
+    const votingZones = ['zone1', 'zone2', 'zone3']
+      .filter(zone => !isFaulty(zone))
+      .map(zone => ({ name: zone, percent: percents[zone], isValid: isValid(zone) }));
+
+    // Per-zone flag stored with the reading: in range and not faulty
+    const zoneValidity = Object.fromEntries(['zone1', 'zone2', 'zone3'].map(zone => [zone, isValid(zone) && !isFaulty(zone)]));
+
+    // 🧠 Run the device's selected decision strategy (see wateringStrategies.js)
+    const strategy = this.getStrategyForDevice(device);
+    const decision = strategy.decide({
+      zones: votingZones,
+      thresholds: decisionThresholds,
+      options: {
+        zoneWeights: device.zoneWeights
+      }
+    });
+
+    return { percents, zoneValidity, thresholds, protection, decisionThresholds, votingZones, strategy, decision };
+  }
+
   /**
    * Process sensor data and decide if watering is needed
    */
@@ -195,36 +360,23 @@ class WateringDecisionEngine {
         );
       }
 
-      // Get calibration (use custom or default)
-      const calibration = device.calibration || this.getDefaultCalibration();
-
-      // Calculate moisture percentages for each zone
-      const zone1Percent = this.calculateMoisturePercent(sensorData.zone1, calibration.zone1);
-      const zone2Percent = this.calculateMoisturePercent(sensorData.zone2, calibration.zone2);
-      const zone3Percent = this.calculateMoisturePercent(sensorData.zone3, calibration.zone3);
-
-      // Get thresholds (use custom OR calculate from device settings)
-      const thresholds = device.customThresholds || 
-        this.calculateThresholdsFromSettings(device);
-
-      // 🔥 NEW LOGIC: If ANY sensor reads 0% or <= 30%, turn pump ON
-      // This handles both genuine dry soil AND sensors that might be disconnected/faulty
-      const criticallyDry = zone1Percent <= 30 || zone2Percent <= 30 || zone3Percent <= 30;
-
-      // Majority voting logic - count ALL sensors
-      const dryVotes = [zone1Percent, zone2Percent, zone3Percent]
-        .filter(p => p < thresholds.dry).length;
-      const wetVotes = [zone1Percent, zone2Percent, zone3Percent]
-        .filter(p => p > thresholds.wet).length;
-
-      // Need majority of sensors (2 out of 3)
-      const majorityNeeded = 2;
-      const shouldWater = criticallyDry || (dryVotes >= majorityNeeded);
-      const shouldStop = wetVotes >= majorityNeeded;
+      const {
+        percents: { zone1: zone1Percent, zone2: zone2Percent, zone3: zone3Percent },
+        zoneValidity,
+        thresholds,
+        protection,
+        decisionThresholds,
+        votingZones,
+        strategy,
+        decision
+      } = this.evaluateReading(device, sensorData);
 
       // 🔧 FIX: Use REAL pump state from ESP32, not stale database value
       const actualPumpState = sensorData.pumpState || false;
-      
+
+      const { shouldWater, shouldStop, dryVotes, wetVotes } = decision;
+      const validSensorCount = decision.validSensors;
+
       // Update database if pump state changed
       if (device.isPumpOn !== actualPumpState) {
         console.log(`🔄 Syncing pump state: DB=${device.isPumpOn} → ESP32=${actualPumpState}`);
@@ -233,10 +385,24 @@ class WateringDecisionEngine {
           { isPumpOn: actualPumpState }
         );
         device.isPumpOn = actualPumpState; // Update local reference
+
+        // Telemetry fallback for sessions whose ACK was missed (e.g. pump stopped on its own timer)
+        await pumpSessions.handlePumpState(deviceId, Boolean(actualPumpState), {
+          reason: 'Sensor telemetry'
+        });
+
+        // Pick up the cycle history the session change just recorded (pump protection below)
+        const refreshed = await Device.findOne({ deviceId }).select('pumpCycleState').lean();
+        device.pumpCycleState = refreshed?.pumpCycleState || device.pumpCycleState;
       }
 
-      // Calculate average moisture percentage for smart duration
-      const avgMoisturePercent = Math.round((zone1Percent + zone2Percent + zone3Percent) / 3);
+      // 🚱 WATER BUDGET: Count pump run time from every reading, whatever started the pump
+      const budget = await waterBudget.recordPumpSample(device, !!actualPumpState);
+
+      // Calculate average moisture percentage for smart duration (voting zones only)
+      const avgMoisturePercent = votingZones.length > 0
+        ? Math.round(votingZones.reduce((sum, zone) => sum + zone.percent, 0) / votingZones.length)
+        : 0;
 
       console.log(`\n📊 Device ${deviceId} Analysis:`);
       console.log(`   Plant Type: ${device.plantType}`);
@@ -247,7 +413,7 @@ class WateringDecisionEngine {
       
       // Show sensor status
       const getStatus = (percent) => {
-        if (percent <= 30) return '🔥 CRITICALLY DRY';
+        if (percent <= wateringStrategies.CRITICAL_DRY_PERCENT) return '🔥 CRITICALLY DRY';
         return percent < thresholds.dry ? '🔴 DRY' : percent > thresholds.wet ? '🟢 WET' : '🟡 OK';
       };
       
@@ -256,51 +422,114 @@ class WateringDecisionEngine {
       console.log(`   Zone 3: ${zone3Percent}% [ADC: ${sensorData.zone3}] ${getStatus(zone3Percent)}`);
       console.log(`   Average moisture: ${avgMoisturePercent}%`);
       console.log(`   Thresholds: Dry < ${thresholds.dry}% | Wet > ${thresholds.wet}%`);
-      console.log(`   Critically dry (<=30%): ${criticallyDry ? 'YES ⚠️' : 'NO'}`);
-      console.log(`   Votes: Dry=${dryVotes}/3, Wet=${wetVotes}/3 (majority needed: ${majorityNeeded})`);
+      console.log(`   Hysteresis: ±${protection.hysteresisPercent}% → Effective Dry < ${decisionThresholds.dry}% | Wet > ${decisionThresholds.wet}%`);
+      console.log(`   Strategy: ${strategy.name} → ${decision.reason}`);
+      console.log(`   Votes: Dry=${dryVotes}/${votingZones.length}, Wet=${wetVotes}/${votingZones.length} (valid sensors: ${validSensorCount}/3)`);
       console.log(`   Decision: Should water = ${shouldWater}, Should stop = ${shouldStop}`);
       console.log(`   Pump state (ESP32): ${actualPumpState ? 'ON' : 'OFF'}`);
       console.log(`   Pump state (DB): ${device.isPumpOn ? 'ON' : 'OFF'}`);
+      if (budget.enabled) {
+        console.log(`   Water budget (${budget.period}): ${budget.usedSeconds}s used / ${budget.limitSeconds}s`);
+      }
 
-      // Only take action in AUTO mode
-      if (device.wateringMode === 'auto') {
+      // Budget cutoff applies in every mode (auto, manual and schedule)
+      if (budget.exhausted && actualPumpState) {
+        const lastCommand = this.lastCommands.get(deviceId);
+        if (lastCommand && lastCommand.command === 'PUMP_OFF' &&
+            (Date.now() - lastCommand.timestamp) < this.COMMAND_DEBOUNCE_MS) {
+          console.log(`⏭️ SKIPPING BUDGET PUMP_OFF: Already sent ${Math.floor((Date.now() - lastCommand.timestamp) / 1000)}s ago`);
+          await this.logSuppressedCommand(device, 'PUMP_OFF', this.getDebounceSuppression(lastCommand), {
+            decisionReason: `${budget.period} water budget exhausted`
+          });
+        } else {
+          console.log(`🚱 WATER BUDGET EXHAUSTED: Stopping pump (${device.wateringMode} mode)`);
+          await this.sendPumpCommand(deviceId, 'PUMP_OFF', 0,
+            `WATER BUDGET: ${budget.period} budget of ${budget.limitSeconds}s exhausted`, device.wateringMode);
+          await waterBudget.notifyBudgetExhausted(device, budget, device.wateringMode);
+        }
+      } else if (device.wateringMode === 'auto') {
+        // Only take action in AUTO mode
         console.log(`✅ AUTO mode detected - evaluating pump control...`);
         
         // Check if we recently sent a command to avoid spam
         const lastCommand = this.lastCommands.get(deviceId);
         const now = Date.now();
+        let suppression = null;
+        const budgetCheck = await waterBudget.checkPumpAllowed(device, 7200, new Date(), budget.timezone); // 2 hours safety maximum
         
         if (shouldWater && !actualPumpState) {  // ← Use ACTUAL pump state from ESP32!
           // Check if we already sent PUMP_ON recently
           if (lastCommand && lastCommand.command === 'PUMP_ON' && 
               (now - lastCommand.timestamp) < this.COMMAND_DEBOUNCE_MS) {
             console.log(`⏭️ SKIPPING PUMP_ON: Already sent ${Math.floor((now - lastCommand.timestamp) / 1000)}s ago`);
+            await this.logSuppressedCommand(device, 'PUMP_ON', this.getDebounceSuppression(lastCommand, now), {
+              strategy: strategy.name,
+              decisionReason: decision.reason,
+              avgMoisturePercent
+            });
+          } else if (device.pumpFault?.active) {
+            console.log(`🚨 REFUSED PUMP_ON: Pump fault (${device.pumpFault.faultType}) must be cleared first`);
+            await this.logSuppressedCommand(device, 'PUMP_ON', {
+              code: 'pump_fault',
+              reason: `Active pump fault: ${device.pumpFault.message}`
+            }, {
+              strategy: strategy.name,
+              decisionReason: decision.reason,
+              avgMoisturePercent
+            });
+          } else if (!budgetCheck.allowed) {
+            console.log(`🚱 REFUSED PUMP_ON: ${budgetCheck.reason}`);
+            await this.logSuppressedCommand(device, 'PUMP_ON', {
+              code: 'water_budget_exhausted',
+              reason: budgetCheck.reason
+            }, {
+              strategy: strategy.name,
+              decisionReason: decision.reason,
+              avgMoisturePercent
+            });
+            await waterBudget.notifyBudgetExhausted(device, budget, 'auto');
+          } else if ((suppression = this.checkPumpProtection(device, 'PUMP_ON', now))) {
+            console.log(`🛡️ SUPPRESSED PUMP_ON: ${suppression.reason}`);
+            await this.logSuppressedCommand(device, 'PUMP_ON', suppression, {
+              strategy: strategy.name,
+              decisionReason: decision.reason,
+              avgMoisturePercent
+            });
           } else {
-            console.log(`💧 TRIGGERING PUMP ON: ${dryVotes}/3 zones dry`);
+            console.log(`💧 TRIGGERING PUMP ON: ${decision.reason}`);
             console.log(`   🎯 AUTO mode: Pump will run until sensors reach ${thresholds.wet}% (wet threshold)`);
             console.log(`   📊 Current avg moisture: ${avgMoisturePercent}% → Target: ${thresholds.wet}%`);
             // 🎯 AUTO MODE: Use 7200s (2 hours) as safety timeout
             // Backend monitors sensors every 5s and sends PUMP_OFF when wet threshold reached
             // This prevents infinite running if sensors fail or MQTT disconnects
-            const autoModeDuration = 7200; // 2 hours safety maximum
+            // Capped to the remaining water budget when one is enabled
+            const autoModeDuration = budgetCheck.duration;
             await this.sendPumpCommand(deviceId, 'PUMP_ON', autoModeDuration, 
-              `AUTO: ${dryVotes}/3 zones below ${thresholds.dry}% - Run until ${thresholds.wet}%`);
+              `AUTO (${strategy.name}): ${decision.reason} - Run until ${thresholds.wet}%`);
           }
         } else if (shouldStop && actualPumpState) {  // ← Use ACTUAL pump state
           // PUMP_OFF should override PUMP_ON immediately - only debounce against itself
           if (lastCommand && lastCommand.command === 'PUMP_OFF' && 
               (now - lastCommand.timestamp) < this.COMMAND_DEBOUNCE_MS) {
             console.log(`⏭️ SKIPPING PUMP_OFF: Already sent ${Math.floor((now - lastCommand.timestamp) / 1000)}s ago`);
-          } else if (lastCommand && lastCommand.command === 'PUMP_ON' && 
-                     (now - lastCommand.timestamp) < 5000) {
-            // Safety: Wait at least 5s after PUMP_ON before sending PUMP_OFF
-            // This prevents immediate flip-flop if sensor readings fluctuate
-            console.log(`⏳ WAITING: PUMP_ON sent ${Math.floor((now - lastCommand.timestamp) / 1000)}s ago, waiting 5s minimum`);
+            await this.logSuppressedCommand(device, 'PUMP_OFF', this.getDebounceSuppression(lastCommand, now), {
+              strategy: strategy.name,
+              decisionReason: decision.reason,
+              avgMoisturePercent
+            });
+          } else if ((suppression = this.checkPumpProtection(device, 'PUMP_OFF', now))) {
+            // Minimum run time prevents immediate flip-flop if sensor readings fluctuate
+            console.log(`🛡️ SUPPRESSED PUMP_OFF: ${suppression.reason}`);
+            await this.logSuppressedCommand(device, 'PUMP_OFF', suppression, {
+              strategy: strategy.name,
+              decisionReason: decision.reason,
+              avgMoisturePercent
+            });
           } else {
-            console.log(`🛑 TRIGGERING PUMP OFF: ${wetVotes}/3 zones wet`);
+            console.log(`🛑 TRIGGERING PUMP OFF: ${decision.reason}`);
             console.log(`   ✅ Wet threshold ${thresholds.wet}% reached!`);
             await this.sendPumpCommand(deviceId, 'PUMP_OFF', 0, 
-              `${wetVotes}/3 zones above ${thresholds.wet}% threshold`);
+              `AUTO (${strategy.name}): ${decision.reason}`);
           }
         } else {
           console.log(`⏸️ No action: shouldWater=${shouldWater}, actualPumpState=${actualPumpState}`);
@@ -314,9 +543,9 @@ class WateringDecisionEngine {
         zone1Percent,
         zone2Percent,
         zone3Percent,
-        zone1Valid,
-        zone2Valid,
-        zone3Valid,
+        zone1Valid: zoneValidity.zone1,
+        zone2Valid: zoneValidity.zone2,
+        zone3Valid: zoneValidity.zone3,
         dryVotes,
         wetVotes,
         majorityVoteDry: shouldWater,
@@ -330,24 +559,33 @@ class WateringDecisionEngine {
 
   /**
    * Send pump command to ESP32 via MQTT
+   * @param {string} source - What triggered the command (auto/manual/schedule)
    */
-  async sendPumpCommand(deviceId, command, duration, reason) {
-    const commandId = `cmd_${Date.now()}`;
-    const payload = {
+  async sendPumpCommand(deviceId, command, duration, reason, source = 'auto') {
+    // Tracked in DeviceCommand so the ACK, retries and expiry can be followed
+    const commandDoc = await DeviceCommand.create({
+      deviceId,
       command,
-      duration,
-      reason,
-      commandId,
-      timestamp: Math.floor(Date.now() / 1000)
-    };
+      parameters: { duration, reason, source },
+      status: 'pending',
+      executed: false
+    });
+
+    const commandId = commandDoc._id.toString();
+
+    // Let the pump session service attribute the device's ACK to this source
+    pumpSessions.trackCommand(deviceId, commandId, { command, source, duration, reason });
 
     console.log(`📤 Sending ${command} to ${deviceId}: ${reason}`);
     
     if (this.mqttClient) {
-      const topic = `ecosprinkle/${deviceId}/command`;
-      console.log(`📡 Publishing to MQTT topic: ${topic}`);
-      console.log(`📦 Payload: ${JSON.stringify(payload)}`);
-      this.mqttClient.publish(topic, JSON.stringify(payload));
+      const target = await mqttProtocol.resolveDevice(deviceId);
+      const encoded = mqttProtocol.encodeCommand(target, command, { duration, reason, source }, { commandId });
+      console.log(`📡 Publishing to MQTT topic: ${encoded.topic} (protocol v${encoded.protocolVersion})`);
+      console.log(`📦 Payload: ${JSON.stringify(encoded.payload)}`);
+      mqttProtocol.publish(this.mqttClient, encoded)
+        .catch(error => console.error(`❌ Failed to publish ${command} to ${deviceId}:`, error.message));
+      await commandDelivery.markSent(commandDoc, encoded);
       console.log(`✅ MQTT publish successful`);
       
       // Track this command to prevent duplicates
@@ -357,33 +595,33 @@ class WateringDecisionEngine {
       });
     } else {
       console.error(`❌ MQTT client not available - cannot send command!`);
+      commandDoc.status = 'failed';
+      commandDoc.error = 'MQTT client not available';
+      commandDoc.failedAt = new Date();
+      await commandDoc.save();
     }
 
-    // Update device state in database
-    await Device.findOneAndUpdate(
-      { deviceId },
-      { 
+    // Update device state in database (pump cycle history is recorded by
+    // pumpSessionService when the device reports the pump actually started/stopped)
+    await Device.findOneAndUpdate({ deviceId }, {
+      $set: {
         isPumpOn: command === 'PUMP_ON',
         lastCommand: command,
         lastCommandTime: new Date()
       }
-    );
+    });
   }
 
   /**
    * Send DEVICE_REGISTERED confirmation to disable watchdog timer
    */
   async sendRegistrationConfirmation(deviceId) {
-    const payload = {
-      command: 'DEVICE_REGISTERED',
-      commandId: `reg_${Date.now()}`,
-      timestamp: Math.floor(Date.now() / 1000)
-    };
-
     console.log(`🐕 Sending DEVICE_REGISTERED to ${deviceId} to disable watchdog`);
     
     if (this.mqttClient) {
-      this.mqttClient.publish(`ecosprinkle/${deviceId}/command`, JSON.stringify(payload));
+      mqttProtocol.publishToDevice(this.mqttClient, deviceId, 'DEVICE_REGISTERED', {}, {
+        commandId: `reg_${Date.now()}`
+      }).catch(error => console.error(`❌ Failed to send DEVICE_REGISTERED to ${deviceId}:`, error.message));
     }
   }
 
@@ -392,19 +630,26 @@ class WateringDecisionEngine {
    * This verifies MQTT connectivity and pump hardware functionality
    */
   async sendConnectionTestPump(deviceId, testDuration = 5) {
-    const payload = {
-      command: 'PUMP_ON',
+    const commandId = `test_${Date.now()}`;
+    const params = {
       duration: testDuration, // Short 5-second test
       reason: 'Connection test - Verifying MQTT and pump hardware',
-      commandId: `test_${Date.now()}`,
-      timestamp: Math.floor(Date.now() / 1000),
+      source: 'test',
       isTest: true
     };
 
+    pumpSessions.trackCommand(deviceId, commandId, {
+      command: 'PUMP_ON',
+      source: 'test',
+      duration: testDuration,
+      reason: params.reason
+    });
+
     console.log(`🧪 Sending ${testDuration}s connection test pump to ${deviceId}`);
     
     if (this.mqttClient) {
-      this.mqttClient.publish(`ecosprinkle/${deviceId}/command`, JSON.stringify(payload));
+      mqttProtocol.publishToDevice(this.mqttClient, deviceId, 'PUMP_ON', params, { commandId })
+        .catch(error => console.error(`❌ Failed to send test pump to ${deviceId}:`, error.message));
     }
 
     // Update device state in database
@@ -437,7 +682,11 @@ class WateringDecisionEngine {
       const thresholds = device.customThresholds || 
         this.getThresholdsForPlant(device.plantType || 'Others');
       
-      const calibration = device.calibration || this.getDefaultCalibration();
+      // Firmware only does linear conversion: send each curve's wet/dry endpoints
+      const calibration = {};
+      Object.entries(moistureConversion.resolve(device)).forEach(([zone, curve]) => {
+        calibration[zone] = { dry: curve.dry, wet: curve.wet };
+      });
 
       const config = {
         thresholds: {
@@ -453,7 +702,7 @@ class WateringDecisionEngine {
       console.log(`📤 Sending config to ${deviceId}:`, config);
       
       if (this.mqttClient) {
-        this.mqttClient.publish(`ecosprinkle/${deviceId}/config`, JSON.stringify(config));
+        this.mqttClient.publish(mqttProtocol.topics.config(deviceId), JSON.stringify(config));
       }
     } catch (error) {
       console.error(`Error sending config to ${deviceId}:`, error);
@@ -491,6 +740,7 @@ class WateringDecisionEngine {
         validSensors: processedData.validSensors,
         median: median,
         sensorHealth: sensorHealth,
+        zoneHealth: rawData.zoneHealth || undefined,
         pumpState: rawData.pumpState ? 1 : 0,
         rssi: rawData.rssi || -50,
         timestamp: rawData.timestamp ? new Date(rawData.timestamp * 1000) : new Date(),
@@ -0,0 +1,244 @@
+/**
+ * Watering Decision Strategies
+ *
+ * Registry of the algorithms the WateringDecisionEngine can use to turn
+ * per-zone moisture percentages into a pump decision. Each device picks one
+ * by name (Device.wateringStrategy).
+ *
+ * Every strategy is a pure function with the same signature so it can be
+ * exercised without MongoDB or MQTT:
+ *
+ *   strategy({ zones, thresholds, options }) → {
+ *     shouldWater, shouldStop, dryVotes, wetVotes, validSensors, reason
+ *   }
+ *
+ * - zones:      [{ name: 'zone1', percent: 42, isValid: true }, ...]
+ *               (zones flagged faulty by sensorFaultService are already removed)
+ * - thresholds: { dry, wet } in percent
+ * - options:    per-device extras (e.g. zoneWeights for 'weighted-zone')
+ */
+
+// Any zone at or below this percentage forces watering in 'critical-dry'
+const CRITICAL_DRY_PERCENT = 30;
+
+const DEFAULT_STRATEGY = 'critical-dry';
+
+/**
+ * Count dry/wet votes for a list of zones
+ * @param {Array} zones - Zone readings
+ * @param {Object} thresholds - { dry, wet } in percent
+ * @returns {Object} { dryVotes, wetVotes }
+ */
+function countVotes(zones, thresholds) {
+  return {
+    dryVotes: zones.filter(z => z.percent < thresholds.dry).length,
+    wetVotes: zones.filter(z => z.percent > thresholds.wet).length
+  };
+}
+
+/**
+ * Calculate median of a list of numbers
+ * @param {number[]} values
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+/**
+ * Original engine rule: water if ANY zone is critically dry (<= 30%) or if
+ * 2 of 3 zones are below the dry threshold. Stop when 2 of 3 are wet.
+ * All zones passed in vote, valid or not; a disconnected probe only stops
+ * voting once sensorFaultService flags it.
+ */
+function criticalDryStrategy({ zones, thresholds }) {
+  const { dryVotes, wetVotes } = countVotes(zones, thresholds);
+  const majorityNeeded = 2;
+  const criticallyDry = zones.some(z => z.percent <= CRITICAL_DRY_PERCENT);
+
+  const shouldWater = criticallyDry || dryVotes >= majorityNeeded;
+  const shouldStop = wetVotes >= majorityNeeded;
+
+  let reason = `${dryVotes}/${zones.length} zones below ${thresholds.dry}%`;
+  if (criticallyDry) {
+    reason = `Zone at or below ${CRITICAL_DRY_PERCENT}% (critically dry)`;
+  } else if (shouldStop) {
+    reason = `${wetVotes}/${zones.length} zones above ${thresholds.wet}%`;
+  }
+
+  return {
+    shouldWater,
+    shouldStop,
+    dryVotes,
+    wetVotes,
+    validSensors: zones.filter(z => z.isValid).length,
+    reason
+  };
+}
+
+/**
+ * Strict majority vote among VALID zones only (no critical override)
+ */
+function majorityVoteStrategy({ zones, thresholds }) {
+  const validZones = zones.filter(z => z.isValid);
+  const { dryVotes, wetVotes } = countVotes(validZones, thresholds);
+  const majorityNeeded = Math.floor(validZones.length / 2) + 1;
+
+  const shouldWater = validZones.length > 0 && dryVotes >= majorityNeeded;
+  const shouldStop = validZones.length > 0 && wetVotes >= majorityNeeded;
+
+  return {
+    shouldWater,
+    shouldStop,
+    dryVotes,
+    wetVotes,
+    validSensors: validZones.length,
+    reason: shouldStop
+      ? `${wetVotes}/${validZones.length} valid zones above ${thresholds.wet}%`
+      : `${dryVotes}/${validZones.length} valid zones below ${thresholds.dry}% (need ${majorityNeeded})`
+  };
+}
+
+/**
+ * Median of valid zones compared against thresholds
+ * Robust against a single outlier probe in either direction
+ */
+function medianStrategy({ zones, thresholds }) {
+  const validZones = zones.filter(z => z.isValid);
+  const { dryVotes, wetVotes } = countVotes(validZones, thresholds);
+  const medianPercent = median(validZones.map(z => z.percent));
+
+  const shouldWater = medianPercent !== null && medianPercent < thresholds.dry;
+  const shouldStop = medianPercent !== null && medianPercent > thresholds.wet;
+
+  return {
+    shouldWater,
+    shouldStop,
+    dryVotes,
+    wetVotes,
+    validSensors: validZones.length,
+    reason: medianPercent === null
+      ? 'No valid zones'
+      : `Median of valid zones: ${medianPercent}%`
+  };
+}
+
+/**
+ * Weighted average of valid zones compared against thresholds
+ * Weights come from options.zoneWeights ({ zone1: 1, zone2: 1, zone3: 1 })
+ */
+function weightedZoneStrategy({ zones, thresholds, options = {} }) {
+  const weights = options.zoneWeights || {};
+  const validZones = zones.filter(z => z.isValid);
+  const { dryVotes, wetVotes } = countVotes(validZones, thresholds);
+
+  let totalWeight = 0;
+  let weightedSum = 0;
+  validZones.forEach(z => {
+    const weight = weights[z.name] !== undefined ? weights[z.name] : 1;
+    totalWeight += weight;
+    weightedSum += z.percent * weight;
+  });
+
+  const weightedPercent = totalWeight > 0
+    ? Math.round(weightedSum / totalWeight)
+    : null;
+
+  const shouldWater = weightedPercent !== null && weightedPercent < thresholds.dry;
+  const shouldStop = weightedPercent !== null && weightedPercent > thresholds.wet;
+
+  return {
+    shouldWater,
+    shouldStop,
+    dryVotes,
+    wetVotes,
+    validSensors: validZones.length,
+    reason: weightedPercent === null
+      ? 'No valid weighted zones'
+      : `Weighted average of valid zones: ${weightedPercent}%`
+  };
+}
+
+// name → { decide, description }
+const strategies = new Map();
+
+/**
+ * Register a watering strategy
+ * @param {string} name - Unique strategy name (stored on Device.wateringStrategy)
+ * @param {Function} decide - Strategy function
+ * @param {string} description - Human-readable description for the app
+ */
+function registerStrategy(name, decide, description = '') {
+  if (typeof decide !== 'function') {
+    throw new Error(`Strategy ${name} must be a function`);
+  }
+  strategies.set(name, { decide, description });
+}
+
+/**
+ * Get a strategy by name, falling back to the default
+ * @param {string} name
+ * @returns {Object} { name, decide, description }
+ */
+function getStrategy(name) {
+  const resolvedName = strategies.has(name) ? name : DEFAULT_STRATEGY;
+  return { name: resolvedName, ...strategies.get(resolvedName) };
+}
+
+/**
+ * Check whether a strategy name is registered
+ * @param {string} name
+ * @returns {boolean}
+ */
+function hasStrategy(name) {
+  return strategies.has(name);
+}
+
+/**
+ * List available strategies (for settings screens)
+ * @returns {Array} [{ name, description }]
+ */
+function listStrategies() {
+  return Array.from(strategies.entries()).map(([name, { description }]) => ({
+    name,
+    description
+  }));
+}
+
+registerStrategy('critical-dry', criticalDryStrategy,
+  `Water if any zone is at or below ${CRITICAL_DRY_PERCENT}% or 2 of 3 zones are dry (default)`);
+registerStrategy('majority-vote', majorityVoteStrategy,
+  'Water when a majority of valid zones are below the dry threshold');
+registerStrategy('median', medianStrategy,
+  'Water when the median of valid zones is below the dry threshold');
+registerStrategy('weighted-zone', weightedZoneStrategy,
+  'Water when the weighted average of valid zones is below the dry threshold');
+
+module.exports = {
+  // Constants
+  CRITICAL_DRY_PERCENT,
+  DEFAULT_STRATEGY,
+
+  // Registry
+  registerStrategy,
+  getStrategy,
+  hasStrategy,
+  listStrategies,
+
+  // Strategies (exported for isolated testing)
+  criticalDryStrategy,
+  majorityVoteStrategy,
+  medianStrategy,
+  weightedZoneStrategy,
+
+  // Helpers
+  countVotes,
+  median
+};
@@ -0,0 +1,155 @@
+/**
+ * Zoned Time Helpers - Wall-clock times in an IANA timezone
+ *
+ * Schedules are stored as local wall times ("06:30" on Mon/Wed) in the
+ * owner's timezone (User.profile.timezone). These helpers convert between
+ * those wall times and real instants using Intl, so DST is handled by the
+ * platform's tz database:
+ * - a wall time skipped by a spring-forward gap resolves to the same
+ *   offset after the gap (02:30 → 03:30), so the slot still runs once
+ * - a wall time repeated by a fall-back overlap resolves to its first
+ *   occurrence, so the slot does not run twice
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map(); // timezone → Intl.DateTimeFormat
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Check that a string is a timezone Intl knows
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Same numbering as Device.schedules[].daysOfWeek and Date#getDay
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Local calendar fields of an instant
+ * @param {Date} date
+ * @param {string} timezone - IANA name
+ * @returns {Object} { year, month, day, hour, minute, second, dayOfWeek (0=Sun..6=Sat), time 'HH:MM' }
+ */
+function getLocalParts(date, timezone) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const local = {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    dayOfWeek: WEEKDAYS[parts.weekday]
+  };
+  local.time = `${parts.hour}:${parts.minute}`;
+  return local;
+}
+
+/**
+ * Offset of the timezone from UTC at an instant, in milliseconds
+ */
+function getOffset(date, timezone) {
+  const local = getLocalParts(date, timezone);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant of a local wall time (see header for gaps and overlaps)
+ * @param {Object} local - { year, month, day, hour, minute }
+ * @param {string} timezone - IANA name
+ * @returns {Date}
+ */
+function zonedTimeToUtc({ year, month, day, hour, minute }, timezone) {
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offsets in effect just before and just after the wall time
+  const before = getOffset(new Date(wallAsUtc - DAY_MS / 2), timezone);
+  const after = getOffset(new Date(wallAsUtc + DAY_MS / 2), timezone);
+
+  const earlier = wallAsUtc - before;
+  if (getOffset(new Date(earlier), timezone) === before) {
+    return new Date(earlier); // Valid with the earlier offset (first of two in an overlap)
+  }
+
+  const later = wallAsUtc - after;
+  if (getOffset(new Date(later), timezone) === after) {
+    return new Date(later);
+  }
+
+  // Inside a spring-forward gap: keep the pre-transition offset
+  return new Date(earlier);
+}
+
+/**
+ * Local calendar date `days` after the given one
+ * @param {Object} local - { year, month, day }
+ * @returns {Object} { year, month, day, dayOfWeek }
+ */
+function addLocalDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    dayOfWeek: date.getUTCDay()
+  };
+}
+
+/**
+ * Instant of "HH:MM" on a local calendar date
+ * @param {Object} date - { year, month, day }
+ * @param {string} time - 'HH:MM'
+ * @param {string} timezone - IANA name
+ */
+function atLocalTime(date, time, timezone) {
+  const [hour, minute] = time.split(':').map(Number);
+  return zonedTimeToUtc({ year: date.year, month: date.month, day: date.day, hour, minute }, timezone);
+}
+
+/**
+ * Readable local time for logs
+ */
+function formatLocal(date, timezone) {
+  return `${date.toLocaleString('en-US', { timeZone: timezone })} (${timezone})`;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getLocalParts,
+  getOffset,
+  zonedTimeToUtc,
+  addLocalDays,
+  atLocalTime,
+  formatLocal
+};
@@ -0,0 +1,110 @@
+/**
+ * Route tests against createApp() without MongoDB or MQTT
+ * (nothing listens or connects until start(), see app.js)
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { createApp } = require('../app');
+const { loadConfig } = require('../config/appConfig');
+
+const instance = createApp(loadConfig({
+  mqtt: { mode: 'none' },
+  database: { connect: false },
+  cloudBridge: { enabled: false },
+  backgroundServices: false
+}));
+const { app } = instance;
+
+after(() => instance.io.close());
+
+describe('system routes', () => {
+  it('GET / describes the API', async () => {
+    const res = await request(app).get('/').expect(200);
+    assert.equal(res.body.status, 'running');
+    assert.equal(res.body.endpoints.health, '/health');
+  });
+
+  it('GET /health reports MQTT and database as down', async () => {
+    const res = await request(app).get('/health').expect(200);
+    assert.equal(res.body.status, 'healthy');
+    assert.deepEqual(res.body.services, { mqtt: false, database: false });
+  });
+
+  it('GET /api/health is ok', async () => {
+    const res = await request(app).get('/api/health').expect(200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.service, 'Ecosprinkle Backend');
+  });
+
+  it('GET /api/status reports the MQTT mode', async () => {
+    const res = await request(app).get('/api/status').expect(200);
+    assert.equal(res.body.status, 'running');
+    assert.equal(res.body.mqttMode, 'none');
+    assert.equal(res.body.mqttConnected, false);
+    assert.equal(res.body.dbConnected, false);
+  });
+
+  it('GET /api/connection-status reports the device link as down', async () => {
+    const res = await request(app).get('/api/connection-status').expect(200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.mqtt.mode, 'none');
+    assert.equal(res.body.overallStatus.healthy, false);
+    assert.equal(res.body.overallStatus.esp32Connection, 'Disconnected');
+  });
+
+  it('GET /api/connection-status/summary is unhealthy without MQTT', async () => {
+    const res = await request(app).get('/api/connection-status/summary').expect(200);
+    assert.equal(res.body.status, 'unhealthy');
+    assert.equal(res.body.esp32Status, 'disconnected');
+    assert.equal(res.body.lastDataReceived, null);
+  });
+
+  it('unknown endpoints are 404', async () => {
+    const res = await request(app).get('/api/does-not-exist').expect(404);
+    assert.deepEqual(res.body, { success: false, message: 'Endpoint not found' });
+  });
+});
+
+describe('authentication', () => {
+  const protectedRoutes = [
+    ['get', '/api/devices'],
+    ['post', '/api/command/cdbb40'],
+    ['get', '/api/devices/cdbb40/forecast'],
+    ['get', '/api/devices/cdbb40/schedule/executions'],
+    ['post', '/api/devices/cdbb40/schedules/preview'],
+    ['get', '/api/devices/cdbb40/calibration'],
+    ['get', '/api/logs/cdbb40'],
+    ['get', '/api/export/cdbb40/sensor-data'],
+    ['get', '/api/onboarding/status'],
+    ['put', '/api/onboarding/profile'],
+    ['get', '/api/admin/dead-letters'],
+    ['get', '/api/users/someone/devices'],
+    ['post', '/api/plants'],
+    ['put', '/api/commands/0123456789abcdef01234567/executed'],
+    ['get', '/api/status/cdbb40'],
+    ['get', '/api/notifications/cdbb40'],
+    ['post', '/api/device/cdbb40/control']
+  ];
+
+  protectedRoutes.forEach(([method, path]) => {
+    it(`${method.toUpperCase()} ${path} without a token is 401`, async () => {
+      const res = await request(app)[method](path).expect(401);
+      assert.equal(res.body.error, 'Access denied');
+    });
+  });
+
+  it('a malformed token is rejected before any lookup', async () => {
+    const res = await request(app)
+      .get('/api/devices')
+      .set('Authorization', 'Bearer not-a-jwt')
+      .expect(401);
+    assert.equal(res.body.error, 'Invalid token');
+  });
+
+  it('the delete-every-device route is not mounted', async () => {
+    await request(app).delete('/api/devices/all/delete-everything').expect(404);
+  });
+});
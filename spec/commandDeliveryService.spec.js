@@ -0,0 +1,52 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DeviceCommand = require('../models/DeviceCommand');
+const commandDelivery = require('../services/commandDeliveryService');
+
+const DELIVERY = { topic: 'ecosprinkle/cdbb40/command', payload: { v: 2, command: 'SET_WATERING_MODE', mode: 'auto' } };
+
+function makeCommand(fields = {}) {
+  return new DeviceCommand({ deviceId: 'cdbb40', command: 'SET_WATERING_MODE', parameters: { mode: 'auto' }, ...fields });
+}
+
+describe('markSent', () => {
+  let defaults;
+
+  beforeEach(() => {
+    defaults = commandDelivery.defaults;
+    commandDelivery.defaults = { maxAttempts: 5, ackTimeoutSeconds: 12, ttlSeconds: 60 };
+    mock.method(DeviceCommand.prototype, 'save', async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    commandDelivery.defaults = defaults;
+    mock.restoreAll();
+  });
+
+  it('applies the configured retry settings and TTL', async () => {
+    const before = Date.now();
+    const command = await commandDelivery.markSent(makeCommand(), DELIVERY);
+
+    assert.equal(command.status, 'sent');
+    assert.equal(command.attempts, 1);
+    assert.equal(command.topic, DELIVERY.topic);
+    assert.equal(command.maxAttempts, 5);
+    assert.equal(command.ackTimeoutSeconds, 12);
+    assert.ok(command.expiresAt.getTime() >= before + 60 * 1000);
+  });
+
+  it('keeps retry settings the sender chose', async () => {
+    const command = await commandDelivery.markSent(makeCommand({ maxAttempts: 1, ackTimeoutSeconds: 90 }), DELIVERY);
+
+    assert.equal(command.maxAttempts, 1);
+    assert.equal(command.ackTimeoutSeconds, 90);
+  });
+
+  it('parses a JSON string payload', async () => {
+    const command = await commandDelivery.markSent(makeCommand(), { ...DELIVERY, payload: JSON.stringify(DELIVERY.payload) });
+    assert.deepEqual(command.payload, DELIVERY.payload);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Golden tests: the stored reading (esp32SensorAlgorithm.processSensorData)
+ * and the watering decision (WateringDecisionEngine.evaluateReading) must
+ * produce the same moisture percentages for every calibration curve type.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const moistureConversion = require('../services/moistureConversionService');
+const { processSensorData } = require('../services/esp32SensorAlgorithm');
+const wateringEngine = require('../services/wateringDecisionEngine');
+
+const ZONES = ['zone1', 'zone2', 'zone3'];
+
+const sameCurve = (curve) => ({ zone1: curve, zone2: curve, zone3: curve });
+
+// Each reading: raw ADC per zone → expected percent per zone
+const CASES = {
+  linear: {
+    calibration: sameCurve({ type: 'linear', wet: 1000, dry: 3000 }),
+    readings: [
+      { adc: [1000, 2000, 3000], percent: [100, 50, 0] },
+      { adc: [1500, 2500, 2900], percent: [75, 25, 5] },
+      { adc: [500, 4095, 0], percent: [100, 0, 100] } // clamped to wet..dry
+    ]
+  },
+  piecewise: {
+    calibration: sameCurve({
+      type: 'piecewise',
+      points: [
+        { adc: 3000, percent: 0 },
+        { adc: 1000, percent: 100 },
+        { adc: 2000, percent: 60 }
+      ]
+    }),
+    readings: [
+      { adc: [1000, 2000, 3000], percent: [100, 60, 0] },
+      { adc: [1500, 2500, 2750], percent: [80, 30, 15] },
+      { adc: [800, 3500, 1250], percent: [100, 0, 90] } // flat outside the points
+    ]
+  },
+  polynomial: {
+    // percent = 100 - 0.00001·adc²
+    calibration: sameCurve({ type: 'polynomial', wet: 1000, dry: 3000, coefficients: [100, 0, -0.00001] }),
+    readings: [
+      { adc: [1000, 2000, 3000], percent: [90, 60, 10] },
+      { adc: [1600, 2400, 2236], percent: [74, 42, 50] },
+      { adc: [0, 4095, 1000], percent: [90, 10, 90] } // adc clamped to wet..dry
+    ]
+  }
+};
+
+function toReading(adc) {
+  return {
+    deviceId: 'ESP32-GOLDEN',
+    zone1: adc[0],
+    zone2: adc[1],
+    zone3: adc[2],
+    timestamp: 1700000000,
+    pumpState: 0
+  };
+}
+
+describe('moisture conversion golden values', () => {
+  Object.entries(CASES).forEach(([type, { calibration, readings }]) => {
+    describe(type, () => {
+      const device = { deviceId: 'ESP32-GOLDEN', plantType: 'Others', calibration };
+
+      readings.forEach(({ adc, percent }) => {
+        const reading = toReading(adc);
+        const expected = Object.fromEntries(ZONES.map((zone, i) => [zone, percent[i]]));
+
+        it(`converts ADC ${adc.join('/')} to ${percent.join('/')}%`, () => {
+          const processed = processSensorData(reading, moistureConversion.resolve(device));
+          const stored = Object.fromEntries(ZONES.map(zone => [zone, processed[zone].moisturePercent]));
+          assert.deepEqual(stored, expected);
+        });
+
+        it(`decides on the same percentages as the stored reading for ADC ${adc.join('/')}`, () => {
+          const processed = processSensorData(reading, moistureConversion.resolve(device));
+          const { percents, votingZones } = wateringEngine.evaluateReading(device, reading);
+
+          assert.deepEqual(percents, expected);
+          votingZones.forEach(zone => {
+            assert.equal(zone.percent, processed[zone.name].moisturePercent);
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Log = require('../models/Log');
+const brokerAuth = require('../services/mqttBrokerAuth');
+
+function connect(id) {
+  return new Promise(resolve => {
+    const client = { id };
+    brokerAuth.authenticate(client, null, null, () => resolve(client));
+  });
+}
+
+function publish(client, topic, payload = {}) {
+  return new Promise(resolve => {
+    brokerAuth.authorizePublish(client, { topic, payload: Buffer.from(JSON.stringify(payload)) }, error => resolve(!error));
+  });
+}
+
+function subscribe(client, topic) {
+  return new Promise(resolve => {
+    brokerAuth.authorizeSubscribe(client, { topic, qos: 0 }, (error, subscription) => resolve(!!subscription));
+  });
+}
+
+describe('anonymous MQTT clients', () => {
+  let allowAnonymous;
+
+  beforeEach(() => {
+    allowAnonymous = brokerAuth.allowAnonymous;
+    brokerAuth.allowAnonymous = true;
+    brokerAuth.lastDenialLog.clear();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(Log, 'create', async () => {});
+  });
+
+  afterEach(() => {
+    brokerAuth.allowAnonymous = allowAnonymous;
+    mock.restoreAll();
+  });
+
+  it('are bound to the device their client ID names', async () => {
+    const client = await connect('ESP32-BCDDC2CDBB40');
+
+    assert.equal(client.deviceId, 'cdbb40');
+    assert.equal(await publish(client, 'ecosprinkle/cdbb40/sensor'), true);
+    assert.equal(await publish(client, 'ecosprinkle/aaaaaa/sensor'), false);
+    assert.equal(await subscribe(client, 'ecosprinkle/aaaaaa/command'), false);
+  });
+
+  it('are bound to the first device they use otherwise', async () => {
+    const client = await connect('legacy-client');
+
+    assert.equal(await subscribe(client, 'ecosprinkle/112233/command'), true);
+    assert.equal(client.deviceId, '112233');
+    assert.equal(await publish(client, 'ecosprinkle/112233/ack'), true);
+    assert.equal(await publish(client, 'ecosprinkle/445566/ack'), false);
+  });
+
+  it('may only send shared-topic readings for their own device', async () => {
+    const client = await connect('ESP32-BCDDC2CDBB40');
+
+    assert.equal(await publish(client, 'Ecosprinkle/sensors/data', { deviceId: 'esp32-bcddc2cdbb40' }), true);
+    assert.equal(await publish(client, 'Ecosprinkle/sensors/data', { deviceId: 'aaaaaa' }), false);
+    assert.equal(await publish(client, 'Ecosprinkle/sensors/data', {}), false);
+  });
+
+  it('can never publish commands', async () => {
+    const client = await connect('ESP32-BCDDC2CDBB40');
+    assert.equal(await publish(client, 'ecosprinkle/cdbb40/command'), false);
+  });
+});
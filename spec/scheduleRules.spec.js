@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const scheduleRules = require('../services/scheduleRules');
+
+// Local calendar dates as zonedTime.addLocalDays returns them
+const MONDAY_19 = { year: 2026, month: 10, day: 19, dayOfWeek: 1 };
+const WEDNESDAY_21 = { year: 2026, month: 10, day: 21, dayOfWeek: 3 };
+const MONDAY_26 = { year: 2026, month: 10, day: 26, dayOfWeek: 1 };
+const SATURDAY_24 = { year: 2026, month: 10, day: 24, dayOfWeek: 6 };
+
+function cronFires(cron, date) {
+  return scheduleRules.firesOnDate({ type: 'cron', cron }, date, 'UTC').map(at => at.toISOString());
+}
+
+describe('parseCron', () => {
+  it('treats day fields starting with * as unrestricted', () => {
+    const cron = scheduleRules.parseCron('0 6 */2 * 1');
+    assert.equal(cron.domRestricted, false);
+    assert.equal(cron.dowRestricted, true);
+    assert.equal(scheduleRules.parseCron('0 6 1-31/2 * *').domRestricted, true);
+  });
+
+  it('rejects expressions without 5 fields', () => {
+    assert.throws(() => scheduleRules.parseCron('0 6 * *'), /5 fields/);
+  });
+});
+
+describe('cron day matching', () => {
+  it('needs both day fields when day-of-month is a * step', () => {
+    assert.deepEqual(cronFires('0 6 */2 * 1', MONDAY_19), ['2026-10-19T06:00:00.000Z']);
+    assert.deepEqual(cronFires('0 6 */2 * 1', WEDNESDAY_21), []);
+    assert.deepEqual(cronFires('0 6 */2 * 1', MONDAY_26), []);
+  });
+
+  it('matches either day field when both are restricted', () => {
+    assert.deepEqual(cronFires('0 6 24 * 1', SATURDAY_24), ['2026-10-24T06:00:00.000Z']);
+    assert.deepEqual(cronFires('0 6 24 * 1', MONDAY_26), ['2026-10-26T06:00:00.000Z']);
+    assert.deepEqual(cronFires('0 6 24 * 1', WEDNESDAY_21), []);
+  });
+});
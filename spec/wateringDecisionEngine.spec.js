@@ -0,0 +1,99 @@
+/**
+ * WateringDecisionEngine.processSensorData end to end, with the model
+ * statics it touches replaced per test (no MongoDB or MQTT)
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Device = require('../models/Device');
+const SensorData = require('../models/SensorData');
+const scheduleExecutor = require('../services/scheduleExecutor');
+const waterBudget = require('../services/waterBudgetService');
+const wateringEngine = require('../services/wateringDecisionEngine');
+
+const CALIBRATION = { type: 'linear', wet: 1000, dry: 3000 };
+
+function makeDevice(overrides = {}) {
+  return {
+    deviceId: 'ESP32-ENGINE',
+    userID: 'user-1',
+    plantType: 'Others',
+    wateringMode: 'auto',
+    registrationConfirmed: true,
+    isPumpOn: false,
+    calibration: { zone1: CALIBRATION, zone2: CALIBRATION, zone3: CALIBRATION },
+    ...overrides
+  };
+}
+
+describe('processSensorData', () => {
+  let stored;
+  let errors;
+
+  beforeEach(() => {
+    stored = [];
+    errors = [];
+    waterBudget.timezones.clear();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', (...args) => errors.push(args));
+    mock.method(Device, 'findOneAndUpdate', async () => null);
+    mock.method(scheduleExecutor, 'getTimezone', async () => 'UTC');
+    mock.method(SensorData.prototype, 'save', async function () {
+      stored.push(this);
+      return this;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('stores the processed reading when no action is needed', async () => {
+    const device = makeDevice();
+    mock.method(Device, 'findOne', async () => device);
+
+    await wateringEngine.processSensorData(device.deviceId, {
+      zone1: 1200, zone2: 1300, zone3: 1400, pumpState: false, timestamp: 1700000000
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].zone1Percent, 90);
+    assert.equal(stored[0].zone2Percent, 85);
+    assert.equal(stored[0].zone3Percent, 80);
+    assert.equal(stored[0].validSensors, 3);
+    assert.equal(stored[0].majorityVoteDry, false);
+  });
+
+  it('leaves faulty zones out of the stored vote', async () => {
+    const device = makeDevice({ wateringMode: 'manual' });
+    mock.method(Device, 'findOne', async () => device);
+
+    await wateringEngine.processSensorData(device.deviceId, {
+      zone1: 1200,
+      zone2: 1300,
+      zone3: 1400,
+      zoneHealth: { zone2: { status: 'faulty' } },
+      pumpState: false,
+      timestamp: 1700000000
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].validSensors, 2);
+  });
+
+  it('looks up the owner timezone once across readings', async () => {
+    const device = makeDevice({ wateringMode: 'manual' });
+    mock.method(Device, 'findOne', async () => device);
+
+    for (const timestamp of [1700000000, 1700000005, 1700000010]) {
+      await wateringEngine.processSensorData(device.deviceId, {
+        zone1: 1200, zone2: 1300, zone3: 1400, pumpState: false, timestamp
+      });
+    }
+
+    assert.deepEqual(errors, []);
+    assert.equal(stored.length, 3);
+    assert.equal(scheduleExecutor.getTimezone.mock.callCount(), 1);
+  });
+});
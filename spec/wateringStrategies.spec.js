@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const wateringStrategies = require('../services/wateringStrategies');
+
+const THRESHOLDS = { dry: 40, wet: 70 };
+
+// zones('35', '50!', ...) → zone list; '!' marks an invalid reading
+function zones(...percents) {
+  return percents.map((value, i) => ({
+    name: `zone${i + 1}`,
+    percent: parseInt(value, 10),
+    isValid: !String(value).endsWith('!')
+  }));
+}
+
+function decide(name, zoneList, options = {}) {
+  return wateringStrategies.getStrategy(name).decide({ zones: zoneList, thresholds: THRESHOLDS, options });
+}
+
+describe('helpers', () => {
+  it('countVotes counts zones strictly below dry and above wet', () => {
+    assert.deepEqual(wateringStrategies.countVotes(zones(39, 40, 70, 71), THRESHOLDS), { dryVotes: 1, wetVotes: 1 });
+  });
+
+  it('median handles odd, even and empty lists', () => {
+    assert.equal(wateringStrategies.median([50, 10, 30]), 30);
+    assert.equal(wateringStrategies.median([40, 10, 30, 20]), 25);
+    assert.equal(wateringStrategies.median([]), null);
+  });
+});
+
+describe('registry', () => {
+  it('lists the built-in strategies', () => {
+    const names = wateringStrategies.listStrategies().map(s => s.name);
+    assert.deepEqual(names.slice(0, 4), ['critical-dry', 'majority-vote', 'median', 'weighted-zone']);
+  });
+
+  it('falls back to the default strategy for unknown names', () => {
+    assert.equal(wateringStrategies.getStrategy('nope').name, wateringStrategies.DEFAULT_STRATEGY);
+    assert.equal(wateringStrategies.getStrategy(undefined).name, 'critical-dry');
+    assert.equal(wateringStrategies.hasStrategy('nope'), false);
+  });
+
+  it('registers custom strategies', () => {
+    const always = () => ({ shouldWater: true, shouldStop: false, dryVotes: 0, wetVotes: 0, validSensors: 0, reason: 'always' });
+    wateringStrategies.registerStrategy('spec-always', always, 'Always water');
+
+    assert.equal(wateringStrategies.hasStrategy('spec-always'), true);
+    assert.equal(decide('spec-always', zones(90, 90, 90)).shouldWater, true);
+  });
+
+  it('rejects strategies that are not functions', () => {
+    assert.throws(() => wateringStrategies.registerStrategy('broken', null), /must be a function/);
+  });
+});
+
+describe('critical-dry', () => {
+  it('waters when any zone is at or below the critical level', () => {
+    const result = decide('critical-dry', zones(wateringStrategies.CRITICAL_DRY_PERCENT, 60, 65));
+    assert.equal(result.shouldWater, true);
+    assert.match(result.reason, /critically dry/);
+  });
+
+  it('waters when 2 of 3 zones are dry', () => {
+    const result = decide('critical-dry', zones(35, 38, 65));
+    assert.equal(result.shouldWater, true);
+    assert.equal(result.dryVotes, 2);
+  });
+
+  it('does not water on a single dry zone', () => {
+    assert.equal(decide('critical-dry', zones(35, 50, 65)).shouldWater, false);
+  });
+
+  it('stops when 2 of 3 zones are wet', () => {
+    const result = decide('critical-dry', zones(75, 80, 50));
+    assert.equal(result.shouldStop, true);
+    assert.equal(result.wetVotes, 2);
+  });
+
+  it('counts invalid zones in the vote but not as valid sensors', () => {
+    const result = decide('critical-dry', zones(35, '38!', 65));
+    assert.equal(result.shouldWater, true);
+    assert.equal(result.validSensors, 2);
+  });
+});
+
+describe('majority-vote', () => {
+  it('ignores invalid zones', () => {
+    const result = decide('majority-vote', zones(35, '20!', 65));
+    assert.equal(result.shouldWater, false);
+    assert.equal(result.validSensors, 2);
+  });
+
+  it('needs a strict majority of valid zones', () => {
+    assert.equal(decide('majority-vote', zones(35, 38, '90!')).shouldWater, true);
+    assert.equal(decide('majority-vote', zones(35, 50, 65)).shouldWater, false);
+  });
+
+  it('has no critical override', () => {
+    assert.equal(decide('majority-vote', zones(10, 50, 65)).shouldWater, false);
+  });
+
+  it('does nothing without valid zones', () => {
+    const result = decide('majority-vote', zones('10!', '10!', '10!'));
+    assert.equal(result.shouldWater, false);
+    assert.equal(result.shouldStop, false);
+  });
+});
+
+describe('median', () => {
+  it('is robust against one outlier probe', () => {
+    assert.equal(decide('median', zones(0, 55, 60)).shouldWater, false);
+    assert.equal(decide('median', zones(100, 30, 35)).shouldWater, true);
+  });
+
+  it('stops when the median is above wet', () => {
+    const result = decide('median', zones(72, 75, 10));
+    assert.equal(result.shouldStop, true);
+    assert.equal(result.reason, 'Median of valid zones: 72%');
+  });
+
+  it('averages the middle pair for two valid zones', () => {
+    assert.equal(decide('median', zones(30, 48, '0!')).reason, 'Median of valid zones: 39%');
+  });
+
+  it('reports no valid zones', () => {
+    assert.equal(decide('median', zones('10!', '10!')).reason, 'No valid zones');
+  });
+});
+
+describe('weighted-zone', () => {
+  it('weights zones equally by default', () => {
+    const result = decide('weighted-zone', zones(30, 40, 50));
+    assert.equal(result.reason, 'Weighted average of valid zones: 40%');
+    assert.equal(result.shouldWater, false);
+  });
+
+  it('applies zone weights', () => {
+    const result = decide('weighted-zone', zones(30, 40, 50), { zoneWeights: { zone1: 3, zone2: 1, zone3: 0 } });
+    assert.equal(result.reason, 'Weighted average of valid zones: 33%');
+    assert.equal(result.shouldWater, true);
+  });
+
+  it('skips invalid zones and all-zero weights', () => {
+    assert.equal(decide('weighted-zone', zones('10!', 80, 90)).shouldStop, true);
+    const result = decide('weighted-zone', zones(30, 40), { zoneWeights: { zone1: 0, zone2: 0 } });
+    assert.equal(result.reason, 'No valid weighted zones');
+    assert.equal(result.shouldWater, false);
+  });
+});
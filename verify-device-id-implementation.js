@@ -14,11 +14,12 @@ console.log('=' .repeat(60));
 // Read the routes/devices.js file
 const routesFilePath = path.join(__dirname, 'routes', 'devices.js');
 const routesContent = fs.readFileSync(routesFilePath, 'utf8');
+const helperContent = fs.readFileSync(path.join(__dirname, 'services', 'deviceId.js'), 'utf8');
 
-// Check 1: Verify normalizeDeviceId function exists
-console.log('\n✅ Check 1: Verify normalizeDeviceId() function exists');
-const hasFunctionDefinition = routesContent.includes('function normalizeDeviceId(deviceId)');
-console.log(hasFunctionDefinition ? '   ✅ PASS: Function defined' : '   ❌ FAIL: Function not found');
+// Check 1: Verify normalizeDeviceId function is imported (defined in services/deviceId.js)
+console.log('\n✅ Check 1: Verify normalizeDeviceId() function is imported');
+const hasFunctionImport = routesContent.includes("const { normalizeDeviceId } = require('../services/deviceId');");
+console.log(hasFunctionImport ? '   ✅ PASS: Function imported' : '   ❌ FAIL: Function not imported');
 
 // Check 2: Verify NO remaining toLowerCase() calls for device IDs
 console.log('\n✅ Check 2: Verify NO remaining toLowerCase() device ID calls');
@@ -29,7 +30,7 @@ console.log(!hasLowercaseCalls ? '   ✅ PASS: No toLowerCase() found' : '   ❌
 console.log('\n✅ Check 3: Count normalizeDeviceId() usages');
 const normalizeRegex = /normalizeDeviceId\(/g;
 const matches = routesContent.match(normalizeRegex);
-const usageCount = matches ? matches.length - 1 : 0; // -1 for function definition itself
+const usageCount = matches ? matches.length : 0;
 console.log(`   Found ${usageCount} usages (expected: 8)`);
 console.log(usageCount === 8 ? '   ✅ PASS: Correct number of usages' : `   ⚠️  WARNING: Expected 8, found ${usageCount}`);
 
@@ -68,9 +69,9 @@ endpointChecks.forEach(check => {
 
 // Check 5: Verify prefix stripping logic
 console.log('\n✅ Check 5: Verify prefix stripping logic in function');
-const hasEsp32PrefixRemoval = routesContent.includes(".replace(/^esp32-/, '')");
-const hasEcosprinklePrefixRemoval = routesContent.includes(".replace(/^ecosprinkle-/, '')");
-const hasLengthCheck = routesContent.includes('if (normalized.length > 6)');
+const hasEsp32PrefixRemoval = helperContent.includes(".replace(/^esp32-/, '')");
+const hasEcosprinklePrefixRemoval = helperContent.includes(".replace(/^ecosprinkle-/, '')");
+const hasLengthCheck = helperContent.includes('if (normalized.length > 6)');
 
 console.log(hasEsp32PrefixRemoval ? '   ✅ PASS: esp32- prefix removal found' : '   ❌ FAIL: Missing esp32- prefix removal');
 console.log(hasEcosprinklePrefixRemoval ? '   ✅ PASS: ecosprinkle- prefix removal found' : '   ❌ FAIL: Missing ecosprinkle- prefix removal');
@@ -81,7 +82,7 @@ console.log('\n' + '='.repeat(60));
 console.log('📊 VERIFICATION SUMMARY\n');
 
 const allChecksPassed = 
-  hasFunctionDefinition &&
+  hasFunctionImport &&
   !hasLowercaseCalls &&
   usageCount === 8 &&
   allEndpointsCorrect &&